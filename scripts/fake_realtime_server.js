@@ -0,0 +1,316 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const logger = require('../src/monitoring/logger');
+
+const SILENCE_FRAME_BASE64 = Buffer.alloc(160, 0xff).toString('base64');
+const DEFAULT_WAIT_TIMEOUT_MS = 5000;
+
+function eventId() {
+  return `event_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function getByPath(obj, dottedPath) {
+  return dottedPath.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function matchesStep(step, message) {
+  if (step.on !== message.type) {
+    return false;
+  }
+
+  return Object.entries(step.match || {}).every(([dottedPath, expected]) => getByPath(message, dottedPath) === expected);
+}
+
+function expandEmit(emit, connection) {
+  if (emit.audio) {
+    const { chunks = 1, transcript = '' } = emit.audio;
+    const responseId = `resp_${connection.id}_${connection.responseCount += 1}`;
+    const itemId = `item_${responseId}`;
+    return [
+      { type: 'response.created', response: { id: responseId } },
+      ...Array.from({ length: chunks }, () => ({
+        type: 'response.audio.delta',
+        response_id: responseId,
+        item_id: itemId,
+        delta: SILENCE_FRAME_BASE64
+      })),
+      { type: 'response.audio.done', response_id: responseId, item_id: itemId },
+      { type: 'response.audio_transcript.done', response_id: responseId, item_id: itemId, transcript },
+      { type: 'response.done', response: { id: responseId, status: 'completed' } }
+    ];
+  }
+
+  if (emit.functionCall) {
+    const { name, arguments: args = {}, callId } = emit.functionCall;
+    const responseId = `resp_${connection.id}_${connection.responseCount += 1}`;
+    return [
+      { type: 'response.created', response: { id: responseId } },
+      {
+        type: 'response.function_call_arguments.done',
+        response_id: responseId,
+        item_id: `item_${responseId}`,
+        call_id: callId || `call_${responseId}`,
+        name,
+        arguments: typeof args === 'string' ? args : JSON.stringify(args)
+      },
+      { type: 'response.done', response: { id: responseId, status: 'completed' } }
+    ];
+  }
+
+  if (emit.error) {
+    return [{ type: 'error', error: { type: 'invalid_request_error', ...emit.error } }];
+  }
+
+  if (emit.transcription) {
+    return [{
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: `item_caller_${connection.received.length}`,
+      transcript: emit.transcription
+    }];
+  }
+
+  return [emit];
+}
+
+function createFakeRealtimeServer({ scenario = {}, port = 0, host = '127.0.0.1' } = {}) {
+  let activeScenario = scenario;
+  let nextConnectionId = 1;
+  const connections = [];
+  const waiters = new Set();
+
+  const httpServer = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/recordings') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ connections: connections.map(describeConnection) }));
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+  const wsServer = new WebSocket.Server({ server: httpServer });
+
+  function describeConnection(connection) {
+    return {
+      id: connection.id,
+      url: connection.url,
+      hasAuthorization: connection.hasAuthorization,
+      received: connection.received,
+      sent: connection.sent,
+      pendingSteps: connection.steps.length,
+      closed: connection.closed
+    };
+  }
+
+  function notifyWaiters() {
+    for (const waiter of waiters) {
+      const match = waiter.find();
+      if (match) {
+        waiters.delete(waiter);
+        clearTimeout(waiter.timer);
+        waiter.resolve(match);
+      }
+    }
+  }
+
+  function send(connection, event) {
+    if (connection.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const message = { event_id: eventId(), ...event };
+    connection.sent.push(message);
+    connection.socket.send(JSON.stringify(message));
+  }
+
+  async function runEmits(connection, emits = []) {
+    for (const emit of emits) {
+      if (emit.delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, emit.delayMs));
+      }
+
+      if (emit.close) {
+        connection.socket.close(emit.close.code || 1000, emit.close.reason || 'scenario_close');
+        return;
+      }
+
+      for (const event of expandEmit(emit, connection)) {
+        send(connection, event);
+      }
+    }
+  }
+
+  function runMatchingStep(connection, message) {
+    const [step] = connection.steps;
+    if (!step || !matchesStep(step, message)) {
+      return;
+    }
+
+    connection.steps.shift();
+    connection.emitQueue = connection.emitQueue.then(() => runEmits(connection, step.emit));
+  }
+
+  wsServer.on('connection', (socket, req) => {
+    const connection = {
+      id: nextConnectionId,
+      url: req.url,
+      hasAuthorization: /^Bearer \S+/.test(req.headers.authorization || ''),
+      socket,
+      steps: [...(activeScenario.steps || [])],
+      received: [],
+      sent: [],
+      responseCount: 0,
+      closed: false,
+      emitQueue: Promise.resolve()
+    };
+    nextConnectionId += 1;
+    connections.push(connection);
+
+    logger.info('[fake-realtime] Client connected.', { connectionId: connection.id, url: req.url });
+    send(connection, { type: 'session.created', session: { id: `sess_${connection.id}` } });
+    runMatchingStep(connection, { type: 'connection' });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        message = { type: 'invalid_json', raw: raw.toString() };
+      }
+
+      connection.received.push(message);
+      if (message.type !== 'input_audio_buffer.append') {
+        logger.info('[fake-realtime] Message received.', { connectionId: connection.id, type: message.type });
+      }
+
+      if (message.type === 'session.update') {
+        send(connection, { type: 'session.updated', session: message.session || {} });
+      }
+
+      runMatchingStep(connection, message);
+      notifyWaiters();
+    });
+
+    socket.on('close', () => {
+      connection.closed = true;
+      logger.info('[fake-realtime] Client disconnected.', { connectionId: connection.id });
+      notifyWaiters();
+    });
+  });
+
+  function waitFor(find, { timeoutMs = DEFAULT_WAIT_TIMEOUT_MS, description = 'condition' } = {}) {
+    const match = find();
+    if (match) {
+      return Promise.resolve(match);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { find, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.delete(waiter);
+        reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`));
+      }, timeoutMs);
+      waiters.add(waiter);
+    });
+  }
+
+  function received() {
+    return connections.flatMap((connection) => connection.received);
+  }
+
+  function waitForMessage(type, { match = {}, timeoutMs } = {}) {
+    return waitFor(
+      () => received().find((message) => matchesStep({ on: type, match }, message)),
+      { timeoutMs, description: `message ${type}` }
+    );
+  }
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(port, host, () => {
+        httpServer.off('error', reject);
+        resolve({ url: api.url });
+      });
+    });
+  }
+
+  function stop() {
+    for (const waiter of waiters) {
+      clearTimeout(waiter.timer);
+    }
+    waiters.clear();
+    for (const client of wsServer.clients) {
+      client.terminate();
+    }
+
+    return new Promise((resolve) => {
+      wsServer.close(() => httpServer.close(() => resolve()));
+    });
+  }
+
+  const api = {
+    start,
+    stop,
+    get url() {
+      const address = httpServer.address();
+      return address ? `ws://${host}:${address.port}/v1/realtime` : null;
+    },
+    connections,
+    received,
+    waitFor,
+    waitForMessage,
+    setScenario(nextScenario) {
+      activeScenario = nextScenario || {};
+    }
+  };
+  return api;
+}
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.FAKE_REALTIME_PORT || 8765), scenarioPath: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--port') {
+      args.port = Number(argv[i + 1]);
+      i += 1;
+    } else {
+      args.scenarioPath = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { port, scenarioPath } = parseArgs(process.argv.slice(2));
+  const scenario = scenarioPath ? JSON.parse(fs.readFileSync(path.resolve(scenarioPath), 'utf8')) : {};
+  const server = createFakeRealtimeServer({ scenario, port });
+  const { url } = await server.start();
+
+  logger.info('[fake-realtime] Listening.', {
+    url,
+    scenario: scenarioPath || null,
+    steps: (scenario.steps || []).length,
+    hint: `OPENAI_REALTIME_URL=${url}`
+  });
+
+  const shutdown = () => {
+    server.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error('[fake-realtime] Failed to start.', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SILENCE_FRAME_BASE64,
+  createFakeRealtimeServer
+};
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { computeTwilioSignature } = require('../src/governance/twilioSignature');
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_MULAW = 7;
+const DEFAULT_SETTLE_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function encodeMuLawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent -= 1;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  magnitude = ~(sign | (exponent << 4) | mantissa);
+  return magnitude & 0xff;
+}
+
+function decodeMuLawSample(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+function parseWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw Object.assign(new Error('Audio file is not a RIFF/WAVE file'), { code: 'invalid_wav' });
+  }
+
+  let format;
+  let data;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, offset + 8 + chunkSize);
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (chunkId === 'data') {
+      data = body;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw Object.assign(new Error('WAV file is missing fmt or data chunk'), { code: 'invalid_wav' });
+  }
+
+  return { ...format, data };
+}
+
+function wavToMuLaw(buffer) {
+  const wav = parseWav(buffer);
+  if (wav.audioFormat === WAVE_FORMAT_MULAW && wav.sampleRate === SAMPLE_RATE && wav.channels === 1) {
+    return wav.data;
+  }
+
+  let samples;
+  if (wav.audioFormat === WAVE_FORMAT_MULAW) {
+    samples = Array.from(wav.data, decodeMuLawSample);
+  } else if (wav.audioFormat === WAVE_FORMAT_PCM && wav.bitsPerSample === 16) {
+    samples = Array.from({ length: Math.floor(wav.data.length / 2) }, (_, i) => wav.data.readInt16LE(i * 2));
+  } else {
+    throw Object.assign(new Error(`Unsupported WAV encoding (format ${wav.audioFormat}, ${wav.bitsPerSample} bits). Use 16-bit PCM or μ-law.`), {
+      code: 'invalid_wav'
+    });
+  }
+
+  const frames = Math.floor(samples.length / wav.channels);
+  const outputLength = Math.floor((frames * SAMPLE_RATE) / wav.sampleRate);
+  const output = Buffer.alloc(outputLength);
+  for (let i = 0; i < outputLength; i += 1) {
+    const sourceFrame = Math.min(frames - 1, Math.floor((i * wav.sampleRate) / SAMPLE_RATE));
+    output[i] = encodeMuLawSample(samples[sourceFrame * wav.channels]);
+  }
+  return output;
+}
+
+function buildMuLawWav(muLaw) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + muLaw.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(WAVE_FORMAT_MULAW, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE, 28);
+  header.writeUInt16LE(1, 32);
+  header.writeUInt16LE(8, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(muLaw.length, 40);
+  return Buffer.concat([header, muLaw]);
+}
+
+function toneMuLaw(durationMs, frequencyHz = 440) {
+  const length = Math.round((durationMs / 1000) * SAMPLE_RATE);
+  return Buffer.from(Array.from({ length }, (_, i) => encodeMuLawSample(
+    Math.round(8000 * Math.sin((2 * Math.PI * frequencyHz * i) / SAMPLE_RATE))
+  )));
+}
+
+function silenceMuLaw(durationMs) {
+  return Buffer.alloc(Math.round((durationMs / 1000) * SAMPLE_RATE), 0xff);
+}
+
+function randomSid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+async function requestStreamUrl({ bridgeUrl, callSid, from, to, campaign, authToken }) {
+  const voiceUrl = new URL('/twilio/voice', bridgeUrl);
+  if (campaign) {
+    voiceUrl.searchParams.set('campaign', campaign);
+  }
+
+  const params = { CallSid: callSid, From: from, To: to, AccountSid: randomSid('AC') };
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (authToken) {
+    headers['X-Twilio-Signature'] = computeTwilioSignature(voiceUrl.toString(), params, authToken);
+  }
+
+  const response = await fetch(voiceUrl, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(params).toString()
+  });
+  const twiml = await response.text();
+  if (!response.ok) {
+    throw Object.assign(new Error(`POST /twilio/voice returned ${response.status}`), { code: 'voice_webhook_failed', details: { twiml } });
+  }
+
+  const match = /<Stream url="([^"]+)"/.exec(twiml);
+  if (!match) {
+    throw Object.assign(new Error('Voice TwiML did not include a <Stream> (call may be gated)'), {
+      code: 'stream_not_started',
+      details: { twiml }
+    });
+  }
+
+  const streamUrl = new URL(match[1].replace(/&amp;/g, '&'));
+  const bridge = new URL(bridgeUrl);
+  streamUrl.protocol = bridge.protocol === 'https:' ? 'wss:' : 'ws:';
+  streamUrl.host = bridge.host;
+  return { streamUrl: streamUrl.toString(), accountSid: params.AccountSid };
+}
+
+async function fetchSessionRecord(bridgeUrl, callSid) {
+  const response = await fetch(new URL(`/internal/sessions/${encodeURIComponent(callSid)}`, bridgeUrl));
+  if (response.status === 404) {
+    return null;
+  }
+  const body = await response.json();
+  return body.session || null;
+}
+
+function isOrderedSubsequence(expected, actual) {
+  let index = 0;
+  for (const item of actual) {
+    if (item === expected[index]) {
+      index += 1;
+    }
+  }
+  return index === expected.length;
+}
+
+function evaluateExpectations(expect = {}, outcome) {
+  const failures = [];
+  const { session, outbound } = outcome;
+
+  if ((expect.states || expect.finalState || expect.toolCalls) && !session) {
+    failures.push('Session record unavailable. Start the bridge with INTERNAL_TOOLING_ENABLED=true.');
+    return failures;
+  }
+
+  const states = (session?.auditLog || []).map((entry) => entry.nextState);
+  if (expect.states && !isOrderedSubsequence(expect.states, states)) {
+    failures.push(`Expected state transitions ${expect.states.join(' -> ')} but saw ${states.join(' -> ') || '(none)'}`);
+  }
+
+  if (expect.finalState && session.state !== expect.finalState) {
+    failures.push(`Expected final state ${expect.finalState} but saw ${session.state}`);
+  }
+
+  const toolCalls = session?.toolCalls || [];
+  let cursor = 0;
+  for (const expected of expect.toolCalls || []) {
+    const foundIndex = toolCalls.findIndex((call, index) => index >= cursor
+      && call.toolName === expected.toolName
+      && (expected.ok == null || call.ok === expected.ok)
+      && (expected.errorCode == null || call.errorCode === expected.errorCode));
+    if (foundIndex === -1) {
+      failures.push(`Expected tool call ${JSON.stringify(expected)} in order; saw ${JSON.stringify(toolCalls.map(({ toolName, ok, errorCode }) => ({ toolName, ok, errorCode })))}`);
+      break;
+    }
+    cursor = foundIndex + 1;
+  }
+
+  if (expect.minOutboundMediaFrames != null && outbound.mediaFrames < expect.minOutboundMediaFrames) {
+    failures.push(`Expected at least ${expect.minOutboundMediaFrames} outbound media frames but saw ${outbound.mediaFrames}`);
+  }
+
+  if (expect.clearEvents != null && outbound.clearEvents !== expect.clearEvents) {
+    failures.push(`Expected ${expect.clearEvents} clear events but saw ${outbound.clearEvents}`);
+  }
+
+  return failures;
+}
+
+async function runSimulatedCall({
+  bridgeUrl = 'http://127.0.0.1:8080',
+  from = '+15555550100',
+  to = '+15555550199',
+  campaign = null,
+  callSid = randomSid('CA'),
+  authToken = process.env.TWILIO_AUTH_TOKEN || '',
+  script = [{ waitForAgentMs: 3000 }, { toneMs: 1000 }, { waitMs: 2000 }],
+  expect = {},
+  speed = 1,
+  settleMs = DEFAULT_SETTLE_MS,
+  recordPath = null,
+  baseDir = process.cwd(),
+  log = () => {}
+} = {}) {
+  const streamSid = randomSid('MZ');
+  const { streamUrl, accountSid } = await requestStreamUrl({ bridgeUrl, callSid, from, to, campaign, authToken });
+  log(`Connecting to ${streamUrl.replace(/\/twilio\/stream\/.+$/, '/twilio/stream/<token>')}`);
+
+  const socket = new WebSocket(streamUrl);
+  const outbound = { mediaFrames: 0, clearEvents: 0, marks: [], events: [] };
+  const outboundAudio = [];
+  let lastOutboundAtMs = 0;
+  let sequenceNumber = 0;
+  let chunk = 0;
+  let mediaTimestampMs = 0;
+
+  const send = (frame) => {
+    sequenceNumber += 1;
+    socket.send(JSON.stringify({ ...frame, sequenceNumber: String(sequenceNumber) }));
+  };
+
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    outbound.events.push(message.event);
+    if (message.event === 'media') {
+      outbound.mediaFrames += 1;
+      lastOutboundAtMs = Date.now();
+      outboundAudio.push(Buffer.from(message.media.payload, 'base64'));
+    } else if (message.event === 'clear') {
+      outbound.clearEvents += 1;
+    } else if (message.event === 'mark') {
+      outbound.marks.push(message.mark?.name || null);
+      send({ event: 'mark', streamSid, mark: message.mark });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('unexpected-response', (_req, res) => reject(new Error(`Stream upgrade rejected with HTTP ${res.statusCode}`)));
+    socket.once('error', reject);
+  });
+
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+  send({
+    event: 'start',
+    streamSid,
+    start: {
+      accountSid,
+      streamSid,
+      callSid,
+      tracks: ['inbound'],
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: SAMPLE_RATE, channels: 1 },
+      customParameters: { From: from, To: to, ...(campaign ? { Campaign: campaign } : {}) }
+    }
+  });
+
+  const sendAudio = async (muLaw) => {
+    for (let offset = 0; offset < muLaw.length && socket.readyState === WebSocket.OPEN; offset += FRAME_BYTES) {
+      const frame = Buffer.alloc(FRAME_BYTES, 0xff);
+      muLaw.copy(frame, 0, offset, Math.min(offset + FRAME_BYTES, muLaw.length));
+      chunk += 1;
+      send({
+        event: 'media',
+        streamSid,
+        media: { track: 'inbound', chunk: String(chunk), timestamp: String(mediaTimestampMs), payload: frame.toString('base64') }
+      });
+      mediaTimestampMs += FRAME_MS;
+      await sleep(FRAME_MS / speed);
+    }
+  };
+
+  for (const step of script) {
+    if (socket.readyState !== WebSocket.OPEN) {
+      break;
+    }
+
+    if (step.wav) {
+      log(`Sending ${step.wav}`);
+      await sendAudio(wavToMuLaw(fs.readFileSync(path.resolve(baseDir, step.wav))));
+    } else if (step.toneMs) {
+      await sendAudio(toneMuLaw(step.toneMs, step.frequencyHz));
+    } else if (step.silenceMs) {
+      await sendAudio(silenceMuLaw(step.silenceMs));
+    } else if (step.mark) {
+      send({ event: 'mark', streamSid, mark: { name: step.mark } });
+    } else if (step.waitMs) {
+      await sleep(step.waitMs / speed);
+    } else if (step.waitForAgentMs) {
+      const deadline = Date.now() + step.waitForAgentMs;
+      while (Date.now() < deadline && (!lastOutboundAtMs || Date.now() - lastOutboundAtMs < 500)) {
+        await sleep(50);
+      }
+    }
+  }
+
+  if (socket.readyState === WebSocket.OPEN) {
+    send({ event: 'stop', streamSid, stop: { accountSid, callSid } });
+  }
+  await sleep(settleMs);
+  socket.close();
+
+  if (recordPath) {
+    fs.writeFileSync(path.resolve(recordPath), buildMuLawWav(Buffer.concat(outboundAudio)));
+  }
+
+  const session = await fetchSessionRecord(bridgeUrl, callSid);
+  const failures = evaluateExpectations(expect, { session, outbound });
+  return {
+    ok: failures.length === 0,
+    callSid,
+    failures,
+    outbound: { mediaFrames: outbound.mediaFrames, clearEvents: outbound.clearEvents, marks: outbound.marks },
+    states: (session?.auditLog || []).map((entry) => entry.nextState),
+    toolCalls: session?.toolCalls || [],
+    finalState: session?.state || null
+  };
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (!flag.startsWith('--')) {
+      args.scenarioPath = flag;
+      continue;
+    }
+    i += 1;
+    args[flag.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scenario = args.scenarioPath ? JSON.parse(fs.readFileSync(path.resolve(args.scenarioPath), 'utf8')) : {};
+  const script = args.wav ? [{ waitForAgentMs: 3000 }, { wav: args.wav }, { waitMs: 3000 }] : scenario.script;
+
+  const result = await runSimulatedCall({
+    ...scenario,
+    bridgeUrl: args.bridge || scenario.bridgeUrl || process.env.BRIDGE_URL || 'http://127.0.0.1:8080',
+    from: args.from || scenario.from,
+    to: args.to || scenario.to,
+    campaign: args.campaign || scenario.campaign || null,
+    script,
+    speed: Number(args.speed || scenario.speed || 1),
+    recordPath: args.record || null,
+    baseDir: args.scenarioPath ? path.dirname(path.resolve(args.scenarioPath)) : process.cwd(),
+    log: (message) => console.info(`[simulate] ${message}`)
+  });
+
+  console.info(JSON.stringify(result, null, 2));
+  process.exitCode = result.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`[simulate] ${error.message}`, error.details ? JSON.stringify(error.details) : '');
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  encodeMuLawSample,
+  decodeMuLawSample,
+  parseWav,
+  wavToMuLaw,
+  buildMuLawWav,
+  runSimulatedCall,
+  evaluateExpectations
+};
@@ -2,14 +2,30 @@ const path = require('path');
 
 const DEFAULT_PORT = 8080;
 const DEFAULT_OPENAI_REALTIME_MODEL = 'gpt-4o-realtime-preview-2024-12-17';
+const DEFAULT_OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime';
 const DEFAULT_OPENAI_VOICE = 'alloy';
+const DEFAULT_OPENAI_TRANSCRIPTION_MODEL = 'whisper-1';
+const DEFAULT_OPENAI_SUMMARY_MODEL = 'gpt-4o-mini';
 const DEFAULT_OPERATOR_COMPANY_NAME = 'Call Operator Pro Plumbing';
 const DEFAULT_PROMPT_PATH = path.join(__dirname, '..', '..', 'prompts', 'plumbing_operator_system_prompt.txt');
+const TENANT_PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts', 'tenants');
+const CAMPAIGN_PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts', 'campaigns');
+const PROMPT_PARTIALS_DIR = path.join(__dirname, '..', '..', 'prompts', 'partials');
+const DEFAULT_TENANT_ID = 'single';
+const DEFAULT_BUSINESS_TIMEZONE = 'America/New_York';
 
 module.exports = {
   DEFAULT_PORT,
   DEFAULT_OPENAI_REALTIME_MODEL,
+  DEFAULT_OPENAI_REALTIME_URL,
   DEFAULT_OPENAI_VOICE,
+  DEFAULT_OPENAI_TRANSCRIPTION_MODEL,
+  DEFAULT_OPENAI_SUMMARY_MODEL,
   DEFAULT_OPERATOR_COMPANY_NAME,
-  DEFAULT_PROMPT_PATH
+  DEFAULT_PROMPT_PATH,
+  TENANT_PROMPTS_DIR,
+  CAMPAIGN_PROMPTS_DIR,
+  PROMPT_PARTIALS_DIR,
+  DEFAULT_TENANT_ID,
+  DEFAULT_BUSINESS_TIMEZONE
 };
@@ -45,9 +45,20 @@ function isHubspotEnabled() {
   return isTrue(process.env.HUBSPOT_ENABLED);
 }
 
+function resolveBaseUrl(name, defaultUrl, override) {
+  const configured = String(override || process.env[name] || '').trim();
+  return (configured || defaultUrl).replace(/\/+$/, '');
+}
+
+function resolveOption(value, name) {
+  return String((value === undefined ? process.env[name] : value) || '').trim();
+}
+
 module.exports = {
   validateEnv,
   validateHubspotEnv,
   validateStripeEnv,
-  isHubspotEnabled
+  isHubspotEnabled,
+  resolveBaseUrl,
+  resolveOption
 };
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAY_KEYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_SCHEDULING_POLICY = Object.freeze({
+  weekdayHours: Object.freeze({
+    sun: null,
+    mon: Object.freeze({ start: '08:00', end: '17:00' }),
+    tue: Object.freeze({ start: '08:00', end: '17:00' }),
+    wed: Object.freeze({ start: '08:00', end: '17:00' }),
+    thu: Object.freeze({ start: '08:00', end: '17:00' }),
+    fri: Object.freeze({ start: '08:00', end: '17:00' }),
+    sat: null
+  }),
+  breaks: Object.freeze([]),
+  holidays: Object.freeze([]),
+  bufferMinutes: 0,
+  leadTimeMinutes: 120,
+  searchWindowDays: 21,
+  slotIntervalMinutes: 30,
+  defaultDurationMinutes: 60,
+  durationByJobType: Object.freeze({}),
+  travelSpeedKmh: 40,
+  technicians: Object.freeze([])
+});
+
+const configuredPolicyCache = new Map();
+
+function invalidPolicy(message, field) {
+  return Object.assign(new Error(`Invalid scheduling policy: ${message}`), {
+    code: 'invalid_scheduling_policy',
+    details: { field }
+  });
+}
+
+function parseTimeOfDay(value, field) {
+  const match = TIME_PATTERN.exec(String(value || ''));
+  if (!match) {
+    throw invalidPolicy(`${field} must be HH:MM`, field);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function normalizeWindow(window, field) {
+  if (window == null || window === false) {
+    return null;
+  }
+
+  const startMinute = parseTimeOfDay(window.start, `${field}.start`);
+  const endMinute = parseTimeOfDay(window.end, `${field}.end`);
+  if (endMinute <= startMinute) {
+    throw invalidPolicy(`${field}.end must be after ${field}.start`, field);
+  }
+
+  return { start: window.start, end: window.end, startMinute, endMinute };
+}
+
+function normalizePositiveInteger(value, field, { allowZero = false } = {}) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || (!allowZero && number === 0)) {
+    throw invalidPolicy(`${field} must be a ${allowZero ? 'non-negative' : 'positive'} integer`, field);
+  }
+  return number;
+}
+
+function normalizeJobType(jobType) {
+  return String(jobType || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function normalizeTechnicians(technicians) {
+  if (!Array.isArray(technicians)) {
+    throw invalidPolicy('technicians must be an array', 'technicians');
+  }
+
+  const seen = new Set();
+  return technicians.map((entry, index) => {
+    const id = String(entry?.id || '').trim();
+    const calendarId = String(entry?.calendarId || '').trim();
+    if (!id || !calendarId) {
+      throw invalidPolicy(`technicians[${index}] requires id and calendarId`, `technicians[${index}]`);
+    }
+    if (seen.has(id)) {
+      throw invalidPolicy(`technicians[${index}].id is duplicated`, `technicians[${index}].id`);
+    }
+    seen.add(id);
+
+    if (entry.jobTypes != null && !Array.isArray(entry.jobTypes)) {
+      throw invalidPolicy(`technicians[${index}].jobTypes must be an array`, `technicians[${index}].jobTypes`);
+    }
+
+    return {
+      id,
+      name: String(entry.name || '').trim() || id,
+      calendarId,
+      jobTypes: entry.jobTypes == null ? null : entry.jobTypes.map(normalizeJobType).filter(Boolean)
+    };
+  });
+}
+
+function normalizeSchedulingPolicy(raw = {}) {
+  const merged = {
+    ...DEFAULT_SCHEDULING_POLICY,
+    ...raw,
+    weekdayHours: { ...DEFAULT_SCHEDULING_POLICY.weekdayHours, ...(raw.weekdayHours || {}) }
+  };
+
+  const weekdayHours = {};
+  for (const key of WEEKDAY_KEYS) {
+    weekdayHours[key] = normalizeWindow(merged.weekdayHours[key], `weekdayHours.${key}`);
+  }
+
+  if (!Array.isArray(merged.breaks)) {
+    throw invalidPolicy('breaks must be an array', 'breaks');
+  }
+  const breaks = merged.breaks.map((entry, index) => {
+    const window = normalizeWindow(entry, `breaks[${index}]`);
+    const days = entry.days == null ? [...WEEKDAY_KEYS] : entry.days;
+    if (!Array.isArray(days) || days.some((day) => !WEEKDAY_KEYS.includes(day))) {
+      throw invalidPolicy(`breaks[${index}].days must list weekday keys`, `breaks[${index}].days`);
+    }
+    return { ...window, days: [...days] };
+  });
+
+  if (!Array.isArray(merged.holidays) || merged.holidays.some((day) => !DATE_PATTERN.test(String(day)))) {
+    throw invalidPolicy('holidays must be YYYY-MM-DD dates', 'holidays');
+  }
+
+  const durationByJobType = {};
+  for (const [jobType, minutes] of Object.entries(merged.durationByJobType || {})) {
+    durationByJobType[normalizeJobType(jobType)] = normalizePositiveInteger(minutes, `durationByJobType.${jobType}`);
+  }
+
+  return {
+    weekdayHours,
+    breaks,
+    holidays: [...merged.holidays].map(String),
+    bufferMinutes: normalizePositiveInteger(merged.bufferMinutes, 'bufferMinutes', { allowZero: true }),
+    leadTimeMinutes: normalizePositiveInteger(merged.leadTimeMinutes, 'leadTimeMinutes', { allowZero: true }),
+    searchWindowDays: normalizePositiveInteger(merged.searchWindowDays, 'searchWindowDays'),
+    slotIntervalMinutes: normalizePositiveInteger(merged.slotIntervalMinutes, 'slotIntervalMinutes'),
+    defaultDurationMinutes: normalizePositiveInteger(merged.defaultDurationMinutes, 'defaultDurationMinutes'),
+    durationByJobType,
+    travelSpeedKmh: normalizePositiveInteger(merged.travelSpeedKmh, 'travelSpeedKmh'),
+    technicians: normalizeTechnicians(merged.technicians)
+  };
+}
+
+function parsePolicyJson(raw, source) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw Object.assign(new Error(`Scheduling policy from ${source} is not valid JSON: ${error.message}`), {
+      code: 'invalid_scheduling_policy',
+      details: { source }
+    });
+  }
+}
+
+function loadConfiguredSchedulingPolicy() {
+  const policyPath = String(process.env.SCHEDULING_POLICY_PATH || '').trim();
+  const resolvedPath = policyPath ? path.resolve(policyPath) : '';
+  if (!configuredPolicyCache.has(resolvedPath)) {
+    const policy = policyPath
+      ? normalizeSchedulingPolicy(parsePolicyJson(fs.readFileSync(resolvedPath, 'utf8'), policyPath))
+      : normalizeSchedulingPolicy();
+    configuredPolicyCache.set(resolvedPath, policy);
+  }
+
+  return configuredPolicyCache.get(resolvedPath);
+}
+
+function resolveSchedulingPolicy(tenant) {
+  const configured = loadConfiguredSchedulingPolicy();
+  if (!tenant?.schedulingPolicy) {
+    return configured;
+  }
+
+  return normalizeSchedulingPolicy({
+    ...configured,
+    ...tenant.schedulingPolicy,
+    weekdayHours: { ...configured.weekdayHours, ...(tenant.schedulingPolicy.weekdayHours || {}) }
+  });
+}
+
+function getQualifiedTechnicians(policy, jobType) {
+  const normalized = normalizeJobType(jobType);
+  if (!normalized) {
+    return policy.technicians;
+  }
+
+  return policy.technicians.filter((technician) => !technician.jobTypes || technician.jobTypes.includes(normalized));
+}
+
+function getDurationMinutes(policy, jobType) {
+  const normalized = normalizeJobType(jobType);
+  return policy.durationByJobType[normalized] || policy.defaultDurationMinutes;
+}
+
+module.exports = {
+  WEEKDAY_KEYS,
+  DEFAULT_SCHEDULING_POLICY,
+  normalizeSchedulingPolicy,
+  normalizeJobType,
+  parsePolicyJson,
+  loadConfiguredSchedulingPolicy,
+  resolveSchedulingPolicy,
+  getQualifiedTechnicians,
+  getDurationMinutes
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+const EARTH_RADIUS_KM = 6371;
+const ROAD_DISTANCE_FACTOR = 1.3;
+const POSTAL_CODE_PATTERN = /\b(\d{5})(?:-\d{4})?\b/g;
+const configCache = new Map();
+
+function invalidConfig(message) {
+  return Object.assign(new Error(message), { code: 'invalid_service_area_config' });
+}
+
+function readJsonFile(filePath, label) {
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(filePath), 'utf8');
+  } catch (error) {
+    throw invalidConfig(`${label} at ${filePath} could not be read: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw invalidConfig(`${label} at ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function loadConfiguredFile(envName, label, build) {
+  const configuredPath = String(process.env[envName] || '').trim();
+  if (!configuredPath) {
+    return null;
+  }
+
+  const cacheKey = `${envName}:${path.resolve(configuredPath)}`;
+  if (!configCache.has(cacheKey)) {
+    configCache.set(cacheKey, build(readJsonFile(configuredPath, label), configuredPath));
+  }
+  return configCache.get(cacheKey);
+}
+
+function normalizePostalCode(postalCode) {
+  const match = /^\s*(\d{5})(?:-\d{4})?\s*$/.exec(String(postalCode || ''));
+  return match ? match[1] : null;
+}
+
+function normalizeCityKey(city, state) {
+  const normalizedCity = String(city || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const normalizedState = String(state || '').trim().toLowerCase();
+  return normalizedState ? `${normalizedCity}, ${normalizedState}` : normalizedCity;
+}
+
+function extractPostalCode(text) {
+  const matches = [...String(text || '').matchAll(POSTAL_CODE_PATTERN)];
+  return matches.length ? matches[matches.length - 1][1] : null;
+}
+
+function buildPostalCentroids(raw, filePath) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw invalidConfig(`Postal centroids at ${filePath} must be an object of postal code to [lat, lng]`);
+  }
+
+  const centroids = new Map();
+  for (const [postalCode, centroid] of Object.entries(raw)) {
+    const normalized = normalizePostalCode(postalCode);
+    const [lat, lng] = Array.isArray(centroid) && centroid.length === 2 ? centroid.map(Number) : [];
+    if (!normalized || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw invalidConfig(`Postal centroids at ${filePath} have an invalid entry for "${postalCode}"`);
+    }
+    centroids.set(normalized, { lat, lng });
+  }
+  return centroids;
+}
+
+function loadPostalCentroids() {
+  return loadConfiguredFile('POSTAL_CENTROIDS_PATH', 'Postal centroids', buildPostalCentroids) || new Map();
+}
+
+function getPostalCentroid(postalCode) {
+  const normalized = normalizePostalCode(postalCode);
+  return (normalized && loadPostalCentroids().get(normalized)) || null;
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function haversineKm(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function estimateTravelMinutes(fromPostalCode, toPostalCode, speedKmh) {
+  const from = getPostalCentroid(fromPostalCode);
+  const to = getPostalCentroid(toPostalCode);
+  if (!from || !to) {
+    return null;
+  }
+
+  const roadKm = haversineKm(from, to) * ROAD_DISTANCE_FACTOR;
+  return Math.ceil((roadKm / speedKmh) * 60);
+}
+
+function isPointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > point.lat) !== (yj > point.lat)
+      && point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isPointInPolygonCoordinates(point, rings) {
+  const [outer, ...holes] = rings;
+  return isPointInRing(point, outer) && !holes.some((hole) => isPointInRing(point, hole));
+}
+
+function assertPolygon(rings) {
+  const valid = Array.isArray(rings) && rings.length > 0 && rings.every((ring) => Array.isArray(ring)
+    && ring.length >= 4
+    && ring.every((position) => Array.isArray(position) && position.length >= 2 && position.every(Number.isFinite)));
+  if (!valid) {
+    throw invalidConfig('Service area polygons need rings of at least four [lng, lat] positions');
+  }
+  return rings;
+}
+
+function collectPolygons(geojson) {
+  if (!geojson) {
+    return [];
+  }
+
+  if (geojson.type === 'FeatureCollection') {
+    return (geojson.features || []).flatMap((feature) => collectPolygons(feature.geometry));
+  }
+
+  if (geojson.type === 'Feature') {
+    return collectPolygons(geojson.geometry);
+  }
+
+  if (geojson.type === 'Polygon') {
+    return [assertPolygon(geojson.coordinates)];
+  }
+
+  if (geojson.type === 'MultiPolygon') {
+    return (geojson.coordinates || []).map(assertPolygon);
+  }
+
+  throw invalidConfig(`Unsupported service area geometry type: ${geojson.type}`);
+}
+
+function buildServiceArea(raw) {
+  const isGeoJson = ['FeatureCollection', 'Feature', 'Polygon', 'MultiPolygon'].includes(raw?.type);
+  const cities = raw?.cities || [];
+  const postalCodes = raw?.postalCodes || [];
+
+  return {
+    postalCodes: new Set(postalCodes.map(normalizePostalCode).filter(Boolean)),
+    cities: new Set(cities.map((entry) => (typeof entry === 'string'
+      ? normalizeCityKey(...entry.split(','))
+      : normalizeCityKey(entry.city, entry.state)))),
+    polygons: collectPolygons(isGeoJson ? raw : raw?.polygon),
+    description: [
+      cities.length
+        ? cities.map((entry) => (typeof entry === 'string' ? entry.trim() : [entry.city, entry.state].filter(Boolean).join(', '))).join('; ')
+        : null,
+      postalCodes.length ? `postal codes ${postalCodes.join(', ')}` : null,
+      isGeoJson || raw?.polygon ? 'the surrounding mapped service area' : null
+    ].filter(Boolean).join('; ')
+  };
+}
+
+function loadServiceArea() {
+  return loadConfiguredFile('SERVICE_AREA_PATH', 'Service area', buildServiceArea);
+}
+
+function loadServiceAreaConfig() {
+  return {
+    serviceArea: loadServiceArea(),
+    postalCentroids: loadPostalCentroids()
+  };
+}
+
+function describeServiceArea() {
+  return loadServiceArea()?.description || '';
+}
+
+function checkServiceArea({ service_city: city, service_state: state, service_postal_code: postalCode }) {
+  const serviceArea = loadServiceArea();
+  if (!serviceArea) {
+    return { inServiceArea: true, matchedBy: 'unrestricted' };
+  }
+
+  const normalizedPostalCode = normalizePostalCode(postalCode);
+  if (normalizedPostalCode && serviceArea.postalCodes.has(normalizedPostalCode)) {
+    return { inServiceArea: true, matchedBy: 'postal_code' };
+  }
+
+  if (serviceArea.cities.has(normalizeCityKey(city, state)) || serviceArea.cities.has(normalizeCityKey(city))) {
+    return { inServiceArea: true, matchedBy: 'city' };
+  }
+
+  const centroid = getPostalCentroid(normalizedPostalCode);
+  if (centroid && serviceArea.polygons.some((polygon) => isPointInPolygonCoordinates(centroid, polygon))) {
+    return { inServiceArea: true, matchedBy: 'polygon' };
+  }
+
+  return { inServiceArea: false, matchedBy: null };
+}
+
+module.exports = {
+  normalizePostalCode,
+  extractPostalCode,
+  getPostalCentroid,
+  estimateTravelMinutes,
+  loadServiceAreaConfig,
+  describeServiceArea,
+  checkServiceArea
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const logger = require('../monitoring/logger');
+
+function getAdminToken() {
+  return String(process.env.ADMIN_API_TOKEN || '').trim();
+}
+
+function isAdminApiEnabled() {
+  return getAdminToken() !== '';
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function readPresentedToken(req) {
+  const header = String(req.get('authorization') || '').trim();
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+  if (bearer) {
+    return bearer[1];
+  }
+
+  const basic = /^Basic\s+(\S+)$/i.exec(header);
+  if (!basic) {
+    return null;
+  }
+
+  const credentials = Buffer.from(basic[1], 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  return separator === -1 ? null : credentials.slice(separator + 1);
+}
+
+function isAuthorizedAdminRequest(req) {
+  const token = getAdminToken();
+  const presented = readPresentedToken(req);
+  if (!token || !presented) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(digest(presented), digest(token));
+}
+
+function logRejectedRequest(req) {
+  logger.warn('[admin] Rejected unauthenticated admin request.', {
+    method: req.method,
+    path: req.path,
+    remoteAddress: req.socket?.remoteAddress || null
+  });
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminApiEnabled()) {
+    return res.status(404).json({ ok: false });
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    logRejectedRequest(req);
+    res.set('WWW-Authenticate', 'Bearer realm="admin"');
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+
+  return next();
+}
+
+function requireAdminBrowser(req, res, next) {
+  if (!isAdminApiEnabled()) {
+    return res.status(404).type('text/plain').send('Not found');
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    logRejectedRequest(req);
+    res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+    return res.status(401).type('text/plain').send('Unauthorized');
+  }
+
+  return next();
+}
+
+module.exports = {
+  isAdminApiEnabled,
+  isAuthorizedAdminRequest,
+  requireAdmin,
+  requireAdminBrowser
+};
@@ -3,7 +3,9 @@ const GATED_TOOLS = Object.freeze([
   'propose_slots',
   'book_estimate',
   'request_sms_consent',
-  'send_confirmation_sms'
+  'send_confirmation_sms',
+  'reschedule_estimate',
+  'cancel_estimate'
 ]);
 
 const FALLBACK_TESTERS = Object.freeze([
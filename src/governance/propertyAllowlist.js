@@ -23,7 +23,13 @@ const CONTACT_ALLOWLIST = Object.freeze([
 const DEAL_ALLOWLIST = Object.freeze([
   'pipeline',
   'dealstage',
-  'call_disposition'
+  'call_disposition',
+  'estimate_calendar_event_id',
+  'estimate_calendar_id',
+  'estimate_start_iso',
+  'estimate_end_iso',
+  'estimate_reply_status',
+  'estimate_reply_ts'
 ]);
 
 function filterProps(input, allowlist, objectName) {
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+const DEFAULT_STREAM_TOKEN_TTL_SECONDS = 120;
+const STREAM_PATH_PREFIX = '/twilio/stream';
+const usedTokens = new Map();
+
+function getStreamTokenSecret() {
+  return String(process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || '').trim();
+}
+
+function getStreamTokenTtlSeconds() {
+  const raw = Number(process.env.STREAM_TOKEN_TTL_SECONDS);
+  if (!Number.isFinite(raw) || raw <= 0) {
+    return DEFAULT_STREAM_TOKEN_TTL_SECONDS;
+  }
+  return raw;
+}
+
+function signStreamToken(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('base64url');
+}
+
+function createStreamToken({ callSid, nowMs = Date.now() }) {
+  const secret = getStreamTokenSecret();
+  if (!secret) {
+    throw Object.assign(new Error('STREAM_TOKEN_SECRET or TWILIO_AUTH_TOKEN is required to sign stream tokens'), {
+      code: 'stream_token_not_configured'
+    });
+  }
+
+  const expiresAt = Math.floor(nowMs / 1000) + getStreamTokenTtlSeconds();
+  const payload = `${callSid}.${expiresAt}`;
+  return `${payload}.${signStreamToken(payload, secret)}`;
+}
+
+function pruneUsedTokens(nowSeconds) {
+  for (const [token, expiresAt] of usedTokens) {
+    if (expiresAt < nowSeconds) {
+      usedTokens.delete(token);
+    }
+  }
+}
+
+function verifyStreamToken(token, { nowMs = Date.now() } = {}) {
+  const secret = getStreamTokenSecret();
+  const parts = String(token || '').split('.');
+  if (!secret || parts.length !== 3) {
+    return { valid: false, reason: secret ? 'malformed' : 'not_configured' };
+  }
+
+  const [callSid, expiresAtRaw, signature] = parts;
+  const expectedBuffer = Buffer.from(signStreamToken(`${callSid}.${expiresAtRaw}`, secret));
+  const providedBuffer = Buffer.from(signature);
+  if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  const nowSeconds = Math.floor(nowMs / 1000);
+  const expiresAt = Number(expiresAtRaw);
+  if (!Number.isInteger(expiresAt) || expiresAt < nowSeconds) {
+    return { valid: false, reason: 'expired', callSid };
+  }
+
+  pruneUsedTokens(nowSeconds);
+  if (usedTokens.has(token)) {
+    return { valid: false, reason: 'replayed', callSid };
+  }
+  usedTokens.set(token, expiresAt);
+
+  return { valid: true, callSid, expiresAt };
+}
+
+function buildStreamPath(token) {
+  return token ? `${STREAM_PATH_PREFIX}/${encodeURIComponent(token)}` : STREAM_PATH_PREFIX;
+}
+
+function parseStreamPath(pathname) {
+  if (pathname === STREAM_PATH_PREFIX) {
+    return { matched: true, token: null };
+  }
+
+  if (pathname.startsWith(`${STREAM_PATH_PREFIX}/`)) {
+    const token = decodeURIComponent(pathname.slice(STREAM_PATH_PREFIX.length + 1));
+    return { matched: Boolean(token) && !token.includes('/'), token };
+  }
+
+  return { matched: false, token: null };
+}
+
+module.exports = {
+  createStreamToken,
+  verifyStreamToken,
+  buildStreamPath,
+  parseStreamPath
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const logger = require('../monitoring/logger');
+
+function isSignatureValidationEnabled() {
+  return String(process.env.TWILIO_SIGNATURE_VALIDATION_ENABLED || 'true').trim().toLowerCase() === 'true';
+}
+
+function computeTwilioSignature(url, params, authToken) {
+  const data = Object.keys(params || {})
+    .sort()
+    .reduce((acc, key) => {
+      const value = params[key];
+      const values = Array.isArray(value) ? value : [value];
+      return acc + values.map((entry) => `${key}${entry == null ? '' : entry}`).join('');
+    }, url);
+
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+function isValidTwilioSignature({ url, params, signature, authToken }) {
+  if (!signature || !authToken || !url) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(computeTwilioSignature(url, params, authToken));
+  const providedBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+function buildTwilioWebhookUrl(req) {
+  const publicBaseUrl = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (publicBaseUrl) {
+    return `${publicBaseUrl}${req.originalUrl}`;
+  }
+
+  const protocol = String(req.get('x-forwarded-proto') || req.protocol || 'https').split(',')[0].trim();
+  const host = req.get('x-forwarded-host') || req.get('host');
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+function verifyTwilioRequest(req, { route } = {}) {
+  if (!isSignatureValidationEnabled()) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TWILIO_SIGNATURE_VALIDATION_ENABLED=false is not allowed in production.');
+    }
+
+    logger.warn('[twilio] Signature validation bypassed because TWILIO_SIGNATURE_VALIDATION_ENABLED=false.', { route });
+    return true;
+  }
+
+  const url = buildTwilioWebhookUrl(req);
+  const valid = isValidTwilioSignature({
+    url,
+    params: req.body || {},
+    signature: req.get('x-twilio-signature'),
+    authToken: String(process.env.TWILIO_AUTH_TOKEN || '').trim()
+  });
+
+  if (!valid) {
+    logger.warn('[twilio] Rejected request with invalid X-Twilio-Signature.', {
+      route,
+      url,
+      hasSignature: Boolean(req.get('x-twilio-signature'))
+    });
+  }
+
+  return valid;
+}
+
+module.exports = {
+  isSignatureValidationEnabled,
+  computeTwilioSignature,
+  isValidTwilioSignature,
+  buildTwilioWebhookUrl,
+  verifyTwilioRequest
+};
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
 const logger = require('../monitoring/logger');
+const metrics = require('../monitoring/metrics');
+const tracing = require('../monitoring/tracing');
 const { getIdempotency, setIdempotency } = require('./idempotencyStore');
 
 function canonicalize(value) {
@@ -33,31 +35,45 @@ function buildIdempotencyKey({ tenant, callSid, operation, inputs }) {
   return `${tenant}:${callSid}:${operation}:${hash}`;
 }
 
+function describeKey(key) {
+  const [tenant, callSid, operation] = String(key || '').split(':');
+  return { tenant, callSid, operation };
+}
+
 async function withIdempotency({ key, fn, loggerContext = {} }) {
-  const idpEnabled = String(process.env.IDP_ENABLED || 'true').trim().toLowerCase() === 'true';
-  if (!idpEnabled) {
-    logger.warn('[idempotency] bypassed because IDP_ENABLED=false', loggerContext);
-    return fn();
-  }
+  const { callSid, operation } = describeKey(key);
+  return tracing.withSpan(`withIdempotency ${operation || 'unknown'}`, { callSid, attributes: { 'idempotency.operation': operation } }, async (span) => {
+    const idpEnabled = String(process.env.IDP_ENABLED || 'true').trim().toLowerCase() === 'true';
+    if (!idpEnabled) {
+      metrics.idempotencyLookups.inc({ result: 'bypass' });
+      tracing.setSpanAttributes(span, { 'idempotency.result': 'bypass' });
+      logger.warn('[idempotency] bypassed because IDP_ENABLED=false', loggerContext);
+      return fn();
+    }
+
+    const hit = await getIdempotency(key);
+    if (hit) {
+      metrics.idempotencyLookups.inc({ result: 'hit' });
+      tracing.setSpanAttributes(span, { 'idempotency.result': 'hit' });
+      logger.info('[idempotency] idempotency_hit', {
+        key,
+        ...loggerContext
+      });
+      return hit;
+    }
 
-  const hit = await getIdempotency(key);
-  if (hit) {
-    logger.info('[idempotency] idempotency_hit', {
+    tracing.setSpanAttributes(span, { 'idempotency.result': 'miss' });
+    const result = await fn();
+    await setIdempotency(key, result);
+    metrics.idempotencyLookups.inc({ result: 'set' });
+
+    logger.info('[idempotency] idempotency_set', {
       key,
       ...loggerContext
     });
-    return hit;
-  }
 
-  const result = await fn();
-  await setIdempotency(key, result);
-
-  logger.info('[idempotency] idempotency_set', {
-    key,
-    ...loggerContext
+    return result;
   });
-
-  return result;
 }
 
 module.exports = {
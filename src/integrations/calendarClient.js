@@ -1,106 +1,31 @@
+const crypto = require('crypto');
+const logger = require('../monitoring/logger');
 const { buildIdempotencyKey, withIdempotency } = require('../governance/withIdempotency');
 const { alertCritical, ALERT_EVENT_TYPES } = require('../monitoring/alerting');
-
-const GOOGLE_API_BASE_URL = 'https://www.googleapis.com/calendar/v3';
-const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
-const DEFAULT_BUSINESS_TIMEZONE = 'America/New_York';
-const BUSINESS_START_HOUR = 8;
-const BUSINESS_END_HOUR = 17;
-const APPOINTMENT_DURATION_MINUTES = 60;
-const MIN_LEAD_TIME_MINUTES = 120;
-const SEARCH_WINDOW_DAYS = 21;
-
-function getBusinessTimezone() {
-  return process.env.BUSINESS_TIMEZONE || DEFAULT_BUSINESS_TIMEZONE;
-}
-
-function assertCalendarConfigured() {
-  const required = [
-    'GOOGLE_CLIENT_ID',
-    'GOOGLE_CLIENT_SECRET',
-    'GOOGLE_REFRESH_TOKEN',
-    'GOOGLE_CALENDAR_ID'
-  ];
-
-  const missing = required.filter((name) => !String(process.env[name] || '').trim());
-  if (missing.length > 0) {
-    throw new Error(`Missing required Google Calendar environment variable(s): ${missing.join(', ')}`);
-  }
-}
-
-async function getGoogleAccessToken() {
-  assertCalendarConfigured();
-
-  const body = new URLSearchParams({
-    client_id: process.env.GOOGLE_CLIENT_ID,
-    client_secret: process.env.GOOGLE_CLIENT_SECRET,
-    refresh_token: process.env.GOOGLE_REFRESH_TOKEN,
-    grant_type: 'refresh_token'
-  });
-
-  let response;
-  try {
-    response = await fetch(GOOGLE_TOKEN_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body
-    });
-  } catch (error) {
-    await alertCritical(ALERT_EVENT_TYPES.OAUTH_REFRESH_FAILURE, {
-      callSid: 'calendar-oauth-refresh',
-      source: 'calendarClient.getGoogleAccessToken',
-      message: error.message,
-      errorCode: error.code || 'oauth_refresh_network_error'
-    });
-    throw error;
-  }
-
-  if (!response.ok) {
-    const raw = await response.text();
-    await alertCritical(ALERT_EVENT_TYPES.OAUTH_REFRESH_FAILURE, {
-      callSid: 'calendar-oauth-refresh',
-      source: 'calendarClient.getGoogleAccessToken',
-      message: `Google OAuth token request failed (${response.status})`,
-      status: response.status,
-      errorCode: 'oauth_refresh_failed',
-      raw
-    });
-    throw new Error(`Google OAuth token request failed (${response.status}): ${raw}`);
-  }
-
-  const json = await response.json();
-  if (!json.access_token) {
-    await alertCritical(ALERT_EVENT_TYPES.OAUTH_REFRESH_FAILURE, {
-      callSid: 'calendar-oauth-refresh',
-      source: 'calendarClient.getGoogleAccessToken',
-      message: 'Google OAuth token response missing access_token',
-      errorCode: 'oauth_refresh_missing_token',
-      responseKeys: Object.keys(json || {})
-    });
-    throw new Error('Google OAuth token response missing access_token');
-  }
-
-  return json.access_token;
-}
-
-async function googleCalendarRequest(path, payload) {
-  const accessToken = await getGoogleAccessToken();
-
-  const response = await fetch(`${GOOGLE_API_BASE_URL}${path}`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    const raw = await response.text();
-    throw new Error(`Google Calendar API request failed (${response.status}): ${raw}`);
-  }
-
-  return response.json();
+const { DEFAULT_TENANT_ID, DEFAULT_BUSINESS_TIMEZONE } = require('../config/constants');
+const {
+  WEEKDAY_KEYS,
+  normalizeSchedulingPolicy,
+  getDurationMinutes,
+  getQualifiedTechnicians
+} = require('../config/schedulingPolicy');
+const { resolveBaseUrl, resolveOption } = require('../config/env');
+const { resilientFetch, RETRY_POLICIES } = require('./resilience');
+const tracing = require('../monitoring/tracing');
+const { extractPostalCode, getPostalCentroid, estimateTravelMinutes } = require('../config/serviceArea');
+
+const DEFAULT_GOOGLE_CALENDAR_BASE_URL = 'https://www.googleapis.com/calendar/v3';
+const DEFAULT_GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const EMERGENCY_LEAD_TIME_MINUTES = 30;
+const EMERGENCY_SEARCH_WINDOW_HOURS = 24;
+const GOOGLE_CREDENTIAL_VARS = Object.freeze({
+  clientId: 'GOOGLE_CLIENT_ID',
+  clientSecret: 'GOOGLE_CLIENT_SECRET',
+  refreshToken: 'GOOGLE_REFRESH_TOKEN'
+});
+
+function getBusinessTimezone(timeZone) {
+  return timeZone || process.env.BUSINESS_TIMEZONE || DEFAULT_BUSINESS_TIMEZONE;
 }
 
 function getLocalParts(dateValue, timeZone) {
@@ -155,93 +80,83 @@ function buildSlotLabel(startISO, timeZone) {
   return formatter.format(new Date(startISO));
 }
 
-function overlaps(candidateStartMs, candidateEndMs, busyBlocks) {
+function formatBookingLabel(startISO, timeZone) {
+  const date = new Date(startISO);
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  }).format(date);
+}
+
+function overlaps(candidateStartMs, candidateEndMs, busyBlocks, bufferMs = 0) {
   return busyBlocks.some((busy) => {
-    const busyStart = Date.parse(busy.start);
-    const busyEnd = Date.parse(busy.end);
+    const busyStart = Date.parse(busy.start) - bufferMs;
+    const busyEnd = Date.parse(busy.end) + bufferMs;
     return candidateStartMs < busyEnd && busyStart < candidateEndMs;
   });
 }
 
-function roundUpToNextHalfHourMs(dateMs) {
-  const d = new Date(dateMs);
-  d.setUTCSeconds(0, 0);
-  const minutes = d.getUTCMinutes();
-  const roundedMinutes = minutes === 0 ? 0 : minutes <= 30 ? 30 : 60;
-  d.setUTCMinutes(roundedMinutes);
-  if (roundedMinutes === 60) {
-    d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
-  }
-  if (d.getTime() < dateMs) {
-    d.setUTCMinutes(d.getUTCMinutes() + 30);
-  }
-  return d.getTime();
+function roundUpToIntervalMs(dateMs, intervalMinutes) {
+  const intervalMs = intervalMinutes * 60 * 1000;
+  return Math.ceil(dateMs / intervalMs) * intervalMs;
 }
 
-async function getAvailability(windowStartISO, windowEndISO) {
-  assertCalendarConfigured();
-
-  const payload = {
-    timeMin: windowStartISO,
-    timeMax: windowEndISO,
-    items: [{ id: process.env.GOOGLE_CALENDAR_ID }]
-  };
-
-  const result = await googleCalendarRequest('/freeBusy', payload);
-  const busy = result?.calendars?.[process.env.GOOGLE_CALENDAR_ID]?.busy || [];
-
-  return busy
-    .map((entry) => ({ start: entry.start, end: entry.end }))
-    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+function formatLocalDate(localParts) {
+  const month = String(localParts.month).padStart(2, '0');
+  const day = String(localParts.day).padStart(2, '0');
+  return `${localParts.year}-${month}-${day}`;
 }
 
-async function proposeSlots({ count = 3, nowISO }) {
-  assertCalendarConfigured();
-
-  const requestedCount = Math.max(1, Math.min(Number(count) || 3, 5));
-  const nowMs = Date.parse(nowISO || new Date().toISOString());
-  const earliestMs = nowMs + MIN_LEAD_TIME_MINUTES * 60 * 1000;
-  const searchStartMs = roundUpToNextHalfHourMs(earliestMs);
-  const searchEndMs = searchStartMs + SEARCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
-  const durationMs = APPOINTMENT_DURATION_MINUTES * 60 * 1000;
-  const timeZone = getBusinessTimezone();
-
-  const busyBlocks = await getAvailability(new Date(searchStartMs).toISOString(), new Date(searchEndMs).toISOString());
-  const slots = [];
+function fitsSchedulingPolicy(startLocal, endLocal, policy) {
+  const weekdayKey = WEEKDAY_KEYS[startLocal.weekday];
+  const hours = policy.weekdayHours[weekdayKey];
+  if (!hours) {
+    return false;
+  }
 
-  for (let cursorMs = searchStartMs; cursorMs <= searchEndMs; cursorMs += 30 * 60 * 1000) {
-    if (slots.length >= requestedCount) {
-      break;
-    }
+  const localDate = formatLocalDate(startLocal);
+  if (localDate !== formatLocalDate(endLocal) || policy.holidays.includes(localDate)) {
+    return false;
+  }
 
-    const endMs = cursorMs + durationMs;
-    const startLocal = getLocalParts(cursorMs, timeZone);
-    const endLocal = getLocalParts(endMs, timeZone);
+  const startMinute = startLocal.hour * 60 + startLocal.minute;
+  const endMinute = endLocal.hour * 60 + endLocal.minute;
+  if (startMinute < hours.startMinute || endMinute > hours.endMinute) {
+    return false;
+  }
 
-    const isWeekday = startLocal.weekday >= 1 && startLocal.weekday <= 5;
-    const inBusinessHours = startLocal.hour >= BUSINESS_START_HOUR
-      && (startLocal.hour < BUSINESS_END_HOUR)
-      && (endLocal.hour < BUSINESS_END_HOUR || (endLocal.hour === BUSINESS_END_HOUR && endLocal.minute === 0));
+  return !policy.breaks.some((entry) => entry.days.includes(weekdayKey)
+    && startMinute < entry.endMinute
+    && entry.startMinute < endMinute);
+}
 
-    if (!isWeekday || !inBusinessHours) {
-      continue;
+function fitsTravelTime(startMs, endMs, locatedEvents, postalCode, speedKmh) {
+  const previous = locatedEvents.filter((event) => event.endMs <= startMs).pop();
+  if (previous) {
+    const travelMinutes = estimateTravelMinutes(previous.postalCode, postalCode, speedKmh);
+    if (travelMinutes != null && startMs - previous.endMs < travelMinutes * 60 * 1000) {
+      return false;
     }
+  }
 
-    if (overlaps(cursorMs, endMs, busyBlocks)) {
-      continue;
+  const next = locatedEvents.find((event) => event.startMs >= endMs);
+  if (next) {
+    const travelMinutes = estimateTravelMinutes(postalCode, next.postalCode, speedKmh);
+    if (travelMinutes != null && next.startMs - endMs < travelMinutes * 60 * 1000) {
+      return false;
     }
-
-    const startISO = new Date(cursorMs).toISOString();
-    const endISO = new Date(endMs).toISOString();
-
-    slots.push({
-      startISO,
-      endISO,
-      label: buildSlotLabel(startISO, timeZone)
-    });
   }
 
-  return slots;
+  return true;
+}
+
+function sumBusyMs(busyBlocks) {
+  return busyBlocks.reduce((total, busy) => total + (Date.parse(busy.end) - Date.parse(busy.start)), 0);
 }
 
 function normalizeAttendees(attendees = []) {
@@ -266,71 +181,517 @@ function normalizeAttendees(attendees = []) {
     .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
 }
 
-async function createCalendarEvent({ slotStartISO, slotEndISO, summary, description, attendees = [] }) {
-  assertCalendarConfigured();
+// Google accepts base32hex event ids of 5 to 1024 characters; lowercase hex is a subset.
+function buildClientEventId(idempotencyKey) {
+  return crypto.createHash('sha256').update(idempotencyKey).digest('hex');
+}
 
-  const payload = {
-    summary,
-    description,
-    start: {
-      dateTime: slotStartISO,
-      timeZone: getBusinessTimezone()
-    },
-    end: {
-      dateTime: slotEndISO,
-      timeZone: getBusinessTimezone()
-    },
-    attendees: attendees
-      .filter((attendee) => attendee.email)
-      .map((attendee) => ({ email: attendee.email }))
-  };
+function assertEventId(eventId, operation) {
+  if (!eventId) {
+    throw Object.assign(new Error(`Calendar ${operation} requires eventId`), { code: 'missing_event_id' });
+  }
+}
+
+function createCalendarClient(options = {}) {
+  const fetchImpl = (...args) => (options.fetch || fetch)(...args);
+  const clock = options.clock || Date.now;
+  // freeBusy and token refreshes are reads, PATCH and DELETE target one event, and events.insert
+  // sends a client event id, so a repeated insert gets 409 instead of creating a second event.
+  const requestWithRetry = (url, init) => resilientFetch({
+    provider: 'google',
+    url,
+    init,
+    retryPolicy: RETRY_POLICIES.ALWAYS,
+    fetch: fetchImpl,
+    clock
+  });
 
-  const response = await googleCalendarRequest(`/calendars/${encodeURIComponent(process.env.GOOGLE_CALENDAR_ID)}/events`, payload);
+  function resolveCalendarId(calendarId) {
+    return calendarId || resolveOption(options.calendarId, 'GOOGLE_CALENDAR_ID');
+  }
 
-  return {
-    calendarEventId: response.id,
-    htmlLink: response.htmlLink || null,
-    startISO: response?.start?.dateTime || slotStartISO,
-    endISO: response?.end?.dateTime || slotEndISO
-  };
-}
+  function getCredentials() {
+    return Object.fromEntries(Object.entries(GOOGLE_CREDENTIAL_VARS)
+      .map(([option, name]) => [option, resolveOption(options[option], name)]));
+  }
 
-async function bookSlot({ slotStartISO, slotEndISO, summary, description, attendees, callSid }) {
-  const normalizedAttendees = normalizeAttendees(attendees);
+  function listMissingCredentials() {
+    const credentials = getCredentials();
+    return Object.entries(GOOGLE_CREDENTIAL_VARS)
+      .filter(([option]) => !credentials[option])
+      .map(([, name]) => name);
+  }
 
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'calendar_book_event',
-    inputs: {
-      calendarId: process.env.GOOGLE_CALENDAR_ID,
-      slotStartISO,
-      slotEndISO,
-      summary,
-      attendeePhonesOrEmails: normalizedAttendees
+  function assertCalendarConfigured({ calendarId } = {}) {
+    const missing = [
+      ...listMissingCredentials(),
+      ...(resolveCalendarId(calendarId) ? [] : ['GOOGLE_CALENDAR_ID'])
+    ];
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required Google Calendar environment variable(s): ${missing.join(', ')}`);
     }
-  });
+  }
+
+  async function getGoogleAccessToken() {
+    const missing = listMissingCredentials();
+    if (missing.length > 0) {
+      throw new Error(`Missing required Google Calendar environment variable(s): ${missing.join(', ')}`);
+    }
+
+    const credentials = getCredentials();
+    const body = new URLSearchParams({
+      client_id: credentials.clientId,
+      client_secret: credentials.clientSecret,
+      refresh_token: credentials.refreshToken,
+      grant_type: 'refresh_token'
+    });
+
+    let response;
+    try {
+      response = await tracing.withSpan('getGoogleAccessToken', {
+        kind: tracing.SPAN_KINDS.CLIENT,
+        attributes: { 'peer.service': 'google', 'http.request.method': 'POST' }
+      }, () => requestWithRetry(resolveBaseUrl('GOOGLE_TOKEN_URL', DEFAULT_GOOGLE_TOKEN_URL, options.tokenUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+      }));
+    } catch (error) {
+      await alertCritical(ALERT_EVENT_TYPES.OAUTH_REFRESH_FAILURE, {
+        callSid: 'calendar-oauth-refresh',
+        source: 'calendarClient.getGoogleAccessToken',
+        message: error.message,
+        errorCode: error.code || 'oauth_refresh_network_error'
+      });
+      throw error;
+    }
+
+    if (!response.ok) {
+      const raw = await response.text();
+      await alertCritical(ALERT_EVENT_TYPES.OAUTH_REFRESH_FAILURE, {
+        callSid: 'calendar-oauth-refresh',
+        source: 'calendarClient.getGoogleAccessToken',
+        message: `Google OAuth token request failed (${response.status})`,
+        status: response.status,
+        errorCode: 'oauth_refresh_failed',
+        raw
+      });
+      throw new Error(`Google OAuth token request failed (${response.status}): ${raw}`);
+    }
+
+    const json = await response.json();
+    if (!json.access_token) {
+      await alertCritical(ALERT_EVENT_TYPES.OAUTH_REFRESH_FAILURE, {
+        callSid: 'calendar-oauth-refresh',
+        source: 'calendarClient.getGoogleAccessToken',
+        message: 'Google OAuth token response missing access_token',
+        errorCode: 'oauth_refresh_missing_token',
+        responseKeys: Object.keys(json || {})
+      });
+      throw new Error('Google OAuth token response missing access_token');
+    }
+
+    return json.access_token;
+  }
+
+  function googleCalendarRequest(path, payload, { method = 'POST' } = {}) {
+    return tracing.withSpan(`googleCalendarRequest ${method}`, {
+      kind: tracing.SPAN_KINDS.CLIENT,
+      attributes: { 'peer.service': 'google', 'http.request.method': method, 'url.path': path.split('?')[0] }
+    }, () => sendGoogleCalendarRequest(path, payload, method));
+  }
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'calendar_book_event' },
-    fn: async () => createCalendarEvent({
-      slotStartISO,
-      slotEndISO,
+  async function sendGoogleCalendarRequest(path, payload, method) {
+    const accessToken = await getGoogleAccessToken();
+
+    const response = await requestWithRetry(`${resolveBaseUrl('GOOGLE_CALENDAR_BASE_URL', DEFAULT_GOOGLE_CALENDAR_BASE_URL, options.baseUrl)}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: payload === undefined ? undefined : JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const raw = await response.text();
+      throw Object.assign(new Error(`Google Calendar API request failed (${response.status}): ${raw}`), {
+        status: response.status
+      });
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    return response.json();
+  }
+
+  async function getAvailabilityByCalendar(windowStartISO, windowEndISO, calendarIds) {
+    const payload = {
+      timeMin: windowStartISO,
+      timeMax: windowEndISO,
+      items: calendarIds.map((id) => ({ id }))
+    };
+
+    const result = await googleCalendarRequest('/freeBusy', payload);
+    const availability = {};
+
+    for (const id of calendarIds) {
+      const entry = result?.calendars?.[id];
+      if (entry?.errors?.length) {
+        logger.warn('[calendar] freeBusy returned errors for calendar. Treating it as unavailable.', {
+          calendarId: id,
+          reasons: entry.errors.map((error) => error.reason)
+        });
+        availability[id] = null;
+        continue;
+      }
+
+      availability[id] = (entry?.busy || [])
+        .map((busy) => ({ start: busy.start, end: busy.end }))
+        .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+    }
+
+    return availability;
+  }
+
+  async function getAvailability(windowStartISO, windowEndISO, { calendarId } = {}) {
+    assertCalendarConfigured({ calendarId });
+
+    const resolvedCalendarId = resolveCalendarId(calendarId);
+    const availability = await getAvailabilityByCalendar(windowStartISO, windowEndISO, [resolvedCalendarId]);
+    return availability[resolvedCalendarId] || [];
+  }
+
+  async function listLocatedEvents(calendarId, windowStartISO, windowEndISO) {
+    const query = new URLSearchParams({
+      timeMin: windowStartISO,
+      timeMax: windowEndISO,
+      singleEvents: 'true',
+      orderBy: 'startTime',
+      maxResults: '250'
+    });
+
+    const result = await googleCalendarRequest(
+      `/calendars/${encodeURIComponent(calendarId)}/events?${query.toString()}`,
+      undefined,
+      { method: 'GET' }
+    );
+
+    return (result?.items || [])
+      .filter((event) => event.status !== 'cancelled' && event.start?.dateTime && event.end?.dateTime)
+      .map((event) => ({
+        startMs: Date.parse(event.start.dateTime),
+        endMs: Date.parse(event.end.dateTime),
+        postalCode: extractPostalCode(event.location)
+      }))
+      .filter((event) => event.postalCode);
+  }
+
+  async function loadLocatedEventsByCalendar(calendarIds, windowStartISO, windowEndISO) {
+    const entries = await Promise.all(calendarIds.map(async (calendarId) => {
+      try {
+        return [calendarId, await listLocatedEvents(calendarId, windowStartISO, windowEndISO)];
+      } catch (error) {
+        logger.warn('[calendar] Could not list events for travel estimates. Ignoring travel time for calendar.', {
+          calendarId,
+          error: error.message
+        });
+        return [calendarId, []];
+      }
+    }));
+
+    return Object.fromEntries(entries);
+  }
+
+  function resolveSlotTechnicians(policy, jobType, calendarId) {
+    if (policy.technicians.length === 0) {
+      return [{ id: null, name: null, calendarId: resolveCalendarId(calendarId) }];
+    }
+
+    return getQualifiedTechnicians(policy, jobType);
+  }
+
+  async function proposeSlots({
+    count = 3,
+    nowISO,
+    calendarId,
+    timeZone: tenantTimeZone,
+    emergency = false,
+    policy,
+    jobType,
+    durationMinutes,
+    servicePostalCode
+  }) {
+    const schedulingPolicy = policy || normalizeSchedulingPolicy();
+    const technicians = resolveSlotTechnicians(schedulingPolicy, jobType, calendarId);
+    assertCalendarConfigured({ calendarId: calendarId || technicians[0]?.calendarId });
+
+    if (technicians.length === 0) {
+      logger.warn('[calendar] No technician is qualified for the job type. No slots proposed.', { jobType: jobType || null });
+      return [];
+    }
+
+    const requestedCount = Math.max(1, Math.min(Number(count) || 3, 5));
+    const nowMs = Date.parse(nowISO || new Date(clock()).toISOString());
+    const leadTimeMinutes = emergency ? EMERGENCY_LEAD_TIME_MINUTES : schedulingPolicy.leadTimeMinutes;
+    const earliestMs = nowMs + leadTimeMinutes * 60 * 1000;
+    const intervalMs = schedulingPolicy.slotIntervalMinutes * 60 * 1000;
+    const searchStartMs = roundUpToIntervalMs(earliestMs, schedulingPolicy.slotIntervalMinutes);
+    const searchEndMs = emergency
+      ? searchStartMs + EMERGENCY_SEARCH_WINDOW_HOURS * 60 * 60 * 1000
+      : searchStartMs + schedulingPolicy.searchWindowDays * 24 * 60 * 60 * 1000;
+    const durationMs = (durationMinutes || getDurationMinutes(schedulingPolicy, jobType)) * 60 * 1000;
+    const bufferMs = schedulingPolicy.bufferMinutes * 60 * 1000;
+    const timeZone = getBusinessTimezone(tenantTimeZone);
+
+    const calendarIds = [...new Set(technicians.map((technician) => technician.calendarId))];
+    const queryStartISO = new Date(searchStartMs - bufferMs).toISOString();
+    const queryEndISO = new Date(searchEndMs + durationMs + bufferMs).toISOString();
+    const availability = await getAvailabilityByCalendar(queryStartISO, queryEndISO, calendarIds);
+    const travelAware = Boolean(getPostalCentroid(servicePostalCode));
+    const locatedEvents = travelAware
+      ? await loadLocatedEventsByCalendar(calendarIds, queryStartISO, queryEndISO)
+      : {};
+    const candidates = technicians
+      .filter((technician) => availability[technician.calendarId])
+      .map((technician) => ({
+        technician,
+        busy: availability[technician.calendarId],
+        locatedEvents: locatedEvents[technician.calendarId] || [],
+        loadMs: sumBusyMs(availability[technician.calendarId])
+      }));
+    const slots = [];
+
+    for (let cursorMs = searchStartMs; cursorMs <= searchEndMs; cursorMs += intervalMs) {
+      if (slots.length >= requestedCount) {
+        break;
+      }
+
+      const endMs = cursorMs + durationMs;
+      const startLocal = getLocalParts(cursorMs, timeZone);
+      const endLocal = getLocalParts(endMs, timeZone);
+
+      if (!emergency && !fitsSchedulingPolicy(startLocal, endLocal, schedulingPolicy)) {
+        continue;
+      }
+
+      const freeCandidates = candidates.filter((candidate) => !overlaps(cursorMs, endMs, candidate.busy, bufferMs)
+        && (!travelAware
+          || fitsTravelTime(cursorMs, endMs, candidate.locatedEvents, servicePostalCode, schedulingPolicy.travelSpeedKmh)));
+      if (freeCandidates.length === 0) {
+        continue;
+      }
+
+      const chosen = freeCandidates.reduce((best, candidate) => (candidate.loadMs < best.loadMs ? candidate : best));
+      chosen.loadMs += durationMs;
+
+      const startISO = new Date(cursorMs).toISOString();
+      const endISO = new Date(endMs).toISOString();
+
+      slots.push({
+        startISO,
+        endISO,
+        label: buildSlotLabel(startISO, timeZone),
+        technician: chosen.technician.id
+          ? { id: chosen.technician.id, name: chosen.technician.name, calendarId: chosen.technician.calendarId }
+          : null
+      });
+    }
+
+    return slots;
+  }
+
+  async function createCalendarEvent({ eventId, slotStartISO, slotEndISO, summary, description, location, attendees = [], calendarId, timeZone }) {
+    assertCalendarConfigured({ calendarId });
+
+    const payload = {
+      id: eventId,
       summary,
       description,
-      attendees: normalizedAttendees
-    })
-  });
+      ...(location ? { location } : {}),
+      start: {
+        dateTime: slotStartISO,
+        timeZone: getBusinessTimezone(timeZone)
+      },
+      end: {
+        dateTime: slotEndISO,
+        timeZone: getBusinessTimezone(timeZone)
+      },
+      attendees: attendees
+        .filter((attendee) => attendee.email)
+        .map((attendee) => ({ email: attendee.email }))
+    };
+
+    let response;
+    try {
+      response = await googleCalendarRequest(`/calendars/${encodeURIComponent(resolveCalendarId(calendarId))}/events`, payload);
+    } catch (error) {
+      if (error.status !== 409) {
+        throw error;
+      }
+
+      logger.warn('[calendar] Event id already exists. Reusing the event from an earlier attempt.', { eventId });
+      response = await googleCalendarRequest(buildEventPath(calendarId, eventId), undefined, { method: 'GET' });
+    }
+
+    return {
+      calendarEventId: response.id,
+      calendarId: resolveCalendarId(calendarId),
+      htmlLink: response.htmlLink || null,
+      startISO: response?.start?.dateTime || slotStartISO,
+      endISO: response?.end?.dateTime || slotEndISO
+    };
+  }
+
+  function buildEventPath(calendarId, eventId) {
+    return `/calendars/${encodeURIComponent(resolveCalendarId(calendarId))}/events/${encodeURIComponent(eventId)}`;
+  }
+
+  async function updateEvent({
+    eventId,
+    slotStartISO,
+    slotEndISO,
+    callSid,
+    calendarId,
+    timeZone,
+    tenant = DEFAULT_TENANT_ID
+  }) {
+    assertCalendarConfigured({ calendarId });
+    assertEventId(eventId, 'update');
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'calendar_update_event',
+      inputs: {
+        calendarId: resolveCalendarId(calendarId),
+        eventId,
+        slotStartISO,
+        slotEndISO
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'calendar_update_event' },
+      fn: async () => {
+        const response = await googleCalendarRequest(buildEventPath(calendarId, eventId), {
+          start: {
+            dateTime: slotStartISO,
+            timeZone: getBusinessTimezone(timeZone)
+          },
+          end: {
+            dateTime: slotEndISO,
+            timeZone: getBusinessTimezone(timeZone)
+          }
+        }, { method: 'PATCH' });
+
+        return {
+          calendarEventId: response?.id || eventId,
+          calendarId: resolveCalendarId(calendarId),
+          htmlLink: response?.htmlLink || null,
+          startISO: response?.start?.dateTime || slotStartISO,
+          endISO: response?.end?.dateTime || slotEndISO
+        };
+      }
+    });
+  }
+
+  async function deleteEvent({ eventId, callSid, calendarId, tenant = DEFAULT_TENANT_ID }) {
+    assertCalendarConfigured({ calendarId });
+    assertEventId(eventId, 'delete');
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'calendar_delete_event',
+      inputs: {
+        calendarId: resolveCalendarId(calendarId),
+        eventId
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'calendar_delete_event' },
+      fn: async () => {
+        try {
+          await googleCalendarRequest(buildEventPath(calendarId, eventId), undefined, { method: 'DELETE' });
+        } catch (error) {
+          if (error.status !== 404 && error.status !== 410) {
+            throw error;
+          }
+        }
+
+        return {
+          ok: true,
+          calendarEventId: eventId,
+          calendarId: resolveCalendarId(calendarId)
+        };
+      }
+    });
+  }
+
+  async function bookSlot({
+    slotStartISO,
+    slotEndISO,
+    summary,
+    description,
+    location,
+    attendees,
+    callSid,
+    calendarId,
+    timeZone,
+    tenant = DEFAULT_TENANT_ID
+  }) {
+    const normalizedAttendees = normalizeAttendees(attendees);
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'calendar_book_event',
+      inputs: {
+        calendarId: resolveCalendarId(calendarId),
+        slotStartISO,
+        slotEndISO,
+        summary,
+        attendeePhonesOrEmails: normalizedAttendees
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'calendar_book_event' },
+      fn: async () => createCalendarEvent({
+        eventId: buildClientEventId(key),
+        slotStartISO,
+        slotEndISO,
+        summary,
+        description,
+        location,
+        attendees: normalizedAttendees,
+        calendarId,
+        timeZone
+      })
+    });
+  }
+
+  return {
+    assertCalendarConfigured,
+    getAvailability,
+    proposeSlots,
+    bookSlot,
+    updateEvent,
+    deleteEvent
+  };
 }
 
 module.exports = {
-  assertCalendarConfigured,
-  getAvailability,
-  proposeSlots,
-  bookSlot,
-  APPOINTMENT_DURATION_MINUTES,
-  MIN_LEAD_TIME_MINUTES,
-  BUSINESS_START_HOUR,
-  BUSINESS_END_HOUR
+  createCalendarClient,
+  ...createCalendarClient(),
+  formatBookingLabel,
+  EMERGENCY_LEAD_TIME_MINUTES
 };
@@ -1,9 +1,43 @@
 const { filterCompanyProps, filterContactProps, filterDealProps } = require('../governance/propertyAllowlist');
 const { buildIdempotencyKey, withIdempotency } = require('../governance/withIdempotency');
+const { DEFAULT_TENANT_ID } = require('../config/constants');
+const { resolveBaseUrl, resolveOption } = require('../config/env');
+const { resilientFetch, RETRY_POLICIES } = require('./resilience');
+const tracing = require('../monitoring/tracing');
 
-const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
+const DEFAULT_HUBSPOT_BASE_URL = 'https://api.hubapi.com';
 const LOCKED_PIPELINE_ID = '2047365827';
 const LOCKED_STAGE_ID = '3233958612';
+const BOOKING_DEAL_PROPERTIES = Object.freeze([
+  'pipeline',
+  'dealstage',
+  'estimate_calendar_event_id',
+  'estimate_calendar_id',
+  'estimate_start_iso',
+  'estimate_end_iso'
+]);
+const CALLER_CONTACT_PROPERTIES = Object.freeze([
+  'phone',
+  'firstname',
+  'lastname',
+  'service_street_1',
+  'service_city',
+  'service_state',
+  'service_postal_code',
+  'sms_customer_consent',
+  'sms_customer_consent_ts'
+]);
+const OPEN_DEAL_PROPERTIES = Object.freeze([...BOOKING_DEAL_PROPERTIES, 'hs_is_closed', 'call_disposition']);
+const TENANT_COMPANY_PROPERTIES = Object.freeze([
+  'name',
+  'deployment_status',
+  'twilio_inbound_number',
+  'escalation_phone',
+  'oncall_phone',
+  'business_timezone',
+  'calendar_id',
+  'scheduling_policy'
+]);
 
 function buildError({ message, status, code, details }) {
   const error = new Error(message);
@@ -13,409 +47,657 @@ function buildError({ message, status, code, details }) {
   return error;
 }
 
-async function hubspotRequest(path, options = {}) {
-  const token = process.env.HUBSPOT_ACCESS_TOKEN;
-  const method = options.method || 'GET';
-  const headers = {
-    Authorization: `Bearer ${token}`,
-    'Content-Type': 'application/json',
-    ...(options.headers || {})
-  };
-
-  const response = await fetch(`${HUBSPOT_BASE_URL}${path}`, {
-    method,
-    headers,
-    body: options.body ? JSON.stringify(options.body) : undefined
+function createHubspotClient(options = {}) {
+  const fetchImpl = (...args) => (options.fetch || fetch)(...args);
+  const clock = options.clock || Date.now;
+  const requestWithRetry = (url, init, retryPolicy) => resilientFetch({
+    provider: 'hubspot',
+    url,
+    init,
+    retryPolicy,
+    fetch: fetchImpl,
+    clock
   });
 
-  if (!response.ok) {
-    const rawError = await response.text();
-    let details;
+  // Searches and batch reads are POSTs that only read, and PATCH and PUT set the same values when repeated.
+  // Creates have no idempotency key on the HubSpot side, so a repeat after a 5xx could create a duplicate.
+  function resolveRetryPolicy(method, path) {
+    if (method === 'POST' && !/\/(search|batch\/read)$/.test(path)) {
+      return RETRY_POLICIES.UNSENT_ONLY;
+    }
+    return RETRY_POLICIES.ALWAYS;
+  }
+
+  function hubspotRequest(path, requestOptions = {}) {
+    const method = requestOptions.method || 'GET';
+    return tracing.withSpan(`hubspotRequest ${method}`, {
+      kind: tracing.SPAN_KINDS.CLIENT,
+      attributes: { 'peer.service': 'hubspot', 'http.request.method': method, 'url.path': path.split('?')[0] }
+    }, () => sendHubspotRequest(path, requestOptions));
+  }
+
+  async function sendHubspotRequest(path, requestOptions = {}) {
+    const token = resolveOption(options.accessToken, 'HUBSPOT_ACCESS_TOKEN');
+    const method = requestOptions.method || 'GET';
+    const headers = {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      ...(requestOptions.headers || {})
+    };
+
+    const response = await requestWithRetry(`${resolveBaseUrl('HUBSPOT_BASE_URL', DEFAULT_HUBSPOT_BASE_URL, options.baseUrl)}${path}`, {
+      method,
+      headers,
+      body: requestOptions.body ? JSON.stringify(requestOptions.body) : undefined
+    }, resolveRetryPolicy(method, path));
+
+    if (!response.ok) {
+      const rawError = await response.text();
+      let details;
+
+      try {
+        details = JSON.parse(rawError);
+      } catch {
+        details = { raw: rawError };
+      }
 
-    try {
-      details = JSON.parse(rawError);
-    } catch {
-      details = { raw: rawError };
+      throw buildError({
+        message: 'HubSpot API request failed',
+        status: response.status,
+        code: details?.category || details?.error || 'hubspot_api_error',
+        details
+      });
     }
 
-    throw buildError({
-      message: 'HubSpot API request failed',
-      status: response.status,
-      code: details?.category || details?.error || 'hubspot_api_error',
-      details
-    });
+    if (response.status === 204) {
+      return null;
+    }
+
+    return response.json();
   }
 
-  if (response.status === 204) {
-    return null;
+  async function getCompanyById(companyId, { properties = ['deployment_status'] } = {}) {
+    if (!companyId) {
+      throw buildError({
+        message: 'Company lookup requires companyId',
+        code: 'missing_company_id'
+      });
+    }
+
+    const result = await hubspotRequest(`/crm/v3/objects/companies/${companyId}?properties=${properties.join(',')}`);
+    return {
+      id: result.id,
+      properties: result.properties || {}
+    };
   }
 
-  return response.json();
-}
+  async function findCompanyByInboundNumber(phoneE164) {
+    if (!phoneE164) {
+      return null;
+    }
 
-async function getCompanyById(companyId) {
-  if (!companyId) {
-    throw buildError({
-      message: 'Company lookup requires companyId',
-      code: 'missing_company_id'
+    const body = {
+      filterGroups: [
+        {
+          filters: [
+            {
+              propertyName: 'twilio_inbound_number',
+              operator: 'EQ',
+              value: phoneE164
+            }
+          ]
+        }
+      ],
+      properties: [...TENANT_COMPANY_PROPERTIES],
+      limit: 1
+    };
+
+    const result = await hubspotRequest('/crm/v3/objects/companies/search', {
+      method: 'POST',
+      body
     });
+
+    const [company] = result?.results || [];
+    if (!company) {
+      return null;
+    }
+
+    return {
+      id: company.id,
+      properties: company.properties || {}
+    };
   }
 
-  const result = await hubspotRequest(`/crm/v3/objects/companies/${companyId}?properties=deployment_status`);
-  return {
-    id: result.id,
-    properties: result.properties || {}
-  };
-}
+  async function updateCompanyDeploymentStatus({ companyId, deployment_status, callSid, reason, tenant = DEFAULT_TENANT_ID }) {
+    if (!companyId) {
+      throw buildError({
+        message: 'Company update requires companyId',
+        code: 'missing_company_id'
+      });
+    }
+
+    const payload = filterCompanyProps({ deployment_status });
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_update_company_deployment_status',
+      inputs: {
+        companyId,
+        deployment_status,
+        reason
+      }
+    });
 
-async function updateCompanyDeploymentStatus({ companyId, deployment_status, callSid, reason }) {
-  if (!companyId) {
-    throw buildError({
-      message: 'Company update requires companyId',
-      code: 'missing_company_id'
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_update_company_deployment_status' },
+      fn: async () => {
+        await hubspotRequest(`/crm/v3/objects/companies/${companyId}`, {
+          method: 'PATCH',
+          body: payload
+        });
+
+        return {
+          ok: true,
+          companyId,
+          deployment_status,
+          reason: reason || null
+        };
+      }
     });
   }
 
-  const payload = filterCompanyProps({ deployment_status });
+  async function findContactByPhone(phoneE164, { includeOpenDeals = false } = {}) {
+    if (!phoneE164) {
+      return null;
+    }
+
+    const body = {
+      filterGroups: [
+        {
+          filters: [
+            {
+              propertyName: 'phone',
+              operator: 'EQ',
+              value: phoneE164
+            }
+          ]
+        }
+      ],
+      properties: [...CALLER_CONTACT_PROPERTIES],
+      limit: 1
+    };
+
+    const result = await hubspotRequest('/crm/v3/objects/contacts/search', {
+      method: 'POST',
+      body
+    });
 
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_update_company_deployment_status',
-    inputs: {
-      companyId,
-      deployment_status,
-      reason
+    const [contact] = result?.results || [];
+    if (!contact) {
+      return null;
     }
-  });
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_update_company_deployment_status' },
-    fn: async () => {
-      await hubspotRequest(`/crm/v3/objects/companies/${companyId}`, {
-        method: 'PATCH',
-        body: payload
+    return {
+      id: contact.id,
+      properties: contact.properties || {},
+      ...(includeOpenDeals ? { openDeals: await listOpenDealsForContact(contact.id) } : {})
+    };
+  }
+
+  async function getContactById(contactId) {
+    if (!contactId) {
+      throw buildError({
+        message: 'Contact lookup requires contactId',
+        code: 'missing_contact_id'
       });
+    }
 
-      return {
-        ok: true,
-        companyId,
-        deployment_status,
-        reason: reason || null
-      };
+    const result = await hubspotRequest(`/crm/v3/objects/contacts/${contactId}?properties=phone,sms_customer_consent,sms_customer_consent_ts`);
+    return {
+      id: result.id,
+      properties: result.properties || {}
+    };
+  }
+
+  async function getDealBooking(dealId) {
+    if (!dealId) {
+      throw buildError({
+        message: 'Deal lookup requires dealId',
+        code: 'missing_deal_id'
+      });
     }
-  });
-}
 
-async function findContactByPhone(phoneE164) {
-  if (!phoneE164) {
-    return null;
+    const result = await hubspotRequest(`/crm/v3/objects/deals/${dealId}?properties=${BOOKING_DEAL_PROPERTIES.join(',')}`);
+    return {
+      id: result.id,
+      properties: result.properties || {}
+    };
   }
 
-  const body = {
-    filterGroups: [
-      {
-        filters: [
-          {
-            propertyName: 'phone',
-            operator: 'EQ',
-            value: phoneE164
-          }
-        ]
+  async function upsertContact(contactProps, { callSid, tenant = DEFAULT_TENANT_ID }) {
+    const payload = filterContactProps(contactProps);
+    const phone = payload.properties.phone;
+
+    if (!phone) {
+      throw buildError({
+        message: 'Contact upsert requires allowlisted phone property',
+        code: 'missing_phone'
+      });
+    }
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_upsert_contact',
+      inputs: {
+        phone,
+        propertiesWritten: payload.properties
       }
-    ],
-    properties: ['phone', 'firstname', 'lastname'],
-    limit: 1
-  };
+    });
 
-  const result = await hubspotRequest('/crm/v3/objects/contacts/search', {
-    method: 'POST',
-    body
-  });
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_upsert_contact' },
+      fn: async () => {
+        const existing = await findContactByPhone(phone);
+        if (existing) {
+          await hubspotRequest(`/crm/v3/objects/contacts/${existing.id}`, {
+            method: 'PATCH',
+            body: payload
+          });
+
+          return { id: existing.id };
+        }
+
+        const created = await hubspotRequest('/crm/v3/objects/contacts', {
+          method: 'POST',
+          body: payload
+        });
 
-  const [contact] = result?.results || [];
-  if (!contact) {
-    return null;
+        return { id: created.id };
+      }
+    });
   }
 
-  return {
-    id: contact.id,
-    properties: contact.properties || {}
-  };
-}
+  async function createDeal({ contactId, callSid, tenant = DEFAULT_TENANT_ID }) {
+    const payload = filterDealProps({
+      pipeline: LOCKED_PIPELINE_ID,
+      dealstage: LOCKED_STAGE_ID,
+      call_disposition: 'missed_call_captured'
+    });
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_create_deal',
+      inputs: {
+        contactId,
+        pipelineId: LOCKED_PIPELINE_ID,
+        stageId: LOCKED_STAGE_ID,
+        callSid
+      }
+    });
 
-async function getContactById(contactId) {
-  if (!contactId) {
-    throw buildError({
-      message: 'Contact lookup requires contactId',
-      code: 'missing_contact_id'
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_create_deal' },
+      fn: async () => {
+        const created = await hubspotRequest('/crm/v3/objects/deals', {
+          method: 'POST',
+          body: payload
+        });
+
+        return { id: created.id, contactId, callSid };
+      }
     });
   }
 
-  const result = await hubspotRequest(`/crm/v3/objects/contacts/${contactId}?properties=phone,sms_customer_consent,sms_customer_consent_ts`);
-  return {
-    id: result.id,
-    properties: result.properties || {}
-  };
-}
+  async function associateDealToContact(dealId, contactId, { callSid, tenant = DEFAULT_TENANT_ID }) {
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_associate_deal_contact',
+      inputs: {
+        dealId,
+        contactId
+      }
+    });
 
-async function upsertContact(contactProps, { callSid }) {
-  const payload = filterContactProps(contactProps);
-  const phone = payload.properties.phone;
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_associate_deal_contact' },
+      fn: async () => {
+        await hubspotRequest(`/crm/v3/objects/deals/${dealId}/associations/contacts/${contactId}/deal_to_contact`, {
+          method: 'PUT'
+        });
+
+        return { ok: true };
+      }
+    });
+  }
+
+  async function logEngagement(dealId, contactId, payload = {}) {
+    const noteBody = payload.noteBody || 'Call started. TranscriptRef: pending. Summary: pending.';
+    const callSid = payload.callSid;
+    const tenant = payload.tenant || DEFAULT_TENANT_ID;
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_log_engagement',
+      inputs: {
+        dealId,
+        contactId,
+        callSid,
+        noteText: noteBody
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_log_engagement' },
+      fn: async () => {
+        await hubspotRequest('/crm/v3/objects/notes', {
+          method: 'POST',
+          body: {
+            properties: {
+              hs_note_body: noteBody
+            },
+            associations: [
+              [dealId, 214],
+              [contactId, 202]
+            ]
+              .filter(([id]) => id)
+              .map(([id, associationTypeId]) => ({
+                to: { id: String(id) },
+                types: [
+                  {
+                    associationCategory: 'HUBSPOT_DEFINED',
+                    associationTypeId
+                  }
+                ]
+              }))
+          }
+        });
 
-  if (!phone) {
-    throw buildError({
-      message: 'Contact upsert requires allowlisted phone property',
-      code: 'missing_phone'
+        return {
+          ok: true,
+          callSid: callSid || null
+        };
+      }
     });
   }
 
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_upsert_contact',
-    inputs: {
-      phone,
-      propertiesWritten: payload.properties
+  async function updateDealStage({ dealId, pipelineId, dealstage, callSid, tenant = DEFAULT_TENANT_ID }) {
+    if (!dealId) {
+      throw buildError({
+        message: 'Deal stage update requires dealId',
+        code: 'missing_deal_id'
+      });
     }
-  });
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_upsert_contact' },
-    fn: async () => {
-      const existing = await findContactByPhone(phone);
-      if (existing) {
-        await hubspotRequest(`/crm/v3/objects/contacts/${existing.id}`, {
+    const payload = filterDealProps({
+      pipeline: pipelineId,
+      dealstage
+    });
+
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_update_deal_stage',
+      inputs: {
+        dealId,
+        pipelineId,
+        dealstage
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_update_deal_stage' },
+      fn: async () => {
+        await hubspotRequest(`/crm/v3/objects/deals/${dealId}`, {
           method: 'PATCH',
           body: payload
         });
 
-        return { id: existing.id };
+        return {
+          ok: true,
+          dealId,
+          pipelineId,
+          dealstage
+        };
       }
+    });
+  }
 
-      const created = await hubspotRequest('/crm/v3/objects/contacts', {
-        method: 'POST',
-        body: payload
+  async function updateDealBooking({ dealId, booking, disposition, callSid, tenant = DEFAULT_TENANT_ID }) {
+    if (!dealId) {
+      throw buildError({
+        message: 'Deal booking update requires dealId',
+        code: 'missing_deal_id'
       });
-
-      return { id: created.id };
     }
-  });
-}
 
-async function createDeal({ contactId, callSid }) {
-  const payload = filterDealProps({
-    pipeline: LOCKED_PIPELINE_ID,
-    dealstage: LOCKED_STAGE_ID,
-    call_disposition: 'missed_call_captured'
-  });
-
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_create_deal',
-    inputs: {
-      contactId,
-      pipelineId: LOCKED_PIPELINE_ID,
-      stageId: LOCKED_STAGE_ID,
-      callSid
-    }
-  });
+    const payload = filterDealProps({
+      estimate_calendar_event_id: booking?.calendarEventId || '',
+      estimate_calendar_id: booking?.calendarId || '',
+      estimate_start_iso: booking?.startISO || '',
+      estimate_end_iso: booking?.endISO || '',
+      call_disposition: disposition
+    });
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_create_deal' },
-    fn: async () => {
-      const created = await hubspotRequest('/crm/v3/objects/deals', {
-        method: 'POST',
-        body: payload
-      });
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_update_deal_booking',
+      inputs: {
+        dealId,
+        propertiesWritten: payload.properties
+      }
+    });
 
-      return { id: created.id, contactId, callSid };
-    }
-  });
-}
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_update_deal_booking' },
+      fn: async () => {
+        await hubspotRequest(`/crm/v3/objects/deals/${dealId}`, {
+          method: 'PATCH',
+          body: payload
+        });
 
-async function associateDealToContact(dealId, contactId, { callSid }) {
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_associate_deal_contact',
-    inputs: {
-      dealId,
-      contactId
-    }
-  });
+        return {
+          ok: true,
+          dealId,
+          calendarEventId: booking?.calendarEventId || null
+        };
+      }
+    });
+  }
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_associate_deal_contact' },
-    fn: async () => {
-      await hubspotRequest(`/crm/v3/objects/deals/${dealId}/associations/contacts/${contactId}/deal_to_contact`, {
-        method: 'PUT'
-      });
+  async function listContactDealIds(contactId) {
+    const result = await hubspotRequest(`/crm/v4/objects/contacts/${contactId}/associations/deals?limit=100`);
+    return (result?.results || []).map((entry) => String(entry.toObjectId));
+  }
 
-      return { ok: true };
+  async function batchReadDeals(dealIds, properties) {
+    if (dealIds.length === 0) {
+      return [];
     }
-  });
-}
 
-async function logEngagement(dealId, contactId, payload = {}) {
-  const noteBody = payload.noteBody || 'Call started. TranscriptRef: pending. Summary: pending.';
-  const callSid = payload.callSid;
-
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_log_engagement',
-    inputs: {
-      dealId,
-      contactId,
-      callSid,
-      noteText: noteBody
-    }
-  });
+    const result = await hubspotRequest('/crm/v3/objects/deals/batch/read', {
+      method: 'POST',
+      body: {
+        properties,
+        inputs: dealIds.map((id) => ({ id }))
+      }
+    });
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_log_engagement' },
-    fn: async () => {
-      await hubspotRequest('/crm/v3/objects/notes', {
-        method: 'POST',
-        body: {
-          properties: {
-            hs_note_body: noteBody
-          },
-          associations: [
-            {
-              to: { id: String(dealId) },
-              types: [
-                {
-                  associationCategory: 'HUBSPOT_DEFINED',
-                  associationTypeId: 214
-                }
-              ]
-            },
-            {
-              to: { id: String(contactId) },
-              types: [
-                {
-                  associationCategory: 'HUBSPOT_DEFINED',
-                  associationTypeId: 202
-                }
-              ]
-            }
-          ]
-        }
-      });
+    return (result?.results || []).map((deal) => ({
+      id: deal.id,
+      properties: deal.properties || {}
+    }));
+  }
 
-      return {
-        ok: true,
-        callSid: callSid || null
-      };
-    }
-  });
-}
+  async function findOpenBookingForContact(contactId, { nowISO } = {}) {
+    const nowMs = Date.parse(nowISO || new Date(clock()).toISOString());
+    const deals = await batchReadDeals(await listContactDealIds(contactId), [...BOOKING_DEAL_PROPERTIES]);
+    const [upcoming] = deals
+      .filter((deal) => deal.properties.estimate_calendar_event_id && deal.properties.estimate_start_iso)
+      .filter((deal) => Date.parse(deal.properties.estimate_start_iso) > nowMs)
+      .sort((a, b) => Date.parse(a.properties.estimate_start_iso) - Date.parse(b.properties.estimate_start_iso));
 
+    if (!upcoming) {
+      return null;
+    }
 
-async function updateDealStage({ dealId, pipelineId, dealstage, callSid }) {
-  if (!dealId) {
-    throw buildError({
-      message: 'Deal stage update requires dealId',
-      code: 'missing_deal_id'
-    });
+    return {
+      contactId: String(contactId),
+      dealId: upcoming.id,
+      dealstage: upcoming.properties.dealstage || null,
+      calendarEventId: upcoming.properties.estimate_calendar_event_id,
+      calendarId: upcoming.properties.estimate_calendar_id || null,
+      startISO: upcoming.properties.estimate_start_iso,
+      endISO: upcoming.properties.estimate_end_iso || null
+    };
   }
 
-  const payload = filterDealProps({
-    pipeline: pipelineId,
-    dealstage
-  });
+  async function listOpenDealsForContact(contactId) {
+    const deals = await batchReadDeals(await listContactDealIds(contactId), [...OPEN_DEAL_PROPERTIES]);
+    return deals
+      .filter((deal) => String(deal.properties.hs_is_closed || '').toLowerCase() !== 'true')
+      .filter((deal) => deal.properties.call_disposition !== 'estimate_cancelled')
+      .map((deal) => ({
+        dealId: deal.id,
+        dealstage: deal.properties.dealstage || null,
+        calendarEventId: deal.properties.estimate_calendar_event_id || null,
+        startISO: deal.properties.estimate_start_iso || null,
+        endISO: deal.properties.estimate_end_iso || null
+      }))
+      .sort((a, b) => (Date.parse(a.startISO) || Infinity) - (Date.parse(b.startISO) || Infinity));
+  }
 
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_update_deal_stage',
-    inputs: {
-      dealId,
-      pipelineId,
-      dealstage
+  async function findOpenBookingByPhone(phoneE164, { nowISO } = {}) {
+    const contact = await findContactByPhone(phoneE164);
+    if (!contact) {
+      return null;
     }
-  });
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_update_deal_stage' },
-    fn: async () => {
-      await hubspotRequest(`/crm/v3/objects/deals/${dealId}`, {
-        method: 'PATCH',
-        body: payload
+    return findOpenBookingForContact(contact.id, { nowISO });
+  }
+
+  async function updateDealReplyStatus({ dealId, status, statusTsISO, callSid, tenant = DEFAULT_TENANT_ID }) {
+    if (!dealId) {
+      throw buildError({
+        message: 'Deal reply status update requires dealId',
+        code: 'missing_deal_id'
       });
+    }
+
+    const payload = filterDealProps({
+      estimate_reply_status: status,
+      estimate_reply_ts: statusTsISO
+    });
 
-      return {
-        ok: true,
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_update_deal_reply_status',
+      inputs: {
         dealId,
-        pipelineId,
-        dealstage
-      };
-    }
-  });
-}
+        status
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_update_deal_reply_status' },
+      fn: async () => {
+        await hubspotRequest(`/crm/v3/objects/deals/${dealId}`, {
+          method: 'PATCH',
+          body: payload
+        });
 
-async function updateContactConsent({ contactId, consent, consentTsISO, callSid }) {
-  if (!contactId) {
-    throw buildError({
-      message: 'Contact consent update requires contactId',
-      code: 'missing_contact_id'
+        return {
+          ok: true,
+          dealId,
+          status,
+          statusTsISO
+        };
+      }
     });
   }
 
-  const payload = filterContactProps({
-    sms_customer_consent: consent,
-    sms_customer_consent_ts: consentTsISO
-  });
-
-  const key = buildIdempotencyKey({
-    tenant: 'single',
-    callSid,
-    operation: 'hubspot_update_sms_consent',
-    inputs: {
-      contactId,
-      consent,
-      consentTsISO
+  async function updateContactConsent({ contactId, consent, consentTsISO, callSid, tenant = DEFAULT_TENANT_ID }) {
+    if (!contactId) {
+      throw buildError({
+        message: 'Contact consent update requires contactId',
+        code: 'missing_contact_id'
+      });
     }
-  });
 
-  return withIdempotency({
-    key,
-    loggerContext: { callSid, operation: 'hubspot_update_sms_consent' },
-    fn: async () => {
-      await hubspotRequest(`/crm/v3/objects/contacts/${contactId}`, {
-        method: 'PATCH',
-        body: payload
-      });
+    const payload = filterContactProps({
+      sms_customer_consent: consent,
+      sms_customer_consent_ts: consentTsISO
+    });
 
-      return {
-        ok: true,
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_update_sms_consent',
+      inputs: {
         contactId,
         consent,
         consentTsISO
-      };
-    }
-  });
+      }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_update_sms_consent' },
+      fn: async () => {
+        await hubspotRequest(`/crm/v3/objects/contacts/${contactId}`, {
+          method: 'PATCH',
+          body: payload
+        });
+
+        return {
+          ok: true,
+          contactId,
+          consent,
+          consentTsISO
+        };
+      }
+    });
+  }
+
+  return {
+    getCompanyById,
+    findCompanyByInboundNumber,
+    updateCompanyDeploymentStatus,
+    findContactByPhone,
+    listOpenDealsForContact,
+    getContactById,
+    getDealBooking,
+    upsertContact,
+    createDeal,
+    associateDealToContact,
+    logEngagement,
+    updateDealStage,
+    updateDealBooking,
+    findOpenBookingForContact,
+    findOpenBookingByPhone,
+    updateDealReplyStatus,
+    updateContactConsent
+  };
 }
+
 module.exports = {
-  getCompanyById,
-  updateCompanyDeploymentStatus,
-  findContactByPhone,
-  getContactById,
-  upsertContact,
-  createDeal,
-  associateDealToContact,
-  logEngagement,
-  updateDealStage,
-  updateContactConsent,
+  createHubspotClient,
+  ...createHubspotClient(),
   LOCKED_PIPELINE_ID,
-  LOCKED_STAGE_ID
+  LOCKED_STAGE_ID,
+  TENANT_COMPANY_PROPERTIES
 };
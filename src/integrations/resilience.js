@@ -0,0 +1,259 @@
+const logger = require('../monitoring/logger');
+const { alertCritical, ALERT_EVENT_TYPES } = require('../monitoring/alerting');
+const metrics = require('../monitoring/metrics');
+const tracing = require('../monitoring/tracing');
+
+const DEFAULT_RETRY_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 200;
+const DEFAULT_RETRY_MAX_DELAY_MS = 5000;
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_COOLDOWN_SECONDS = 30;
+const RETRYABLE_STATUSES = Object.freeze([408, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = Object.freeze(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+const RETRY_POLICIES = Object.freeze({
+  ALWAYS: 'always',
+  UNSENT_ONLY: 'unsent_only',
+  NEVER: 'never'
+});
+// Connection failures that happen before any byte of the request reaches the server.
+const UNSENT_ERROR_CODES = Object.freeze(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+});
+
+const breakers = new Map();
+
+function readPositiveNumber(name, fallback, { integer = false } = {}) {
+  const raw = Number(process.env[name]);
+  if (!Number.isFinite(raw) || raw <= 0 || (integer && !Number.isInteger(raw))) {
+    return fallback;
+  }
+  return raw;
+}
+
+function getRetryMaxAttempts() {
+  return readPositiveNumber('RETRY_MAX_ATTEMPTS', DEFAULT_RETRY_MAX_ATTEMPTS, { integer: true });
+}
+
+function getRetryBaseDelayMs() {
+  return readPositiveNumber('RETRY_BASE_DELAY_MS', DEFAULT_RETRY_BASE_DELAY_MS);
+}
+
+function getRetryMaxDelayMs() {
+  return readPositiveNumber('RETRY_MAX_DELAY_MS', DEFAULT_RETRY_MAX_DELAY_MS);
+}
+
+function getCircuitFailureThreshold() {
+  return readPositiveNumber('CIRCUIT_FAILURE_THRESHOLD', DEFAULT_CIRCUIT_FAILURE_THRESHOLD, { integer: true });
+}
+
+function getCircuitCooldownMs() {
+  return readPositiveNumber('CIRCUIT_COOLDOWN_SECONDS', DEFAULT_CIRCUIT_COOLDOWN_SECONDS) * 1000;
+}
+
+function getBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, {
+      state: CIRCUIT_STATES.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastFailure: null,
+      trialInFlight: false
+    });
+  }
+  return breakers.get(provider);
+}
+
+function describeBreaker(breaker) {
+  return {
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    lastFailure: breaker.lastFailure
+  };
+}
+
+function getCircuitStates() {
+  return Object.fromEntries([...breakers.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([provider, breaker]) => [provider, describeBreaker(breaker)]));
+}
+
+function buildCircuitOpenError(provider, breaker, nowMs) {
+  return Object.assign(new Error(`${provider} circuit is open`), {
+    code: 'circuit_open',
+    status: 503,
+    details: {
+      provider,
+      retryInMs: Math.max(0, breaker.openedAt + getCircuitCooldownMs() - nowMs)
+    }
+  });
+}
+
+function acquire(provider, nowMs) {
+  const breaker = getBreaker(provider);
+  if (breaker.state === CIRCUIT_STATES.CLOSED) {
+    return;
+  }
+
+  if (breaker.state === CIRCUIT_STATES.OPEN && nowMs - breaker.openedAt >= getCircuitCooldownMs()) {
+    breaker.state = CIRCUIT_STATES.HALF_OPEN;
+    logger.info('[resilience] Circuit half-open. Allowing a trial request.', { provider });
+  }
+
+  if (breaker.state === CIRCUIT_STATES.HALF_OPEN && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return;
+  }
+
+  throw buildCircuitOpenError(provider, breaker, nowMs);
+}
+
+function recordSuccess(provider) {
+  const breaker = getBreaker(provider);
+  if (breaker.state !== CIRCUIT_STATES.CLOSED) {
+    logger.info('[resilience] Circuit closed.', { provider });
+  }
+
+  breaker.state = CIRCUIT_STATES.CLOSED;
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(provider, failure, nowMs) {
+  const breaker = getBreaker(provider);
+  breaker.consecutiveFailures += 1;
+  breaker.lastFailure = { ...failure, at: new Date(nowMs).toISOString() };
+  breaker.trialInFlight = false;
+
+  const reopening = breaker.state === CIRCUIT_STATES.HALF_OPEN;
+  if (!reopening && (breaker.state === CIRCUIT_STATES.OPEN || breaker.consecutiveFailures < getCircuitFailureThreshold())) {
+    return;
+  }
+
+  breaker.state = CIRCUIT_STATES.OPEN;
+  breaker.openedAt = nowMs;
+  logger.error('[resilience] Circuit opened.', { provider, ...describeBreaker(breaker), circuits: getCircuitStates() });
+
+  // The alert context is the dedupe key, so it only names the provider; failure details stay in the log.
+  alertCritical(ALERT_EVENT_TYPES.CIRCUIT_OPEN, {
+    callSid: `circuit-${provider}`,
+    source: 'resilience',
+    message: `${provider} circuit opened after repeated failures`,
+    provider
+  }).catch((error) => {
+    logger.error('[resilience] Circuit alert failed.', { provider, message: error.message });
+  });
+}
+
+function parseRetryAfterMs(response, nowMs) {
+  const raw = response?.headers?.get?.('retry-after');
+  if (!raw) {
+    return null;
+  }
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const dateMs = Date.parse(raw);
+  return Number.isNaN(dateMs) ? null : Math.max(0, dateMs - nowMs);
+}
+
+function computeBackoffMs(attempt) {
+  const ceiling = Math.min(getRetryMaxDelayMs(), getRetryBaseDelayMs() * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableResponse(response) {
+  return RETRYABLE_STATUSES.includes(response.status);
+}
+
+// A create may have been applied before a 5xx or a dropped connection, so it is only repeated
+// when the server refused it (429) or never received it.
+function canRetryFailure(retryPolicy, failure) {
+  if (retryPolicy === RETRY_POLICIES.ALWAYS) {
+    return true;
+  }
+  if (retryPolicy === RETRY_POLICIES.UNSENT_ONLY) {
+    return failure.status === 429 || UNSENT_ERROR_CODES.includes(failure.code);
+  }
+  return false;
+}
+
+async function resilientFetch({
+  provider,
+  url,
+  init = {},
+  retryPolicy,
+  fetch: fetchImpl = fetch,
+  clock = Date.now,
+  sleep = defaultSleep
+}) {
+  const method = String(init.method || 'GET').toUpperCase();
+  const policy = retryPolicy || (IDEMPOTENT_METHODS.includes(method) ? RETRY_POLICIES.ALWAYS : RETRY_POLICIES.UNSENT_ONLY);
+  const maxAttempts = policy === RETRY_POLICIES.NEVER ? 1 : getRetryMaxAttempts();
+
+  acquire(provider, clock());
+
+  for (let attempt = 1; ; attempt += 1) {
+    let response;
+    let failure;
+    const startedAtMs = Date.now();
+    try {
+      response = await fetchImpl(url, init);
+      metrics.outboundRequestDuration.observe({ provider, method, status: response.status }, metrics.secondsSince(startedAtMs));
+      tracing.setSpanAttributes(tracing.getActiveSpan(), {
+        'http.response.status_code': response.status,
+        'http.request.resend_count': attempt > 1 ? attempt - 1 : undefined
+      });
+      if (!isRetryableResponse(response)) {
+        recordSuccess(provider);
+        return response;
+      }
+      failure = { status: response.status, code: `http_${response.status}` };
+    } catch (error) {
+      metrics.outboundRequestDuration.observe({ provider, method, status: 'network_error' }, metrics.secondsSince(startedAtMs));
+      failure = { status: null, code: error.code || error.cause?.code || 'network_error', message: error.message };
+      if (attempt >= maxAttempts || !canRetryFailure(policy, failure)) {
+        recordFailure(provider, failure, clock());
+        throw error;
+      }
+    }
+
+    if (attempt >= maxAttempts || !canRetryFailure(policy, failure)) {
+      recordFailure(provider, failure, clock());
+      return response;
+    }
+
+    const retryAfterMs = response ? parseRetryAfterMs(response, clock()) : null;
+    if (retryAfterMs !== null && retryAfterMs > getRetryMaxDelayMs()) {
+      logger.warn('[resilience] Retry-After exceeds the retry budget. Not retrying.', { provider, method, retryAfterMs });
+      recordFailure(provider, failure, clock());
+      return response;
+    }
+
+    await response?.body?.cancel().catch(() => {});
+    const delayMs = retryAfterMs ?? computeBackoffMs(attempt);
+    logger.warn('[resilience] Retrying outbound request.', { provider, method, attempt, delayMs, ...failure });
+    tracing.addSpanEvent('retry', { provider, attempt, delayMs, ...failure });
+    await sleep(delayMs);
+  }
+}
+
+module.exports = {
+  resilientFetch,
+  getCircuitStates,
+  parseRetryAfterMs,
+  CIRCUIT_STATES,
+  RETRY_POLICIES,
+  RETRYABLE_STATUSES
+};
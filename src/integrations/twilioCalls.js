@@ -0,0 +1,138 @@
+const { resolveBaseUrl, resolveOption } = require('../config/env');
+const { resilientFetch, RETRY_POLICIES } = require('./resilience');
+const tracing = require('../monitoring/tracing');
+
+const DEFAULT_TWILIO_API_BASE_URL = 'https://api.twilio.com/2010-04-01';
+
+function createTwilioCallsClient(options = {}) {
+  const fetchImpl = (...args) => (options.fetch || fetch)(...args);
+  const clock = options.clock || Date.now;
+  // Twilio has no idempotency keys, so sends are not retried; they still count toward the circuit.
+  const requestWithCircuit = (url, init) => resilientFetch({
+    provider: 'twilio',
+    url,
+    init,
+    retryPolicy: RETRY_POLICIES.NEVER,
+    fetch: fetchImpl,
+    clock
+  });
+
+  function getConfig() {
+    return {
+      baseUrl: resolveBaseUrl('TWILIO_API_BASE_URL', DEFAULT_TWILIO_API_BASE_URL, options.baseUrl),
+      accountSid: resolveOption(options.accountSid, 'TWILIO_ACCOUNT_SID'),
+      authToken: resolveOption(options.authToken, 'TWILIO_AUTH_TOKEN'),
+      from: resolveOption(options.fromNumber, 'TWILIO_FROM_NUMBER')
+    };
+  }
+
+  function assertTwilioVoiceConfigured() {
+    const config = getConfig();
+    const missing = [
+      ['TWILIO_ACCOUNT_SID', config.accountSid],
+      ['TWILIO_AUTH_TOKEN', config.authToken]
+    ]
+      .filter(([, value]) => !value)
+      .map(([name]) => name);
+    if (missing.length) {
+      const error = new Error(`Missing required Twilio voice environment variable(s): ${missing.join(', ')}`);
+      error.code = 'twilio_voice_not_configured';
+      throw error;
+    }
+  }
+
+  function twilioCallsRequest(path, params) {
+    return tracing.withSpan('twilioCallsRequest POST', {
+      kind: tracing.SPAN_KINDS.CLIENT,
+      attributes: { 'peer.service': 'twilio', 'http.request.method': 'POST', 'url.path': path }
+    }, () => sendTwilioCallsRequest(path, params));
+  }
+
+  async function sendTwilioCallsRequest(path, params) {
+    const { baseUrl, accountSid, authToken } = getConfig();
+    const authHeader = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+
+    const response = await requestWithCircuit(`${baseUrl}/Accounts/${encodeURIComponent(accountSid)}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${authHeader}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const raw = await response.text();
+    let payload;
+    try {
+      payload = raw ? JSON.parse(raw) : {};
+    } catch {
+      payload = { raw };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.message || 'Twilio Calls API request failed');
+      error.code = payload?.code ? `twilio_${payload.code}` : 'twilio_call_request_failed';
+      error.status = response.status;
+      error.details = payload;
+      throw error;
+    }
+
+    return payload;
+  }
+
+  async function updateCallTwiml({ callSid, twiml }) {
+    assertTwilioVoiceConfigured();
+
+    if (typeof callSid !== 'string' || !callSid.trim()) {
+      const error = new Error('Twilio call update requires non-empty callSid');
+      error.code = 'invalid_call_sid';
+      throw error;
+    }
+
+    const payload = await twilioCallsRequest(`/Calls/${encodeURIComponent(callSid.trim())}.json`, { Twiml: twiml });
+
+    return {
+      callSid: payload.sid || callSid,
+      status: payload.status || null
+    };
+  }
+
+  async function createCall({ to, from, twiml }) {
+    assertTwilioVoiceConfigured();
+
+    if (typeof to !== 'string' || !to.trim()) {
+      const error = new Error('Twilio call create requires non-empty to');
+      error.code = 'invalid_call_to';
+      throw error;
+    }
+
+    const callerId = from || getConfig().from;
+    if (typeof callerId !== 'string' || !callerId.trim()) {
+      const error = new Error('Twilio call create requires a from number');
+      error.code = 'invalid_call_from';
+      throw error;
+    }
+
+    const payload = await twilioCallsRequest('/Calls.json', {
+      To: to.trim(),
+      From: callerId.trim(),
+      Twiml: twiml
+    });
+
+    return {
+      callSid: payload.sid || null,
+      status: payload.status || null
+    };
+  }
+
+  return {
+    assertTwilioVoiceConfigured,
+    updateCallTwiml,
+    createCall
+  };
+}
+
+module.exports = {
+  createTwilioCallsClient,
+  ...createTwilioCallsClient()
+};
@@ -1,76 +1,119 @@
-const TWILIO_BASE_URL = 'https://api.twilio.com/2010-04-01';
+const { resolveBaseUrl, resolveOption } = require('../config/env');
+const { resilientFetch, RETRY_POLICIES } = require('./resilience');
+const tracing = require('../monitoring/tracing');
 
-function isMissing(name) {
-  return !process.env[name] || !String(process.env[name]).trim();
-}
+const DEFAULT_TWILIO_API_BASE_URL = 'https://api.twilio.com/2010-04-01';
 
-function assertTwilioSmsConfigured() {
-  const required = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'];
-  const missing = required.filter((name) => isMissing(name));
-  if (missing.length) {
-    const error = new Error(`Missing required Twilio SMS environment variable(s): ${missing.join(', ')}`);
-    error.code = 'twilio_sms_not_configured';
-    throw error;
-  }
-}
+function createTwilioSmsClient(options = {}) {
+  const fetchImpl = (...args) => (options.fetch || fetch)(...args);
+  const clock = options.clock || Date.now;
+  // Twilio has no idempotency keys, so sends are not retried; they still count toward the circuit.
+  const requestWithCircuit = (url, init) => resilientFetch({
+    provider: 'twilio',
+    url,
+    init,
+    retryPolicy: RETRY_POLICIES.NEVER,
+    fetch: fetchImpl,
+    clock
+  });
 
-async function sendSms({ to, body }) {
-  assertTwilioSmsConfigured();
+  function getConfig() {
+    return {
+      baseUrl: resolveBaseUrl('TWILIO_API_BASE_URL', DEFAULT_TWILIO_API_BASE_URL, options.baseUrl),
+      accountSid: resolveOption(options.accountSid, 'TWILIO_ACCOUNT_SID'),
+      authToken: resolveOption(options.authToken, 'TWILIO_AUTH_TOKEN'),
+      from: resolveOption(options.fromNumber, 'TWILIO_FROM_NUMBER')
+    };
+  }
 
-  if (typeof to !== 'string' || !to.trim()) {
-    const error = new Error('Twilio SMS send requires non-empty to');
-    error.code = 'invalid_sms_to';
-    throw error;
+  function assertTwilioSmsConfigured() {
+    const config = getConfig();
+    const missing = [
+      ['TWILIO_ACCOUNT_SID', config.accountSid],
+      ['TWILIO_AUTH_TOKEN', config.authToken],
+      ['TWILIO_FROM_NUMBER', config.from]
+    ]
+      .filter(([, value]) => !value)
+      .map(([name]) => name);
+    if (missing.length) {
+      const error = new Error(`Missing required Twilio SMS environment variable(s): ${missing.join(', ')}`);
+      error.code = 'twilio_sms_not_configured';
+      throw error;
+    }
   }
 
-  if (typeof body !== 'string' || !body.trim()) {
-    const error = new Error('Twilio SMS send requires non-empty body');
-    error.code = 'invalid_sms_body';
-    throw error;
+  function sendSms(message) {
+    return tracing.withSpan('sendSms', {
+      kind: tracing.SPAN_KINDS.CLIENT,
+      attributes: { 'peer.service': 'twilio', 'http.request.method': 'POST' }
+    }, async (span) => {
+      const result = await sendTwilioSms(message);
+      tracing.setSpanAttributes(span, { 'messaging.message.id': result.messageSid });
+      return result;
+    });
   }
 
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const from = process.env.TWILIO_FROM_NUMBER;
+  async function sendTwilioSms({ to, body }) {
+    assertTwilioSmsConfigured();
 
-  const encoded = new URLSearchParams({
-    To: to.trim(),
-    From: from.trim(),
-    Body: body.trim()
-  });
+    if (typeof to !== 'string' || !to.trim()) {
+      const error = new Error('Twilio SMS send requires non-empty to');
+      error.code = 'invalid_sms_to';
+      throw error;
+    }
 
-  const authHeader = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
-  const response = await fetch(`${TWILIO_BASE_URL}/Accounts/${encodeURIComponent(accountSid)}/Messages.json`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Basic ${authHeader}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: encoded.toString()
-  });
+    if (typeof body !== 'string' || !body.trim()) {
+      const error = new Error('Twilio SMS send requires non-empty body');
+      error.code = 'invalid_sms_body';
+      throw error;
+    }
 
-  const raw = await response.text();
-  let payload;
-  try {
-    payload = raw ? JSON.parse(raw) : {};
-  } catch {
-    payload = { raw };
-  }
+    const { baseUrl, accountSid, authToken, from } = getConfig();
+
+    const encoded = new URLSearchParams({
+      To: to.trim(),
+      From: from,
+      Body: body.trim()
+    });
+
+    const authHeader = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+    const response = await requestWithCircuit(`${baseUrl}/Accounts/${encodeURIComponent(accountSid)}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${authHeader}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: encoded.toString()
+    });
+
+    const raw = await response.text();
+    let payload;
+    try {
+      payload = raw ? JSON.parse(raw) : {};
+    } catch {
+      payload = { raw };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.message || 'Twilio SMS API request failed');
+      error.code = payload?.code ? `twilio_${payload.code}` : 'twilio_sms_request_failed';
+      error.status = response.status;
+      error.details = payload;
+      throw error;
+    }
 
-  if (!response.ok) {
-    const error = new Error(payload?.message || 'Twilio SMS API request failed');
-    error.code = payload?.code ? `twilio_${payload.code}` : 'twilio_sms_request_failed';
-    error.status = response.status;
-    error.details = payload;
-    throw error;
+    return {
+      messageSid: payload.sid
+    };
   }
 
   return {
-    messageSid: payload.sid
+    assertTwilioSmsConfigured,
+    sendSms
   };
 }
 
 module.exports = {
-  assertTwilioSmsConfigured,
-  sendSms
+  createTwilioSmsClient,
+  ...createTwilioSmsClient()
 };
@@ -0,0 +1,54 @@
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function buildSayTwiml(message) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say>${escapeXml(message)}</Say>
+</Response>`;
+}
+
+function buildMessageTwiml(message) {
+  if (!message) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response></Response>`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Message>${escapeXml(message)}</Message>
+</Response>`;
+}
+
+function buildHangupTwiml() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Hangup />
+</Response>`;
+}
+
+function buildTransferTwiml({ to, whisperUrl, holdMessage }) {
+  const urlAttribute = whisperUrl ? ` url="${escapeXml(whisperUrl)}"` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say>${escapeXml(holdMessage || 'Please hold while I connect you with our team.')}</Say>
+  <Dial>
+    <Number${urlAttribute}>${escapeXml(to)}</Number>
+  </Dial>
+</Response>`;
+}
+
+module.exports = {
+  escapeXml,
+  buildSayTwiml,
+  buildMessageTwiml,
+  buildHangupTwiml,
+  buildTransferTwiml
+};
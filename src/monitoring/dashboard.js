@@ -0,0 +1,327 @@
+const logger = require('./logger');
+const { escapeXml } = require('../integrations/twiml');
+const { formatBookingLabel } = require('../integrations/calendarClient');
+
+const DEFAULT_REFRESH_SECONDS = 5;
+const MAX_FAILED_TOOL_CALLS = 50;
+const MAX_DASHBOARD_ALERTS = 20;
+const DASHBOARD_EVENTS_PATH = '/admin/dashboard/events';
+const DEPLOYMENT_BADGES = Object.freeze({
+  open: 'ok',
+  test_only: 'warn',
+  blocked: 'bad',
+  unavailable: 'bad'
+});
+
+function getRefreshSeconds() {
+  const raw = Number(process.env.DASHBOARD_REFRESH_SECONDS);
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_REFRESH_SECONDS;
+}
+
+function localDateKey(value, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(value));
+}
+
+function formatTime(value, timeZone) {
+  if (!value) {
+    return '';
+  }
+  return new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit', hour12: true }).format(new Date(value));
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Lower bound for the store query: local midnight, less an hour so DST changes never drop calls.
+// The exact day is decided by isToday.
+function getTodayQueryStartIso(nowMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' })
+      .formatToParts(new Date(nowMs))
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const elapsedMs = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + (nowMs % 1000);
+  return new Date(nowMs - elapsedMs - 60 * 60 * 1000).toISOString();
+}
+
+function isToday(value, nowMs, timeZone) {
+  return localDateKey(value, timeZone) === localDateKey(nowMs, timeZone);
+}
+
+function describeOutcome(record) {
+  if (record.status === 'active') {
+    return 'In progress';
+  }
+  if (record.booking) {
+    return 'Estimate booked';
+  }
+  if (record.cancellation?.cancelledAtISO) {
+    return 'Estimate cancelled';
+  }
+  if (record.reschedule) {
+    return 'Estimate rescheduled';
+  }
+  if (record.escalation?.transferInitiated) {
+    return 'Transferred';
+  }
+  if (record.emergency?.paged) {
+    return 'On-call paged';
+  }
+  if (record.deploymentGate && record.deploymentGate.allowed === false) {
+    return 'Blocked by deployment status';
+  }
+  return record.endReason ? `Ended (${record.endReason})` : 'Ended';
+}
+
+function buildDashboardSnapshot({ records, summarize, alerts, deployments, timeZone, nowMs = Date.now() }) {
+  const todays = records.filter((record) => isToday(record.createdAt, nowMs, timeZone));
+
+  return {
+    generatedAt: new Date(nowMs).toISOString(),
+    date: localDateKey(nowMs, timeZone),
+    timeZone,
+    deployments,
+    calls: todays.map((record) => ({ ...summarize(record, nowMs), outcome: describeOutcome(record) })),
+    bookings: todays
+      .filter((record) => record.booking)
+      .map((record) => ({
+        callSid: record.callSid,
+        customer: [record.contact?.firstname, record.contact?.lastname].filter(Boolean).join(' ') || null,
+        phone: record.callerPhone || null,
+        startISO: record.booking.startISO,
+        technician: record.booking.technician?.name || null,
+        calendarEventId: record.booking.calendarEventId || null,
+        htmlLink: record.booking.htmlLink || null
+      })),
+    failedToolCalls: todays
+      .flatMap((record) => (record.toolCalls || [])
+        .filter((call) => !call.ok)
+        .map((call) => ({ callSid: record.callSid, toolName: call.toolName, errorCode: call.errorCode, state: call.state, at: call.ts })))
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, MAX_FAILED_TOOL_CALLS),
+    alerts: alerts.slice(0, MAX_DASHBOARD_ALERTS)
+  };
+}
+
+function isCalendarLink(value) {
+  return /^https:\/\//i.test(String(value || ''));
+}
+
+function renderTable(headers, rows, emptyMessage) {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeXml(emptyMessage)}</p>`;
+  }
+
+  const head = headers.map((header) => `<th>${escapeXml(header)}</th>`).join('');
+  const body = rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function renderBadge(text, tone) {
+  return `<span class="badge ${tone}">${escapeXml(text)}</span>`;
+}
+
+function renderDeployments(snapshot) {
+  return renderTable(
+    ['Tenant', 'Company', 'deployment_status', 'Checked'],
+    snapshot.deployments.map((entry) => [
+      escapeXml(entry.tenantId),
+      escapeXml(entry.companyName || entry.companyId || ''),
+      `${renderBadge(entry.status || entry.classification, DEPLOYMENT_BADGES[entry.classification] || 'muted')}${entry.error ? ` <small>${escapeXml(entry.error)}</small>` : ''}`,
+      escapeXml(formatTime(entry.checkedAt, snapshot.timeZone))
+    ]),
+    'No tenants configured.'
+  );
+}
+
+function renderCalls(snapshot) {
+  return renderTable(
+    ['Started', 'Caller', 'State', 'Outcome', 'Duration', 'Last tool'],
+    snapshot.calls.map((call) => [
+      escapeXml(formatTime(call.createdAt, snapshot.timeZone)),
+      `${escapeXml(call.caller.name || 'Unknown caller')}<br><small>${escapeXml(call.caller.phone || '')}</small>`,
+      `${escapeXml(call.state || '')}${call.connected ? ` ${renderBadge('live', 'ok')}` : ''}`,
+      escapeXml(call.outcome),
+      escapeXml(formatDuration(call.durationSeconds)),
+      call.lastTool ? `${escapeXml(call.lastTool.toolName)} ${renderBadge(call.lastTool.ok ? 'ok' : call.lastTool.errorCode || 'failed', call.lastTool.ok ? 'ok' : 'bad')}` : ''
+    ]),
+    'No calls yet today.'
+  );
+}
+
+function renderBookings(snapshot) {
+  return renderTable(
+    ['Estimate', 'Customer', 'Technician', 'Calendar'],
+    snapshot.bookings.map((booking) => [
+      escapeXml(booking.startISO ? formatBookingLabel(booking.startISO, snapshot.timeZone) : ''),
+      `${escapeXml(booking.customer || 'Unknown caller')}<br><small>${escapeXml(booking.phone || '')}</small>`,
+      escapeXml(booking.technician || ''),
+      isCalendarLink(booking.htmlLink)
+        ? `<a href="${escapeXml(booking.htmlLink)}" target="_blank" rel="noopener noreferrer">Open event</a>`
+        : escapeXml(booking.calendarEventId || '')
+    ]),
+    'No estimates booked today.'
+  );
+}
+
+function renderFailedToolCalls(snapshot) {
+  return renderTable(
+    ['Time', 'Tool', 'Error', 'State', 'Call'],
+    snapshot.failedToolCalls.map((call) => [
+      escapeXml(formatTime(call.at, snapshot.timeZone)),
+      escapeXml(call.toolName),
+      renderBadge(call.errorCode || 'failed', 'bad'),
+      escapeXml(call.state || ''),
+      `<code>${escapeXml(call.callSid)}</code>`
+    ]),
+    'No failed tool calls today.'
+  );
+}
+
+function renderAlerts(snapshot) {
+  return renderTable(
+    ['Time', 'Event', 'Message', 'Delivery', 'Call'],
+    snapshot.alerts.map((alert) => [
+      escapeXml(formatTime(alert.at, snapshot.timeZone)),
+      escapeXml(alert.eventType),
+      escapeXml(alert.message),
+      renderBadge(alert.result, alert.result === 'sent' ? 'muted' : 'bad'),
+      `<code>${escapeXml(alert.callSid)}</code>`
+    ]),
+    'No critical alerts since the service started.'
+  );
+}
+
+function renderDashboardContent(snapshot) {
+  return [
+    `<p class="meta">${escapeXml(snapshot.date)} (${escapeXml(snapshot.timeZone)}). Updated ${escapeXml(formatTime(snapshot.generatedAt, snapshot.timeZone))}.</p>`,
+    `<section><h2>Deployment status</h2>\n${renderDeployments(snapshot)}</section>`,
+    `<section><h2>Today's calls (${snapshot.calls.length})</h2>\n${renderCalls(snapshot)}</section>`,
+    `<section><h2>Booked estimates (${snapshot.bookings.length})</h2>\n${renderBookings(snapshot)}</section>`,
+    `<section><h2>Failed tool calls (${snapshot.failedToolCalls.length})</h2>\n${renderFailedToolCalls(snapshot)}</section>`,
+    `<section><h2>Critical alerts (${snapshot.alerts.length})</h2>\n${renderAlerts(snapshot)}</section>`
+  ].join('\n');
+}
+
+function renderDashboardPage(snapshot) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Operator dashboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #1f2933; }
+  header { display: flex; align-items: baseline; gap: 1rem; }
+  h1 { font-size: 1.4rem; margin: 0; }
+  h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+  small, .meta, .empty { color: #616e7c; }
+  .badge { display: inline-block; padding: 0 0.4rem; border-radius: 0.6rem; font-size: 0.8rem; background: #e4e7eb; }
+  .badge.ok { background: #c6f7e2; }
+  .badge.warn { background: #fce588; }
+  .badge.bad { background: #ffbdbd; }
+</style>
+</head>
+<body>
+<header><h1>Operator dashboard</h1><span id="live-status" class="badge muted">connecting</span></header>
+<main id="dashboard">
+${renderDashboardContent(snapshot)}
+</main>
+<script>
+  (() => {
+    const status = document.getElementById('live-status');
+    const source = new EventSource('${DASHBOARD_EVENTS_PATH}');
+    source.addEventListener('update', (event) => {
+      document.getElementById('dashboard').innerHTML = JSON.parse(event.data).html;
+      status.textContent = 'live';
+      status.className = 'badge ok';
+    });
+    source.addEventListener('error', () => {
+      status.textContent = 'reconnecting';
+      status.className = 'badge warn';
+    });
+  })();
+</script>
+</body>
+</html>
+`;
+}
+
+function createDashboardStream({ loadSnapshot }) {
+  const clients = new Set();
+  let timer = null;
+  let refreshing = false;
+
+  async function push(targets) {
+    let html;
+    try {
+      html = renderDashboardContent(await loadSnapshot());
+    } catch (error) {
+      logger.error('[dashboard] Failed to build dashboard snapshot.', { message: error.message });
+      return;
+    }
+
+    const frame = `event: update\ndata: ${JSON.stringify({ html })}\n\n`;
+    for (const res of targets) {
+      res.write(frame);
+    }
+  }
+
+  async function refresh() {
+    if (refreshing) {
+      return;
+    }
+    refreshing = true;
+    try {
+      await push([...clients]);
+    } finally {
+      refreshing = false;
+    }
+  }
+
+  function handleRequest(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${getRefreshSeconds() * 1000}\n\n`);
+
+    clients.add(res);
+    req.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    });
+
+    if (!timer) {
+      // Start the shared timer outside this request's log context.
+      timer = logger.runWithLogContext({}, () => setInterval(refresh, getRefreshSeconds() * 1000));
+      timer.unref();
+    }
+    return push([res]);
+  }
+
+  return {
+    handleRequest,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  getTodayQueryStartIso,
+  describeOutcome,
+  buildDashboardSnapshot,
+  renderDashboardContent,
+  renderDashboardPage,
+  createDashboardStream
+};
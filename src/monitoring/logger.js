@@ -1,25 +1,107 @@
-function formatContext(context = {}) {
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redaction');
+
+const LOG_LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+});
+const DEFAULT_LOG_LEVEL = 'info';
+const CONSOLE_METHODS = Object.freeze({
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+});
+
+const contextStorage = new AsyncLocalStorage();
+
+function getLogLevel() {
+  const configured = String(process.env.LOG_LEVEL || '').trim().toLowerCase();
+  return LOG_LEVELS[configured] ? configured : DEFAULT_LOG_LEVEL;
+}
+
+function isLevelEnabled(level) {
+  return LOG_LEVELS[level] >= LOG_LEVELS[getLogLevel()];
+}
+
+function getLogContext() {
+  return { ...(contextStorage.getStore() || {}) };
+}
+
+function runWithLogContext(context, fn) {
+  return contextStorage.run(context, fn);
+}
+
+function addLogContext(fields = {}) {
+  const store = contextStorage.getStore();
+  if (!store) {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && value !== '') {
+      store[key] = value;
+    }
+  }
+}
+
+function bindLogContext(fn) {
+  return AsyncLocalStorage.bind(fn);
+}
+
+function buildEntry(level, message, context) {
+  const fields = context && typeof context === 'object' ? context : { context };
+  return redact({
+    ts: new Date().toISOString(),
+    level,
+    msg: String(message),
+    ...getLogContext(),
+    ...fields
+  });
+}
+
+function serialize(entry) {
   try {
-    return JSON.stringify(context);
+    return JSON.stringify(entry);
   } catch {
-    return JSON.stringify({ contextError: 'Unable to serialize log context.' });
+    return JSON.stringify({ ts: entry.ts, level: entry.level, msg: entry.msg, contextError: 'Unable to serialize log context.' });
   }
 }
 
+function write(level, message, context = {}) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  console[CONSOLE_METHODS[level]](serialize(buildEntry(level, message, context)));
+}
+
+function debug(message, context = {}) {
+  write('debug', message, context);
+}
+
 function info(message, context = {}) {
-  console.info(message, formatContext(context));
+  write('info', message, context);
 }
 
 function warn(message, context = {}) {
-  console.warn(message, formatContext(context));
+  write('warn', message, context);
 }
 
 function error(message, context = {}) {
-  console.error(message, formatContext(context));
+  write('error', message, context);
 }
 
 module.exports = {
+  LOG_LEVELS,
+  debug,
   info,
   warn,
-  error
+  error,
+  getLogContext,
+  runWithLogContext,
+  addLogContext,
+  bindLogContext
 };
@@ -0,0 +1,156 @@
+const METRIC_PREFIX = 'voice_bridge_';
+const DEFAULT_LATENCY_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const CALL_DURATION_BUCKETS = Object.freeze([15, 30, 60, 120, 180, 300, 600, 900, 1800]);
+const FIRST_AUDIO_BUCKETS = Object.freeze([0.25, 0.5, 1, 1.5, 2, 3, 5, 8, 13]);
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function normalizeLabels(labelNames, labels = {}) {
+  return labelNames.map((name) => {
+    const value = labels[name];
+    return value === undefined || value === null || value === '' ? 'none' : String(value);
+  });
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = labelNames.map((name, index) => [name, values[index]]).concat(extra);
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name: `${METRIC_PREFIX}${name}`,
+    help,
+    type: 'counter',
+    inc(labels, value = 1) {
+      const values = normalizeLabels(labelNames, labels);
+      const key = JSON.stringify(values);
+      series.set(key, { values, value: (series.get(key)?.value || 0) + value });
+    },
+    render() {
+      return [...series.values()].map((entry) => `${this.name}${formatLabels(labelNames, entry.values)} ${formatNumber(entry.value)}`);
+    }
+  });
+}
+
+function createGauge(name, help, labelNames = []) {
+  const series = new Map();
+  const add = (labels, delta) => {
+    const values = normalizeLabels(labelNames, labels);
+    const key = JSON.stringify(values);
+    series.set(key, { values, value: (series.get(key)?.value || 0) + delta });
+  };
+  return register({
+    name: `${METRIC_PREFIX}${name}`,
+    help,
+    type: 'gauge',
+    inc(labels, value = 1) {
+      add(labels, value);
+    },
+    dec(labels, value = 1) {
+      add(labels, -value);
+    },
+    render() {
+      const entries = series.size > 0 ? [...series.values()] : [{ values: normalizeLabels(labelNames), value: 0 }];
+      return entries.map((entry) => `${this.name}${formatLabels(labelNames, entry.values)} ${formatNumber(entry.value)}`);
+    }
+  });
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+  const series = new Map();
+  return register({
+    name: `${METRIC_PREFIX}${name}`,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      if (!Number.isFinite(value)) {
+        return;
+      }
+      const values = normalizeLabels(labelNames, labels);
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      return [...series.values()].flatMap((entry) => [
+        ...buckets.map((bound, index) => `${this.name}_bucket${formatLabels(labelNames, entry.values, [['le', formatNumber(bound)]])} ${entry.counts[index]}`),
+        `${this.name}_bucket${formatLabels(labelNames, entry.values, [['le', '+Inf']])} ${entry.count}`,
+        `${this.name}_sum${formatLabels(labelNames, entry.values)} ${formatNumber(entry.sum)}`,
+        `${this.name}_count${formatLabels(labelNames, entry.values)} ${entry.count}`
+      ]);
+    }
+  });
+}
+
+function renderMetrics() {
+  return `${[...registry.values()].flatMap((metric) => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.render()
+  ]).join('\n')}\n`;
+}
+
+function secondsSince(startMs, nowMs = Date.now()) {
+  return (nowMs - startMs) / 1000;
+}
+
+const activeCalls = createGauge('active_calls', 'Twilio media streams currently connected to a call.');
+const callDuration = createHistogram('call_duration_seconds', 'Call length from stream start to call end.', ['reason'], CALL_DURATION_BUCKETS);
+const firstAgentAudio = createHistogram('first_agent_audio_seconds', 'Time from stream start to the first agent audio sent to Twilio.', [], FIRST_AUDIO_BUCKETS);
+const toolDispatches = createCounter('tool_dispatch_total', 'Tool calls dispatched, by tool and error code.', ['tool_name', 'error_code']);
+const toolDispatchDuration = createHistogram('tool_dispatch_duration_seconds', 'Tool dispatch latency, by tool and error code.', ['tool_name', 'error_code']);
+const stateTransitions = createCounter('state_transitions_total', 'Call state machine transitions.', ['from', 'to']);
+const idempotencyLookups = createCounter('idempotency_total', 'Idempotent operations, by outcome (hit, set or bypass).', ['result']);
+const outboundRequestDuration = createHistogram(
+  'outbound_request_duration_seconds',
+  'Outbound provider request latency, by provider, method and status code.',
+  ['provider', 'method', 'status']
+);
+const alerts = createCounter('alerts_total', 'Critical owner alerts, by event type and outcome (sent, deduped or failed).', ['event_type', 'result']);
+
+module.exports = {
+  renderMetrics,
+  secondsSince,
+  activeCalls,
+  callDuration,
+  firstAgentAudio,
+  toolDispatches,
+  toolDispatchDuration,
+  stateTransitions,
+  idempotencyLookups,
+  outboundRequestDuration,
+  alerts
+};
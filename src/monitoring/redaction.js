@@ -0,0 +1,98 @@
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const SECRET_KEYS = Object.freeze([
+  'authorization',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'authtoken',
+  'streamtoken',
+  'apikey',
+  'secret',
+  'clientsecret',
+  'password',
+  'signature'
+]);
+const NAME_KEYS = Object.freeze(['name', 'firstname', 'lastname', 'fullname', 'callername', 'contactname', 'customername']);
+const ADDRESS_KEYS = Object.freeze(['address', 'street', 'street1', 'street2', 'servicestreet1', 'servicestreet2', 'location', 'whisper']);
+const PHONE_KEYS = Object.freeze(['phone', 'callerphone', 'phonee164', 'mobilephone', 'escalationphone', 'oncallphone']);
+
+const E164_PATTERN = /\+[1-9]\d{7,14}\b/g;
+const AUTH_HEADER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+const SECRET_VALUE_PATTERN = /\b(?:sk|rk|whsec|pat)[-_][A-Za-z0-9_-]{8,}|\bya29\.[A-Za-z0-9._-]+/g;
+const STREET_ADDRESS_PATTERN = /\b\d{1,6}\s+(?:[A-Za-z0-9.'-]+\s+){0,4}(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Ct|Court|Way|Pl|Place|Pkwy|Parkway|Hwy|Highway|Cir|Circle|Ter|Terrace|Trl|Trail)\b\.?/gi;
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length < 4) {
+    return REDACTED;
+  }
+  return `${String(value).trim().startsWith('+') ? '+' : ''}${'*'.repeat(Math.max(digits.length - 4, 1))}${digits.slice(-4)}`;
+}
+
+function redactString(value) {
+  return value
+    .replace(AUTH_HEADER_PATTERN, (_match, scheme) => `${scheme} ${REDACTED}`)
+    .replace(SECRET_VALUE_PATTERN, REDACTED)
+    .replace(STREET_ADDRESS_PATTERN, '[ADDRESS]')
+    .replace(E164_PATTERN, (match) => maskPhone(match));
+}
+
+function redactByKey(key, value) {
+  const normalized = normalizeKey(key);
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+    return { matched: false };
+  }
+  if (SECRET_KEYS.includes(normalized) || NAME_KEYS.includes(normalized) || ADDRESS_KEYS.includes(normalized)) {
+    return { matched: true, value: REDACTED };
+  }
+  if (PHONE_KEYS.includes(normalized) && (typeof value === 'string' || typeof value === 'number')) {
+    return { matched: true, value: maskPhone(value) };
+  }
+  return { matched: false };
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  seen.add(value);
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}) }, depth + 1, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => redact(entry, depth + 1, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+    const byKey = redactByKey(key, entry);
+    return [key, byKey.matched ? byKey.value : redact(entry, depth + 1, seen)];
+  }));
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  maskPhone
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const logger = require('./logger');
+
+const TRACING_EXPORTERS = Object.freeze(['none', 'otlp', 'file']);
+const DEFAULT_SERVICE_NAME = 'plumbing-voice-bridge';
+const DEFAULT_OTLP_ENDPOINT = 'http://localhost:4318';
+const DEFAULT_TRACE_FILE_PATH = './.data/traces.jsonl';
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const EXPORT_TIMEOUT_MS = 5000;
+const MAX_BATCH_SIZE = 200;
+const MAX_QUEUE_SIZE = 5000;
+const CALL_SPAN_MAX_MS = 2 * 60 * 60 * 1000;
+const SPAN_KINDS = Object.freeze({
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3
+});
+const STATUS_CODES = Object.freeze({
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+});
+
+const spanStorage = new AsyncLocalStorage();
+const callSpans = new Map();
+let queue = [];
+let flushTimer = null;
+let flushing = null;
+
+function getExporter() {
+  const configured = String(process.env.TRACING_EXPORTER || '').trim().toLowerCase();
+  return TRACING_EXPORTERS.includes(configured) ? configured : 'none';
+}
+
+function isTracingEnabled() {
+  return getExporter() !== 'none';
+}
+
+function getServiceName() {
+  return String(process.env.OTEL_SERVICE_NAME || '').trim() || DEFAULT_SERVICE_NAME;
+}
+
+function getOtlpTracesUrl() {
+  const tracesEndpoint = String(process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || '').trim();
+  if (tracesEndpoint) {
+    return tracesEndpoint;
+  }
+  const endpoint = String(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || '').trim() || DEFAULT_OTLP_ENDPOINT;
+  return `${endpoint.replace(/\/+$/, '')}/v1/traces`;
+}
+
+function getTraceFilePath() {
+  return path.resolve(String(process.env.TRACE_FILE_PATH || '').trim() || DEFAULT_TRACE_FILE_PATH);
+}
+
+function getFlushIntervalMs() {
+  const raw = Number(process.env.TRACE_FLUSH_INTERVAL_MS);
+  return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_FLUSH_INTERVAL_MS;
+}
+
+function nowUnixNano() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+function setSpanAttributes(span, attributes = {}) {
+  if (!span || span.ended) {
+    return;
+  }
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) {
+      span.attributes[key] = value;
+    }
+  }
+}
+
+function addSpanEvent(name, attributes = {}, span = spanStorage.getStore()) {
+  if (!span || span.ended) {
+    return;
+  }
+  span.events.push({ name, timeUnixNano: nowUnixNano(), attributes });
+}
+
+function getActiveSpan() {
+  return spanStorage.getStore() || null;
+}
+
+function startSpan(name, { callSid, kind = SPAN_KINDS.INTERNAL, attributes = {}, parent } = {}) {
+  if (!isTracingEnabled()) {
+    return null;
+  }
+
+  const spanCallSid = callSid || logger.getLogContext().callSid;
+  const parentSpan = parent !== undefined ? parent : spanStorage.getStore() || callSpans.get(spanCallSid)?.span || null;
+  const span = {
+    traceId: parentSpan ? parentSpan.traceId : crypto.randomBytes(16).toString('hex'),
+    spanId: crypto.randomBytes(8).toString('hex'),
+    parentSpanId: parentSpan ? parentSpan.spanId : null,
+    name,
+    kind,
+    startTimeUnixNano: nowUnixNano(),
+    endTimeUnixNano: null,
+    attributes: {},
+    events: [],
+    status: { code: STATUS_CODES.UNSET },
+    ended: false
+  };
+  setSpanAttributes(span, { 'call.sid': spanCallSid, ...attributes });
+  return span;
+}
+
+function endSpan(span, { error, attributes } = {}) {
+  if (!span || span.ended) {
+    return;
+  }
+
+  setSpanAttributes(span, attributes);
+  if (error) {
+    span.status = { code: STATUS_CODES.ERROR, message: error.message || String(error) };
+    addSpanEvent('exception', {
+      'exception.type': error.code || error.name || 'Error',
+      'exception.message': error.message || String(error)
+    }, span);
+  }
+  span.endTimeUnixNano = nowUnixNano();
+  span.ended = true;
+  enqueue(span);
+}
+
+function markSpanError(span, { code, message }) {
+  if (!span || span.ended) {
+    return;
+  }
+  span.status = { code: STATUS_CODES.ERROR, message: message || code };
+  setSpanAttributes(span, { 'error.type': code });
+}
+
+async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  if (!span) {
+    return fn(null);
+  }
+
+  try {
+    const result = await spanStorage.run(span, () => fn(span));
+    endSpan(span);
+    return result;
+  } catch (error) {
+    endSpan(span, { error });
+    throw error;
+  }
+}
+
+function startCallSpan(callSid, attributes = {}) {
+  if (!callSid || !isTracingEnabled()) {
+    return null;
+  }
+
+  const existing = callSpans.get(callSid);
+  if (existing) {
+    setSpanAttributes(existing.span, attributes);
+    return existing.span;
+  }
+
+  const span = startSpan('call', { callSid, kind: SPAN_KINDS.SERVER, attributes, parent: null });
+  const timer = setTimeout(() => endCallSpan(callSid, { reason: 'span_timeout' }), CALL_SPAN_MAX_MS);
+  timer.unref();
+  callSpans.set(callSid, { span, timer });
+  return span;
+}
+
+function getCallSpan(callSid) {
+  return callSpans.get(callSid)?.span || null;
+}
+
+function endCallSpan(callSid, { reason, attributes } = {}) {
+  const entry = callSpans.get(callSid);
+  if (!entry) {
+    return;
+  }
+
+  callSpans.delete(callSid);
+  clearTimeout(entry.timer);
+  endSpan(entry.span, { attributes: { 'call.end_reason': reason, ...attributes } });
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map((entry) => toAnyValue(entry)) } };
+  }
+  return { stringValue: String(value) };
+}
+
+function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: span.startTimeUnixNano.toString(),
+    endTimeUnixNano: span.endTimeUnixNano.toString(),
+    attributes: toOtlpAttributes(span.attributes),
+    events: span.events.map((event) => ({
+      name: event.name,
+      timeUnixNano: event.timeUnixNano.toString(),
+      attributes: toOtlpAttributes(event.attributes)
+    })),
+    status: span.status
+  };
+}
+
+function buildExportRequest(spans) {
+  return {
+    resourceSpans: [
+      {
+        resource: { attributes: toOtlpAttributes({ 'service.name': getServiceName() }) },
+        scopeSpans: [
+          {
+            scope: { name: DEFAULT_SERVICE_NAME },
+            spans: spans.map((span) => toOtlpSpan(span))
+          }
+        ]
+      }
+    ]
+  };
+}
+
+function enqueue(span) {
+  queue.push(span);
+  if (queue.length > MAX_QUEUE_SIZE) {
+    queue = queue.slice(-MAX_QUEUE_SIZE);
+  }
+
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flushTraces();
+    return;
+  }
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushTraces();
+    }, getFlushIntervalMs());
+    flushTimer.unref();
+  }
+}
+
+async function exportBatch(exporter, spans) {
+  const body = JSON.stringify(buildExportRequest(spans));
+  if (exporter === 'file') {
+    const filePath = getTraceFilePath();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${body}\n`);
+    return;
+  }
+
+  const response = await fetch(getOtlpTracesUrl(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+  });
+  await response.body?.cancel().catch(() => {});
+  if (!response.ok) {
+    throw Object.assign(new Error(`OTLP export failed with status ${response.status}`), { status: response.status });
+  }
+}
+
+async function drainQueue() {
+  while (queue.length > 0) {
+    const batch = queue.splice(0, MAX_BATCH_SIZE);
+    const exporter = getExporter();
+    if (exporter === 'none') {
+      continue;
+    }
+
+    try {
+      await exportBatch(exporter, batch);
+    } catch (error) {
+      logger.warn('[tracing] Span export failed. Dropping batch.', { exporter, spans: batch.length, error: error.message });
+    }
+  }
+}
+
+function flushTraces() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (!flushing) {
+    flushing = drainQueue().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+module.exports = {
+  SPAN_KINDS,
+  STATUS_CODES,
+  isTracingEnabled,
+  startSpan,
+  endSpan,
+  withSpan,
+  markSpanError,
+  setSpanAttributes,
+  addSpanEvent,
+  getActiveSpan,
+  startCallSpan,
+  getCallSpan,
+  endCallSpan,
+  buildExportRequest,
+  flushTraces
+};
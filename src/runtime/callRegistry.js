@@ -0,0 +1,41 @@
+const logger = require('../monitoring/logger');
+
+const connectedCalls = new Map();
+
+function registerCall(callSid, { streamSid, end }) {
+  connectedCalls.set(callSid, { streamSid, end, connectedAt: new Date().toISOString() });
+}
+
+function unregisterCall(callSid, end) {
+  if (connectedCalls.get(callSid)?.end === end) {
+    connectedCalls.delete(callSid);
+  }
+}
+
+function getConnectedCall(callSid) {
+  const entry = connectedCalls.get(callSid);
+  return entry ? { callSid, streamSid: entry.streamSid, connectedAt: entry.connectedAt } : null;
+}
+
+function listConnectedCalls() {
+  return [...connectedCalls.keys()].map((callSid) => getConnectedCall(callSid));
+}
+
+function endConnectedCall(callSid, reason) {
+  const entry = connectedCalls.get(callSid);
+  if (!entry) {
+    return false;
+  }
+
+  logger.warn('[calls] Ending connected call.', { callSid, streamSid: entry.streamSid, reason });
+  entry.end(reason);
+  return true;
+}
+
+module.exports = {
+  registerCall,
+  unregisterCall,
+  getConnectedCall,
+  listConnectedCalls,
+  endConnectedCall
+};
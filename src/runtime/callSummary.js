@@ -0,0 +1,223 @@
+const logger = require('../monitoring/logger');
+const tracing = require('../monitoring/tracing');
+const hubspotClient = require('../integrations/hubspotClient');
+const { resilientFetch, RETRY_POLICIES } = require('../integrations/resilience');
+const { buildIdempotencyKey, withIdempotency } = require('../governance/withIdempotency');
+const { getTranscript, clearTranscript, buildTranscriptRef } = require('./transcriptStore');
+const { DEFAULT_TENANT_ID, DEFAULT_OPENAI_SUMMARY_MODEL } = require('../config/constants');
+const { resolveBaseUrl, resolveOption } = require('../config/env');
+
+const DEFAULT_OPENAI_API_BASE_URL = 'https://api.openai.com/v1';
+const SUMMARY_TIMEOUT_MS = 15 * 1000;
+const MAX_TRANSCRIPT_CHARS = 12000;
+const URGENCY_LEVELS = Object.freeze(['emergency', 'urgent', 'routine', 'unknown']);
+
+const SUMMARY_INSTRUCTIONS = [
+  'You summarize plumbing service calls for a dispatcher.',
+  'Respond with a JSON object with exactly these string keys:',
+  '"problem" (one sentence), "urgency" (one of emergency, urgent, routine, unknown),',
+  '"access_notes" (gate codes, pets, parking, or "none mentioned"), "outcome" (one sentence).',
+  'Use only facts from the call. Do not invent details.'
+].join(' ');
+
+function describeOutcome(session) {
+  if (session?.state === 'ESCALATED' || session?.escalation) {
+    return 'Call escalated to a human.';
+  }
+
+  if (session?.booking?.startISO) {
+    const sms = session.state === 'CONFIRMED_SMS_SENT' ? ' Confirmation SMS sent.' : '';
+    return `Estimate booked for ${session.booking.startISO}.${sms}`;
+  }
+
+  if (session?.problem?.problem_summary) {
+    return 'Problem captured; no estimate booked.';
+  }
+
+  return 'Call ended before the problem was captured.';
+}
+
+function buildDeterministicSummary(session) {
+  return {
+    problem: session?.problem?.problem_summary || 'Not captured.',
+    urgency: session?.emergency?.urgency || 'unknown',
+    access_notes: 'none mentioned',
+    outcome: describeOutcome(session),
+    source: 'deterministic'
+  };
+}
+
+function formatTranscriptForModel(entries) {
+  const lines = entries.map((entry) => `${entry.role}: ${entry.text}`);
+  const joined = lines.join('\n');
+  return joined.length > MAX_TRANSCRIPT_CHARS ? joined.slice(joined.length - MAX_TRANSCRIPT_CHARS) : joined;
+}
+
+function normalizeModelSummary(raw, session) {
+  const fallback = buildDeterministicSummary(session);
+  const urgency = String(raw?.urgency || '').trim().toLowerCase();
+
+  return {
+    problem: String(raw?.problem || '').trim() || fallback.problem,
+    urgency: URGENCY_LEVELS.includes(urgency) ? urgency : 'unknown',
+    access_notes: String(raw?.access_notes || '').trim() || fallback.access_notes,
+    outcome: String(raw?.outcome || '').trim() || fallback.outcome,
+    source: 'model'
+  };
+}
+
+function formatSummaryNote(summary, transcriptRef) {
+  return [
+    'Post-call summary',
+    `Problem: ${summary.problem}`,
+    `Urgency: ${summary.urgency}`,
+    `Access notes: ${summary.access_notes}`,
+    `Outcome: ${summary.outcome}`,
+    `TranscriptRef: ${transcriptRef}`,
+    `Summary source: ${summary.source}`
+  ].join('\n');
+}
+
+function createCallSummarizer(options = {}) {
+  const fetchImpl = (...args) => (options.fetch || fetch)(...args);
+  // A summary request has no side effects, so it is safe to repeat after any failure.
+  const requestWithRetry = (url, init) => resilientFetch({
+    provider: 'openai',
+    url,
+    init,
+    retryPolicy: RETRY_POLICIES.ALWAYS,
+    fetch: fetchImpl,
+    clock: options.clock || Date.now
+  });
+
+  function generateModelSummary({ session, entries }) {
+    return tracing.withSpan('generateModelSummary', {
+      kind: tracing.SPAN_KINDS.CLIENT,
+      attributes: { 'peer.service': 'openai', 'http.request.method': 'POST' }
+    }, () => requestModelSummary({ session, entries }));
+  }
+
+  async function requestModelSummary({ session, entries }) {
+    const apiKey = resolveOption(options.apiKey, 'OPENAI_API_KEY');
+    if (!apiKey) {
+      throw Object.assign(new Error('OPENAI_API_KEY is not configured'), { code: 'openai_not_configured' });
+    }
+
+    const known = {
+      contact: session?.contact || null,
+      address: session?.address || null,
+      problem: session?.problem || null,
+      booking: session?.booking ? { startISO: session.booking.startISO, endISO: session.booking.endISO } : null,
+      finalState: session?.state || null
+    };
+
+    const response = await requestWithRetry(`${resolveBaseUrl('OPENAI_API_BASE_URL', DEFAULT_OPENAI_API_BASE_URL, options.baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: process.env.OPENAI_SUMMARY_MODEL || DEFAULT_OPENAI_SUMMARY_MODEL,
+        response_format: { type: 'json_object' },
+        temperature: 0,
+        messages: [
+          { role: 'system', content: SUMMARY_INSTRUCTIONS },
+          {
+            role: 'user',
+            content: `Captured fields: ${JSON.stringify(known)}\n\nTranscript:\n${formatTranscriptForModel(entries)}`
+          }
+        ]
+      }),
+      signal: AbortSignal.timeout(SUMMARY_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      const raw = await response.text();
+      throw Object.assign(new Error(`OpenAI summary request failed (${response.status}): ${raw.slice(0, 250)}`), {
+        code: 'openai_summary_failed',
+        status: response.status
+      });
+    }
+
+    const json = await response.json();
+    const content = json?.choices?.[0]?.message?.content || '';
+    return normalizeModelSummary(JSON.parse(content), session);
+  }
+
+  async function generateCallSummary({ callSid, session }) {
+    const entries = getTranscript(callSid);
+    if (entries.length === 0) {
+      return buildDeterministicSummary(session);
+    }
+
+    try {
+      return await generateModelSummary({ session, entries });
+    } catch (error) {
+      logger.warn('[summary] Model summary unavailable. Using deterministic summary.', {
+        callSid,
+        errorCode: error.code || null,
+        message: error.message
+      });
+      return buildDeterministicSummary(session);
+    }
+  }
+
+  async function logPostCallSummary({ callSid, session }) {
+    try {
+      return await writePostCallSummary({ callSid, session });
+    } finally {
+      clearTranscript(callSid);
+    }
+  }
+
+  async function writePostCallSummary({ callSid, session }) {
+    const { contactId, dealId } = session?.hubspot || {};
+    if (session?.hubspot?.crmReady !== true || !contactId || !dealId) {
+      return { ok: false, skipped: true, reason: 'crm_not_ready' };
+    }
+
+    const tenant = session.tenant?.id || DEFAULT_TENANT_ID;
+    const key = buildIdempotencyKey({
+      tenant,
+      callSid,
+      operation: 'hubspot_post_call_summary',
+      inputs: { callSid, dealId }
+    });
+
+    return withIdempotency({
+      key,
+      loggerContext: { callSid, operation: 'hubspot_post_call_summary' },
+      fn: async () => {
+        const summary = await generateCallSummary({ callSid, session });
+        const transcriptRef = buildTranscriptRef(callSid);
+
+        await hubspotClient.logEngagement(dealId, contactId, {
+          callSid,
+          noteBody: formatSummaryNote(summary, transcriptRef),
+          tenant
+        });
+
+        return {
+          ok: true,
+          dealId,
+          source: summary.source,
+          urgency: summary.urgency
+        };
+      }
+    });
+  }
+
+  return {
+    generateCallSummary,
+    logPostCallSummary
+  };
+}
+
+module.exports = {
+  URGENCY_LEVELS,
+  buildDeterministicSummary,
+  formatSummaryNote,
+  createCallSummarizer,
+  ...createCallSummarizer()
+};
@@ -0,0 +1,129 @@
+const logger = require('../monitoring/logger');
+const hubspotClient = require('../integrations/hubspotClient');
+const calendarClient = require('../integrations/calendarClient');
+const { normalizeE164 } = require('../governance/deploymentGate');
+
+const ADDRESS_FIELDS = Object.freeze([
+  'service_street_1',
+  'service_city',
+  'service_state',
+  'service_postal_code'
+]);
+
+function isCallerRecognitionEnabled() {
+  return String(process.env.CALLER_RECOGNITION_ENABLED || 'true').trim().toLowerCase() === 'true';
+}
+
+function trimmedOrNull(value) {
+  const trimmed = String(value || '').trim();
+  return trimmed || null;
+}
+
+function parseConsent(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (normalized === 'true') {
+    return true;
+  }
+  if (normalized === 'false') {
+    return false;
+  }
+  return null;
+}
+
+function buildCallerContext(contact, { nowISO } = {}) {
+  const properties = contact.properties || {};
+  const nowMs = Date.parse(nowISO || new Date().toISOString());
+  const hasAddress = ADDRESS_FIELDS.every((field) => trimmedOrNull(properties[field]));
+  const openDeals = contact.openDeals || [];
+
+  return {
+    contactId: String(contact.id),
+    firstname: trimmedOrNull(properties.firstname),
+    lastname: trimmedOrNull(properties.lastname),
+    address: hasAddress
+      ? Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, properties[field].trim()]))
+      : null,
+    consent: {
+      consent: parseConsent(properties.sms_customer_consent),
+      consentTsISO: properties.sms_customer_consent_ts || null
+    },
+    openDeals,
+    upcomingBooking: openDeals.find((deal) => deal.calendarEventId && Date.parse(deal.startISO) > nowMs) || null
+  };
+}
+
+async function lookupCallerContext({ callSid, callerPhone }) {
+  const phone = normalizeE164(callerPhone);
+  if (!phone) {
+    return null;
+  }
+
+  const contact = await hubspotClient.findContactByPhone(phone, { includeOpenDeals: true });
+  if (!contact) {
+    logger.info('[caller] No existing contact for caller.', { callSid });
+    return null;
+  }
+
+  const callerContext = buildCallerContext(contact);
+  logger.info('[caller] Returning caller recognized.', {
+    callSid,
+    contactId: callerContext.contactId,
+    hasName: Boolean(callerContext.firstname && callerContext.lastname),
+    hasAddress: Boolean(callerContext.address),
+    openDeals: callerContext.openDeals.length,
+    hasUpcomingBooking: Boolean(callerContext.upcomingBooking)
+  });
+  return callerContext;
+}
+
+function describeConsent(consent) {
+  if (consent?.consent === true) {
+    return 'yes';
+  }
+  if (consent?.consent === false) {
+    return 'no';
+  }
+  return 'unknown';
+}
+
+function buildReturningCallerInstructions(callerContext, timeZone) {
+  if (!callerContext) {
+    return '';
+  }
+
+  const { firstname, lastname, address, consent, openDeals, upcomingBooking } = callerContext;
+  const lines = ['Returning customer context (from the CRM; confirm with the caller before relying on it):'];
+
+  if (firstname && lastname) {
+    lines.push(`- Name on file: ${firstname} ${lastname}.`);
+  }
+  if (address) {
+    lines.push(`- Service address on file: ${address.service_street_1}, ${address.service_city}, ${address.service_state} ${address.service_postal_code}.`);
+  }
+  lines.push(`- SMS consent on file: ${describeConsent(consent)}.`);
+  if (upcomingBooking) {
+    lines.push(`- Upcoming estimate: ${calendarClient.formatBookingLabel(upcomingBooking.startISO, timeZone)} (${timeZone}).`);
+  }
+  if (openDeals.length > 0) {
+    lines.push(`- Open requests on file: ${openDeals.length}.`);
+  }
+
+  if (firstname && lastname) {
+    lines.push('- Greet the caller by first name and ask them to confirm the name on file. If they confirm, call capture_identity with confirm_existing=true instead of collecting it again.');
+  }
+  if (address) {
+    lines.push('- Read back the service address on file. If they confirm it is still correct, call confirm_address with confirm_existing=true. If anything changed, collect the new details as usual.');
+  }
+  if (upcomingBooking) {
+    lines.push('- If they are calling about the upcoming estimate, use reschedule_estimate or cancel_estimate.');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  isCallerRecognitionEnabled,
+  buildCallerContext,
+  lookupCallerContext,
+  buildReturningCallerInstructions
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const logger = require('../monitoring/logger');
+
+const JOB_STATUSES = Object.freeze(['pending', 'running', 'done', 'failed', 'cancelled', 'skipped']);
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+const handlers = new Map();
+let workerHandle;
+let workerRunning = false;
+
+let db;
+let insertStmt;
+let selectDueStmt;
+let claimStmt;
+let completeStmt;
+let retryStmt;
+let cancelGroupStmt;
+let recoverRunningStmt;
+let selectByIdStmt;
+
+async function initJobScheduler(dbPath) {
+  if (!dbPath || !String(dbPath).trim()) {
+    throw new Error('JOB_DB_PATH must be set when the job scheduler is enabled.');
+  }
+
+  const resolvedPath = path.resolve(String(dbPath));
+  const directory = path.dirname(resolvedPath);
+  fs.mkdirSync(directory, { recursive: true });
+
+  db = new DatabaseSync(resolvedPath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      dedupe_key TEXT NOT NULL UNIQUE,
+      group_key TEXT,
+      run_at TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      payload_json TEXT NOT NULL,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS jobs_status_run_at ON jobs (status, run_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS jobs_group_key ON jobs (group_key, status)');
+
+  insertStmt = db.prepare(`
+    INSERT INTO jobs (type, dedupe_key, group_key, run_at, status, attempts, payload_json, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+    ON CONFLICT(dedupe_key) DO UPDATE SET
+      status = 'pending',
+      attempts = 0,
+      run_at = excluded.run_at,
+      payload_json = excluded.payload_json,
+      last_error = NULL,
+      updated_at = excluded.updated_at
+    WHERE jobs.status = 'cancelled'
+    RETURNING id
+  `);
+  selectDueStmt = db.prepare("SELECT * FROM jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at ASC LIMIT ?");
+  claimStmt = db.prepare("UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'");
+  completeStmt = db.prepare('UPDATE jobs SET status = ?, last_error = ?, updated_at = ? WHERE id = ?');
+  retryStmt = db.prepare("UPDATE jobs SET status = 'pending', run_at = ?, last_error = ?, updated_at = ? WHERE id = ?");
+  cancelGroupStmt = db.prepare("UPDATE jobs SET status = 'cancelled', updated_at = ? WHERE group_key = ? AND type = ? AND status = 'pending'");
+  recoverRunningStmt = db.prepare("UPDATE jobs SET status = 'pending', updated_at = ? WHERE status = 'running'");
+  selectByIdStmt = db.prepare('SELECT * FROM jobs WHERE id = ?');
+
+  const recovered = recoverRunningStmt.run(nowIso()).changes;
+  if (recovered > 0) {
+    logger.warn('[jobs] Re-queued jobs left running by a previous process.', { recovered });
+  }
+
+  return { dbPath: resolvedPath };
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isJobSchedulerReady() {
+  return Boolean(db);
+}
+
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    dedupeKey: row.dedupe_key,
+    groupKey: row.group_key || null,
+    runAt: row.run_at,
+    status: row.status,
+    attempts: row.attempts,
+    payload: JSON.parse(row.payload_json),
+    lastError: row.last_error || null
+  };
+}
+
+function scheduleJob({ type, runAtISO, payload, dedupeKey, groupKey = null }) {
+  if (!db) {
+    logger.warn('[jobs] Job scheduler is not initialized. Job dropped.', { type, dedupeKey });
+    return null;
+  }
+
+  const now = nowIso();
+  const row = insertStmt.get(type, dedupeKey, groupKey, runAtISO, JSON.stringify(payload || {}), now, now);
+  if (!row) {
+    logger.info('[jobs] Job already scheduled.', { type, dedupeKey });
+    return { scheduled: false, duplicate: true };
+  }
+
+  logger.info('[jobs] Job scheduled.', {
+    id: row.id,
+    type,
+    dedupeKey,
+    runAt: runAtISO
+  });
+  return { scheduled: true, id: row.id, runAt: runAtISO };
+}
+
+function cancelJobs({ type, groupKey }) {
+  if (!db || !groupKey) {
+    return 0;
+  }
+
+  const cancelled = cancelGroupStmt.run(nowIso(), groupKey, type).changes;
+  if (cancelled > 0) {
+    logger.info('[jobs] Pending jobs cancelled.', { type, groupKey, cancelled });
+  }
+  return cancelled;
+}
+
+function getJob(id) {
+  if (!db) {
+    return null;
+  }
+
+  const row = selectByIdStmt.get(id);
+  return row ? rowToJob(row) : null;
+}
+
+function getMaxAttempts() {
+  const raw = Number(process.env.JOB_MAX_ATTEMPTS);
+  if (!Number.isInteger(raw) || raw <= 0) {
+    return DEFAULT_MAX_ATTEMPTS;
+  }
+  return raw;
+}
+
+async function runJob(row) {
+  const claimed = claimStmt.run(nowIso(), row.id).changes === 1;
+  if (!claimed) {
+    return;
+  }
+
+  const job = rowToJob({ ...row, attempts: row.attempts + 1 });
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    completeStmt.run('failed', `No handler registered for ${job.type}`, nowIso(), job.id);
+    logger.error('[jobs] No handler registered for job type.', { id: job.id, type: job.type });
+    return;
+  }
+
+  try {
+    const outcome = await handler(job);
+    const status = outcome?.skipped ? 'skipped' : 'done';
+    completeStmt.run(status, outcome?.reason || null, nowIso(), job.id);
+    logger.info('[jobs] Job finished.', { id: job.id, type: job.type, status, reason: outcome?.reason || null });
+  } catch (error) {
+    const maxAttempts = getMaxAttempts();
+    if (job.attempts < maxAttempts) {
+      const retryAt = new Date(Date.now() + RETRY_BACKOFF_MS * job.attempts).toISOString();
+      retryStmt.run(retryAt, error.message, nowIso(), job.id);
+      logger.warn('[jobs] Job failed. Retry scheduled.', {
+        id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        retryAt,
+        errorCode: error.code || null,
+        message: error.message
+      });
+      return;
+    }
+
+    completeStmt.run('failed', error.message, nowIso(), job.id);
+    logger.error('[jobs] Job failed permanently.', {
+      id: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      errorCode: error.code || null,
+      message: error.message
+    });
+  }
+}
+
+async function runDueJobs() {
+  if (!db || workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  try {
+    for (const row of selectDueStmt.all(nowIso(), BATCH_SIZE)) {
+      await logger.runWithLogContext({ jobId: row.id, jobType: row.type }, () => runJob(row));
+    }
+  } catch (error) {
+    logger.error('[jobs] Job worker tick failed.', { error: error.message });
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startJobWorker() {
+  if (workerHandle) {
+    return workerHandle;
+  }
+
+  const configured = Number(process.env.JOB_POLL_INTERVAL_SECONDS);
+  const intervalMs = Number.isFinite(configured) && configured > 0 ? configured * 1000 : DEFAULT_POLL_INTERVAL_MS;
+
+  workerHandle = setInterval(runDueJobs, intervalMs);
+  if (typeof workerHandle.unref === 'function') {
+    workerHandle.unref();
+  }
+  logger.info('[jobs] Worker started.', {
+    intervalSeconds: intervalMs / 1000,
+    handlers: [...handlers.keys()]
+  });
+  return workerHandle;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  initJobScheduler,
+  isJobSchedulerReady,
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  getJob,
+  runDueJobs,
+  startJobWorker
+};
@@ -0,0 +1,125 @@
+const TAG_PATTERN = /\{\{\s*([#/>]?)\s*([^{}]*?)\s*\}\}/g;
+const STANDALONE_BLOCK_TAG_PATTERN = /^[ \t]*(\{\{\s*(?:#if\s+[^{}]+?|else|\/if)\s*\}\})[ \t]*\r?\n/gm;
+const MAX_INCLUDE_DEPTH = 5;
+
+function invalidTemplate(message, details) {
+  return Object.assign(new Error(`Invalid prompt template: ${message}`), {
+    code: 'invalid_prompt_template',
+    details
+  });
+}
+
+function parseTemplate(template, source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const normalized = String(template).replace(STANDALONE_BLOCK_TAG_PATTERN, '$1');
+  let cursor = 0;
+
+  for (const match of normalized.matchAll(TAG_PATTERN)) {
+    const [raw, sigil, expression] = match;
+    const current = stack[stack.length - 1];
+    const target = current.type === 'if' && current.inElse ? current.alternate : (current.consequent || current.children);
+
+    if (match.index > cursor) {
+      target.push({ type: 'text', value: normalized.slice(cursor, match.index) });
+    }
+    cursor = match.index + raw.length;
+
+    if (sigil === '#') {
+      const [keyword, name, ...rest] = expression.split(/\s+/);
+      if (keyword !== 'if' || !name || rest.length > 0) {
+        throw invalidTemplate(`unsupported block "${raw}"`, { source, tag: raw });
+      }
+      const node = { type: 'if', name, consequent: [], alternate: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (expression !== 'if' || current.type !== 'if') {
+        throw invalidTemplate(`unexpected "${raw}"`, { source, tag: raw });
+      }
+      stack.pop();
+    } else if (sigil === '>') {
+      if (!expression) {
+        throw invalidTemplate('include requires a name', { source, tag: raw });
+      }
+      target.push({ type: 'include', name: expression });
+    } else if (expression === 'else') {
+      if (current.type !== 'if' || current.inElse) {
+        throw invalidTemplate('unexpected "{{else}}"', { source, tag: raw });
+      }
+      current.inElse = true;
+    } else {
+      target.push({ type: 'variable', name: expression });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw invalidTemplate(`unclosed "{{#if ${stack[stack.length - 1].name}}}"`, { source });
+  }
+
+  if (cursor < normalized.length) {
+    root.children.push({ type: 'text', value: normalized.slice(cursor) });
+  }
+
+  return root;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function renderNodes(nodes, context) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    if (node.type === 'variable') {
+      if (!Object.prototype.hasOwnProperty.call(context.variables, node.name)) {
+        context.missing.add(node.name);
+        return '';
+      }
+      const value = context.variables[node.name];
+      return value == null || value === false ? '' : String(value);
+    }
+
+    if (node.type === 'if') {
+      return renderNodes(isTruthy(context.variables[node.name]) ? node.consequent : node.alternate, context);
+    }
+
+    if (context.includeStack.length >= MAX_INCLUDE_DEPTH || context.includeStack.includes(node.name)) {
+      throw invalidTemplate(`include cycle or depth limit at "${node.name}"`, { includeStack: [...context.includeStack, node.name] });
+    }
+    if (typeof context.resolveInclude !== 'function') {
+      throw invalidTemplate(`include "${node.name}" is not available`, { include: node.name });
+    }
+
+    const included = parseTemplate(context.resolveInclude(node.name), node.name);
+    context.includeStack.push(node.name);
+    const rendered = renderNodes(included.children, context);
+    context.includeStack.pop();
+    return rendered.replace(/\r?\n$/, '');
+  }).join('');
+}
+
+function renderPromptTemplate(template, variables = {}, { resolveInclude, source = 'inline' } = {}) {
+  const context = {
+    variables,
+    resolveInclude,
+    includeStack: [],
+    missing: new Set()
+  };
+
+  const text = renderNodes(parseTemplate(template, source).children, context)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text, missingVariables: [...context.missing] };
+}
+
+module.exports = {
+  renderPromptTemplate
+};
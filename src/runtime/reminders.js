@@ -0,0 +1,122 @@
+const logger = require('../monitoring/logger');
+const hubspotClient = require('../integrations/hubspotClient');
+const calendarClient = require('../integrations/calendarClient');
+const twilioSms = require('../integrations/twilioSms');
+const { buildIdempotencyKey, withIdempotency } = require('../governance/withIdempotency');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobScheduler');
+
+const REMINDER_JOB_TYPE = 'booking_reminder_sms';
+const DEFAULT_REMINDER_LEAD_HOURS = 24;
+
+function isRemindersEnabled() {
+  return String(process.env.REMINDERS_ENABLED || 'true').trim().toLowerCase() === 'true';
+}
+
+function getReminderLeadHours() {
+  const raw = Number(process.env.REMINDER_LEAD_HOURS);
+  if (!Number.isFinite(raw) || raw <= 0) {
+    return DEFAULT_REMINDER_LEAD_HOURS;
+  }
+  return raw;
+}
+
+function reminderGroupKey(dealId) {
+  return `deal:${dealId}`;
+}
+
+function cancelBookingReminders(dealId) {
+  return cancelJobs({ type: REMINDER_JOB_TYPE, groupKey: reminderGroupKey(dealId) });
+}
+
+function scheduleBookingReminder({ callSid, tenant, contactId, dealId, phone, booking }) {
+  if (!isRemindersEnabled()) {
+    return { scheduled: false, reason: 'reminders_disabled' };
+  }
+
+  cancelBookingReminders(dealId);
+
+  const leadHours = getReminderLeadHours();
+  const runAtMs = Date.parse(booking.startISO) - leadHours * 60 * 60 * 1000;
+  if (!Number.isFinite(runAtMs) || runAtMs <= Date.now()) {
+    logger.info('[reminders] Booking starts within the reminder lead time. No reminder scheduled.', {
+      callSid,
+      dealId,
+      startISO: booking.startISO,
+      leadHours
+    });
+    return { scheduled: false, reason: 'inside_lead_time' };
+  }
+
+  return scheduleJob({
+    type: REMINDER_JOB_TYPE,
+    runAtISO: new Date(runAtMs).toISOString(),
+    dedupeKey: `reminder:${tenant.id}:${dealId}:${booking.startISO}`,
+    groupKey: reminderGroupKey(dealId),
+    payload: {
+      callSid,
+      tenantId: tenant.id,
+      companyName: tenant.companyName,
+      timeZone: tenant.timezone,
+      contactId,
+      dealId,
+      phone,
+      startISO: booking.startISO
+    }
+  });
+}
+
+async function sendBookingReminder(job) {
+  const { callSid, tenantId, companyName, timeZone, contactId, dealId, startISO } = job.payload;
+
+  const deal = await hubspotClient.getDealBooking(dealId);
+  if (deal.properties.estimate_start_iso !== startISO) {
+    return { skipped: true, reason: 'booking_changed' };
+  }
+
+  const contact = await hubspotClient.getContactById(contactId);
+  const consent = String(contact.properties.sms_customer_consent || '').toLowerCase() === 'true';
+  if (!consent || !contact.properties.sms_customer_consent_ts) {
+    return { skipped: true, reason: 'sms_consent_required' };
+  }
+
+  const to = contact.properties.phone || job.payload.phone;
+  if (!to) {
+    return { skipped: true, reason: 'missing_phone' };
+  }
+
+  const label = calendarClient.formatBookingLabel(startISO, timeZone);
+  const body = `Reminder: your estimate with ${companyName} is scheduled for ${label} (${timeZone}). Reply YES to confirm or call us if you need to reschedule.`;
+
+  const key = buildIdempotencyKey({
+    tenant: tenantId,
+    callSid,
+    operation: 'twilio_send_reminder_sms',
+    inputs: { to, dealId, startISO }
+  });
+
+  const smsResult = await withIdempotency({
+    key,
+    loggerContext: { callSid, operation: 'twilio_send_reminder_sms' },
+    fn: async () => twilioSms.sendSms({ to, body })
+  });
+
+  await hubspotClient.logEngagement(dealId, contactId, {
+    callSid,
+    noteBody: `Reminder SMS sent (${smsResult.messageSid}) for booked time ${label}.`,
+    tenant: tenantId
+  });
+
+  return { skipped: false, messageSid: smsResult.messageSid };
+}
+
+function registerReminderJobs() {
+  registerJobHandler(REMINDER_JOB_TYPE, sendBookingReminder);
+}
+
+module.exports = {
+  REMINDER_JOB_TYPE,
+  scheduleBookingReminder,
+  cancelBookingReminders,
+  sendBookingReminder,
+  registerReminderJobs
+};
@@ -1,10 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
 const logger = require('../monitoring/logger');
 
 const sessions = new Map();
+const lastPersistedAtMs = new Map();
 const DEFAULT_TTL_MINUTES = 30;
 const JANITOR_INTERVAL_MS = 60 * 1000;
+const TOUCH_PERSIST_INTERVAL_MS = 15 * 1000;
 let janitorHandle;
 
+let db;
+let upsertStmt;
+let selectByCallSidStmt;
+let selectStaleActiveStmt;
+let archiveStmt;
+let selectRecentEndedStmt;
+let selectCreatedSinceStmt;
+
+async function initSessionStore(dbPath) {
+  if (!dbPath || !String(dbPath).trim()) {
+    throw new Error('SESSION_DB_PATH must be set when session persistence is enabled.');
+  }
+
+  const resolvedPath = path.resolve(String(dbPath));
+  const directory = path.dirname(resolvedPath);
+  fs.mkdirSync(directory, { recursive: true });
+
+  db = new DatabaseSync(resolvedPath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      call_sid TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      session_json TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      ended_at TEXT,
+      end_reason TEXT
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_status_last_seen ON sessions (status, last_seen_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_created_at ON sessions (created_at)');
+
+  upsertStmt = db.prepare(`
+    INSERT INTO sessions (call_sid, status, session_json, created_at, updated_at, last_seen_at, ended_at, end_reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(call_sid) DO UPDATE SET
+      status = excluded.status,
+      session_json = excluded.session_json,
+      updated_at = excluded.updated_at,
+      last_seen_at = excluded.last_seen_at,
+      ended_at = excluded.ended_at,
+      end_reason = excluded.end_reason
+  `);
+  selectByCallSidStmt = db.prepare('SELECT * FROM sessions WHERE call_sid = ?');
+  selectStaleActiveStmt = db.prepare("SELECT * FROM sessions WHERE status = 'active' AND last_seen_at < ?");
+  archiveStmt = db.prepare('UPDATE sessions SET status = ?, ended_at = ?, end_reason = ? WHERE call_sid = ?');
+  selectRecentEndedStmt = db.prepare("SELECT * FROM sessions WHERE status != 'active' ORDER BY ended_at DESC LIMIT ?");
+  selectCreatedSinceStmt = db.prepare('SELECT * FROM sessions WHERE created_at >= ? ORDER BY created_at DESC');
+
+  return { dbPath: resolvedPath };
+}
+
 function getTtlMinutes() {
   const raw = Number(process.env.SESSION_TTL_MINUTES);
   if (!Number.isFinite(raw) || raw <= 0) {
@@ -17,8 +75,73 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+function persistSession(session, { status = 'active', endedAt = null, endReason = null } = {}) {
+  if (!db) {
+    return;
+  }
+
+  try {
+    upsertStmt.run(
+      session.callSid,
+      status,
+      JSON.stringify(session),
+      session.createdAt,
+      session.updatedAt,
+      session.lastSeenAt,
+      endedAt,
+      endReason
+    );
+    lastPersistedAtMs.set(session.callSid, Date.now());
+  } catch (error) {
+    logger.error('[session] Failed to persist session.', {
+      callSid: session.callSid,
+      status,
+      error: error.message
+    });
+  }
+}
+
+function rowToRecord(row) {
+  return {
+    ...JSON.parse(row.session_json),
+    status: row.status,
+    endedAt: row.ended_at || null,
+    endReason: row.end_reason || null
+  };
+}
+
+function loadActiveSession(callSid) {
+  if (!db) {
+    return undefined;
+  }
+
+  const row = selectByCallSidStmt.get(callSid);
+  if (!row || row.status !== 'active') {
+    return undefined;
+  }
+
+  const session = JSON.parse(row.session_json);
+  sessions.set(callSid, session);
+  lastPersistedAtMs.set(callSid, Date.now());
+  logger.info('[session] Session resumed from store.', {
+    callSid,
+    streamSid: session.streamSid,
+    state: session.state,
+    lastSeenAt: session.lastSeenAt
+  });
+  return session;
+}
+
 function createSession(callSid, streamSid, callerPhone) {
   const now = nowIso();
+  const existing = sessions.get(callSid) || loadActiveSession(callSid);
+  if (existing) {
+    existing.streamSid = streamSid;
+    existing.lastSeenAt = now;
+    persistSession(existing);
+    return existing;
+  }
+
   const session = {
     callSid,
     streamSid,
@@ -31,26 +154,75 @@ function createSession(callSid, streamSid, callerPhone) {
   };
 
   sessions.set(callSid, session);
+  persistSession(session);
   return session;
 }
 
 function getSession(callSid) {
-  return sessions.get(callSid);
+  return sessions.get(callSid) || loadActiveSession(callSid);
+}
+
+function getSessionRecord(callSid) {
+  const active = sessions.get(callSid);
+  if (active) {
+    return { ...active, status: 'active', endedAt: null, endReason: null };
+  }
+
+  if (!db) {
+    return null;
+  }
+
+  const row = selectByCallSidStmt.get(callSid);
+  return row ? rowToRecord(row) : null;
+}
+
+function listActiveSessions() {
+  return [...sessions.values()].map((session) => ({ ...session, status: 'active', endedAt: null, endReason: null }));
+}
+
+function listRecentSessions(limit) {
+  if (!db) {
+    return [];
+  }
+
+  return selectRecentEndedStmt.all(limit).map((row) => rowToRecord(row));
+}
+
+function listSessionsCreatedSince(sinceIso) {
+  const records = new Map();
+  if (db) {
+    for (const row of selectCreatedSinceStmt.all(sinceIso)) {
+      records.set(row.call_sid, rowToRecord(row));
+    }
+  }
+  for (const record of listActiveSessions()) {
+    if (record.createdAt >= sinceIso) {
+      records.set(record.callSid, record);
+    }
+  }
+
+  return [...records.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
 }
 
 function updateSession(callSid, patch) {
+  const session = getSession(callSid);
+  if (!session) {
+    return null;
+  }
+
+  Object.assign(session, patch, { updatedAt: nowIso() });
+  persistSession(session);
+  return session;
+}
+
+function saveSession(callSid) {
   const session = sessions.get(callSid);
   if (!session) {
     return null;
   }
 
-  const next = {
-    ...session,
-    ...patch,
-    updatedAt: nowIso()
-  };
-  sessions.set(callSid, next);
-  return next;
+  persistSession(session);
+  return session;
 }
 
 function touchSession(callSid) {
@@ -62,16 +234,26 @@ function touchSession(callSid) {
   const now = nowIso();
   session.lastSeenAt = now;
   session.updatedAt = now;
+
+  if (Date.now() - (lastPersistedAtMs.get(callSid) || 0) >= TOUCH_PERSIST_INTERVAL_MS) {
+    persistSession(session);
+  }
   return session;
 }
 
 function endSession(callSid, reason) {
-  const session = sessions.get(callSid);
+  const session = getSession(callSid);
   if (!session) {
     return null;
   }
 
   sessions.delete(callSid);
+  lastPersistedAtMs.delete(callSid);
+  persistSession(session, {
+    status: 'ended',
+    endedAt: nowIso(),
+    endReason: reason || 'ended'
+  });
   logger.info('[session] Session ended.', {
     callSid: session.callSid,
     streamSid: session.streamSid,
@@ -80,28 +262,58 @@ function endSession(callSid, reason) {
   return session;
 }
 
+function archiveExpiredSession(session, ttlMinutes) {
+  sessions.delete(session.callSid);
+  lastPersistedAtMs.delete(session.callSid);
+  persistSession(session, {
+    status: 'expired',
+    endedAt: nowIso(),
+    endReason: 'ttl_expired'
+  });
+  logger.info('[session] Session expired.', {
+    callSid: session.callSid,
+    streamSid: session.streamSid,
+    lastSeenAt: session.lastSeenAt,
+    ttlMinutes,
+    reason: 'ttl_expired'
+  });
+}
+
 function cleanupExpiredSessions() {
   const nowMs = Date.now();
   const ttlMinutes = getTtlMinutes();
   const ttlMs = ttlMinutes * 60 * 1000;
 
-  for (const [callSid, session] of sessions.entries()) {
+  for (const session of [...sessions.values()]) {
     const lastSeenMs = Date.parse(session.lastSeenAt);
     if (Number.isNaN(lastSeenMs)) {
       continue;
     }
 
     if (nowMs - lastSeenMs > ttlMs) {
-      sessions.delete(callSid);
-      logger.info('[session] Session expired.', {
-        callSid: session.callSid,
-        streamSid: session.streamSid,
-        lastSeenAt: session.lastSeenAt,
-        ttlMinutes,
-        reason: 'ttl_expired'
-      });
+      archiveExpiredSession(session, ttlMinutes);
     }
   }
+
+  if (!db) {
+    return;
+  }
+
+  const cutoffIso = new Date(nowMs - ttlMs).toISOString();
+  for (const row of selectStaleActiveStmt.all(cutoffIso)) {
+    if (sessions.has(row.call_sid)) {
+      continue;
+    }
+
+    archiveStmt.run('expired', nowIso(), 'ttl_expired', row.call_sid);
+    logger.info('[session] Session expired.', {
+      callSid: row.call_sid,
+      lastSeenAt: row.last_seen_at,
+      ttlMinutes,
+      reason: 'ttl_expired',
+      source: 'store'
+    });
+  }
 }
 
 function startSessionJanitor() {
@@ -115,15 +327,22 @@ function startSessionJanitor() {
   }
   logger.info('[session] Janitor started.', {
     intervalSeconds: JANITOR_INTERVAL_MS / 1000,
-    ttlMinutes: getTtlMinutes()
+    ttlMinutes: getTtlMinutes(),
+    persistent: Boolean(db)
   });
   return janitorHandle;
 }
 
 module.exports = {
+  initSessionStore,
   createSession,
   getSession,
+  getSessionRecord,
+  listActiveSessions,
+  listRecentSessions,
+  listSessionsCreatedSince,
   updateSession,
+  saveSession,
   touchSession,
   endSession,
   cleanupExpiredSessions,
@@ -0,0 +1,167 @@
+const logger = require('../monitoring/logger');
+const hubspotClient = require('../integrations/hubspotClient');
+const { buildIdempotencyKey, withIdempotency } = require('../governance/withIdempotency');
+const { normalizeE164 } = require('../governance/deploymentGate');
+const { isHubspotEnabled } = require('../config/env');
+
+const SMS_OPT_OUT_KEYWORDS = Object.freeze(['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT']);
+const SMS_OPT_IN_KEYWORDS = Object.freeze(['UNSTOP', 'START']);
+const SMS_CONFIRM_KEYWORDS = Object.freeze(['YES', 'Y', 'CONFIRM', 'CONFIRMED']);
+const SMS_RESCHEDULE_PATTERN = /\b(reschedul\w*|change|move|different (day|time)|can'?t make)\b/i;
+
+const SMS_REPLY_ACTIONS = Object.freeze({
+  CONFIRM: 'confirm',
+  OPT_OUT: 'opt_out',
+  OPT_IN: 'opt_in',
+  RESCHEDULE: 'reschedule',
+  OTHER: 'other'
+});
+
+function classifyInboundSms(body) {
+  const text = String(body || '').trim();
+  const keyword = text.toUpperCase().replace(/[^A-Z]/g, '');
+
+  if (SMS_OPT_OUT_KEYWORDS.includes(keyword)) {
+    return SMS_REPLY_ACTIONS.OPT_OUT;
+  }
+
+  if (SMS_OPT_IN_KEYWORDS.includes(keyword)) {
+    return SMS_REPLY_ACTIONS.OPT_IN;
+  }
+
+  if (SMS_CONFIRM_KEYWORDS.includes(keyword)) {
+    return SMS_REPLY_ACTIONS.CONFIRM;
+  }
+
+  if (SMS_RESCHEDULE_PATTERN.test(text)) {
+    return SMS_REPLY_ACTIONS.RESCHEDULE;
+  }
+
+  return SMS_REPLY_ACTIONS.OTHER;
+}
+
+function buildReplyMessage(action, { booking, tenant }) {
+  if (action === SMS_REPLY_ACTIONS.CONFIRM && booking) {
+    return `Thanks, your estimate with ${tenant.companyName} is confirmed.`;
+  }
+
+  if (action === SMS_REPLY_ACTIONS.RESCHEDULE) {
+    return `Thanks, ${tenant.companyName} will reach out to find a new time. You can also call us to reschedule.`;
+  }
+
+  return null;
+}
+
+function summarizeSmsBody(body) {
+  return String(body || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+}
+
+async function applyReplyAction({ action, contact, booking, callSid, tenant, receivedAtISO }) {
+  if (action === SMS_REPLY_ACTIONS.OPT_OUT || action === SMS_REPLY_ACTIONS.OPT_IN) {
+    await hubspotClient.updateContactConsent({
+      contactId: contact.id,
+      consent: action === SMS_REPLY_ACTIONS.OPT_IN,
+      consentTsISO: receivedAtISO,
+      callSid,
+      tenant: tenant.id
+    });
+    return;
+  }
+
+  if (!booking) {
+    return;
+  }
+
+  if (action === SMS_REPLY_ACTIONS.CONFIRM) {
+    await hubspotClient.updateDealReplyStatus({
+      dealId: booking.dealId,
+      status: 'confirmed',
+      statusTsISO: receivedAtISO,
+      callSid,
+      tenant: tenant.id
+    });
+  }
+
+  if (action === SMS_REPLY_ACTIONS.RESCHEDULE) {
+    await hubspotClient.updateDealReplyStatus({
+      dealId: booking.dealId,
+      status: 'reschedule_requested',
+      statusTsISO: receivedAtISO,
+      callSid,
+      tenant: tenant.id
+    });
+  }
+}
+
+async function handleInboundSms({ messageSid, from, to, body, tenant }) {
+  const action = classifyInboundSms(body);
+  const fromE164 = normalizeE164(from);
+  const callSid = `sms-${messageSid}`;
+
+  if (!isHubspotEnabled()) {
+    logger.warn('[sms] Inbound SMS received while HubSpot is disabled. Reply not recorded.', {
+      messageSid,
+      tenantId: tenant.id,
+      action
+    });
+    return { ok: true, action, matched: false, reply: null };
+  }
+
+  const key = buildIdempotencyKey({
+    tenant: tenant.id,
+    callSid,
+    operation: 'twilio_inbound_sms',
+    inputs: { messageSid, from: fromE164, to: normalizeE164(to) }
+  });
+
+  return withIdempotency({
+    key,
+    loggerContext: { callSid, operation: 'twilio_inbound_sms' },
+    fn: async () => {
+      const contact = fromE164 ? await hubspotClient.findContactByPhone(fromE164) : null;
+      if (!contact) {
+        logger.warn('[sms] Inbound SMS does not match a HubSpot contact.', {
+          messageSid,
+          tenantId: tenant.id,
+          from: fromE164,
+          action
+        });
+        return { ok: true, action, matched: false, reply: null };
+      }
+
+      const receivedAtISO = new Date().toISOString();
+      const booking = await hubspotClient.findOpenBookingForContact(contact.id, { nowISO: receivedAtISO });
+
+      await applyReplyAction({ action, contact, booking, callSid, tenant, receivedAtISO });
+
+      await hubspotClient.logEngagement(booking?.dealId || null, contact.id, {
+        callSid,
+        noteBody: `Inbound SMS (${messageSid}) from ${fromE164}: "${summarizeSmsBody(body)}". Action: ${action}.`,
+        tenant: tenant.id
+      });
+
+      logger.info('[sms] Inbound SMS recorded.', {
+        messageSid,
+        tenantId: tenant.id,
+        contactId: contact.id,
+        dealId: booking?.dealId || null,
+        action
+      });
+
+      return {
+        ok: true,
+        action,
+        matched: true,
+        contactId: contact.id,
+        dealId: booking?.dealId || null,
+        reply: buildReplyMessage(action, { booking, tenant })
+      };
+    }
+  });
+}
+
+module.exports = {
+  SMS_REPLY_ACTIONS,
+  classifyInboundSms,
+  handleInboundSms
+};
@@ -1,4 +1,5 @@
 const logger = require('../monitoring/logger');
+const metrics = require('../monitoring/metrics');
 
 const STATES = Object.freeze([
   'CALL_STARTED',
@@ -13,6 +14,16 @@ const STATES = Object.freeze([
   'CALL_ENDED'
 ]);
 
+const ESCALATABLE_STATES = Object.freeze([
+  'CALL_STARTED',
+  'IDENTITY_CHECKED',
+  'ADDRESS_CONFIRMED',
+  'PROBLEM_CAPTURED',
+  'SCHEDULING',
+  'BOOKED',
+  'CONFIRMED_SMS_SENT'
+]);
+
 function canTransition(from, to) {
   if (!STATES.includes(to)) {
     return false;
@@ -30,6 +41,10 @@ function canTransition(from, to) {
     return true;
   }
 
+  if (to === 'ESCALATED') {
+    return ESCALATABLE_STATES.includes(from);
+  }
+
   if (to === 'LOGGED_TO_HUBSPOT') {
     return ['PROBLEM_CAPTURED', 'SCHEDULING', 'BOOKED', 'CONFIRMED_SMS_SENT', 'ESCALATED'].includes(from);
   }
@@ -67,6 +82,7 @@ function transition(session, nextState, reason) {
     reason
   });
 
+  metrics.stateTransitions.inc({ from: previousState, to: nextState });
   logger.info('[state] Transition applied.', {
     callSid: session.callSid,
     previousState,
@@ -80,6 +96,7 @@ function transition(session, nextState, reason) {
 
 module.exports = {
   STATES,
+  ESCALATABLE_STATES,
   canTransition,
   assertState,
   transition
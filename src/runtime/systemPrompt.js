@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../monitoring/logger');
+const { renderPromptTemplate } = require('./promptTemplate');
+const { resolveSchedulingPolicy } = require('../config/schedulingPolicy');
+const { describeServiceArea } = require('../config/serviceArea');
+const {
+  DEFAULT_OPERATOR_COMPANY_NAME,
+  DEFAULT_PROMPT_PATH,
+  CAMPAIGN_PROMPTS_DIR,
+  PROMPT_PARTIALS_DIR
+} = require('../config/constants');
+
+const PROMPT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const BUSINESS_HOURS_DAY_ORDER = Object.freeze(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']);
+const DAY_LABELS = Object.freeze({
+  mon: 'Mon',
+  tue: 'Tue',
+  wed: 'Wed',
+  thu: 'Thu',
+  fri: 'Fri',
+  sat: 'Sat',
+  sun: 'Sun'
+});
+
+const promptCache = new Map();
+
+function readPromptFile(promptPath) {
+  if (!promptCache.has(promptPath)) {
+    promptCache.set(promptPath, fs.readFileSync(promptPath, 'utf8').trim());
+  }
+
+  return promptCache.get(promptPath);
+}
+
+function normalizeCampaign(campaign) {
+  const normalized = String(campaign || '').trim();
+  return PROMPT_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+function resolveInclude(tenant, name) {
+  if (!PROMPT_NAME_PATTERN.test(name)) {
+    throw Object.assign(new Error(`Invalid prompt include name: ${name}`), {
+      code: 'invalid_prompt_template',
+      details: { include: name }
+    });
+  }
+
+  const candidates = [
+    tenant?.id ? path.join(PROMPT_PARTIALS_DIR, tenant.id, `${name}.txt`) : null,
+    path.join(PROMPT_PARTIALS_DIR, `${name}.txt`)
+  ].filter(Boolean);
+
+  const match = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!match) {
+    throw Object.assign(new Error(`Prompt include not found: ${name}`), {
+      code: 'invalid_prompt_template',
+      details: { include: name }
+    });
+  }
+
+  return readPromptFile(match);
+}
+
+function formatMinuteOfDay(minuteOfDay) {
+  const hours = Math.floor(minuteOfDay / 60);
+  const minutes = String(minuteOfDay % 60).padStart(2, '0');
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${minutes} ${suffix}`;
+}
+
+function formatBusinessHours(policy) {
+  const groups = [];
+  for (const day of BUSINESS_HOURS_DAY_ORDER) {
+    const window = policy.weekdayHours[day];
+    const label = window ? `${formatMinuteOfDay(window.startMinute)} to ${formatMinuteOfDay(window.endMinute)}` : 'closed';
+    const previous = groups[groups.length - 1];
+    if (previous && previous.label === label) {
+      previous.lastDay = day;
+    } else {
+      groups.push({ firstDay: day, lastDay: day, label });
+    }
+  }
+
+  return groups
+    .map(({ firstDay, lastDay, label }) => {
+      const days = firstDay === lastDay ? DAY_LABELS[firstDay] : `${DAY_LABELS[firstDay]}-${DAY_LABELS[lastDay]}`;
+      return `${days} ${label}`;
+    })
+    .join(', ');
+}
+
+function formatToday(now, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  }).format(now);
+}
+
+function safeVariable(name, resolve, fallback = '') {
+  try {
+    return resolve();
+  } catch (error) {
+    logger.warn('[prompt] Failed to resolve prompt variable.', { name, error: error.message });
+    return fallback;
+  }
+}
+
+function buildPromptVariables({ tenant, campaign = null, callerContext = null, now = new Date() }) {
+  const companyName = tenant?.companyName || process.env.OPERATOR_COMPANY_NAME || DEFAULT_OPERATOR_COMPANY_NAME;
+  const timeZone = tenant?.timezone;
+  const address = callerContext?.address;
+
+  return {
+    OPERATOR_COMPANY_NAME: companyName,
+    COMPANY_NAME: companyName,
+    TIMEZONE: timeZone,
+    TODAY: safeVariable('TODAY', () => formatToday(now, timeZone)),
+    BUSINESS_HOURS: safeVariable('BUSINESS_HOURS', () => formatBusinessHours(resolveSchedulingPolicy(tenant))),
+    SERVICE_AREA: safeVariable('SERVICE_AREA', describeServiceArea),
+    CAMPAIGN: campaign || '',
+    CALLER_KNOWN: Boolean(callerContext),
+    CALLER_FIRSTNAME: callerContext?.firstname || '',
+    CALLER_LASTNAME: callerContext?.lastname || '',
+    CALLER_ADDRESS: address
+      ? `${address.service_street_1}, ${address.service_city}, ${address.service_state} ${address.service_postal_code}`
+      : '',
+    CALLER_HAS_UPCOMING_BOOKING: Boolean(callerContext?.upcomingBooking)
+  };
+}
+
+function listPromptCandidates(tenant, campaign) {
+  const candidates = [];
+  if (campaign && tenant?.id) {
+    candidates.push({ source: 'tenant_campaign', promptPath: path.join(CAMPAIGN_PROMPTS_DIR, tenant.id, `${campaign}.txt`) });
+  }
+  if (campaign) {
+    candidates.push({ source: 'campaign', promptPath: path.join(CAMPAIGN_PROMPTS_DIR, `${campaign}.txt`) });
+  }
+  if (tenant?.promptPath) {
+    candidates.push({ source: 'tenant', promptPath: tenant.promptPath, required: true });
+  }
+  if (process.env.OPERATOR_SYSTEM_PROMPT && process.env.OPERATOR_SYSTEM_PROMPT.trim()) {
+    candidates.push({ source: 'env', template: process.env.OPERATOR_SYSTEM_PROMPT.trim() });
+  }
+  candidates.push({ source: 'default', promptPath: DEFAULT_PROMPT_PATH, required: true });
+  return candidates;
+}
+
+function loadSystemPrompt({ tenant, campaign = null, callerContext = null, now = new Date() }) {
+  const normalizedCampaign = normalizeCampaign(campaign);
+  if (campaign && !normalizedCampaign) {
+    logger.warn('[prompt] Ignoring invalid campaign name.', { tenantId: tenant?.id || null, campaign });
+  }
+
+  const variables = buildPromptVariables({ tenant, campaign: normalizedCampaign, callerContext, now });
+
+  for (const candidate of listPromptCandidates(tenant, normalizedCampaign)) {
+    if (candidate.promptPath && !candidate.required && !fs.existsSync(candidate.promptPath)) {
+      continue;
+    }
+
+    try {
+      const template = candidate.template || readPromptFile(candidate.promptPath);
+      const { text, missingVariables } = renderPromptTemplate(template, variables, {
+        source: candidate.promptPath || candidate.source,
+        resolveInclude: (name) => resolveInclude(tenant, name)
+      });
+
+      if (missingVariables.length > 0) {
+        logger.warn('[prompt] Prompt references unknown template variables.', {
+          tenantId: tenant?.id || null,
+          source: candidate.source,
+          missingVariables
+        });
+      }
+
+      return { text, source: candidate.source, promptPath: candidate.promptPath || null };
+    } catch (error) {
+      logger.error('[prompt] Failed to render prompt. Trying the next prompt source.', {
+        tenantId: tenant?.id || null,
+        source: candidate.source,
+        promptPath: candidate.promptPath || null,
+        errorCode: error.code || null,
+        error: error.message
+      });
+    }
+  }
+
+  return {
+    text: `You are ${variables.COMPANY_NAME}, a plumbing call operator. Collect caller name, service address, issue description, and urgency.`,
+    source: 'fallback',
+    promptPath: null
+  };
+}
+
+module.exports = {
+  buildPromptVariables,
+  formatBusinessHours,
+  loadSystemPrompt
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../monitoring/logger');
+const hubspotClient = require('../integrations/hubspotClient');
+const { isHubspotEnabled } = require('../config/env');
+const { normalizeE164 } = require('../governance/deploymentGate');
+const { parsePolicyJson, normalizeSchedulingPolicy } = require('../config/schedulingPolicy');
+const {
+  DEFAULT_OPERATOR_COMPANY_NAME,
+  TENANT_PROMPTS_DIR,
+  DEFAULT_TENANT_ID,
+  DEFAULT_BUSINESS_TIMEZONE
+} = require('../config/constants');
+
+const TENANT_CACHE_TTL_MS = 5 * 60 * 1000;
+const tenantCache = new Map();
+
+function tenantIdForCompany(companyId) {
+  const normalized = String(companyId || '').trim();
+  return normalized || DEFAULT_TENANT_ID;
+}
+
+function isDefaultTenantFallbackEnabled() {
+  return String(process.env.SINGLE_TENANT_FALLBACK_ENABLED || '').trim().toLowerCase() === 'true';
+}
+
+function resolveTenantPromptPath(tenantId) {
+  const candidate = path.join(TENANT_PROMPTS_DIR, `${tenantId}.txt`);
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+function getDefaultTenant() {
+  const companyId = String(process.env.HUBSPOT_COMPANY_ID || '').trim() || null;
+  const id = tenantIdForCompany(companyId);
+
+  return {
+    id,
+    companyId,
+    inboundNumber: null,
+    companyName: process.env.OPERATOR_COMPANY_NAME || DEFAULT_OPERATOR_COMPANY_NAME,
+    calendarId: process.env.GOOGLE_CALENDAR_ID || null,
+    timezone: process.env.BUSINESS_TIMEZONE || DEFAULT_BUSINESS_TIMEZONE,
+    escalationPhone: null,
+    oncallPhone: null,
+    schedulingPolicy: null,
+    promptPath: resolveTenantPromptPath(id),
+    source: 'default'
+  };
+}
+
+function parseCompanySchedulingPolicy(company) {
+  const raw = String(company?.properties?.scheduling_policy || '').trim();
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    const policy = parsePolicyJson(raw, `company ${company.id} scheduling_policy`);
+    normalizeSchedulingPolicy(policy);
+    return policy;
+  } catch (error) {
+    logger.warn('[tenant] Ignoring invalid company scheduling policy.', {
+      companyId: company.id,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+function buildTenantFromCompany(company) {
+  const properties = company?.properties || {};
+  const fallback = getDefaultTenant();
+  const id = tenantIdForCompany(company.id);
+
+  return {
+    id,
+    companyId: String(company.id),
+    inboundNumber: normalizeE164(properties.twilio_inbound_number) || null,
+    companyName: properties.name || fallback.companyName,
+    calendarId: properties.calendar_id || fallback.calendarId,
+    timezone: properties.business_timezone || fallback.timezone,
+    escalationPhone: normalizeE164(properties.escalation_phone) || null,
+    oncallPhone: normalizeE164(properties.oncall_phone) || null,
+    schedulingPolicy: parseCompanySchedulingPolicy(company),
+    promptPath: resolveTenantPromptPath(id),
+    source: 'hubspot'
+  };
+}
+
+function readCachedTenant(key) {
+  const cached = tenantCache.get(key);
+  if (!cached) {
+    return null;
+  }
+
+  if (cached.expiresAtMs <= Date.now()) {
+    tenantCache.delete(key);
+    return null;
+  }
+
+  return cached.tenant;
+}
+
+async function resolveTenantByInboundNumber(toNumber) {
+  const inboundNumber = normalizeE164(toNumber);
+  if (!isHubspotEnabled() || !inboundNumber) {
+    return getDefaultTenant();
+  }
+
+  const cached = readCachedTenant(inboundNumber);
+  if (cached) {
+    return cached;
+  }
+
+  const company = await hubspotClient.findCompanyByInboundNumber(inboundNumber);
+  let tenant;
+  if (company) {
+    tenant = buildTenantFromCompany(company);
+  } else if (isDefaultTenantFallbackEnabled()) {
+    logger.warn('[tenant] No company matches inbound number. Using default tenant.', {
+      inboundNumber,
+      defaultCompanyId: process.env.HUBSPOT_COMPANY_ID || null
+    });
+    tenant = { ...getDefaultTenant(), inboundNumber };
+  } else {
+    logger.error('[tenant] No company matches inbound number. Refusing to route the call.', { inboundNumber });
+    throw Object.assign(new Error(`No tenant is mapped to inbound number ${inboundNumber}`), {
+      code: 'tenant_not_found',
+      details: { inboundNumber }
+    });
+  }
+
+  tenantCache.set(inboundNumber, {
+    tenant,
+    expiresAtMs: Date.now() + TENANT_CACHE_TTL_MS
+  });
+
+  logger.info('[tenant] Tenant resolved.', {
+    inboundNumber,
+    tenantId: tenant.id,
+    source: tenant.source
+  });
+
+  return tenant;
+}
+
+function clearTenantCache() {
+  tenantCache.clear();
+}
+
+module.exports = {
+  tenantIdForCompany,
+  getDefaultTenant,
+  buildTenantFromCompany,
+  resolveTenantByInboundNumber,
+  clearTenantCache
+};
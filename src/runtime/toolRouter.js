@@ -1,13 +1,22 @@
 const logger = require('../monitoring/logger');
 const sessionStore = require('./sessionStore');
-const { assertState, canTransition, transition } = require('./stateMachine');
+const { assertState, canTransition, transition, ESCALATABLE_STATES } = require('./stateMachine');
 const { hasRequiredFieldsForTransition } = require('./requiredFields');
 const hubspotClient = require('../integrations/hubspotClient');
 const calendarClient = require('../integrations/calendarClient');
 const twilioSms = require('../integrations/twilioSms');
+const twilioCalls = require('../integrations/twilioCalls');
+const { buildTransferTwiml, buildSayTwiml } = require('../integrations/twiml');
 const { buildIdempotencyKey, withIdempotency } = require('../governance/withIdempotency');
-const { assertDeploymentAllowed, GATED_TOOLS } = require('../governance/deploymentGate');
+const { assertDeploymentAllowed, GATED_TOOLS, normalizeE164 } = require('../governance/deploymentGate');
 const { alertCritical, ALERT_EVENT_TYPES } = require('../monitoring/alerting');
+const metrics = require('../monitoring/metrics');
+const tracing = require('../monitoring/tracing');
+const { getDefaultTenant } = require('./tenantResolver');
+const { describeTranscript } = require('./transcriptStore');
+const reminders = require('./reminders');
+const { resolveSchedulingPolicy, normalizeJobType } = require('../config/schedulingPolicy');
+const { checkServiceArea } = require('../config/serviceArea');
 
 const ALLOWED_TOOLS = Object.freeze([
   'capture_identity',
@@ -19,6 +28,9 @@ const ALLOWED_TOOLS = Object.freeze([
   'request_sms_consent',
   'send_confirmation_sms',
   'escalate_call',
+  'flag_emergency',
+  'reschedule_estimate',
+  'cancel_estimate',
   'finalize_and_log'
 ]);
 
@@ -66,6 +78,25 @@ function validateString(payload, key, { optional = false } = {}) {
 }
 
 
+const EMERGENCY_URGENCY_LEVELS = Object.freeze(['emergency', 'urgent']);
+const EMERGENCY_TRIGGERS = Object.freeze([
+  'flooding',
+  'burst_pipe',
+  'active_leak',
+  'sewage_backup',
+  'no_water',
+  'gas_smell',
+  'other'
+]);
+
+const BOOKING_LOOKUP_STATES = Object.freeze([
+  'CALL_STARTED',
+  'IDENTITY_CHECKED',
+  'ADDRESS_CONFIRMED',
+  'PROBLEM_CAPTURED'
+]);
+
+const MAX_RECORDED_TOOL_CALLS = 100;
 const LOCKED_ESTIMATE_SCHEDULED_STAGE_ID = '3233958615';
 const LOCKED_SMS_SENT_STAGE_ID = '3233958613';
 
@@ -101,19 +132,6 @@ function coerceHubspotBoolean(value) {
   return null;
 }
 
-function formatBookingLabel(startISO, timeZone) {
-  const date = new Date(startISO);
-  return new Intl.DateTimeFormat('en-US', {
-    timeZone,
-    weekday: 'short',
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  }).format(date);
-}
-
 function shortErrorMessage(error) {
   return String(error?.message || 'unknown').replace(/\s+/g, ' ').slice(0, 140);
 }
@@ -145,6 +163,27 @@ async function readConsentState(session) {
   };
 }
 
+function formatServiceAddress(address) {
+  if (!address) {
+    return undefined;
+  }
+
+  return `${address.service_street_1}, ${address.service_city}, ${address.service_state} ${address.service_postal_code}`;
+}
+
+function maybeScheduleReminder({ callSid, tenant, contactId, dealId, phone, booking }) {
+  try {
+    return reminders.scheduleBookingReminder({ callSid, tenant, contactId, dealId, phone, booking });
+  } catch (error) {
+    logger.error('[reminders] Failed to schedule booking reminder.', {
+      callSid,
+      dealId,
+      error: error.message
+    });
+    return { scheduled: false, reason: 'schedule_failed' };
+  }
+}
+
 function findSelectedSlot(payload, proposedSlots) {
   if (payload.slotStartISO) {
     const match = proposedSlots.find((slot) => slot.startISO === payload.slotStartISO);
@@ -208,15 +247,15 @@ function assertTransitionAllowed(session, nextState) {
   }
 }
 
-async function maybeUpsertContact(callSid, session, props) {
+async function maybeUpsertContact(callSid, session, props, tenant) {
   if (session?.hubspot?.crmReady !== true) {
     return;
   }
 
-  await hubspotClient.upsertContact(props, { callSid });
+  await hubspotClient.upsertContact({ phone: session.callerPhone, ...props }, { callSid, tenant: tenant.id });
 }
 
-async function maybeLogEngagement(callSid, session, noteBody) {
+async function maybeLogEngagement(callSid, session, noteBody, tenant) {
   if (session?.hubspot?.crmReady !== true) {
     return;
   }
@@ -229,63 +268,127 @@ async function maybeLogEngagement(callSid, session, noteBody) {
     });
   }
 
-  await hubspotClient.logEngagement(dealId, contactId, { callSid, noteBody });
+  await hubspotClient.logEngagement(dealId, contactId, { callSid, noteBody, tenant: tenant.id });
+}
+
+function readConfirmExisting(payload) {
+  if (payload.confirm_existing != null && typeof payload.confirm_existing !== 'boolean') {
+    throw Object.assign(new Error('confirm_existing must be boolean'), {
+      code: 'invalid_payload',
+      details: { field: 'confirm_existing' }
+    });
+  }
+
+  return payload.confirm_existing === true;
 }
 
-async function handleCaptureIdentity({ callSid, session, payload }) {
+async function handleCaptureIdentity({ callSid, session, payload, tenant }) {
   assertAllowedState(session, ['CALL_STARTED']);
-  validateString(payload, 'firstname');
-  validateString(payload, 'lastname');
-  validateString(payload, 'phone', { optional: true });
-
-  session.contact = {
-    firstname: payload.firstname.trim(),
-    lastname: payload.lastname.trim(),
-    ...(payload.phone ? { phone: payload.phone.trim() } : {})
-  };
+  const confirmExisting = readConfirmExisting(payload);
+
+  if (confirmExisting) {
+    const { firstname, lastname } = session.callerContext || {};
+    if (!firstname || !lastname) {
+      return buildError('capture_identity', 'no_existing_identity', 'No name on file for this caller');
+    }
+
+    session.contact = { firstname, lastname };
+  } else {
+    validateString(payload, 'firstname');
+    validateString(payload, 'lastname');
+    validateString(payload, 'phone', { optional: true });
+
+    session.contact = {
+      firstname: payload.firstname.trim(),
+      lastname: payload.lastname.trim(),
+      ...(payload.phone ? { phone: payload.phone.trim() } : {})
+    };
+  }
 
   assertRequiredForTransition(session, 'IDENTITY_CHECKED');
   assertTransitionAllowed(session, 'IDENTITY_CHECKED');
   transition(session, 'IDENTITY_CHECKED', 'tool:capture_identity');
 
-  await maybeUpsertContact(callSid, session, session.contact);
+  if (!confirmExisting) {
+    await maybeUpsertContact(callSid, session, session.contact, tenant);
+  }
 
   return success('capture_identity', session, {
-    contactCaptured: true
+    contactCaptured: true,
+    confirmedExisting: confirmExisting
   });
 }
 
-async function handleConfirmAddress({ callSid, session, payload }) {
+async function handleConfirmAddress({ callSid, session, payload, tenant }) {
   assertAllowedState(session, ['IDENTITY_CHECKED']);
-  validateString(payload, 'service_street_1');
-  validateString(payload, 'service_city');
-  validateString(payload, 'service_state');
-  validateString(payload, 'service_postal_code');
-
-  session.address = {
-    service_street_1: payload.service_street_1.trim(),
-    service_city: payload.service_city.trim(),
-    service_state: payload.service_state.trim(),
-    service_postal_code: payload.service_postal_code.trim()
+  const confirmExisting = readConfirmExisting(payload);
+
+  let address;
+  if (confirmExisting) {
+    address = session.callerContext?.address;
+    if (!address) {
+      return buildError('confirm_address', 'no_existing_address', 'No service address on file for this caller');
+    }
+  } else {
+    validateString(payload, 'service_street_1');
+    validateString(payload, 'service_city');
+    validateString(payload, 'service_state');
+    validateString(payload, 'service_postal_code');
+
+    address = {
+      service_street_1: payload.service_street_1.trim(),
+      service_city: payload.service_city.trim(),
+      service_state: payload.service_state.trim(),
+      service_postal_code: payload.service_postal_code.trim()
+    };
+  }
+
+  const serviceArea = checkServiceArea(address);
+  session.serviceAreaCheck = {
+    postalCode: address.service_postal_code,
+    city: address.service_city,
+    inServiceArea: serviceArea.inServiceArea,
+    matchedBy: serviceArea.matchedBy
   };
 
+  if (!serviceArea.inServiceArea) {
+    await maybeLogEngagement(
+      callSid,
+      session,
+      `Caller address outside service area: ${address.service_city}, ${address.service_state} ${address.service_postal_code}.`,
+      tenant
+    );
+    return buildError('confirm_address', 'out_of_service_area', `${tenant.companyName} does not serve this address`, {
+      city: address.service_city,
+      postalCode: address.service_postal_code
+    });
+  }
+
+  session.address = { ...address };
+
   assertRequiredForTransition(session, 'ADDRESS_CONFIRMED');
   assertTransitionAllowed(session, 'ADDRESS_CONFIRMED');
   transition(session, 'ADDRESS_CONFIRMED', 'tool:confirm_address');
 
-  await maybeUpsertContact(callSid, session, session.address);
+  if (!confirmExisting) {
+    await maybeUpsertContact(callSid, session, session.address, tenant);
+  }
 
   return success('confirm_address', session, {
-    addressConfirmed: true
+    addressConfirmed: true,
+    confirmedExisting: confirmExisting
   });
 }
 
-async function handleCaptureProblem({ callSid, session, payload }) {
+async function handleCaptureProblem({ callSid, session, payload, tenant }) {
   assertAllowedState(session, ['ADDRESS_CONFIRMED']);
   validateString(payload, 'problem_summary');
 
+  validateString(payload, 'job_type', { optional: true });
+
   session.problem = {
-    problem_summary: payload.problem_summary.trim()
+    problem_summary: payload.problem_summary.trim(),
+    job_type: normalizeJobType(payload.job_type) || null
   };
 
   assertRequiredForTransition(session, 'PROBLEM_CAPTURED');
@@ -293,7 +396,7 @@ async function handleCaptureProblem({ callSid, session, payload }) {
   transition(session, 'PROBLEM_CAPTURED', 'tool:capture_problem');
 
   const noteBody = `Problem captured: ${session.problem.problem_summary}`;
-  await maybeLogEngagement(callSid, session, noteBody);
+  await maybeLogEngagement(callSid, session, noteBody, tenant);
 
   return success('capture_problem', session, {
     problemCaptured: true
@@ -316,10 +419,7 @@ async function handleBeginScheduling({ session }) {
 }
 
 
-async function handleProposeSlots({ session, payload }) {
-  assertAllowedState(session, ['SCHEDULING']);
-  assertSchedulingPreconditions(session);
-
+function parseSlotCount(payload) {
   const requestedCount = payload.count == null ? 3 : Number(payload.count);
   if (!Number.isInteger(requestedCount) || requestedCount <= 0) {
     throw Object.assign(new Error('count must be a positive integer'), {
@@ -328,14 +428,29 @@ async function handleProposeSlots({ session, payload }) {
     });
   }
 
-  const count = Math.min(requestedCount, 5);
+  return Math.min(requestedCount, 5);
+}
+
+async function handleProposeSlots({ session, payload, tenant }) {
+  assertAllowedState(session, ['SCHEDULING']);
+  assertSchedulingPreconditions(session);
+
+  const count = parseSlotCount(payload);
   const nowISO = new Date().toISOString();
-  const proposedSlots = await calendarClient.proposeSlots({ count, nowISO });
+  const proposedSlots = await calendarClient.proposeSlots({
+    count,
+    nowISO,
+    calendarId: tenant.calendarId,
+    timeZone: tenant.timezone,
+    emergency: session.emergency?.urgency === 'emergency',
+    policy: resolveSchedulingPolicy(tenant),
+    jobType: session.problem?.job_type,
+    servicePostalCode: session.address?.service_postal_code
+  });
 
   session.scheduling = {
     proposedSlots,
-    proposedAtISO: nowISO,
-    serviceRadius: payload.serviceRadius || null
+    proposedAtISO: nowISO
   };
 
   return success('propose_slots', session, {
@@ -343,7 +458,7 @@ async function handleProposeSlots({ session, payload }) {
   });
 }
 
-async function handleBookEstimate({ callSid, session, payload }) {
+async function handleBookEstimate({ callSid, session, payload, tenant }) {
   assertAllowedState(session, ['SCHEDULING']);
   assertSchedulingPreconditions(session);
 
@@ -364,30 +479,49 @@ async function handleBookEstimate({ callSid, session, payload }) {
   }
 
   const selectedSlot = findSelectedSlot(payload, proposedSlots);
+  const technician = selectedSlot.technician || null;
 
   try {
-    const booking = await calendarClient.bookSlot({
+    const calendarBooking = await calendarClient.bookSlot({
       callSid,
       slotStartISO: selectedSlot.startISO,
       slotEndISO: selectedSlot.endISO,
       summary: `Plumbing Estimate - ${session.contact?.firstname || 'Customer'} ${session.contact?.lastname || ''}`.trim(),
-      description: `Problem summary: ${problemSummary}`,
-      attendees: [{ phone: session.callerPhone }]
+      description: technician
+        ? `Problem summary: ${problemSummary}\nTechnician: ${technician.name}`
+        : `Problem summary: ${problemSummary}`,
+      location: formatServiceAddress(session.address),
+      attendees: [{ phone: session.callerPhone }],
+      calendarId: technician?.calendarId || tenant.calendarId,
+      timeZone: tenant.timezone,
+      tenant: tenant.id
     });
 
+    const booking = { ...calendarBooking, technician };
     session.booking = booking;
+    session.technician = technician;
 
     await hubspotClient.updateDealStage({
       dealId: session.hubspot.dealId,
       pipelineId: hubspotClient.LOCKED_PIPELINE_ID,
       dealstage: LOCKED_ESTIMATE_SCHEDULED_STAGE_ID,
-      callSid
+      callSid,
+      tenant: tenant.id
+    });
+
+    await hubspotClient.updateDealBooking({
+      dealId: session.hubspot.dealId,
+      booking,
+      callSid,
+      tenant: tenant.id
     });
 
-    const noteBody = `Estimate booked for ${booking.startISO} to ${booking.endISO}. Calendar event: ${booking.calendarEventId}. Link: ${booking.htmlLink || 'n/a'}`;
+    const technicianNote = technician ? ` Technician: ${technician.name} (${technician.id}).` : '';
+    const noteBody = `Estimate booked for ${booking.startISO} to ${booking.endISO}.${technicianNote} Calendar event: ${booking.calendarEventId}. Link: ${booking.htmlLink || 'n/a'}`;
     await hubspotClient.logEngagement(session.hubspot.dealId, session.hubspot.contactId, {
       callSid,
-      noteBody
+      noteBody,
+      tenant: tenant.id
     });
 
     assertTransitionAllowed(session, 'BOOKED');
@@ -415,7 +549,8 @@ async function handleBookEstimate({ callSid, session, payload }) {
     if (session?.hubspot?.crmReady === true && session?.hubspot?.dealId && session?.hubspot?.contactId) {
       await hubspotClient.logEngagement(session.hubspot.dealId, session.hubspot.contactId, {
         callSid,
-        noteBody: `Calendar booking failed: ${error.message.slice(0, 160)}`
+        noteBody: `Calendar booking failed: ${error.message.slice(0, 160)}`,
+        tenant: tenant.id
       });
     }
 
@@ -425,7 +560,7 @@ async function handleBookEstimate({ callSid, session, payload }) {
   }
 }
 
-async function handleRequestSmsConsent({ callSid, session, payload }) {
+async function handleRequestSmsConsent({ callSid, session, payload, tenant }) {
   assertAllowedState(session, ['BOOKED']);
 
   if (typeof payload.consent !== 'boolean') {
@@ -443,7 +578,8 @@ async function handleRequestSmsConsent({ callSid, session, payload }) {
       contactId: session.hubspot.contactId,
       consent: true,
       consentTsISO,
-      callSid
+      callSid,
+      tenant: tenant.id
     });
 
     session.contactConsent = {
@@ -459,12 +595,12 @@ async function handleRequestSmsConsent({ callSid, session, payload }) {
     consentTsISO: null
   };
 
-  await maybeLogEngagement(callSid, session, 'Customer declined SMS consent.');
+  await maybeLogEngagement(callSid, session, 'Customer declined SMS consent.', tenant);
 
   return success('request_sms_consent', session, { consent: false, consentTsISO: null });
 }
 
-async function handleSendConfirmationSms({ callSid, session }) {
+async function handleSendConfirmationSms({ callSid, session, tenant }) {
   assertAllowedState(session, ['BOOKED']);
   assertCrmReadyOrThrow(session);
 
@@ -505,12 +641,12 @@ async function handleSendConfirmationSms({ callSid, session }) {
     });
   }
 
-  const timeZone = process.env.BUSINESS_TIMEZONE || 'America/New_York';
-  const localDateTimeLabel = formatBookingLabel(booking.startISO, timeZone);
+  const timeZone = tenant.timezone;
+  const localDateTimeLabel = calendarClient.formatBookingLabel(booking.startISO, timeZone);
   const body = `Your estimate is scheduled for ${localDateTimeLabel} (${timeZone}). Reply YES to confirm or call us if you need to reschedule.`;
 
   const idempotencyKey = buildIdempotencyKey({
-    tenant: 'single',
+    tenant: tenant.id,
     callSid,
     operation: 'twilio_send_sms',
     inputs: {
@@ -536,18 +672,22 @@ async function handleSendConfirmationSms({ callSid, session }) {
       dealId,
       pipelineId: hubspotClient.LOCKED_PIPELINE_ID,
       dealstage: LOCKED_SMS_SENT_STAGE_ID,
-      callSid
+      callSid,
+      tenant: tenant.id
     });
 
-    await maybeLogEngagement(callSid, session, `SMS sent (${smsResult.messageSid}) for booked time ${localDateTimeLabel}.`);
+    await maybeLogEngagement(callSid, session, `SMS sent (${smsResult.messageSid}) for booked time ${localDateTimeLabel}.`, tenant);
+
+    const reminder = maybeScheduleReminder({ callSid, tenant, contactId, dealId, phone: contactPhone, booking });
 
     return success('send_confirmation_sms', session, {
       messageSid: smsResult.messageSid,
       to: contactPhone,
-      bodyPreview: body.slice(0, 120)
+      bodyPreview: body.slice(0, 120),
+      reminderScheduled: reminder?.scheduled === true
     });
   } catch (error) {
-    await maybeLogEngagement(callSid, session, `SMS send failed: ${shortErrorMessage(error)}`);
+    await maybeLogEngagement(callSid, session, `SMS send failed: ${shortErrorMessage(error)}`, tenant);
     await alertCritical(ALERT_EVENT_TYPES.TWILIO_STREAM_FAILURE, {
       callSid,
       streamSid: session.streamSid,
@@ -559,9 +699,442 @@ async function handleSendConfirmationSms({ callSid, session }) {
   }
 }
 
-async function handleFinalizeAndLog({ callSid, session }) {
+function buildWhisperMessage(session, reason) {
+  const name = [session?.contact?.firstname, session?.contact?.lastname].filter(Boolean).join(' ') || 'unknown caller';
+  const address = session?.address
+    ? `${session.address.service_street_1}, ${session.address.service_city}`
+    : 'address not captured';
+  const problem = session?.problem?.problem_summary || 'problem not captured';
+
+  return `Transferred call from the AI operator. Caller: ${name}. Address: ${address}. Issue: ${problem}. Reason for transfer: ${reason}.`;
+}
+
+async function handleEscalateCall({ callSid, session, payload, tenant }) {
+  assertAllowedState(session, ESCALATABLE_STATES);
+  validateString(payload, 'reason', { optional: true });
+
+  const escalationPhone = tenant.escalationPhone || process.env.ESCALATION_PHONE_E164 || null;
+  if (!escalationPhone) {
+    throw Object.assign(new Error('No escalation phone configured for tenant'), {
+      code: 'escalation_not_configured',
+      details: { tenantId: tenant.id }
+    });
+  }
+
+  const publicBaseUrl = process.env.PUBLIC_BASE_URL || session.publicBaseUrl || null;
+  if (!publicBaseUrl) {
+    throw Object.assign(new Error('Public base URL is unknown; cannot build whisper URL'), {
+      code: 'missing_prerequisites',
+      details: { field: 'PUBLIC_BASE_URL' }
+    });
+  }
+
+  assertTransitionAllowed(session, 'ESCALATED');
+
+  const reason = payload.reason ? payload.reason.trim() : 'caller_requested_human';
+  const whisperUrl = `${publicBaseUrl.replace(/\/$/, '')}/twilio/whisper/${encodeURIComponent(callSid)}`;
+  const twiml = buildTransferTwiml({ to: escalationPhone, whisperUrl });
+
+  session.escalation = {
+    reason,
+    to: escalationPhone,
+    whisper: buildWhisperMessage(session, reason),
+    requestedAtISO: new Date().toISOString(),
+    transferInitiated: false
+  };
+
+  const idempotencyKey = buildIdempotencyKey({
+    tenant: tenant.id,
+    callSid,
+    operation: 'twilio_redirect_call',
+    inputs: {
+      to: escalationPhone,
+      whisperUrl
+    }
+  });
+
+  try {
+    await withIdempotency({
+      key: idempotencyKey,
+      loggerContext: { callSid, operation: 'twilio_redirect_call' },
+      fn: async () => twilioCalls.updateCallTwiml({ callSid, twiml })
+    });
+  } catch (error) {
+    logger.error('[tools] escalate_call transfer failed.', {
+      callSid,
+      streamSid: session.streamSid,
+      tool: 'escalate_call',
+      message: error.message
+    });
+
+    await alertCritical(ALERT_EVENT_TYPES.TWILIO_STREAM_FAILURE, {
+      callSid,
+      streamSid: session.streamSid,
+      source: 'toolRouter.handleEscalateCall',
+      message: error.message,
+      errorCode: error.code || 'call_transfer_failed'
+    });
+
+    await maybeLogEngagement(callSid, session, `Escalation transfer failed: ${shortErrorMessage(error)}`, tenant);
+
+    return buildError('escalate_call', 'call_transfer_failed', 'Failed to transfer call', { message: error.message });
+  }
+
+  session.escalation.transferInitiated = true;
+  transition(session, 'ESCALATED', 'tool:escalate_call');
+
+  await maybeLogEngagement(callSid, session, `Call escalated to ${escalationPhone}. Reason: ${reason}.`, tenant);
+
+  return success('escalate_call', session, {
+    transferInitiated: true,
+    to: escalationPhone,
+    closeRealtime: true
+  });
+}
+
+function buildOncallPageMessage(session, emergency) {
+  const name = [session?.contact?.firstname, session?.contact?.lastname].filter(Boolean).join(' ') || 'unknown caller';
+  const phone = session?.contact?.phone || session?.callerPhone || 'unknown phone';
+  const address = session?.address
+    ? `${session.address.service_street_1}, ${session.address.service_city}`
+    : 'address not captured';
+
+  return `[${emergency.urgency.toUpperCase()}] ${emergency.trigger}: ${name} ${phone} at ${address}. ${emergency.notes || session?.problem?.problem_summary || ''}`.trim();
+}
+
+async function pageOncall({ callSid, session, tenant, emergency }) {
+  const to = tenant.oncallPhone || process.env.ONCALL_PHONE_E164 || tenant.escalationPhone || null;
+  if (!to) {
+    return { paged: false, reason: 'oncall_not_configured' };
+  }
+
+  const body = buildOncallPageMessage(session, emergency);
+  const channels = {};
+
+  const smsKey = buildIdempotencyKey({
+    tenant: tenant.id,
+    callSid,
+    operation: 'twilio_page_oncall_sms',
+    inputs: { to, trigger: emergency.trigger, urgency: emergency.urgency }
+  });
+  channels.sms = await withIdempotency({
+    key: smsKey,
+    loggerContext: { callSid, operation: 'twilio_page_oncall_sms' },
+    fn: async () => twilioSms.sendSms({ to, body: body.slice(0, 320) })
+  });
+
+  if (emergency.urgency === 'emergency') {
+    const callKey = buildIdempotencyKey({
+      tenant: tenant.id,
+      callSid,
+      operation: 'twilio_page_oncall_call',
+      inputs: { to, trigger: emergency.trigger }
+    });
+    channels.voice = await withIdempotency({
+      key: callKey,
+      loggerContext: { callSid, operation: 'twilio_page_oncall_call' },
+      fn: async () => twilioCalls.createCall({
+        to,
+        twiml: buildSayTwiml(`Emergency plumbing call from ${tenant.companyName}. ${body} Details were sent by text.`)
+      })
+    });
+  }
+
+  return { paged: true, to, channels };
+}
+
+async function handleFlagEmergency({ callSid, session, payload, tenant }) {
+  assertAllowedState(session, ESCALATABLE_STATES);
+  validateString(payload, 'urgency');
+  validateString(payload, 'trigger');
+  validateString(payload, 'notes', { optional: true });
+
+  const urgency = payload.urgency.trim().toLowerCase();
+  if (!EMERGENCY_URGENCY_LEVELS.includes(urgency)) {
+    throw Object.assign(new Error(`urgency must be one of: ${EMERGENCY_URGENCY_LEVELS.join(', ')}`), {
+      code: 'invalid_payload',
+      details: { field: 'urgency' }
+    });
+  }
+
+  const trigger = payload.trigger.trim().toLowerCase();
+  if (!EMERGENCY_TRIGGERS.includes(trigger)) {
+    throw Object.assign(new Error(`trigger must be one of: ${EMERGENCY_TRIGGERS.join(', ')}`), {
+      code: 'invalid_payload',
+      details: { field: 'trigger' }
+    });
+  }
+
+  const emergency = {
+    urgency,
+    trigger,
+    notes: payload.notes ? payload.notes.trim() : null,
+    flaggedAtISO: new Date().toISOString()
+  };
+  session.emergency = emergency;
+
+  let page;
+  try {
+    page = await pageOncall({ callSid, session, tenant, emergency });
+  } catch (error) {
+    logger.error('[tools] flag_emergency paging failed.', {
+      callSid,
+      streamSid: session.streamSid,
+      tool: 'flag_emergency',
+      message: error.message
+    });
+
+    await alertCritical(ALERT_EVENT_TYPES.ONCALL_PAGE_FAILURE, {
+      callSid,
+      streamSid: session.streamSid,
+      source: 'toolRouter.handleFlagEmergency',
+      message: error.message,
+      errorCode: error.code || 'oncall_page_failed'
+    });
+
+    page = { paged: false, reason: 'oncall_page_failed' };
+  }
+
+  if (!page.paged && page.reason === 'oncall_not_configured') {
+    await alertCritical(ALERT_EVENT_TYPES.ONCALL_PAGE_FAILURE, {
+      callSid,
+      streamSid: session.streamSid,
+      source: 'toolRouter.handleFlagEmergency',
+      message: 'No on-call phone configured for tenant',
+      errorCode: 'oncall_not_configured',
+      tenantId: tenant.id
+    });
+  }
+
+  session.emergency.paged = page.paged;
+  await maybeLogEngagement(
+    callSid,
+    session,
+    `Emergency flagged (${urgency}, ${trigger}). On-call paged: ${page.paged ? `yes (${page.to})` : `no (${page.reason})`}.`,
+    tenant
+  );
+
+  return success('flag_emergency', session, {
+    urgency,
+    trigger,
+    oncallPaged: page.paged,
+    sameDayScheduling: urgency === 'emergency'
+  });
+}
+
+async function lookupExistingBooking(session) {
+  const phone = normalizeE164(session?.callerPhone);
+  if (!phone) {
+    throw Object.assign(new Error('Caller ID is required to look up an existing booking'), {
+      code: 'missing_prerequisites',
+      details: { field: 'callerPhone' }
+    });
+  }
+
+  const spokenPhone = normalizeE164(session?.contact?.phone);
+  if (spokenPhone && spokenPhone !== phone) {
+    logger.warn('[tools] Spoken phone does not match caller ID. Booking lookup refused.', {
+      callSid: session.callSid,
+      tenantId: session.tenant?.id || null
+    });
+    throw Object.assign(new Error('The phone number the caller gave does not match the caller ID. Escalate the call instead of changing the booking.'), {
+      code: 'caller_phone_mismatch',
+      details: { field: 'contact.phone', nextTool: 'escalate_call' }
+    });
+  }
+
+  return hubspotClient.findOpenBookingByPhone(phone);
+}
+
+function describeExistingBooking(existingBooking, timeZone) {
+  return {
+    startISO: existingBooking.startISO,
+    endISO: existingBooking.endISO,
+    label: calendarClient.formatBookingLabel(existingBooking.startISO, timeZone)
+  };
+}
+
+function getBookingDurationMinutes(existingBooking) {
+  const durationMs = Date.parse(existingBooking.endISO) - Date.parse(existingBooking.startISO);
+  return Number.isFinite(durationMs) && durationMs > 0 ? Math.round(durationMs / 60000) : null;
+}
+
+async function handleRescheduleEstimate({ callSid, session, payload, tenant }) {
+  assertAllowedState(session, BOOKING_LOOKUP_STATES);
+  assertCrmReadyOrThrow(session);
+
+  const hasSelection = payload.slotStartISO != null || payload.slotIndex != null;
+  if (!hasSelection) {
+    const count = parseSlotCount(payload);
+    const existingBooking = await lookupExistingBooking(session);
+    if (!existingBooking) {
+      return buildError('reschedule_estimate', 'booking_not_found', 'No upcoming estimate booking found for caller');
+    }
+
+    const nowISO = new Date().toISOString();
+    const bookedCalendarId = existingBooking.calendarId || tenant.calendarId;
+    const policy = resolveSchedulingPolicy(tenant);
+    const proposedSlots = await calendarClient.proposeSlots({
+      count,
+      nowISO,
+      calendarId: bookedCalendarId,
+      timeZone: tenant.timezone,
+      policy: {
+        ...policy,
+        technicians: policy.technicians.filter((technician) => technician.calendarId === bookedCalendarId)
+      },
+      jobType: session.problem?.job_type,
+      durationMinutes: getBookingDurationMinutes(existingBooking)
+    });
+
+    session.reschedule = {
+      existingBooking,
+      proposedSlots,
+      proposedAtISO: nowISO
+    };
+
+    return success('reschedule_estimate', session, {
+      existingBooking: describeExistingBooking(existingBooking, tenant.timezone),
+      proposedSlots
+    });
+  }
+
+  const existingBooking = session?.reschedule?.existingBooking;
+  const proposedSlots = session?.reschedule?.proposedSlots || [];
+  if (!existingBooking || proposedSlots.length === 0) {
+    throw Object.assign(new Error('Call reschedule_estimate without a slot first to load the booking and proposed slots'), {
+      code: 'missing_prerequisites',
+      details: { field: 'reschedule.proposedSlots' }
+    });
+  }
+
+  const selectedSlot = findSelectedSlot(payload, proposedSlots);
+  const booking = await calendarClient.updateEvent({
+    eventId: existingBooking.calendarEventId,
+    slotStartISO: selectedSlot.startISO,
+    slotEndISO: selectedSlot.endISO,
+    callSid,
+    calendarId: existingBooking.calendarId || tenant.calendarId,
+    timeZone: tenant.timezone,
+    tenant: tenant.id
+  });
+
+  await hubspotClient.updateDealStage({
+    dealId: existingBooking.dealId,
+    pipelineId: hubspotClient.LOCKED_PIPELINE_ID,
+    dealstage: LOCKED_ESTIMATE_SCHEDULED_STAGE_ID,
+    callSid,
+    tenant: tenant.id
+  });
+
+  await hubspotClient.updateDealBooking({
+    dealId: existingBooking.dealId,
+    booking,
+    callSid,
+    tenant: tenant.id
+  });
+
+  await hubspotClient.logEngagement(existingBooking.dealId, existingBooking.contactId, {
+    callSid,
+    noteBody: `Estimate rescheduled from ${existingBooking.startISO} to ${booking.startISO}. Calendar event: ${booking.calendarEventId}.`,
+    tenant: tenant.id
+  });
+
+  session.reschedule.rescheduledBooking = booking;
+
+  maybeScheduleReminder({
+    callSid,
+    tenant,
+    contactId: existingBooking.contactId,
+    dealId: existingBooking.dealId,
+    phone: normalizeE164(session?.contact?.phone || session?.callerPhone),
+    booking
+  });
+
+  return success('reschedule_estimate', session, {
+    rescheduled: true,
+    previousStartISO: existingBooking.startISO,
+    booking,
+    label: calendarClient.formatBookingLabel(booking.startISO, tenant.timezone)
+  });
+}
+
+async function handleCancelEstimate({ callSid, session, payload, tenant }) {
+  assertAllowedState(session, BOOKING_LOOKUP_STATES);
+  assertCrmReadyOrThrow(session);
+
+  if (payload.confirm != null && typeof payload.confirm !== 'boolean') {
+    throw Object.assign(new Error('cancel_estimate confirm must be boolean'), {
+      code: 'invalid_payload',
+      details: { field: 'confirm' }
+    });
+  }
+
+  const pendingBooking = session?.cancellation?.existingBooking || null;
+  const existingBooking = pendingBooking || await lookupExistingBooking(session);
+  if (!existingBooking) {
+    return buildError('cancel_estimate', 'booking_not_found', 'No upcoming estimate booking found for caller');
+  }
+
+  if (payload.confirm !== true || !pendingBooking) {
+    session.cancellation = { existingBooking };
+    return success('cancel_estimate', session, {
+      confirmationRequired: true,
+      existingBooking: describeExistingBooking(existingBooking, tenant.timezone)
+    });
+  }
+
+  await calendarClient.deleteEvent({
+    eventId: existingBooking.calendarEventId,
+    callSid,
+    calendarId: existingBooking.calendarId || tenant.calendarId,
+    tenant: tenant.id
+  });
+
+  await hubspotClient.updateDealBooking({
+    dealId: existingBooking.dealId,
+    booking: null,
+    disposition: 'estimate_cancelled',
+    callSid,
+    tenant: tenant.id
+  });
+
+  const cancelledStageId = String(process.env.HUBSPOT_ESTIMATE_CANCELLED_STAGE_ID || '').trim();
+  if (cancelledStageId) {
+    await hubspotClient.updateDealStage({
+      dealId: existingBooking.dealId,
+      pipelineId: hubspotClient.LOCKED_PIPELINE_ID,
+      dealstage: cancelledStageId,
+      callSid,
+      tenant: tenant.id
+    });
+  }
+
+  await hubspotClient.logEngagement(existingBooking.dealId, existingBooking.contactId, {
+    callSid,
+    noteBody: `Estimate cancelled by caller. Was scheduled for ${existingBooking.startISO}. Calendar event ${existingBooking.calendarEventId} deleted.`,
+    tenant: tenant.id
+  });
+
+  reminders.cancelBookingReminders(existingBooking.dealId);
+
+  session.cancellation = {
+    cancelledBooking: existingBooking,
+    cancelledAtISO: new Date().toISOString()
+  };
+
+  return success('cancel_estimate', session, {
+    cancelled: true,
+    existingBooking: describeExistingBooking(existingBooking, tenant.timezone)
+  });
+}
+
+async function handleFinalizeAndLog({ callSid, session, tenant }) {
   assertAllowedState(session, ['PROBLEM_CAPTURED', 'SCHEDULING', 'BOOKED', 'CONFIRMED_SMS_SENT', 'ESCALATED']);
 
+  const { transcriptRef, turnCount } = describeTranscript(callSid);
+  session.transcriptRef = transcriptRef;
+
   if (session?.hubspot?.crmReady === true) {
     const { contactId, dealId } = session.hubspot || {};
     if (!contactId || !dealId) {
@@ -573,7 +1146,8 @@ async function handleFinalizeAndLog({ callSid, session }) {
 
     await hubspotClient.logEngagement(dealId, contactId, {
       callSid,
-      noteBody: 'Call ended. Summary pending. TranscriptRef pending.'
+      noteBody: `Call finalized. TranscriptRef: ${transcriptRef} (${turnCount} turns). Post-call summary is logged after hangup.`,
+      tenant: tenant.id
     });
   }
 
@@ -585,7 +1159,9 @@ async function handleFinalizeAndLog({ callSid, session }) {
   sessionStore.endSession(callSid, 'finalized');
 
   return success('finalize_and_log', session, {
-    ended: true
+    ended: true,
+    transcriptRef,
+    transcriptTurns: turnCount
   });
 }
 
@@ -598,6 +1174,10 @@ const handlers = {
   book_estimate: handleBookEstimate,
   request_sms_consent: handleRequestSmsConsent,
   send_confirmation_sms: handleSendConfirmationSms,
+  escalate_call: handleEscalateCall,
+  flag_emergency: handleFlagEmergency,
+  reschedule_estimate: handleRescheduleEstimate,
+  cancel_estimate: handleCancelEstimate,
   finalize_and_log: handleFinalizeAndLog
 };
 
@@ -605,7 +1185,7 @@ function isHubspotEnabled() {
   return String(process.env.HUBSPOT_ENABLED || '').trim().toLowerCase() === 'true';
 }
 
-async function enforceDeploymentGate({ callSid, toolName, session }) {
+async function enforceDeploymentGate({ toolName, session, tenant }) {
   if (!GATED_TOOLS.includes(toolName)) {
     return null;
   }
@@ -614,10 +1194,9 @@ async function enforceDeploymentGate({ callSid, toolName, session }) {
     return buildError(toolName, 'crm_not_ready', 'CRM is not ready for this operation');
   }
 
-  const companyId = process.env.HUBSPOT_COMPANY_ID;
-  const company = await hubspotClient.getCompanyById(companyId);
+  const company = await hubspotClient.getCompanyById(tenant.companyId);
   const deploymentStatus = company?.properties?.deployment_status || null;
-  const callerPhoneE164 = session?.callerPhoneE164 || session?.contact?.phone || session?.callerPhone;
+  const callerPhoneE164 = session?.contact?.phone || session?.callerPhone;
   const gate = assertDeploymentAllowed({
     session,
     toolName,
@@ -636,7 +1215,49 @@ async function enforceDeploymentGate({ callSid, toolName, session }) {
 }
 
 
+function recordToolCall(callSid, toolName, result) {
+  const session = sessionStore.getSession(callSid);
+  if (!session) {
+    return;
+  }
+
+  session.toolCalls = [
+    ...(session.toolCalls || []),
+    {
+      ts: new Date().toISOString(),
+      toolName,
+      ok: result?.ok === true,
+      state: session.state,
+      errorCode: result?.error?.code || null
+    }
+  ].slice(-MAX_RECORDED_TOOL_CALLS);
+}
+
 async function dispatchTool({ callSid, toolName, payload }) {
+  const startedAtMs = Date.now();
+  const toolLabel = ALLOWED_TOOLS.includes(toolName) ? toolName : 'unknown';
+  return tracing.withSpan(`dispatchTool ${toolLabel}`, { callSid, attributes: { 'tool.name': toolLabel } }, async (span) => {
+    try {
+      const result = await executeTool({ callSid, toolName, payload });
+      recordToolCall(callSid, toolName, result);
+      const labels = {
+        tool_name: toolLabel,
+        error_code: result?.ok ? null : result?.error?.code
+      };
+      metrics.toolDispatches.inc(labels);
+      metrics.toolDispatchDuration.observe(labels, metrics.secondsSince(startedAtMs));
+      tracing.setSpanAttributes(span, { 'tool.ok': result?.ok === true });
+      if (!result?.ok) {
+        tracing.markSpanError(span, { code: result?.error?.code || 'tool_error', message: result?.error?.message });
+      }
+      return result;
+    } finally {
+      sessionStore.saveSession(callSid);
+    }
+  });
+}
+
+async function executeTool({ callSid, toolName, payload }) {
   try {
     sessionStore.touchSession(callSid);
     const session = sessionStore.getSession(callSid);
@@ -648,6 +1269,7 @@ async function dispatchTool({ callSid, toolName, payload }) {
     logger.info('[tools] Dispatch.', {
       callSid,
       streamSid: session.streamSid,
+      tenantId: session.tenant?.id || null,
       toolName,
       state: session.state,
       payloadSummary: sanitizePayloadSummary(payload)
@@ -662,7 +1284,8 @@ async function dispatchTool({ callSid, toolName, payload }) {
       return buildError(toolName, 'not_implemented', 'Tool handler not implemented');
     }
 
-    const deploymentGateError = await enforceDeploymentGate({ callSid, toolName, session });
+    const tenant = session.tenant || getDefaultTenant();
+    const deploymentGateError = await enforceDeploymentGate({ toolName, session, tenant });
     if (deploymentGateError) {
       return deploymentGateError;
     }
@@ -670,12 +1293,17 @@ async function dispatchTool({ callSid, toolName, payload }) {
     return await handler({
       callSid,
       session,
+      tenant,
       payload: payload || {}
     });
   } catch (error) {
     const alertEventTypeByTool = {
       book_estimate: ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE,
+      reschedule_estimate: ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE,
+      cancel_estimate: ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE,
       send_confirmation_sms: ALERT_EVENT_TYPES.TWILIO_STREAM_FAILURE,
+      escalate_call: ALERT_EVENT_TYPES.TWILIO_STREAM_FAILURE,
+      flag_emergency: ALERT_EVENT_TYPES.ONCALL_PAGE_FAILURE,
       capture_identity: ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE,
       confirm_address: ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE,
       capture_problem: ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE,
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const logger = require('../monitoring/logger');
+
+const TRANSCRIPT_ROLES = Object.freeze(['caller', 'agent']);
+const memoryTranscripts = new Map();
+
+let db;
+let insertStmt;
+let selectByCallSidStmt;
+
+async function initTranscriptStore(dbPath) {
+  if (!dbPath || !String(dbPath).trim()) {
+    throw new Error('TRANSCRIPT_DB_PATH must be set when transcript capture is enabled.');
+  }
+
+  const resolvedPath = path.resolve(String(dbPath));
+  const directory = path.dirname(resolvedPath);
+  fs.mkdirSync(directory, { recursive: true });
+
+  db = new DatabaseSync(resolvedPath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcript_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_sid TEXT NOT NULL,
+      role TEXT NOT NULL,
+      item_id TEXT,
+      text TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (call_sid, role, item_id)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS transcript_entries_call_sid ON transcript_entries (call_sid, id)');
+
+  insertStmt = db.prepare(
+    'INSERT OR IGNORE INTO transcript_entries (call_sid, role, item_id, text, created_at) VALUES (?, ?, ?, ?, ?)'
+  );
+  selectByCallSidStmt = db.prepare(
+    'SELECT role, item_id, text, created_at FROM transcript_entries WHERE call_sid = ? ORDER BY id ASC'
+  );
+
+  return { dbPath: resolvedPath };
+}
+
+function buildTranscriptRef(callSid) {
+  return `transcript:${callSid}`;
+}
+
+function appendTranscriptEntry({ callSid, role, text, itemId }) {
+  if (!callSid || !TRANSCRIPT_ROLES.includes(role)) {
+    return null;
+  }
+
+  const normalizedText = String(text || '').trim();
+  if (!normalizedText) {
+    return null;
+  }
+
+  const entry = {
+    role,
+    itemId: itemId || null,
+    text: normalizedText,
+    createdAt: new Date().toISOString()
+  };
+
+  if (db) {
+    try {
+      insertStmt.run(callSid, entry.role, entry.itemId, entry.text, entry.createdAt);
+    } catch (error) {
+      logger.error('[transcript] Failed to persist transcript entry.', {
+        callSid,
+        role,
+        itemId: entry.itemId,
+        error: error.message
+      });
+    }
+    return entry;
+  }
+
+  const entries = memoryTranscripts.get(callSid) || [];
+  const duplicate = entry.itemId && entries.some((existing) => existing.role === role && existing.itemId === entry.itemId);
+  if (!duplicate) {
+    entries.push(entry);
+    memoryTranscripts.set(callSid, entries);
+  }
+  return entry;
+}
+
+function getTranscript(callSid) {
+  if (db) {
+    return selectByCallSidStmt.all(callSid).map((row) => ({
+      role: row.role,
+      itemId: row.item_id || null,
+      text: row.text,
+      createdAt: row.created_at
+    }));
+  }
+
+  return [...(memoryTranscripts.get(callSid) || [])];
+}
+
+function clearTranscript(callSid) {
+  memoryTranscripts.delete(callSid);
+}
+
+function describeTranscript(callSid) {
+  const entries = getTranscript(callSid);
+  return {
+    transcriptRef: buildTranscriptRef(callSid),
+    turnCount: entries.length
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_ROLES,
+  initTranscriptStore,
+  buildTranscriptRef,
+  appendTranscriptEntry,
+  getTranscript,
+  clearTranscript,
+  describeTranscript
+};
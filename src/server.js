@@ -1,4 +1,3 @@
-const fs = require('fs');
 const http = require('http');
 const express = require('express');
 const WebSocket = require('ws');
@@ -7,23 +6,36 @@ const { validateEnv, validateHubspotEnv, validateStripeEnv, isHubspotEnabled } =
 const {
   DEFAULT_PORT,
   DEFAULT_OPENAI_REALTIME_MODEL,
+  DEFAULT_OPENAI_REALTIME_URL,
   DEFAULT_OPENAI_VOICE,
-  DEFAULT_OPERATOR_COMPANY_NAME,
-  DEFAULT_PROMPT_PATH
+  DEFAULT_OPENAI_TRANSCRIPTION_MODEL
 } = require('./config/constants');
 const logger = require('./monitoring/logger');
-const { alertCritical, ALERT_EVENT_TYPES } = require('./monitoring/alerting');
+const { runWithLogContext, addLogContext, bindLogContext } = logger;
+const metrics = require('./monitoring/metrics');
+const tracing = require('./monitoring/tracing');
+const { alertCritical, listRecentAlerts, ALERT_EVENT_TYPES } = require('./monitoring/alerting');
+const { getTodayQueryStartIso, buildDashboardSnapshot, renderDashboardPage, createDashboardStream } = require('./monitoring/dashboard');
 const { initIdempotency } = require('./governance/idempotencyStore');
 const { classifyDeploymentStatus, isTesterCaller, normalizeE164 } = require('./governance/deploymentGate');
 const {
+  initSessionStore,
   createSession,
   getSession,
+  getSessionRecord,
+  listActiveSessions,
+  listRecentSessions,
+  listSessionsCreatedSince,
   updateSession,
+  saveSession,
   touchSession,
   endSession,
   startSessionJanitor
 } = require('./runtime/sessionStore');
 const { transition } = require('./runtime/stateMachine');
+const { registerCall, unregisterCall, getConnectedCall, endConnectedCall } = require('./runtime/callRegistry');
+const { requireAdmin, requireAdminBrowser } = require('./governance/adminAuth');
+const twilioCalls = require('./integrations/twilioCalls');
 const {
   upsertContact,
   createDeal,
@@ -32,12 +44,28 @@ const {
   getCompanyById,
   updateCompanyDeploymentStatus
 } = require('./integrations/hubspotClient');
+const { getCircuitStates, CIRCUIT_STATES } = require('./integrations/resilience');
 const { dispatchTool } = require('./runtime/toolRouter');
+const { logPostCallSummary } = require('./runtime/callSummary');
+const { escapeXml, buildSayTwiml, buildMessageTwiml, buildHangupTwiml } = require('./integrations/twiml');
+const { verifyTwilioRequest, isSignatureValidationEnabled } = require('./governance/twilioSignature');
+const { createStreamToken, verifyStreamToken, buildStreamPath, parseStreamPath } = require('./governance/streamToken');
+const { handleInboundSms } = require('./runtime/smsInbound');
+const { loadSystemPrompt } = require('./runtime/systemPrompt');
+const { isCallerRecognitionEnabled, lookupCallerContext, buildReturningCallerInstructions } = require('./runtime/callerContext');
+const { initJobScheduler, startJobWorker } = require('./runtime/jobScheduler');
+const { registerReminderJobs } = require('./runtime/reminders');
+const { initTranscriptStore, appendTranscriptEntry, getTranscript, buildTranscriptRef } = require('./runtime/transcriptStore');
+const { getDefaultTenant, resolveTenantByInboundNumber, tenantIdForCompany } = require('./runtime/tenantResolver');
+const { loadConfiguredSchedulingPolicy } = require('./config/schedulingPolicy');
+const { loadServiceAreaConfig } = require('./config/serviceArea');
 require('dotenv').config();
 
 try {
   validateHubspotEnv();
   validateStripeEnv();
+  loadConfiguredSchedulingPolicy();
+  loadServiceAreaConfig();
 } catch (envError) {
   logger.error('[startup] Configuration invalid.', { error: envError.message });
   process.exit(1);
@@ -46,11 +74,29 @@ try {
 const PORT = Number(process.env.PORT || DEFAULT_PORT);
 const OPENAI_REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || DEFAULT_OPENAI_REALTIME_MODEL;
 const OPENAI_VOICE = process.env.OPENAI_VOICE || DEFAULT_OPENAI_VOICE;
-const OPERATOR_COMPANY_NAME = process.env.OPERATOR_COMPANY_NAME || DEFAULT_OPERATOR_COMPANY_NAME;
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || DEFAULT_OPENAI_REALTIME_URL;
 const IDP_ENABLED = String(process.env.IDP_ENABLED || 'true').trim().toLowerCase() === 'true';
 const IDP_DB_PATH = process.env.IDP_DB_PATH || './.data/idempotency.sqlite';
+const SESSION_PERSISTENCE_ENABLED = String(process.env.SESSION_PERSISTENCE_ENABLED || 'true').trim().toLowerCase() === 'true';
+const SESSION_DB_PATH = process.env.SESSION_DB_PATH || './.data/sessions.sqlite';
+const TRANSCRIPT_DB_PATH = process.env.TRANSCRIPT_DB_PATH || './.data/transcripts.sqlite';
+const JOB_DB_PATH = process.env.JOB_DB_PATH || './.data/jobs.sqlite';
+const CALLER_LOOKUP_TIMEOUT_MS = Number(process.env.CALLER_LOOKUP_TIMEOUT_MS || 1500);
+const OPENAI_TRANSCRIPTION_MODEL = process.env.OPENAI_TRANSCRIPTION_MODEL || DEFAULT_OPENAI_TRANSCRIPTION_MODEL;
 const STRIPE_ENABLED = String(process.env.STRIPE_ENABLED || 'false').trim().toLowerCase() === 'true';
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+const ADMIN_END_REASON = 'admin_force_end';
+const DEFAULT_ADMIN_RECENT_LIMIT = 20;
+const MAX_ADMIN_RECENT_LIMIT = 100;
+const DASHBOARD_DEPLOYMENT_CACHE_MS = 60 * 1000;
+const TRACED_OPENAI_EVENTS = Object.freeze([
+  'session.updated',
+  'input_audio_buffer.speech_started',
+  'input_audio_buffer.speech_stopped',
+  'response.function_call_arguments.done',
+  'response.done',
+  'error'
+]);
 const STRIPE_WEBHOOK_TOLERANCE_SECONDS = Number(process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS || 300);
 let stripe = null;
 if (STRIPE_ENABLED) {
@@ -62,61 +108,47 @@ if (STRIPE_ENABLED) {
   }
 }
 
-function loadSystemPrompt() {
-  if (process.env.OPERATOR_SYSTEM_PROMPT && process.env.OPERATOR_SYSTEM_PROMPT.trim()) {
-    return process.env.OPERATOR_SYSTEM_PROMPT.trim();
-  }
-
-  try {
-    return fs.readFileSync(DEFAULT_PROMPT_PATH, 'utf8').trim();
-  } catch (error) {
-    logger.error('[startup] Failed to load default prompt file.', { error: error.message });
-    return `You are ${OPERATOR_COMPANY_NAME}, a plumbing call operator. Collect caller name, service address, issue description, and urgency.`;
-  }
-}
-
-const SYSTEM_PROMPT = loadSystemPrompt();
-
 const REALTIME_TOOL_DEFINITIONS = Object.freeze([
   {
     type: 'function',
     name: 'capture_identity',
-    description: 'Capture caller identity before moving to address confirmation.',
+    description: 'Capture caller identity before moving to address confirmation. Pass firstname and lastname, or confirm_existing=true when a returning caller confirms the name on file.',
     parameters: {
       type: 'object',
       properties: {
         firstname: { type: 'string' },
         lastname: { type: 'string' },
-        phone: { type: 'string' }
+        phone: { type: 'string' },
+        confirm_existing: { type: 'boolean' }
       },
-      required: ['firstname', 'lastname'],
       additionalProperties: false
     }
   },
   {
     type: 'function',
     name: 'confirm_address',
-    description: 'Capture service address after identity is checked.',
+    description: 'Capture service address after identity is checked. Pass the full address, or confirm_existing=true when a returning caller confirms the address on file.',
     parameters: {
       type: 'object',
       properties: {
         service_street_1: { type: 'string' },
         service_city: { type: 'string' },
         service_state: { type: 'string' },
-        service_postal_code: { type: 'string' }
+        service_postal_code: { type: 'string' },
+        confirm_existing: { type: 'boolean' }
       },
-      required: ['service_street_1', 'service_city', 'service_state', 'service_postal_code'],
       additionalProperties: false
     }
   },
   {
     type: 'function',
     name: 'capture_problem',
-    description: 'Capture a short problem summary after address is confirmed.',
+    description: 'Capture a short problem summary after address is confirmed. Include job_type when clear (for example drain, leak, water_heater, fixture, sewer, other) so the right appointment length is booked.',
     parameters: {
       type: 'object',
       properties: {
-        problem_summary: { type: 'string' }
+        problem_summary: { type: 'string' },
+        job_type: { type: 'string' }
       },
       required: ['problem_summary'],
       additionalProperties: false
@@ -139,8 +171,7 @@ const REALTIME_TOOL_DEFINITIONS = Object.freeze([
     parameters: {
       type: 'object',
       properties: {
-        count: { type: 'integer', minimum: 1, maximum: 5 },
-        serviceRadius: { type: 'string' }
+        count: { type: 'integer', minimum: 1, maximum: 5 }
       },
       additionalProperties: false
     }
@@ -184,10 +215,56 @@ const REALTIME_TOOL_DEFINITIONS = Object.freeze([
   {
     type: 'function',
     name: 'escalate_call',
-    description: 'Escalate the current call when manual takeover is required.',
+    description: 'Transfer the caller to a human at the company when manual takeover is required. Tell the caller you are connecting them before calling this.',
     parameters: {
       type: 'object',
-      properties: {},
+      properties: {
+        reason: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    type: 'function',
+    name: 'flag_emergency',
+    description: 'Record an emergency or urgent plumbing situation and page the on-call technician. Emergencies unlock same-day slots in propose_slots.',
+    parameters: {
+      type: 'object',
+      properties: {
+        urgency: { type: 'string', enum: ['emergency', 'urgent'] },
+        trigger: {
+          type: 'string',
+          enum: ['flooding', 'burst_pipe', 'active_leak', 'sewage_backup', 'no_water', 'gas_smell', 'other']
+        },
+        notes: { type: 'string' }
+      },
+      required: ['urgency', 'trigger'],
+      additionalProperties: false
+    }
+  },
+  {
+    type: 'function',
+    name: 'reschedule_estimate',
+    description: 'Move a caller\'s existing estimate booking. Call without a slot to look up the booking by phone and get proposed slots, then call again with slotIndex or slotStartISO.',
+    parameters: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer', minimum: 1, maximum: 5 },
+        slotStartISO: { type: 'string' },
+        slotIndex: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    type: 'function',
+    name: 'cancel_estimate',
+    description: 'Cancel a caller\'s existing estimate booking. Call without confirm to look up the booking, read it back, then call again with confirm=true.',
+    parameters: {
+      type: 'object',
+      properties: {
+        confirm: { type: 'boolean' }
+      },
       additionalProperties: false
     }
   },
@@ -263,7 +340,11 @@ const UNAVAILABLE_TWIML = `<?xml version="1.0" encoding="UTF-8"?>
   <Hangup />
 </Response>`;
 
-async function evaluateDeploymentAccess({ callSid, callerPhone }) {
+function isStreamTokenRequired() {
+  return isSignatureValidationEnabled() || process.env.NODE_ENV === 'production';
+}
+
+async function evaluateDeploymentAccess({ callerPhone, tenant }) {
   if (!isHubspotEnabled()) {
     return {
       allowed: true,
@@ -274,8 +355,7 @@ async function evaluateDeploymentAccess({ callSid, callerPhone }) {
     };
   }
 
-  const companyId = process.env.HUBSPOT_COMPANY_ID;
-  const company = await getCompanyById(companyId);
+  const company = await getCompanyById(tenant.companyId);
   const deploymentStatus = company?.properties?.deployment_status || null;
   const classification = classifyDeploymentStatus(deploymentStatus);
   const normalizedCaller = normalizeE164(callerPhone);
@@ -360,6 +440,17 @@ function verifyStripeWebhookSignature(rawBodyBuffer, signatureHeader, secret, to
   }
 }
 
+function resolveRequestId(req) {
+  const provided = String(req.headers['x-request-id'] || '').trim();
+  return /^[A-Za-z0-9._:-]{1,128}$/.test(provided) ? provided : crypto.randomUUID();
+}
+
+app.use((req, res, next) => {
+  const requestId = resolveRequestId(req);
+  res.set('X-Request-Id', requestId);
+  runWithLogContext({ requestId }, next);
+});
+
 app.post('/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   if (!STRIPE_ENABLED) {
     return res.status(404).json({ ok: false });
@@ -381,23 +472,24 @@ app.post('/stripe/webhook', express.raw({ type: 'application/json' }), async (re
       event = JSON.parse(req.body.toString('utf8'));
     }
 
-    const companyId = process.env.HUBSPOT_COMPANY_ID;
+    const companyId = event.data?.object?.metadata?.hubspot_company_id || process.env.HUBSPOT_COMPANY_ID;
+    const tenant = tenantIdForCompany(companyId);
     const callSid = `stripe-${event.id || 'unknown'}`;
 
     if (event.type === 'checkout.session.completed') {
-      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'live', callSid, reason: 'stripe_checkout_completed' });
+      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'live', callSid, tenant, reason: 'stripe_checkout_completed' });
     }
 
     if (event.type === 'invoice.paid') {
-      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'live', callSid, reason: 'stripe_invoice_paid' });
+      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'live', callSid, tenant, reason: 'stripe_invoice_paid' });
     }
 
     if (event.type === 'invoice.payment_failed') {
-      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'suspended', callSid, reason: 'stripe_invoice_payment_failed' });
+      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'suspended', callSid, tenant, reason: 'stripe_invoice_payment_failed' });
     }
 
     if (event.type === 'customer.subscription.deleted') {
-      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'cancelled', callSid, reason: 'stripe_subscription_deleted' });
+      await updateCompanyDeploymentStatus({ companyId, deployment_status: 'cancelled', callSid, tenant, reason: 'stripe_subscription_deleted' });
     }
 
     return res.status(200).json({ received: true });
@@ -409,9 +501,20 @@ app.post('/stripe/webhook', express.raw({ type: 'application/json' }), async (re
 
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
+app.use((req, _res, next) => {
+  addLogContext({ callSid: req.body?.CallSid });
+  next();
+});
 
 app.get('/health', (_req, res) => {
-  res.status(200).json({ ok: true, service: 'plumbing-voice-bridge' });
+  const circuits = getCircuitStates();
+  const degraded = Object.values(circuits).some((circuit) => circuit.state !== CIRCUIT_STATES.CLOSED);
+  res.status(200).json({ ok: true, service: 'plumbing-voice-bridge', degraded, circuits });
+});
+
+app.get('/metrics', (_req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(metrics.renderMetrics());
 });
 
 app.post('/internal/tools/:callSid', async (req, res) => {
@@ -426,7 +529,293 @@ app.post('/internal/tools/:callSid', async (req, res) => {
   return res.status(result.ok ? 200 : 400).json(result);
 });
 
+app.get('/internal/transcripts/:callSid', (req, res) => {
+  const toolingEnabled = String(process.env.INTERNAL_TOOLING_ENABLED || '').trim().toLowerCase() === 'true';
+  if (!toolingEnabled) {
+    return res.status(404).json({ ok: false });
+  }
+
+  const { callSid } = req.params;
+  return res.status(200).json({
+    ok: true,
+    transcriptRef: buildTranscriptRef(callSid),
+    entries: getTranscript(callSid)
+  });
+});
+
+app.get('/internal/sessions/:callSid', (req, res) => {
+  const toolingEnabled = String(process.env.INTERNAL_TOOLING_ENABLED || '').trim().toLowerCase() === 'true';
+  if (!toolingEnabled) {
+    return res.status(404).json({ ok: false });
+  }
+
+  const record = getSessionRecord(req.params.callSid);
+  if (!record) {
+    return res.status(404).json({ ok: false, error: 'session_not_found' });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    session: {
+      callSid: record.callSid,
+      streamSid: record.streamSid,
+      tenantId: record.tenant?.id || null,
+      campaign: record.campaign || null,
+      state: record.state,
+      status: record.status,
+      createdAt: record.createdAt,
+      endedAt: record.endedAt,
+      endReason: record.endReason,
+      auditLog: record.auditLog || [],
+      toolCalls: record.toolCalls || [],
+      contact: record.contact || null,
+      address: record.address || null,
+      problem: record.problem || null,
+      booking: record.booking || null
+    }
+  });
+});
+
+function summarizeSession(record, nowMs = Date.now()) {
+  const lastTool = (record.toolCalls || []).at(-1) || null;
+  const endMs = record.endedAt ? Date.parse(record.endedAt) : nowMs;
+  const callerName = [record.contact?.firstname, record.contact?.lastname].filter(Boolean).join(' ');
+
+  return {
+    callSid: record.callSid,
+    streamSid: record.streamSid,
+    status: record.status,
+    state: record.state,
+    connected: Boolean(getConnectedCall(record.callSid)),
+    tenantId: record.tenant?.id || null,
+    campaign: record.campaign || null,
+    caller: {
+      phone: record.callerPhone || null,
+      name: callerName || null
+    },
+    createdAt: record.createdAt,
+    lastSeenAt: record.lastSeenAt,
+    endedAt: record.endedAt,
+    endReason: record.endReason,
+    durationSeconds: Math.max(0, Math.round((endMs - Date.parse(record.createdAt)) / 1000)),
+    deploymentStatus: record.deploymentStatus || null,
+    deploymentGate: record.deploymentGate || null,
+    lastTool: lastTool && {
+      toolName: lastTool.toolName,
+      ok: lastTool.ok,
+      errorCode: lastTool.errorCode,
+      at: lastTool.ts
+    }
+  };
+}
+
+function parseRecentLimit(value) {
+  const raw = Number(value);
+  if (!Number.isInteger(raw) || raw < 0) {
+    return DEFAULT_ADMIN_RECENT_LIMIT;
+  }
+  return Math.min(raw, MAX_ADMIN_RECENT_LIMIT);
+}
+
+async function hangUpTwilioCall(callSid) {
+  try {
+    const result = await twilioCalls.updateCallTwiml({ callSid, twiml: buildHangupTwiml() });
+    return { ok: true, status: result.status };
+  } catch (error) {
+    logger.error('[admin] Twilio hangup failed.', { callSid, errorCode: error.code || null, message: error.message });
+    return { ok: false, errorCode: error.code || 'twilio_hangup_failed' };
+  }
+}
+
+app.get('/admin/sessions', requireAdmin, (req, res) => {
+  const nowMs = Date.now();
+  return res.status(200).json({
+    ok: true,
+    active: listActiveSessions()
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((record) => summarizeSession(record, nowMs)),
+    recent: listRecentSessions(parseRecentLimit(req.query.recentLimit)).map((record) => summarizeSession(record, nowMs))
+  });
+});
+
+app.get('/admin/sessions/:callSid', requireAdmin, (req, res) => {
+  const record = getSessionRecord(req.params.callSid);
+  if (!record) {
+    return res.status(404).json({ ok: false, error: 'session_not_found' });
+  }
+
+  return res.status(200).json({
+    ok: true,
+    summary: summarizeSession(record),
+    connection: getConnectedCall(record.callSid),
+    session: record
+  });
+});
+
+app.post('/admin/sessions/:callSid/end', requireAdmin, async (req, res) => {
+  const { callSid } = req.params;
+  const session = getSession(callSid);
+  if (!session) {
+    const record = getSessionRecord(callSid);
+    return record
+      ? res.status(409).json({ ok: false, error: 'session_not_active', summary: summarizeSession(record) })
+      : res.status(404).json({ ok: false, error: 'session_not_found' });
+  }
+
+  logger.warn('[admin] Force-ending session.', { callSid, streamSid: session.streamSid, state: session.state });
+  const connected = endConnectedCall(callSid, ADMIN_END_REASON);
+  if (!connected) {
+    finalizeSession({ callSid, streamSid: session.streamSid, reason: ADMIN_END_REASON });
+  }
+  const hangup = req.body?.hangup === true ? await hangUpTwilioCall(callSid) : null;
+
+  return res.status(200).json({
+    ok: true,
+    connected,
+    hangup,
+    summary: summarizeSession(getSessionRecord(callSid) || { ...session, status: 'ended', endedAt: new Date().toISOString(), endReason: ADMIN_END_REASON })
+  });
+});
+
+const dashboardDeploymentCache = new Map();
+
+async function loadDeploymentStatus(tenant) {
+  const base = { tenantId: tenant.id, companyId: tenant.companyId, companyName: tenant.companyName || null };
+  if (!isHubspotEnabled()) {
+    return { ...base, status: null, classification: 'hubspot_disabled', checkedAt: null };
+  }
+
+  const cached = dashboardDeploymentCache.get(tenant.companyId);
+  if (cached && Date.now() - cached.atMs < DASHBOARD_DEPLOYMENT_CACHE_MS) {
+    return cached.value;
+  }
+
+  let value;
+  try {
+    const company = await getCompanyById(tenant.companyId, { properties: ['name', 'deployment_status'] });
+    const status = company?.properties?.deployment_status || null;
+    value = {
+      ...base,
+      companyName: company?.properties?.name || base.companyName,
+      status,
+      classification: classifyDeploymentStatus(status),
+      checkedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.warn('[dashboard] Deployment status lookup failed.', { companyId: tenant.companyId, errorCode: error.code || null, message: error.message });
+    value = { ...base, status: null, classification: 'unavailable', error: error.code || 'hubspot_request_failed', checkedAt: new Date().toISOString() };
+  }
+  dashboardDeploymentCache.set(tenant.companyId, { atMs: Date.now(), value });
+  return value;
+}
+
+async function loadDashboardSnapshot() {
+  const nowMs = Date.now();
+  const defaultTenant = getDefaultTenant();
+  const records = listSessionsCreatedSince(getTodayQueryStartIso(nowMs, defaultTenant.timezone));
+  const tenants = new Map([[defaultTenant.companyId, defaultTenant]]);
+  for (const record of records) {
+    if (record.tenant?.companyId && !tenants.has(record.tenant.companyId)) {
+      tenants.set(record.tenant.companyId, record.tenant);
+    }
+  }
+
+  return buildDashboardSnapshot({
+    records,
+    summarize: summarizeSession,
+    alerts: listRecentAlerts(),
+    deployments: await Promise.all([...tenants.values()].map((tenant) => loadDeploymentStatus(tenant))),
+    timeZone: defaultTenant.timezone,
+    nowMs
+  });
+}
+
+const dashboardStream = createDashboardStream({ loadSnapshot: loadDashboardSnapshot });
+
+app.get('/admin/dashboard', requireAdminBrowser, async (_req, res) => {
+  try {
+    const snapshot = await loadDashboardSnapshot();
+    return res.status(200).set('Cache-Control', 'no-store').type('html').send(renderDashboardPage(snapshot));
+  } catch (error) {
+    logger.error('[dashboard] Failed to render dashboard.', { message: error.message });
+    return res.status(500).type('text/plain').send('Dashboard unavailable');
+  }
+});
+
+app.get('/admin/dashboard/events', requireAdminBrowser, (req, res) => dashboardStream.handleRequest(req, res));
+
+app.post('/twilio/whisper/:callSid', (req, res) => {
+  let verified;
+  try {
+    verified = verifyTwilioRequest(req, { route: '/twilio/whisper' });
+  } catch (error) {
+    logger.error('[twilio/whisper] Signature validation misconfigured.', { error: error.message });
+    return res.status(500).type('text/plain').send('Server misconfiguration');
+  }
+
+  if (!verified) {
+    return res.status(403).type('text/plain').send('Invalid signature');
+  }
+
+  const record = getSessionRecord(req.params.callSid);
+  const whisper = record?.escalation?.whisper || 'Transferred call from the AI operator.';
+  return res.status(200).type('text/xml').send(buildSayTwiml(whisper));
+});
+
+app.post('/twilio/sms', async (req, res) => {
+  let verified;
+  try {
+    verified = verifyTwilioRequest(req, { route: '/twilio/sms' });
+  } catch (error) {
+    logger.error('[twilio/sms] Signature validation misconfigured.', { error: error.message });
+    return res.status(500).type('text/plain').send('Server misconfiguration');
+  }
+
+  if (!verified) {
+    return res.status(403).type('text/plain').send('Invalid signature');
+  }
+
+  const messageSid = req.body.MessageSid || req.body.SmsSid || 'unknown-message';
+
+  try {
+    const tenant = await resolveTenantByInboundNumber(req.body.To);
+    const result = await handleInboundSms({
+      messageSid,
+      from: req.body.From,
+      to: req.body.To,
+      body: req.body.Body,
+      tenant
+    });
+
+    return res.status(200).type('text/xml').send(buildMessageTwiml(result.reply));
+  } catch (error) {
+    if (error.code === 'tenant_not_found') {
+      logger.warn('[twilio/sms] No tenant for inbound number. Ignoring the message.', { messageSid, to: req.body.To });
+      return res.status(200).type('text/xml').send(buildMessageTwiml(null));
+    }
+    logger.error('[twilio/sms] Inbound SMS handling failed.', {
+      messageSid,
+      message: error.message,
+      code: error.code,
+      status: error.status
+    });
+    return res.status(500).type('text/plain').send('Inbound SMS handling failed');
+  }
+});
+
 app.post('/twilio/voice', async (req, res) => {
+  let verified;
+  try {
+    verified = verifyTwilioRequest(req, { route: '/twilio/voice' });
+  } catch (error) {
+    logger.error('[twilio/voice] Signature validation misconfigured.', { error: error.message });
+    return res.status(500).type('text/plain').send('Server misconfiguration');
+  }
+
+  if (!verified) {
+    return res.status(403).type('text/plain').send('Invalid signature');
+  }
+
   try {
     validateEnv();
   } catch (envError) {
@@ -436,13 +825,20 @@ app.post('/twilio/voice', async (req, res) => {
 
   const callSid = req.body.CallSid || 'unknown-call';
   const callerPhone = req.body.From || null;
+  const dialedPhone = req.body.To || null;
+  const campaign = typeof req.query.campaign === 'string' ? req.query.campaign.trim() : '';
   const host = req.get('x-forwarded-host') || req.get('host');
-  const streamUrl = `wss://${host}/twilio/stream`;
+  const streamToken = isStreamTokenRequired() ? createStreamToken({ callSid }) : null;
+  const streamUrl = `wss://${host}${buildStreamPath(streamToken)}`;
+  const callSpan = tracing.startCallSpan(req.body.CallSid);
+  addLogContext({ traceId: callSpan?.traceId });
 
   try {
-    const deploymentDecision = await evaluateDeploymentAccess({ callSid, callerPhone });
+    const tenant = await resolveTenantByInboundNumber(dialedPhone);
+    const deploymentDecision = await evaluateDeploymentAccess({ callerPhone, tenant });
     logger.info('[twilio/voice] Deployment gate decision.', {
       callSid,
+      tenantId: tenant.id,
       callerPhone: normalizeE164(callerPhone),
       deploymentStatus: deploymentDecision.status,
       classification: deploymentDecision.classification,
@@ -450,8 +846,15 @@ app.post('/twilio/voice', async (req, res) => {
       allowed: deploymentDecision.allowed,
       reason: deploymentDecision.reason
     });
+    tracing.addSpanEvent('twilio.voice_webhook', {
+      tenantId: tenant.id,
+      deploymentStatus: deploymentDecision.status,
+      allowed: deploymentDecision.allowed,
+      reason: deploymentDecision.reason
+    }, callSpan);
 
     if (!deploymentDecision.allowed) {
+      tracing.endCallSpan(callSid, { reason: 'deployment_gate_blocked' });
       return res.status(200).type('text/xml').send(UNAVAILABLE_TWIML);
     }
   } catch (error) {
@@ -462,15 +865,26 @@ app.post('/twilio/voice', async (req, res) => {
       code: error.code,
       status: error.status
     });
+    tracing.endCallSpan(callSid, { reason: error.code === 'tenant_not_found' ? 'tenant_not_found' : 'deployment_gate_error' });
     return res.status(200).type('text/xml').send(UNAVAILABLE_TWIML);
   }
 
-  logger.info('[twilio/voice] Building TwiML response.', { callSid, streamUrl });
+  logger.info('[twilio/voice] Building TwiML response.', { callSid, streamHost: host, streamTokenIssued: Boolean(streamToken) });
+
+  const streamParameters = [
+    ['From', callerPhone],
+    ['To', dialedPhone],
+    ['Campaign', campaign]
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `\n      <Parameter name="${name}" value="${escapeXml(value)}" />`)
+    .join('');
 
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Start>
-    <Stream url="${streamUrl}" />
+    <Stream url="${streamUrl}">${streamParameters}
+    </Stream>
   </Start>
   <Say>Thanks for calling. One moment.</Say>
   <Pause length="600" />
@@ -491,9 +905,10 @@ function safeJsonParse(raw) {
 }
 
 function createOpenAiSocket() {
-  const openAiUrl = `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(OPENAI_REALTIME_MODEL)}`;
+  const openAiUrl = new URL(OPENAI_REALTIME_URL);
+  openAiUrl.searchParams.set('model', OPENAI_REALTIME_MODEL);
 
-  return new WebSocket(openAiUrl, {
+  return new WebSocket(openAiUrl.toString(), {
     headers: {
       Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
       'OpenAI-Beta': 'realtime=v1'
@@ -519,13 +934,42 @@ async function initializeIdempotency() {
   logger.info('[startup] Idempotency store initialized.', { dbPath: result.dbPath });
 }
 
+async function initializeSessionPersistence() {
+  if (!SESSION_PERSISTENCE_ENABLED) {
+    logger.warn('[startup] SESSION_PERSISTENCE_ENABLED=false. Sessions are kept in memory only.');
+    return;
+  }
+
+  try {
+    const result = await initSessionStore(SESSION_DB_PATH);
+    logger.info('[startup] Session store initialized.', { dbPath: result.dbPath });
+  } catch (error) {
+    logger.error('[startup] Session store initialization failed. Sessions are kept in memory only.', {
+      error: error.message,
+      dbPath: SESSION_DB_PATH
+    });
+  }
+}
+
+async function initializeTranscriptStore() {
+  try {
+    const result = await initTranscriptStore(TRANSCRIPT_DB_PATH);
+    logger.info('[startup] Transcript store initialized.', { dbPath: result.dbPath });
+  } catch (error) {
+    logger.error('[startup] Transcript store initialization failed. Transcripts are kept in memory only.', {
+      error: error.message,
+      dbPath: TRANSCRIPT_DB_PATH
+    });
+  }
+}
+
 async function logStartupDeploymentStatus() {
   if (!isHubspotEnabled()) {
     return;
   }
 
   try {
-    const companyId = process.env.HUBSPOT_COMPANY_ID;
+    const { companyId } = getDefaultTenant();
     const company = await getCompanyById(companyId);
     logger.info('[startup] HubSpot deployment status fetched.', {
       companyId,
@@ -540,8 +984,53 @@ async function logStartupDeploymentStatus() {
   }
 }
 
+function buildSessionInstructions({ callSid, tenant, campaign, callerContext }) {
+  const prompt = loadSystemPrompt({ tenant, campaign, callerContext });
+  logger.info('[prompt] System prompt rendered.', {
+    callSid,
+    tenantId: tenant.id,
+    campaign: campaign || null,
+    source: prompt.source,
+    promptPath: prompt.promptPath
+  });
+
+  const basePrompt = prompt.text;
+  const returningCallerBlock = buildReturningCallerInstructions(callerContext, tenant.timezone);
+  return returningCallerBlock ? `${basePrompt}\n\n${returningCallerBlock}` : basePrompt;
+}
+
+function resolveWithin(promise, timeoutMs, fallback) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(fallback), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function recognizeCaller({ callSid, streamSid, callerPhone }) {
+  if (!isHubspotEnabled() || !isCallerRecognitionEnabled()) {
+    return null;
+  }
+
+  try {
+    const callerContext = await lookupCallerContext({ callSid, callerPhone });
+    if (callerContext) {
+      updateSession(callSid, { callerContext });
+    }
+    return callerContext;
+  } catch (error) {
+    logger.warn('[caller] Returning caller lookup failed. Continuing without caller context.', {
+      callSid,
+      streamSid,
+      status: error.status,
+      errorCode: error.code,
+      message: error.message
+    });
+    return null;
+  }
+}
 
-async function runHubspotIntake({ callSid, streamSid, callerPhone }) {
+async function runHubspotIntake({ callSid, streamSid, callerPhone, tenant, callerContext }) {
   if (!isHubspotEnabled()) {
     return { crmReady: false, reason: 'hubspot_disabled' };
   }
@@ -551,10 +1040,11 @@ async function runHubspotIntake({ callSid, streamSid, callerPhone }) {
   }
 
   try {
-    const { id: contactId } = await upsertContact({ phone: callerPhone }, { callSid });
-    const { id: dealId } = await createDeal({ contactId, callSid });
-    await associateDealToContact(dealId, contactId, { callSid });
-    await logEngagement(dealId, contactId, { callSid });
+    const contactId = callerContext?.contactId
+      || (await upsertContact({ phone: callerPhone }, { callSid, tenant: tenant.id })).id;
+    const { id: dealId } = await createDeal({ contactId, callSid, tenant: tenant.id });
+    await associateDealToContact(dealId, contactId, { callSid, tenant: tenant.id });
+    await logEngagement(dealId, contactId, { callSid, tenant: tenant.id });
 
     return {
       crmReady: true,
@@ -589,7 +1079,52 @@ async function runHubspotIntake({ callSid, streamSid, callerPhone }) {
   }
 }
 
-wsServer.on('connection', (twilioSocket, req) => {
+function finalizeSession({ callSid, streamSid, reason }) {
+  const session = getSession(callSid);
+  if (session && session.state !== 'CALL_ENDED') {
+    try {
+      transition(session, 'CALL_ENDED', reason);
+    } catch (error) {
+      logger.error('[state] Failed to transition to CALL_ENDED.', {
+        callSid,
+        streamSid,
+        reason,
+        error: error.message
+      });
+    }
+  }
+
+  endSession(callSid, reason);
+  const snapshot = session || getSessionRecord(callSid);
+  tracing.endCallSpan(callSid, { reason, attributes: { 'call.final_state': snapshot?.state } });
+  if (!snapshot) {
+    logger.warn('[summary] Session unavailable after call end. Skipping post-call summary.', { callSid, streamSid, reason });
+    return;
+  }
+
+  logPostCallSummary({ callSid, session: snapshot })
+    .then((result) => {
+      logger.info('[summary] Post-call summary processed.', {
+        callSid,
+        streamSid,
+        ok: result?.ok === true,
+        source: result?.source || null,
+        reason: result?.reason || null
+      });
+    })
+    .catch(async (error) => {
+      logger.error('[summary] Post-call summary failed.', { callSid, streamSid, error: error.message });
+      await alertCritical(ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE, {
+        callSid,
+        streamSid,
+        source: 'server.finalizeCall',
+        message: error.message,
+        errorCode: error.code || 'post_call_summary_failed'
+      });
+    });
+}
+
+function handleTwilioStream(twilioSocket, req) {
   try {
     validateEnv();
   } catch (envError) {
@@ -608,7 +1143,15 @@ wsServer.on('connection', (twilioSocket, req) => {
   let sessionUpdateSent = false;
   let initialResponseCreateSent = false;
   let callFinalized = false;
+  let openAiClosedIntentionally = false;
+  let streamStartedAtMs = null;
+  let firstAgentAudioSent = false;
+  const forwardedHost = req.headers['x-forwarded-host'] || req.headers.host;
+  const publicBaseUrl = forwardedHost ? `https://${forwardedHost}` : null;
+  const expectedCallSid = req.streamAuth?.callSid || null;
   let toolExecutionQueue = Promise.resolve();
+  let callerContextPromise = Promise.resolve(null);
+  let campaign = null;
   const handledToolCallIds = new Set();
 
   const setAgentSpeaking = (nextState, reason) => {
@@ -642,25 +1185,21 @@ wsServer.on('connection', (twilioSocket, req) => {
       return;
     }
 
-    const session = getSession(callSid);
-    if (session && session.state !== 'CALL_ENDED') {
-      try {
-        transition(session, 'CALL_ENDED', reason);
-      } catch (error) {
-        logger.error('[state] Failed to transition to CALL_ENDED.', {
-          callSid,
-          streamSid,
-          reason,
-          error: error.message
-        });
-      }
+    callFinalized = true;
+    unregisterCall(callSid, endFromRegistry);
+    if (streamStartedAtMs !== null) {
+      metrics.activeCalls.dec();
+      metrics.callDuration.observe({ reason }, metrics.secondsSince(streamStartedAtMs));
     }
+    finalizeSession({ callSid, streamSid, reason });
+  };
 
-    endSession(callSid, reason);
-    callFinalized = true;
+  const endFromRegistry = (reason) => {
+    finalizeCall(reason);
+    closeBoth(reason);
   };
 
-  const initializeOpenAi = () => {
+  const initializeOpenAi = (tenant) => {
     openAiSocket = createOpenAiSocket();
 
     const maybeSendInitialResponseCreate = () => {
@@ -677,42 +1216,104 @@ wsServer.on('connection', (twilioSocket, req) => {
       logger.info('[openai] response.create sent', { callSid, streamSid });
     };
 
-    openAiSocket.on('open', () => {
+    openAiSocket.on('open', bindLogContext(() => {
       openAiReady = true;
-      logState('Connected to OpenAI Realtime.', { callSid, streamSid, model: OPENAI_REALTIME_MODEL });
-
-      const sessionUpdate = {
-        type: 'session.update',
-        session: {
-          modalities: ['audio', 'text'],
-          instructions: SYSTEM_PROMPT,
-          voice: OPENAI_VOICE,
-          input_audio_format: 'g711_ulaw',
-          output_audio_format: 'g711_ulaw',
-          tools: REALTIME_TOOL_DEFINITIONS,
-          turn_detection: {
-            type: 'server_vad'
+      tracing.addSpanEvent('openai.connected', { model: OPENAI_REALTIME_MODEL }, tracing.getCallSpan(callSid));
+      logState('Connected to OpenAI Realtime.', {
+        callSid,
+        streamSid,
+        model: OPENAI_REALTIME_MODEL,
+        realtimeHost: new URL(OPENAI_REALTIME_URL).host
+      });
+
+      resolveWithin(callerContextPromise, CALLER_LOOKUP_TIMEOUT_MS, undefined).then((callerContext) => {
+        if (!openAiSocket || openAiSocket.readyState !== WebSocket.OPEN) {
+          return;
+        }
+
+        const sessionUpdate = {
+          type: 'session.update',
+          session: {
+            modalities: ['audio', 'text'],
+            instructions: buildSessionInstructions({ callSid, tenant, campaign, callerContext }),
+            voice: OPENAI_VOICE,
+            input_audio_format: 'g711_ulaw',
+            output_audio_format: 'g711_ulaw',
+            input_audio_transcription: {
+              model: OPENAI_TRANSCRIPTION_MODEL
+            },
+            tools: REALTIME_TOOL_DEFINITIONS,
+            turn_detection: {
+              type: 'server_vad'
+            }
           }
+        };
+
+        openAiSocket.send(JSON.stringify(sessionUpdate));
+        sessionUpdateSent = true;
+        maybeSendInitialResponseCreate();
+
+        if (callerContext !== undefined) {
+          return;
         }
-      };
 
-      openAiSocket.send(JSON.stringify(sessionUpdate));
-      sessionUpdateSent = true;
-      maybeSendInitialResponseCreate();
-    });
+        logger.warn('[caller] Caller lookup still pending at session.update. Instructions will be updated when it completes.', {
+          callSid,
+          streamSid,
+          timeoutMs: CALLER_LOOKUP_TIMEOUT_MS
+        });
+        callerContextPromise.then((lateCallerContext) => {
+          if (!lateCallerContext || openAiSocket?.readyState !== WebSocket.OPEN) {
+            return;
+          }
 
-    openAiSocket.on('message', (raw) => {
+          openAiSocket.send(JSON.stringify({
+            type: 'session.update',
+            session: { instructions: buildSessionInstructions({ callSid, tenant, campaign, callerContext: lateCallerContext }) }
+          }));
+          logger.info('[caller] Returning caller context sent after initial session.update.', { callSid, streamSid });
+        });
+      });
+    }));
+
+    openAiSocket.on('message', bindLogContext((raw) => {
       const msg = safeJsonParse(raw);
       if (!msg) {
         return;
       }
 
+      if (TRACED_OPENAI_EVENTS.includes(msg.type)) {
+        tracing.addSpanEvent(`openai.${msg.type}`, { code: msg.error?.code, status: msg.response?.status }, tracing.getCallSpan(callSid));
+      }
+
       if (msg.type === 'response.done' || msg.type === 'response.completed') {
         setAgentSpeaking(false, msg.type);
       }
 
+      if (msg.type === 'conversation.item.input_audio_transcription.completed') {
+        appendTranscriptEntry({ callSid, role: 'caller', text: msg.transcript, itemId: msg.item_id });
+      }
+
+      if (msg.type === 'response.audio_transcript.done') {
+        appendTranscriptEntry({ callSid, role: 'agent', text: msg.transcript, itemId: msg.item_id });
+      }
+
+      if (msg.type === 'conversation.item.input_audio_transcription.failed') {
+        logger.warn('[transcript] Caller transcription failed.', {
+          callSid,
+          streamSid,
+          itemId: msg.item_id,
+          error: msg.error?.message || null
+        });
+      }
+
       if (msg.type === 'response.audio.delta' && msg.delta && twilioSocket.readyState === WebSocket.OPEN) {
         setAgentSpeaking(true, msg.type);
+        if (!firstAgentAudioSent && streamStartedAtMs !== null) {
+          firstAgentAudioSent = true;
+          metrics.firstAgentAudio.observe({}, metrics.secondsSince(streamStartedAtMs));
+          tracing.addSpanEvent('openai.first_audio', {}, tracing.getCallSpan(callSid));
+        }
         const media = {
           event: 'media',
           streamSid,
@@ -780,6 +1381,17 @@ wsServer.on('connection', (twilioSocket, req) => {
               return;
             }
 
+            if (result?.ok === true && result.data?.closeRealtime === true) {
+              logState('Closing OpenAI socket after call transfer.', {
+                callSid,
+                streamSid,
+                toolName: toolRequest.toolName
+              });
+              openAiClosedIntentionally = true;
+              openAiSocket.close(1000, 'call_transferred');
+              return;
+            }
+
             openAiSocket.send(JSON.stringify({
               type: 'conversation.item.create',
               item: {
@@ -830,9 +1442,9 @@ wsServer.on('connection', (twilioSocket, req) => {
           logger.error('[alerting] Failed to send OpenAI message alert.', { callSid, streamSid, error: alertError.message });
         });
       }
-    });
+    }));
 
-    openAiSocket.on('close', (code, reasonBuffer) => {
+    openAiSocket.on('close', bindLogContext((code, reasonBuffer) => {
       openAiReady = false;
       const closeReason = reasonBuffer?.toString() || '';
       logState('OpenAI socket closed.', {
@@ -841,23 +1453,25 @@ wsServer.on('connection', (twilioSocket, req) => {
         code,
         reason: closeReason
       });
-      alertCritical(ALERT_EVENT_TYPES.OPENAI_SESSION_FAILURE, {
-        callSid,
-        streamSid,
-        source: 'server.openAiSocket.close',
-        message: `OpenAI socket closed (${code})`,
-        errorCode: 'openai_socket_closed',
-        status: code,
-        reason: closeReason
-      }).catch((alertError) => {
-        logger.error('[alerting] Failed to send OpenAI close alert.', { callSid, streamSid, error: alertError.message });
-      });
+      if (!openAiClosedIntentionally) {
+        alertCritical(ALERT_EVENT_TYPES.OPENAI_SESSION_FAILURE, {
+          callSid,
+          streamSid,
+          source: 'server.openAiSocket.close',
+          message: `OpenAI socket closed (${code})`,
+          errorCode: 'openai_socket_closed',
+          status: code,
+          reason: closeReason
+        }).catch((alertError) => {
+          logger.error('[alerting] Failed to send OpenAI close alert.', { callSid, streamSid, error: alertError.message });
+        });
+      }
       if (twilioSocket.readyState === WebSocket.OPEN) {
         twilioSocket.close();
       }
-    });
+    }));
 
-    openAiSocket.on('error', (error) => {
+    openAiSocket.on('error', bindLogContext((error) => {
       logger.error('[stream] OpenAI socket error.', { callSid, streamSid, error: error.message });
       alertCritical(ALERT_EVENT_TYPES.OPENAI_SESSION_FAILURE, {
         callSid,
@@ -869,10 +1483,10 @@ wsServer.on('connection', (twilioSocket, req) => {
         logger.error('[alerting] Failed to send OpenAI error alert.', { callSid, streamSid, error: alertError.message });
       });
       closeBoth('openai_error');
-    });
+    }));
   };
 
-  twilioSocket.on('message', (raw) => {
+  twilioSocket.on('message', bindLogContext((raw) => {
     const msg = safeJsonParse(raw);
     if (!msg) {
       return;
@@ -883,16 +1497,49 @@ wsServer.on('connection', (twilioSocket, req) => {
     }
 
     if (msg.event === 'start') {
+      if (expectedCallSid && msg.start?.callSid !== expectedCallSid) {
+        logger.warn('[stream] Stream start callSid does not match stream token.', {
+          expectedCallSid,
+          callSid: msg.start?.callSid || null,
+          remoteAddress
+        });
+        closeBoth('stream_token_mismatch');
+        return;
+      }
+
       callSid = msg.start?.callSid || callSid;
       streamSid = msg.start?.streamSid || streamSid;
       twilioStreamStarted = true;
+      const callSpan = tracing.startCallSpan(callSid, { 'twilio.stream_sid': streamSid });
+      tracing.addSpanEvent('twilio.stream_start', {}, callSpan);
+      addLogContext({ callSid, streamSid, traceId: callSpan?.traceId });
+      if (streamStartedAtMs === null) {
+        streamStartedAtMs = Date.now();
+        metrics.activeCalls.inc();
+      }
       logState('Twilio stream started.', { callSid, streamSid });
 
       const callerPhone = msg.start?.customParameters?.From || msg.start?.from;
+      const dialedPhone = msg.start?.customParameters?.To || null;
+      campaign = msg.start?.customParameters?.Campaign || null;
       const session = createSession(callSid, streamSid, callerPhone);
-      transition(session, 'CALL_STARTED', 'twilio_stream_start');
-
-      evaluateDeploymentAccess({ callSid, callerPhone })
+      session.publicBaseUrl = publicBaseUrl;
+      session.campaign = campaign;
+      if (session.state) {
+        logger.info('[stream] Resuming persisted call session.', { callSid, streamSid, state: session.state });
+      } else {
+        transition(session, 'CALL_STARTED', 'twilio_stream_start');
+      }
+      saveSession(callSid);
+      registerCall(callSid, { streamSid, end: endFromRegistry });
+      let tenant = getDefaultTenant();
+
+      resolveTenantByInboundNumber(dialedPhone)
+        .then((resolvedTenant) => {
+          tenant = resolvedTenant;
+          updateSession(callSid, { tenant });
+          return evaluateDeploymentAccess({ callerPhone, tenant });
+        })
         .then((deploymentDecision) => {
           updateSession(callSid, {
             deploymentStatus: deploymentDecision.status,
@@ -907,6 +1554,7 @@ wsServer.on('connection', (twilioSocket, req) => {
           logger.info('[stream] Deployment gate decision.', {
             callSid,
             streamSid,
+            tenantId: tenant.id,
             callerPhone: normalizeE164(callerPhone),
             deploymentStatus: deploymentDecision.status,
             classification: deploymentDecision.classification,
@@ -921,11 +1569,16 @@ wsServer.on('connection', (twilioSocket, req) => {
             return;
           }
 
+          callerContextPromise = recognizeCaller({ callSid, streamSid, callerPhone });
+
           if (!openAiSocket) {
-            initializeOpenAi();
+            initializeOpenAi(tenant);
           }
 
-          runHubspotIntake({ callSid, streamSid, callerPhone })
+          resolveWithin(callerContextPromise, CALLER_LOOKUP_TIMEOUT_MS, null)
+            .then((callerContext) => (session.hubspot?.crmReady
+              ? session.hubspot
+              : runHubspotIntake({ callSid, streamSid, callerPhone, tenant, callerContext })))
             .then((hubspot) => {
               updateSession(callSid, { hubspot });
             })
@@ -967,17 +1620,18 @@ wsServer.on('connection', (twilioSocket, req) => {
             code: error.code,
             status: error.status
           });
+          const reason = error.code === 'tenant_not_found' ? 'tenant_not_found' : 'deployment_gate_error';
           updateSession(callSid, {
             deploymentStatus: null,
             deploymentGate: {
               classification: 'error',
               isTester: isTesterCaller(normalizeE164(callerPhone)),
               allowed: false,
-              reason: 'deployment_gate_error'
+              reason
             }
           });
-          finalizeCall('deployment_gate_error');
-          closeBoth('deployment_gate_error');
+          finalizeCall(reason);
+          closeBoth(reason);
         });
       return;
     }
@@ -1011,9 +1665,9 @@ wsServer.on('connection', (twilioSocket, req) => {
       finalizeCall('twilio_stop');
       closeBoth('twilio_stop');
     }
-  });
+  }));
 
-  twilioSocket.on('close', () => {
+  twilioSocket.on('close', bindLogContext(() => {
     logState('Twilio socket closed.', { callSid, streamSid });
     alertCritical(ALERT_EVENT_TYPES.TWILIO_STREAM_FAILURE, {
       callSid,
@@ -1028,9 +1682,9 @@ wsServer.on('connection', (twilioSocket, req) => {
     if (openAiSocket && openAiSocket.readyState === WebSocket.OPEN) {
       openAiSocket.close();
     }
-  });
+  }));
 
-  twilioSocket.on('error', (error) => {
+  twilioSocket.on('error', bindLogContext((error) => {
     logger.error('[stream] Twilio socket error.', { callSid, streamSid, error: error.message });
     alertCritical(ALERT_EVENT_TYPES.TWILIO_STREAM_FAILURE, {
       callSid,
@@ -1042,13 +1696,45 @@ wsServer.on('connection', (twilioSocket, req) => {
       logger.error('[alerting] Failed to send Twilio error alert.', { callSid, streamSid, error: alertError.message });
     });
     closeBoth('twilio_error');
-  });
+  }));
+}
+
+wsServer.on('connection', (twilioSocket, req) => {
+  runWithLogContext({ requestId: resolveRequestId(req) }, () => handleTwilioStream(twilioSocket, req));
 });
 
+function authorizeStreamUpgrade(token) {
+  if (token) {
+    const result = verifyStreamToken(token);
+    return { allowed: result.valid, callSid: result.callSid || null, reason: result.reason || null };
+  }
+
+  if (isStreamTokenRequired()) {
+    return { allowed: false, callSid: null, reason: 'missing_token' };
+  }
+
+  logger.warn('[stream] Stream token check bypassed because TWILIO_SIGNATURE_VALIDATION_ENABLED=false.');
+  return { allowed: true, callSid: null, reason: null };
+}
+
 server.on('upgrade', (req, socket, head) => {
   const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const streamPath = parseStreamPath(pathname);
+
+  if (streamPath.matched) {
+    const authorization = authorizeStreamUpgrade(streamPath.token);
+    if (!authorization.allowed) {
+      logger.warn('[stream] Rejected stream upgrade.', {
+        reason: authorization.reason,
+        callSid: authorization.callSid,
+        remoteAddress: req.socket.remoteAddress
+      });
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
 
-  if (pathname === '/twilio/stream') {
+    req.streamAuth = authorization;
     wsServer.handleUpgrade(req, socket, head, (websocket) => {
       wsServer.emit('connection', websocket, req);
     });
@@ -1058,6 +1744,22 @@ server.on('upgrade', (req, socket, head) => {
   socket.destroy();
 });
 
+async function initializeJobScheduler() {
+  try {
+    const result = await initJobScheduler(JOB_DB_PATH);
+    logger.info('[startup] Job scheduler initialized.', { dbPath: result.dbPath });
+  } catch (error) {
+    logger.error('[startup] Job scheduler initialization failed. Reminder SMS are disabled.', {
+      error: error.message,
+      dbPath: JOB_DB_PATH
+    });
+    return;
+  }
+
+  registerReminderJobs();
+  startJobWorker();
+}
+
 async function bootstrap() {
   try {
     await initializeIdempotency();
@@ -1077,7 +1779,10 @@ async function bootstrap() {
     });
   }
 
+  await initializeSessionPersistence();
+  await initializeTranscriptStore();
   startSessionJanitor();
+  await initializeJobScheduler();
   await logStartupDeploymentStatus();
 
   server.listen(PORT, '0.0.0.0', () => {
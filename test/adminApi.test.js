@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { requireAdmin } = require('../src/governance/adminAuth');
+const sessionStore = require('../src/runtime/sessionStore');
+const { transition } = require('../src/runtime/stateMachine');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+const ADMIN_TOKEN = 'admin-test-token';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+  await sessionStore.initSessionStore(process.env.SESSION_DB_PATH);
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function runRequireAdmin({ token, authorization }) {
+  const previous = process.env.ADMIN_API_TOKEN;
+  process.env.ADMIN_API_TOKEN = token;
+  const result = { status: null, headers: {}, body: null, nextCalled: false };
+  const req = { method: 'GET', path: '/admin/sessions', socket: {}, get: (name) => (name.toLowerCase() === 'authorization' ? authorization : undefined) };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    }
+  };
+
+  try {
+    requireAdmin(req, res, () => {
+      result.nextCalled = true;
+    });
+  } finally {
+    process.env.ADMIN_API_TOKEN = previous ?? '';
+  }
+  return result;
+}
+
+async function waitFor(fn, timeoutMs = 8000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await fn();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+test('admin routes are hidden without ADMIN_API_TOKEN and require the bearer token', () => {
+  assert.equal(runRequireAdmin({ token: '', authorization: `Bearer ${ADMIN_TOKEN}` }).status, 404);
+
+  const missing = runRequireAdmin({ token: ADMIN_TOKEN, authorization: undefined });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers['WWW-Authenticate'], 'Bearer realm="admin"');
+  assert.equal(missing.nextCalled, false);
+
+  assert.equal(runRequireAdmin({ token: ADMIN_TOKEN, authorization: 'Bearer wrong-token' }).status, 401);
+  assert.equal(runRequireAdmin({ token: ADMIN_TOKEN, authorization: `Basic ${ADMIN_TOKEN}` }).status, 401);
+  assert.equal(runRequireAdmin({ token: ADMIN_TOKEN, authorization: `Bearer ${ADMIN_TOKEN}` }).nextCalled, true);
+});
+
+test('admin API lists, inspects and force-ends live and stuck sessions', async () => {
+  const stuckCallSid = 'CAadmin-stuck-session';
+  const stuck = sessionStore.createSession(stuckCallSid, 'MZadmin-stuck-session', '+15125550142');
+  transition(stuck, 'CALL_STARTED', 'test:start');
+  sessionStore.saveSession(stuckCallSid);
+
+  const realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  const bridge = await startBridgeProcess({
+    env: {
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_REALTIME_URL: realtime.url,
+      ADMIN_API_TOKEN: ADMIN_TOKEN
+    }
+  });
+  const admin = (route, init = {}) => fetch(`${bridge.url}${route}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json', ...(init.headers || {}) }
+  });
+
+  const callSid = 'CAadmin-live-session';
+  let simulation;
+  try {
+    assert.equal((await fetch(`${bridge.url}/admin/sessions`)).status, 401);
+
+    simulation = runSimulatedCall({
+      bridgeUrl: bridge.url,
+      callSid,
+      script: [{ waitForAgentMs: 3000 }, { toneMs: 400 }, ...Array.from({ length: 150 }, () => ({ waitMs: 100 }))],
+      speed: 2,
+      settleMs: 0
+    });
+
+    const live = await waitFor(async () => {
+      const body = await (await admin('/admin/sessions')).json();
+      return body.active.find((entry) => entry.callSid === callSid && entry.lastTool && entry.deploymentGate);
+    });
+    assert.equal(live.status, 'active');
+    assert.equal(live.state, 'IDENTITY_CHECKED');
+    assert.equal(live.connected, true);
+    assert.deepEqual(live.caller, { phone: '+15555550100', name: 'Ann Lee' });
+    assert.equal(live.deploymentStatus, 'live');
+    assert.equal(live.deploymentGate.allowed, true);
+    assert.deepEqual({ toolName: live.lastTool.toolName, ok: live.lastTool.ok }, { toolName: 'capture_identity', ok: true });
+    assert.ok(live.durationSeconds >= 0);
+
+    const detail = await (await admin(`/admin/sessions/${callSid}`)).json();
+    assert.equal(detail.connection.callSid, callSid);
+    assert.deepEqual(detail.session.auditLog.map((entry) => entry.nextState), ['CALL_STARTED', 'IDENTITY_CHECKED']);
+    assert.equal((await admin('/admin/sessions/CAadmin-missing')).status, 404);
+
+    const ended = await admin(`/admin/sessions/${callSid}/end`, { method: 'POST', body: JSON.stringify({ hangup: true }) });
+    assert.equal(ended.status, 200);
+    const endedBody = await ended.json();
+    assert.equal(endedBody.connected, true);
+    assert.equal(endedBody.hangup.ok, true);
+    assert.equal(endedBody.summary.status, 'ended');
+    assert.equal(endedBody.summary.state, 'CALL_ENDED');
+    assert.equal(endedBody.summary.endReason, 'admin_force_end');
+    assert.equal(harness.services.twilio.callUpdates.at(-1).sid, callSid);
+    assert.match(harness.services.twilio.callUpdates.at(-1).twiml, /<Hangup \/>/);
+
+    await simulation;
+    simulation = null;
+    assert.equal((await admin(`/admin/sessions/${callSid}/end`, { method: 'POST' })).status, 409);
+
+    const stuckEnded = await (await admin(`/admin/sessions/${stuckCallSid}/end`, { method: 'POST' })).json();
+    assert.equal(stuckEnded.connected, false);
+    assert.equal(stuckEnded.hangup, null);
+    assert.equal(stuckEnded.summary.state, 'CALL_ENDED');
+    assert.equal(stuckEnded.summary.endReason, 'admin_force_end');
+
+    const listing = await (await admin('/admin/sessions?recentLimit=5')).json();
+    assert.equal(listing.active.some((entry) => entry.callSid === callSid), false);
+    assert.deepEqual(
+      listing.recent.filter((entry) => [callSid, stuckCallSid].includes(entry.callSid)).map((entry) => entry.endReason),
+      ['admin_force_end', 'admin_force_end']
+    );
+  } finally {
+    await simulation?.catch(() => {});
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCallSummarizer } = require('../src/runtime/callSummary');
+const { appendTranscriptEntry, getTranscript } = require('../src/runtime/transcriptStore');
+const { getCircuitStates } = require('../src/integrations/resilience');
+const { setupHarness, seedCrmCall } = require('./support/harness');
+
+const MODEL_SUMMARY = Object.freeze({
+  problem: 'Kitchen sink is leaking under the cabinet.',
+  urgency: 'urgent',
+  access_notes: 'Dog in the yard.',
+  outcome: 'Estimate booked.'
+});
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness({ env: { OPENAI_API_KEY: 'sk-test' } });
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function recordTranscript(callSid) {
+  appendTranscriptEntry({ callSid, role: 'agent', text: 'Thanks for calling. How can I help?', itemId: 'item-1' });
+  appendTranscriptEntry({ callSid, role: 'caller', text: 'My kitchen sink is leaking. Watch out for the dog.', itemId: 'item-2' });
+}
+
+function modelResponse(content = MODEL_SUMMARY) {
+  return new Response(JSON.stringify({ choices: [{ message: { content: JSON.stringify(content) } }] }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function scriptedFetch(responses) {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, init });
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  };
+  return { requests, fetch: fetchImpl };
+}
+
+test('model summaries go through the openai circuit and retry server errors', async () => {
+  const { session } = seedCrmCall(harness.services, { problem: { problem_summary: 'Sink leak' } });
+  recordTranscript(session.callSid);
+  const openai = scriptedFetch([new Response('busy', { status: 503 }), modelResponse()]);
+  const summarizer = createCallSummarizer({ fetch: openai.fetch, baseUrl: 'https://openai.test/v1' });
+
+  const summary = await summarizer.generateCallSummary({ callSid: session.callSid, session });
+
+  assert.deepEqual(summary, { ...MODEL_SUMMARY, source: 'model' });
+  assert.equal(openai.requests.length, 2);
+  assert.equal(openai.requests[0].url, 'https://openai.test/v1/chat/completions');
+  assert.equal(openai.requests[0].init.headers.Authorization, 'Bearer sk-test');
+  assert.match(JSON.parse(openai.requests[0].init.body).messages[1].content, /My kitchen sink is leaking/);
+  assert.equal(getCircuitStates().openai.state, 'closed');
+});
+
+test('an unavailable model falls back to the deterministic summary and counts toward the circuit', async () => {
+  const { session } = seedCrmCall(harness.services, { problem: { problem_summary: 'Sink leak' } });
+  recordTranscript(session.callSid);
+  const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  const openai = scriptedFetch([refused(), refused(), refused()]);
+  const summarizer = createCallSummarizer({ fetch: openai.fetch });
+
+  const summary = await summarizer.generateCallSummary({ callSid: session.callSid, session });
+
+  assert.equal(summary.source, 'deterministic');
+  assert.equal(summary.problem, 'Sink leak');
+  assert.equal(openai.requests.length, 3);
+  assert.equal(getCircuitStates().openai.consecutiveFailures, 1);
+});
+
+test('logPostCallSummary writes the note and releases the in-memory transcript', async () => {
+  const { session, deal } = seedCrmCall(harness.services, { problem: { problem_summary: 'Sink leak' } });
+  recordTranscript(session.callSid);
+  const summarizer = createCallSummarizer({ fetch: scriptedFetch([modelResponse()]).fetch });
+
+  const result = await summarizer.logPostCallSummary({ callSid: session.callSid, session });
+
+  assert.deepEqual(result, { ok: true, dealId: deal.id, source: 'model', urgency: 'urgent' });
+  const note = harness.services.hubspot.notes.find((entry) => entry.associations.some(({ to }) => to.id === deal.id));
+  assert.match(note.properties.hs_note_body, /^Post-call summary\nProblem: Kitchen sink is leaking under the cabinet\.\n/);
+  assert.deepEqual(getTranscript(session.callSid), []);
+
+  const { session: skipped } = seedCrmCall(harness.services, { hubspot: { crmReady: false } });
+  recordTranscript(skipped.callSid);
+  assert.deepEqual(await summarizer.logPostCallSummary({ callSid: skipped.callSid, session: skipped }), {
+    ok: false,
+    skipped: true,
+    reason: 'crm_not_ready'
+  });
+  assert.deepEqual(getTranscript(skipped.callSid), []);
+});
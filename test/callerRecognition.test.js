@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const CONTACT_SEARCH = Object.freeze({ method: 'POST', path: /^\/crm\/v3\/objects\/contacts\/search$/ });
+const DEAL_CREATE = Object.freeze({ method: 'POST', path: /^\/crm\/v3\/objects\/deals$/ });
+
+let harness;
+let realtime;
+let bridge;
+
+test.before(async () => {
+  harness = await setupHarness();
+  realtime = createFakeRealtimeServer();
+  await realtime.start();
+  bridge = await startBridgeProcess({
+    env: { OPENAI_API_KEY: 'sk-test', OPENAI_REALTIME_URL: realtime.url, CALLER_LOOKUP_TIMEOUT_MS: '200' }
+  });
+});
+
+test.after(async () => {
+  await bridge.stop();
+  await realtime.stop();
+  await harness.teardown();
+});
+
+function countRequests(match) {
+  return harness.services.requestsTo('hubspot', match).length;
+}
+
+test('a slow caller lookup does not hold the HubSpot intake past CALLER_LOOKUP_TIMEOUT_MS', async () => {
+  const dealsBefore = countRequests(DEAL_CREATE);
+  harness.services.delayNext({ service: 'hubspot', ...CONTACT_SEARCH }, { ms: 2000 });
+
+  const report = await runSimulatedCall({ bridgeUrl: bridge.url, callSid: 'CAslow-lookup', script: [{ waitMs: 800 }], settleMs: 0 });
+  assert.equal(report.ok, true, JSON.stringify(report.failures));
+
+  assert.equal(countRequests(DEAL_CREATE), dealsBefore + 1);
+  assert.ok(bridge.output.join('').includes('Caller lookup still pending at session.update.'));
+});
+
+test('the intake reuses the recognized contact instead of searching HubSpot again', async () => {
+  const contact = harness.services.seedContact({ phone: '+15555550101', firstname: 'Grace', lastname: 'Hopper' });
+  const searchesBefore = countRequests(CONTACT_SEARCH);
+  const dealsBefore = countRequests(DEAL_CREATE);
+
+  const report = await runSimulatedCall({
+    bridgeUrl: bridge.url,
+    from: '+15555550101',
+    callSid: 'CAknown-caller',
+    script: [{ waitMs: 800 }],
+    settleMs: 0
+  });
+  assert.equal(report.ok, true, JSON.stringify(report.failures));
+
+  assert.equal(countRequests(CONTACT_SEARCH), searchesBefore + 1);
+  assert.equal(countRequests({ method: 'PATCH', path: new RegExp(`^/crm/v3/objects/contacts/${contact.id}$`) }), 0);
+  assert.equal(countRequests(DEAL_CREATE), dealsBefore + 1);
+  assert.ok([...harness.services.hubspot.dealContacts.values()].includes(contact.id), 'intake deal is not associated with the recognized contact');
+});
@@ -0,0 +1,294 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const dashboard = require('../src/monitoring/dashboard');
+const { alertCritical, listRecentAlerts, ALERT_EVENT_TYPES } = require('../src/monitoring/alerting');
+const { requireAdmin, requireAdminBrowser } = require('../src/governance/adminAuth');
+const sessionStore = require('../src/runtime/sessionStore');
+const { transition } = require('../src/runtime/stateMachine');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness, TEST_COMPANY_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+const ADMIN_TOKEN = 'dashboard-test-token';
+const TIME_ZONE = 'America/Chicago';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+  await sessionStore.initSessionStore(process.env.SESSION_DB_PATH);
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function basicAuth(password, username = 'office') {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+function runGuard(guard, authorization) {
+  const previous = process.env.ADMIN_API_TOKEN;
+  process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+  const result = { status: null, headers: {}, nextCalled: false };
+  const req = { method: 'GET', path: '/admin/dashboard', socket: {}, get: (name) => (name.toLowerCase() === 'authorization' ? authorization : undefined) };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    type() {
+      return res;
+    },
+    send() {
+      return res;
+    },
+    json() {
+      return res;
+    }
+  };
+
+  try {
+    guard(req, res, () => {
+      result.nextCalled = true;
+    });
+  } finally {
+    process.env.ADMIN_API_TOKEN = previous ?? '';
+  }
+  return result;
+}
+
+function summarizeForTest(record) {
+  return {
+    callSid: record.callSid,
+    state: record.state,
+    connected: false,
+    caller: { phone: record.callerPhone, name: record.contact?.firstname || null },
+    createdAt: record.createdAt,
+    durationSeconds: 95,
+    lastTool: null
+  };
+}
+
+function createUpdateReader(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  return async function nextUpdate(predicate, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      for (const frame of frames) {
+        const data = frame.split('\n').find((line) => line.startsWith('data: '));
+        if (frame.startsWith('event: update') && data) {
+          const { html } = JSON.parse(data.slice('data: '.length));
+          if (predicate(html)) {
+            return html;
+          }
+        }
+      }
+
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+    }
+    throw new Error('Timed out waiting for dashboard update');
+  };
+}
+
+test('the dashboard snapshot keeps today\'s calls, bookings and failed tool calls', () => {
+  const nowMs = Date.parse('2026-03-10T18:00:00Z');
+  const records = [
+    { callSid: 'CAlive', status: 'active', state: 'IDENTITY_CHECKED', callerPhone: '+15125550101', createdAt: '2026-03-10T17:50:00.000Z' },
+    {
+      callSid: 'CAbooked',
+      status: 'ended',
+      state: 'CALL_ENDED',
+      callerPhone: '+15125550102',
+      createdAt: '2026-03-10T15:00:00.000Z',
+      endReason: 'twilio_stop',
+      contact: { firstname: '<b>Ann</b>', lastname: 'Lee' },
+      booking: {
+        startISO: '2026-03-11T14:00:00.000Z',
+        calendarEventId: 'evt-1',
+        htmlLink: 'https://calendar.google.com/calendar/event?eid=evt-1',
+        technician: { id: 'tech-1', name: 'Sam' }
+      }
+    },
+    {
+      callSid: 'CAunsafe-link',
+      status: 'ended',
+      state: 'CALL_ENDED',
+      createdAt: '2026-03-10T14:30:00.000Z',
+      booking: { startISO: '2026-03-12T14:00:00.000Z', calendarEventId: 'evt-2', htmlLink: 'javascript:alert(1)' }
+    },
+    {
+      callSid: 'CAfailed',
+      status: 'ended',
+      state: 'CALL_ENDED',
+      createdAt: '2026-03-10T14:00:00.000Z',
+      endReason: 'twilio_stop',
+      toolCalls: [
+        { ts: '2026-03-10T14:01:00.000Z', toolName: 'capture_identity', ok: true, state: 'CALL_STARTED', errorCode: null },
+        { ts: '2026-03-10T14:02:00.000Z', toolName: 'book_estimate', ok: false, state: 'SLOT_OFFERED', errorCode: 'calendar_unavailable' }
+      ]
+    },
+    { callSid: 'CAyesterday', status: 'ended', state: 'CALL_ENDED', createdAt: '2026-03-10T04:30:00.000Z', toolCalls: [{ ts: '2026-03-10T04:31:00.000Z', toolName: 'book_estimate', ok: false }] }
+  ];
+
+  assert.equal(dashboard.getTodayQueryStartIso(nowMs, TIME_ZONE), '2026-03-10T04:00:00.000Z');
+
+  const snapshot = dashboard.buildDashboardSnapshot({
+    records,
+    summarize: summarizeForTest,
+    alerts: [{ eventType: 'calendar_booking_failure', callSid: 'CAfailed', message: 'Calendar down', result: 'sent', at: '2026-03-10T14:02:01.000Z' }],
+    deployments: [{ tenantId: 'single', companyId: '123', companyName: 'Test Plumbing Co', status: 'live', classification: 'open', checkedAt: '2026-03-10T17:59:00.000Z' }],
+    timeZone: TIME_ZONE,
+    nowMs
+  });
+
+  assert.equal(snapshot.date, '2026-03-10');
+  assert.deepEqual(snapshot.calls.map((call) => [call.callSid, call.outcome]), [
+    ['CAlive', 'In progress'],
+    ['CAbooked', 'Estimate booked'],
+    ['CAunsafe-link', 'Estimate booked'],
+    ['CAfailed', 'Ended (twilio_stop)']
+  ]);
+  assert.deepEqual(snapshot.bookings[0], {
+    callSid: 'CAbooked',
+    customer: '<b>Ann</b> Lee',
+    phone: '+15125550102',
+    startISO: '2026-03-11T14:00:00.000Z',
+    technician: 'Sam',
+    calendarEventId: 'evt-1',
+    htmlLink: 'https://calendar.google.com/calendar/event?eid=evt-1'
+  });
+  assert.deepEqual(snapshot.failedToolCalls, [
+    { callSid: 'CAfailed', toolName: 'book_estimate', errorCode: 'calendar_unavailable', state: 'SLOT_OFFERED', at: '2026-03-10T14:02:00.000Z' }
+  ]);
+
+  const html = dashboard.renderDashboardContent(snapshot);
+  assert.match(html, /<a href="https:\/\/calendar\.google\.com\/calendar\/event\?eid=evt-1" target="_blank" rel="noopener noreferrer">Open event<\/a>/);
+  assert.doesNotMatch(html, /javascript:/);
+  assert.doesNotMatch(html, /<b>Ann<\/b>/);
+  assert.match(html, /&lt;b&gt;Ann&lt;\/b&gt; Lee/);
+  assert.match(html, /Wed, Mar 11, 9:00 AM/);
+  assert.match(html, /calendar_unavailable/);
+  assert.match(html, /Calendar down/);
+  assert.match(html, /<span class="badge ok">live<\/span>/);
+  assert.doesNotMatch(html, /CAyesterday/);
+
+  const page = dashboard.renderDashboardPage(snapshot);
+  assert.match(page, /^<!doctype html>/);
+  assert.match(page, /new EventSource\('\/admin\/dashboard\/events'\)/);
+});
+
+test('sent and failed critical alerts are kept for the dashboard, repeats are not', async () => {
+  const context = { callSid: 'CAdashboard-alert', message: 'HubSpot write failed' };
+  await alertCritical(ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE, context);
+  await alertCritical(ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE, context);
+
+  const recorded = listRecentAlerts().filter((entry) => entry.callSid === 'CAdashboard-alert');
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].eventType, 'hubspot_write_failure');
+  assert.equal(recorded[0].message, 'HubSpot write failed');
+  assert.equal(recorded[0].result, 'sent');
+});
+
+test('the dashboard guard challenges browsers for Basic credentials', () => {
+  const missing = runGuard(requireAdminBrowser, undefined);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers['WWW-Authenticate'], 'Basic realm="admin", charset="UTF-8"');
+
+  assert.equal(runGuard(requireAdminBrowser, basicAuth('wrong-token')).status, 401);
+  assert.equal(runGuard(requireAdminBrowser, `Basic ${Buffer.from(ADMIN_TOKEN).toString('base64')}`).status, 401);
+  assert.equal(runGuard(requireAdminBrowser, basicAuth(ADMIN_TOKEN)).nextCalled, true);
+  assert.equal(runGuard(requireAdminBrowser, `Bearer ${ADMIN_TOKEN}`).nextCalled, true);
+  assert.equal(runGuard(requireAdmin, basicAuth(ADMIN_TOKEN, '')).nextCalled, true);
+});
+
+test('the dashboard renders bookings and streams live calls and alerts over SSE', async () => {
+  const bookedCallSid = 'CAdashboard-booked';
+  const booked = sessionStore.createSession(bookedCallSid, 'MZdashboard-booked', '+15125550177');
+  transition(booked, 'CALL_STARTED', 'test:start');
+  booked.contact = { firstname: 'Dana', lastname: 'Reyes' };
+  booked.booking = {
+    startISO: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    calendarEventId: 'evt-dashboard',
+    htmlLink: 'https://calendar.google.com/calendar/event?eid=evt-dashboard'
+  };
+  booked.toolCalls = [{ ts: new Date().toISOString(), toolName: 'send_sms_confirmation', ok: false, state: 'CALL_STARTED', errorCode: 'sms_send_failed' }];
+  sessionStore.endSession(bookedCallSid, 'twilio_stop');
+
+  const realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  const bridge = await startBridgeProcess({
+    env: {
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_REALTIME_URL: realtime.url,
+      ADMIN_API_TOKEN: ADMIN_TOKEN,
+      DASHBOARD_REFRESH_SECONDS: '0.2'
+    }
+  });
+  const controller = new AbortController();
+  const callSid = 'CAdashboard-live';
+  let simulation;
+
+  try {
+    const unauthorized = await fetch(`${bridge.url}/admin/dashboard`);
+    assert.equal(unauthorized.status, 401);
+    assert.match(unauthorized.headers.get('www-authenticate'), /^Basic realm="admin"/);
+
+    const page = await fetch(`${bridge.url}/admin/dashboard`, { headers: { Authorization: basicAuth(ADMIN_TOKEN) } });
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    const html = await page.text();
+    assert.match(html, /href="https:\/\/calendar\.google\.com\/calendar\/event\?eid=evt-dashboard"/);
+    assert.match(html, /Dana Reyes/);
+    assert.match(html, /sms_send_failed/);
+    assert.match(html, /Test Plumbing Co/);
+    assert.match(html, /<span class="badge ok">live<\/span>/);
+    const companyReads = harness.services.requestsTo('hubspot', { method: 'GET', path: new RegExp(`/companies/${TEST_COMPANY_ID}$`) });
+    assert.ok(companyReads.some((entry) => entry.query.properties === 'name,deployment_status'));
+
+    const events = await fetch(`${bridge.url}/admin/dashboard/events`, {
+      headers: { Authorization: basicAuth(ADMIN_TOKEN) },
+      signal: controller.signal
+    });
+    assert.equal(events.status, 200);
+    assert.match(events.headers.get('content-type'), /text\/event-stream/);
+    const nextUpdate = createUpdateReader(events);
+
+    simulation = runSimulatedCall({
+      bridgeUrl: bridge.url,
+      callSid,
+      script: [{ waitForAgentMs: 3000 }, { toneMs: 400 }, ...Array.from({ length: 10 }, () => ({ waitMs: 100 }))],
+      speed: 2,
+      settleMs: 0
+    });
+
+    const live = await nextUpdate((update) => update.includes('Ann Lee') && update.includes('In progress'));
+    assert.match(live, /IDENTITY_CHECKED <span class="badge ok">live<\/span>/);
+
+    await simulation;
+    simulation = null;
+    const ended = await nextUpdate((update) => update.includes('twilio_stream_failure'));
+    assert.doesNotMatch(ended, /In progress/);
+  } finally {
+    controller.abort();
+    await simulation?.catch(() => {});
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  GATED_TOOLS,
+  classifyDeploymentStatus,
+  isTesterCaller,
+  assertDeploymentAllowed
+} = require('../src/governance/deploymentGate');
+const { dispatchTool } = require('../src/runtime/toolRouter');
+const { setupHarness, seedCrmCall, startTestCall, TEST_COMPANY_ID } = require('./support/harness');
+
+const TESTER_PHONE = '+17162508937';
+const CUSTOMER_PHONE = '+15125550123';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+test('classifyDeploymentStatus maps HubSpot statuses to gate classes', () => {
+  assert.equal(classifyDeploymentStatus('live'), 'open');
+  assert.equal(classifyDeploymentStatus(' LIVE '), 'open');
+  for (const status of ['not_deployed', 'provisioning', 'awaiting_forwarding']) {
+    assert.equal(classifyDeploymentStatus(status), 'test_only', status);
+  }
+  for (const status of ['suspended', 'cancelled']) {
+    assert.equal(classifyDeploymentStatus(status), 'blocked', status);
+  }
+  assert.equal(classifyDeploymentStatus(null), 'unknown');
+  assert.equal(classifyDeploymentStatus('paused'), 'unknown');
+});
+
+test('tester allowlist includes built-in testers and TEST_CALLER_ALLOWLIST', () => {
+  assert.equal(isTesterCaller(TESTER_PHONE), true);
+  assert.equal(isTesterCaller('+1 (716) 250-8937'), true);
+  assert.equal(isTesterCaller(CUSTOMER_PHONE), false);
+
+  process.env.TEST_CALLER_ALLOWLIST = `${CUSTOMER_PHONE}, +15125550999`;
+  try {
+    assert.equal(isTesterCaller(CUSTOMER_PHONE), true);
+  } finally {
+    delete process.env.TEST_CALLER_ALLOWLIST;
+  }
+});
+
+test('assertDeploymentAllowed covers every status class for testers and customers', () => {
+  const cases = [
+    { status: 'live', phone: CUSTOMER_PHONE, allowed: true, code: null },
+    { status: 'provisioning', phone: TESTER_PHONE, allowed: true, code: null },
+    { status: 'provisioning', phone: CUSTOMER_PHONE, allowed: false, code: 'deployment_test_only' },
+    { status: 'suspended', phone: TESTER_PHONE, allowed: false, code: 'deployment_blocked' },
+    { status: 'cancelled', phone: CUSTOMER_PHONE, allowed: false, code: 'deployment_blocked' },
+    { status: null, phone: TESTER_PHONE, allowed: false, code: 'deployment_unknown' }
+  ];
+
+  for (const { status, phone, allowed, code } of cases) {
+    const session = {};
+    const gate = assertDeploymentAllowed({ session, toolName: 'begin_scheduling', callerPhoneE164: phone, deploymentStatus: status });
+    assert.equal(gate.allowed, allowed, `${status} ${phone}`);
+    assert.equal(gate.code, code, `${status} ${phone}`);
+    assert.equal(session.deployment.allowed, allowed);
+    assert.equal(session.deployment.status, status);
+  }
+});
+
+test('ungated tools are always allowed', () => {
+  const gate = assertDeploymentAllowed({ session: {}, toolName: 'capture_identity', callerPhoneE164: CUSTOMER_PHONE, deploymentStatus: 'suspended' });
+  assert.deepEqual(gate, { allowed: true, reason: 'not_gated' });
+});
+
+async function dispatchBeginScheduling({ deploymentStatus, phone }) {
+  harness.services.seedCompany(TEST_COMPANY_ID, { deployment_status: deploymentStatus });
+  const { session } = seedCrmCall(harness.services, {
+    phone,
+    state: 'PROBLEM_CAPTURED',
+    contact: { firstname: 'Ada', lastname: 'Lovelace' },
+    address: { service_street_1: '1 Main St', service_city: 'Austin', service_state: 'TX', service_postal_code: '78701' },
+    problem: { problem_summary: 'Leaking water heater', job_type: null }
+  });
+  return { session, result: await dispatchTool({ callSid: session.callSid, toolName: 'begin_scheduling', payload: {} }) };
+}
+
+test('gated tools read deployment_status from the HubSpot company', async () => {
+  const { result: live } = await dispatchBeginScheduling({ deploymentStatus: 'live', phone: CUSTOMER_PHONE });
+  assert.equal(live.ok, true);
+  assert.equal(live.state, 'SCHEDULING');
+
+  const { session, result: testOnly } = await dispatchBeginScheduling({ deploymentStatus: 'provisioning', phone: CUSTOMER_PHONE });
+  assert.equal(testOnly.ok, false);
+  assert.equal(testOnly.error.code, 'deployment_test_only');
+  assert.equal(testOnly.error.details.deployment_status, 'provisioning');
+  assert.equal(session.state, 'PROBLEM_CAPTURED');
+
+  const { result: tester } = await dispatchBeginScheduling({ deploymentStatus: 'provisioning', phone: TESTER_PHONE });
+  assert.equal(tester.ok, true);
+
+  const { result: blocked } = await dispatchBeginScheduling({ deploymentStatus: 'suspended', phone: TESTER_PHONE });
+  assert.equal(blocked.error.code, 'deployment_blocked');
+
+  const companyReads = harness.services.requestsTo('hubspot', { method: 'GET', path: new RegExp(`/companies/${TEST_COMPANY_ID}$`) });
+  assert.equal(companyReads.length, 4);
+});
+
+test('gated tools fail closed when the CRM is not ready', async () => {
+  const session = startTestCall({ state: 'PROBLEM_CAPTURED', hubspot: { crmReady: false } });
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: {} });
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'crm_not_ready');
+
+  process.env.HUBSPOT_ENABLED = 'false';
+  try {
+    const { session: crmSession } = seedCrmCall(harness.services, { state: 'PROBLEM_CAPTURED' });
+    const disabled = await dispatchTool({ callSid: crmSession.callSid, toolName: 'begin_scheduling', payload: {} });
+    assert.equal(disabled.error.code, 'crm_not_ready');
+  } finally {
+    process.env.HUBSPOT_ENABLED = 'true';
+  }
+});
+
+test('every gated tool is blocked for a suspended company', async () => {
+  harness.services.seedCompany(TEST_COMPANY_ID, { deployment_status: 'suspended' });
+  for (const toolName of GATED_TOOLS) {
+    const { session } = seedCrmCall(harness.services, { state: 'BOOKED' });
+    const result = await dispatchTool({ callSid: session.callSid, toolName, payload: {} });
+    assert.equal(result.error.code, 'deployment_blocked', toolName);
+  }
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { initIdempotency, getIdempotency } = require('../src/governance/idempotencyStore');
+const { buildIdempotencyKey, stableHashOfInputs, withIdempotency } = require('../src/governance/withIdempotency');
+const { alertCritical, ALERT_EVENT_TYPES } = require('../src/monitoring/alerting');
+const hubspotClient = require('../src/integrations/hubspotClient');
+const { setupHarness } = require('./support/harness');
+
+const OWNER_PHONE = '+15125559100';
+const OWNER_EMAIL = 'owner@plumbing.test';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness({
+    env: {
+      OWNER_ALERT_PHONE_E164: OWNER_PHONE,
+      OWNER_ALERT_EMAIL: OWNER_EMAIL
+    }
+  });
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+test('idempotency keys ignore input key order and undefined values', () => {
+  assert.equal(
+    stableHashOfInputs({ a: 1, b: { c: [1, 2], d: 'x' } }),
+    stableHashOfInputs({ b: { d: 'x', c: [1, 2] }, a: 1, e: undefined })
+  );
+  assert.notEqual(stableHashOfInputs({ a: 1 }), stableHashOfInputs({ a: 2 }));
+
+  const key = buildIdempotencyKey({ tenant: 't1', callSid: 'CA1', operation: 'op', inputs: { a: 1 } });
+  assert.match(key, /^t1:CA1:op:[0-9a-f]{64}$/);
+});
+
+test('withIdempotency runs the operation once and replays the stored result', async () => {
+  let calls = 0;
+  const key = buildIdempotencyKey({ tenant: 't1', callSid: 'CAreplay', operation: 'test_op', inputs: { n: 1 } });
+  const fn = async () => {
+    calls += 1;
+    return { value: calls };
+  };
+
+  assert.deepEqual(await withIdempotency({ key, fn }), { value: 1 });
+  assert.deepEqual(await withIdempotency({ key, fn }), { value: 1 });
+  assert.equal(calls, 1);
+  assert.deepEqual(await getIdempotency(key), { value: 1 });
+});
+
+test('withIdempotency does not store failed operations', async () => {
+  const key = buildIdempotencyKey({ tenant: 't1', callSid: 'CAfail', operation: 'test_op', inputs: {} });
+  await assert.rejects(withIdempotency({ key, fn: async () => { throw new Error('boom'); } }), /boom/);
+  assert.equal(await getIdempotency(key), null);
+  assert.deepEqual(await withIdempotency({ key, fn: async () => ({ ok: true }) }), { ok: true });
+});
+
+test('withIdempotency is bypassed when IDP_ENABLED=false', async () => {
+  process.env.IDP_ENABLED = 'false';
+  try {
+    let calls = 0;
+    const key = buildIdempotencyKey({ tenant: 't1', callSid: 'CAbypass', operation: 'test_op', inputs: {} });
+    await withIdempotency({ key, fn: async () => ({ value: (calls += 1) }) });
+    await withIdempotency({ key, fn: async () => ({ value: (calls += 1) }) });
+    assert.equal(calls, 2);
+    assert.equal(await getIdempotency(key), null);
+  } finally {
+    process.env.IDP_ENABLED = 'true';
+  }
+});
+
+test('stored results survive reopening the idempotency database', async () => {
+  const key = buildIdempotencyKey({ tenant: 't1', callSid: 'CAreopen', operation: 'test_op', inputs: {} });
+  await withIdempotency({ key, fn: async () => ({ persisted: true }) });
+
+  await initIdempotency(path.join(harness.dataDir, 'idempotency.sqlite'));
+  let calls = 0;
+  const replay = await withIdempotency({ key, fn: async () => ({ persisted: (calls += 1) }) });
+  assert.deepEqual(replay, { persisted: true });
+  assert.equal(calls, 0);
+});
+
+test('HubSpot writes are replayed instead of repeated', async () => {
+  const { id: dealId } = harness.services.seedDeal({ dealstage: 'new' });
+  const args = { dealId, pipelineId: hubspotClient.LOCKED_PIPELINE_ID, dealstage: 'stage-a', callSid: 'CAhubspot', tenant: 't1' };
+
+  await hubspotClient.updateDealStage(args);
+  await hubspotClient.updateDealStage(args);
+  const patches = harness.services.requestsTo('hubspot', { method: 'PATCH', path: new RegExp(`/deals/${dealId}$`) });
+  assert.equal(patches.length, 1);
+  assert.deepEqual(patches[0].body, { properties: { dealstage: 'stage-a', pipeline: hubspotClient.LOCKED_PIPELINE_ID } });
+
+  await hubspotClient.updateDealStage({ ...args, dealstage: 'stage-b' });
+  assert.equal(harness.services.requestsTo('hubspot', { method: 'PATCH', path: new RegExp(`/deals/${dealId}$`) }).length, 2);
+});
+
+test('alertCritical notifies the owner by SMS and email once per event', async () => {
+  const context = { callSid: 'CAalert', streamSid: 'MZalert', source: 'test', message: 'Calendar down', errorCode: 'calendar_down' };
+  const first = await alertCritical(ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE, context);
+  const second = await alertCritical(ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE, context);
+
+  assert.equal(first.ok, true);
+  assert.equal(first.deduped, false);
+  assert.equal(second.deduped, true);
+
+  const sms = harness.services.twilio.messages.filter((message) => message.to === OWNER_PHONE);
+  assert.equal(sms.length, 1);
+  assert.match(sms[0].body, /^\[ALERT:calendar_booking_failure\] callSid=CAalert streamSid=MZalert msg=Calendar down/);
+
+  const emails = harness.services.resend.emails.filter((email) => email.to.includes(OWNER_EMAIL));
+  assert.equal(emails.length, 1);
+  assert.equal(emails[0].subject, '[Critical Alert] calendar_booking_failure (CAalert)');
+  assert.equal(harness.services.requestsTo('resend')[0].authorization, `Bearer ${process.env.EMAIL_PROVIDER_API_KEY}`);
+
+  await assert.rejects(alertCritical('not_a_real_event', context), /Unknown alert eventType/);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHubspotClient } = require('../src/integrations/hubspotClient');
+const { createCalendarClient } = require('../src/integrations/calendarClient');
+const { createTwilioSmsClient } = require('../src/integrations/twilioSms');
+const { createTwilioCallsClient } = require('../src/integrations/twilioCalls');
+const { createAlertingClient, ALERT_EVENT_TYPES } = require('../src/monitoring/alerting');
+const { getCircuitStates } = require('../src/integrations/resilience');
+const { setupHarness } = require('./support/harness');
+
+const FIXED_NOW_MS = Date.parse('2026-03-02T15:00:00.000Z');
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function createRecordingFetch(respond = () => ({})) {
+  const requests = [];
+  const fetchImpl = async (url, init = {}) => {
+    const request = {
+      url: String(url),
+      method: init.method || 'GET',
+      authorization: init.headers?.Authorization || null,
+      body: init.body
+    };
+    requests.push(request);
+    const { status = 200, body = {} } = respond(request) || {};
+    return new Response(status === 204 ? null : JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  return { fetchImpl, requests };
+}
+
+test('HubSpot clients use their own base URL, token and fetch side by side', async () => {
+  const first = createRecordingFetch(() => ({ body: { id: '1', properties: { deployment_status: 'live' } } }));
+  const second = createRecordingFetch(() => ({ body: { id: '2', properties: { deployment_status: 'suspended' } } }));
+  const clientA = createHubspotClient({ baseUrl: 'https://crm-a.test/', accessToken: 'token-a', fetch: first.fetchImpl });
+  const clientB = createHubspotClient({ baseUrl: 'https://crm-b.test', accessToken: 'token-b', fetch: second.fetchImpl });
+
+  assert.equal((await clientA.getCompanyById('1')).properties.deployment_status, 'live');
+  assert.equal((await clientB.getCompanyById('2')).properties.deployment_status, 'suspended');
+
+  assert.deepEqual(first.requests.map(({ url, authorization }) => ({ url, authorization })), [
+    { url: 'https://crm-a.test/crm/v3/objects/companies/1?properties=deployment_status', authorization: 'Bearer token-a' }
+  ]);
+  assert.deepEqual(second.requests.map(({ url, authorization }) => ({ url, authorization })), [
+    { url: 'https://crm-b.test/crm/v3/objects/companies/2?properties=deployment_status', authorization: 'Bearer token-b' }
+  ]);
+  assert.equal(harness.services.requestsTo('hubspot').length, 0);
+});
+
+test('HubSpot clients read "now" from the injected clock', async () => {
+  const { fetchImpl } = createRecordingFetch(({ url }) => {
+    if (url.includes('/associations/deals')) {
+      return { body: { results: [{ toObjectId: 11 }, { toObjectId: 12 }] } };
+    }
+    return {
+      body: {
+        results: [
+          { id: '11', properties: { estimate_calendar_event_id: 'evt-11', estimate_start_iso: '2026-03-01T15:00:00.000Z' } },
+          { id: '12', properties: { estimate_calendar_event_id: 'evt-12', estimate_start_iso: '2026-03-03T15:00:00.000Z' } }
+        ]
+      }
+    };
+  });
+  const client = createHubspotClient({ baseUrl: 'https://crm.test', accessToken: 'token', fetch: fetchImpl, clock: () => FIXED_NOW_MS });
+
+  const booking = await client.findOpenBookingForContact('7');
+  assert.equal(booking.dealId, '12');
+
+  const later = createHubspotClient({ baseUrl: 'https://crm.test', accessToken: 'token', fetch: fetchImpl, clock: () => FIXED_NOW_MS + 2 * 24 * 60 * 60 * 1000 });
+  assert.equal(await later.findOpenBookingForContact('7'), null);
+});
+
+test('calendar clients use injected OAuth credentials, calendar and clock', async () => {
+  const { fetchImpl, requests } = createRecordingFetch(({ url }) => (url.endsWith('/token')
+    ? { body: { access_token: 'ya29.injected' } }
+    : { body: { calendars: { 'team@calendar.test': { busy: [] } } } }));
+  const client = createCalendarClient({
+    baseUrl: 'https://calendar.test/v3',
+    tokenUrl: 'https://oauth.test/token',
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    refreshToken: 'refresh-token',
+    calendarId: 'team@calendar.test',
+    fetch: fetchImpl,
+    clock: () => FIXED_NOW_MS
+  });
+
+  const slots = await client.proposeSlots({ count: 1 });
+  assert.equal(slots.length, 1);
+  assert.ok(Date.parse(slots[0].startISO) > FIXED_NOW_MS);
+  assert.ok(Date.parse(slots[0].startISO) < FIXED_NOW_MS + 7 * 24 * 60 * 60 * 1000);
+
+  const [tokenRequest, freeBusy] = requests;
+  assert.equal(tokenRequest.url, 'https://oauth.test/token');
+  assert.equal(new URLSearchParams(tokenRequest.body).get('refresh_token'), 'refresh-token');
+  assert.equal(freeBusy.url, 'https://calendar.test/v3/freeBusy');
+  assert.equal(freeBusy.authorization, 'Bearer ya29.injected');
+  assert.deepEqual(JSON.parse(freeBusy.body).items, [{ id: 'team@calendar.test' }]);
+});
+
+test('calendar clients report credentials that are missing from options and env', () => {
+  const client = createCalendarClient({ clientId: '', clientSecret: 'secret', refreshToken: '' });
+  assert.throws(() => client.assertCalendarConfigured(), /GOOGLE_CLIENT_ID, GOOGLE_REFRESH_TOKEN$/);
+});
+
+test('Twilio clients use injected account credentials', async () => {
+  const { fetchImpl, requests } = createRecordingFetch(({ url }) => ({ status: 201, body: { sid: url.includes('Messages') ? 'SMinjected' : 'CAinjected' } }));
+  const options = { baseUrl: 'https://twilio.test/2010-04-01', accountSid: 'ACinjected', authToken: 'secret', fromNumber: '+15125550000', fetch: fetchImpl };
+
+  const sms = await createTwilioSmsClient(options).sendSms({ to: '+15125551234', body: 'Hello' });
+  const call = await createTwilioCallsClient(options).createCall({ to: '+15125551234', twiml: '<Response/>' });
+  assert.equal(sms.messageSid, 'SMinjected');
+  assert.equal(call.callSid, 'CAinjected');
+
+  assert.deepEqual(requests.map(({ url }) => url), [
+    'https://twilio.test/2010-04-01/Accounts/ACinjected/Messages.json',
+    'https://twilio.test/2010-04-01/Accounts/ACinjected/Calls.json'
+  ]);
+  assert.equal(requests[0].authorization, `Basic ${Buffer.from('ACinjected:secret').toString('base64')}`);
+  assert.equal(new URLSearchParams(requests[0].body).get('From'), '+15125550000');
+
+  assert.throws(() => createTwilioSmsClient({ ...options, authToken: '' }).assertTwilioSmsConfigured(), /TWILIO_AUTH_TOKEN$/);
+});
+
+test('Twilio clients stamp circuit failures with the injected clock', async () => {
+  const { fetchImpl } = createRecordingFetch(() => ({ status: 500, body: { message: 'Internal error' } }));
+  const options = { baseUrl: 'https://twilio.test/2010-04-01', accountSid: 'ACclock', authToken: 'secret', fromNumber: '+15125550000', fetch: fetchImpl };
+
+  await assert.rejects(createTwilioSmsClient({ ...options, clock: () => FIXED_NOW_MS }).sendSms({ to: '+15125551234', body: 'Hello' }), {
+    code: 'twilio_sms_request_failed'
+  });
+  assert.equal(getCircuitStates().twilio.lastFailure.at, '2026-03-02T15:00:00.000Z');
+
+  await assert.rejects(createTwilioCallsClient({ ...options, clock: () => FIXED_NOW_MS + 1000 }).updateCallTwiml({ callSid: 'CAclock', twiml: '<Response/>' }), {
+    code: 'twilio_call_request_failed'
+  });
+  assert.equal(getCircuitStates().twilio.lastFailure.at, '2026-03-02T15:00:01.000Z');
+  // The twilio circuit is shared with later tests, so close it again with a success.
+  await createTwilioCallsClient({ ...options, fetch: createRecordingFetch(() => ({ body: { sid: 'CAclock' } })).fetchImpl }).updateCallTwiml({ callSid: 'CAclock', twiml: '<Response/>' });
+});
+
+test('alerting clients use injected recipients, providers and clock', async () => {
+  const { fetchImpl, requests } = createRecordingFetch(({ url }) => ({ body: url.includes('twilio') ? { sid: 'SMalert' } : { id: 'email-1' } }));
+  const alerting = createAlertingClient({
+    twilioBaseUrl: 'https://twilio.test/2010-04-01',
+    resendUrl: 'https://email.test/emails',
+    accountSid: 'ACalert',
+    authToken: 'secret',
+    fromNumber: '+15125550000',
+    ownerPhone: '+15125559999',
+    ownerEmail: 'owner@alerts.test',
+    emailApiKey: 'email-key',
+    fetch: fetchImpl,
+    clock: () => FIXED_NOW_MS
+  });
+
+  const payload = alerting.buildNormalizedPayload(ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE, { callSid: 'CAclock' });
+  assert.equal(payload.timestamp, '2026-03-02T15:00:00.000Z');
+
+  const result = await alerting.alertCritical(ALERT_EVENT_TYPES.HUBSPOT_WRITE_FAILURE, { callSid: 'CAinjected-alert', message: 'PATCH failed' });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.result.sms, { messageSid: 'SMalert' });
+  assert.deepEqual(result.result.email, { emailId: 'email-1' });
+  assert.equal(result.result.sentAt, '2026-03-02T15:00:00.000Z');
+
+  assert.deepEqual(requests.map(({ url }) => url), [
+    'https://twilio.test/2010-04-01/Accounts/ACalert/Messages.json',
+    'https://email.test/emails'
+  ]);
+  assert.equal(new URLSearchParams(requests[0].body).get('To'), '+15125559999');
+  assert.deepEqual(JSON.parse(requests[1].body).to, ['owner@alerts.test']);
+  assert.equal(requests[1].authorization, 'Bearer email-key');
+  assert.equal(harness.services.twilio.messages.length, 0);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerJobHandler, scheduleJob, cancelJobs, getJob, runDueJobs } = require('../src/runtime/jobScheduler');
+const { REMINDER_JOB_TYPE, scheduleBookingReminder, registerReminderJobs } = require('../src/runtime/reminders');
+const { setupHarness, TEST_COMPANY_ID } = require('./support/harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+const TENANT = Object.freeze({ id: TEST_COMPANY_ID, companyName: 'Test Plumbing Co', timezone: 'America/Chicago' });
+
+let harness;
+let nextPhoneSuffix = 400;
+
+test.before(async () => {
+  harness = await setupHarness();
+  registerReminderJobs();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function isoFromNow(offsetMs) {
+  return new Date(Date.now() + offsetMs).toISOString();
+}
+
+function seedReminderBooking({ consent = true, startOffsetMs = 48 * HOUR_MS } = {}) {
+  nextPhoneSuffix += 1;
+  const phone = `+1555555${String(nextPhoneSuffix).padStart(4, '0')}`;
+  const startISO = new Date(Math.ceil((Date.now() + startOffsetMs) / HOUR_MS) * HOUR_MS).toISOString();
+  const contact = harness.services.seedContact({
+    phone,
+    firstname: 'Ada',
+    ...(consent ? { sms_customer_consent: 'true', sms_customer_consent_ts: '2026-01-05T15:00:00.000Z' } : {})
+  });
+  const deal = harness.services.seedDeal({ estimate_start_iso: startISO }, { contactId: contact.id });
+  const booking = { callSid: `CAreminder${nextPhoneSuffix}`, tenant: TENANT, contactId: contact.id, dealId: deal.id, phone, booking: { startISO } };
+  return { phone, contact, deal, booking };
+}
+
+// Runs the worker as if the clock had moved forward; Date is the only API mocked.
+async function runDueJobsAt(t, offsetMs) {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + offsetMs });
+  try {
+    await runDueJobs();
+  } finally {
+    t.mock.timers.reset();
+  }
+}
+
+test('duplicate dedupe keys are ignored until the job is cancelled', () => {
+  const job = { type: 'test_dedupe', runAtISO: isoFromNow(HOUR_MS), payload: { n: 1 }, dedupeKey: 'dedupe:1', groupKey: 'group:1' };
+
+  const first = scheduleJob(job);
+  assert.equal(first.scheduled, true);
+  assert.deepEqual(scheduleJob({ ...job, payload: { n: 2 } }), { scheduled: false, duplicate: true });
+  assert.deepEqual(getJob(first.id).payload, { n: 1 });
+
+  assert.equal(cancelJobs({ type: 'other_type', groupKey: 'group:1' }), 0);
+  assert.equal(cancelJobs({ type: 'test_dedupe', groupKey: 'group:1' }), 1);
+  assert.equal(getJob(first.id).status, 'cancelled');
+
+  const revived = scheduleJob({ ...job, payload: { n: 3 } });
+  assert.equal(revived.id, first.id);
+  assert.deepEqual({ status: getJob(first.id).status, payload: getJob(first.id).payload }, { status: 'pending', payload: { n: 3 } });
+});
+
+test('runDueJobs runs due jobs only and records done, skipped and unhandled outcomes', async () => {
+  const seen = [];
+  registerJobHandler('test_run', async (job) => {
+    seen.push(job.payload.name);
+    return job.payload.skip ? { skipped: true, reason: 'nothing_to_do' } : { skipped: false };
+  });
+
+  const done = scheduleJob({ type: 'test_run', runAtISO: isoFromNow(-1000), payload: { name: 'done' }, dedupeKey: 'run:done' });
+  const skipped = scheduleJob({ type: 'test_run', runAtISO: isoFromNow(-1000), payload: { name: 'skipped', skip: true }, dedupeKey: 'run:skipped' });
+  const later = scheduleJob({ type: 'test_run', runAtISO: isoFromNow(HOUR_MS), payload: { name: 'later' }, dedupeKey: 'run:later' });
+  const unhandled = scheduleJob({ type: 'test_unregistered', runAtISO: isoFromNow(-1000), payload: {}, dedupeKey: 'run:unhandled' });
+
+  await runDueJobs();
+
+  assert.deepEqual(seen, ['done', 'skipped']);
+  assert.deepEqual({ status: getJob(done.id).status, attempts: getJob(done.id).attempts }, { status: 'done', attempts: 1 });
+  assert.deepEqual({ status: getJob(skipped.id).status, lastError: getJob(skipped.id).lastError }, { status: 'skipped', lastError: 'nothing_to_do' });
+  assert.equal(getJob(later.id).status, 'pending');
+  assert.deepEqual({ status: getJob(unhandled.id).status, lastError: getJob(unhandled.id).lastError }, {
+    status: 'failed',
+    lastError: 'No handler registered for test_unregistered'
+  });
+
+  await runDueJobs();
+  assert.deepEqual(seen, ['done', 'skipped']);
+});
+
+test('failing jobs back off between attempts and fail after JOB_MAX_ATTEMPTS', async (t) => {
+  process.env.JOB_MAX_ATTEMPTS = '2';
+  t.after(() => {
+    delete process.env.JOB_MAX_ATTEMPTS;
+  });
+  let calls = 0;
+  registerJobHandler('test_retry', async () => {
+    calls += 1;
+    throw new Error(`attempt ${calls} failed`);
+  });
+
+  const { id } = scheduleJob({ type: 'test_retry', runAtISO: isoFromNow(-1000), payload: {}, dedupeKey: 'retry:1' });
+  const beforeRun = Date.now();
+  await runDueJobs();
+
+  const retrying = getJob(id);
+  assert.deepEqual({ status: retrying.status, attempts: retrying.attempts, lastError: retrying.lastError }, {
+    status: 'pending',
+    attempts: 1,
+    lastError: 'attempt 1 failed'
+  });
+  assert.ok(Date.parse(retrying.runAt) >= beforeRun + 5 * 60 * 1000, `retry scheduled at ${retrying.runAt}`);
+
+  await runDueJobs();
+  assert.equal(calls, 1);
+
+  await runDueJobsAt(t, 6 * 60 * 1000);
+  assert.equal(calls, 2);
+  assert.deepEqual({ status: getJob(id).status, attempts: getJob(id).attempts, lastError: getJob(id).lastError }, {
+    status: 'failed',
+    attempts: 2,
+    lastError: 'attempt 2 failed'
+  });
+});
+
+test('booking reminders are scheduled ahead of the visit and send an SMS when due', async (t) => {
+  const { phone, deal, booking } = seedReminderBooking();
+
+  const scheduled = scheduleBookingReminder(booking);
+  assert.equal(scheduled.scheduled, true);
+  assert.equal(Date.parse(scheduled.runAt), Date.parse(booking.booking.startISO) - 24 * HOUR_MS);
+  assert.equal(getJob(scheduled.id).type, REMINDER_JOB_TYPE);
+
+  await runDueJobs();
+  assert.equal(getJob(scheduled.id).status, 'pending');
+
+  await runDueJobsAt(t, 25 * HOUR_MS);
+  assert.equal(getJob(scheduled.id).status, 'done');
+  const sms = harness.services.twilio.messages.filter((message) => message.to === phone);
+  assert.equal(sms.length, 1);
+  assert.match(sms[0].body, /^Reminder: your estimate with Test Plumbing Co is scheduled for .+ \(America\/Chicago\)\. Reply YES to confirm/);
+  assert.ok(harness.services.hubspot.notes.some((note) => note.associations.some(({ to }) => to.id === deal.id)
+    && note.properties.hs_note_body.startsWith(`Reminder SMS sent (${sms[0].sid}`)));
+});
+
+test('rescheduling replaces the pending reminder and visits inside the lead time get none', () => {
+  const { booking } = seedReminderBooking();
+  const first = scheduleBookingReminder(booking);
+
+  const movedStartISO = new Date(Date.parse(booking.booking.startISO) + 24 * HOUR_MS).toISOString();
+  const moved = scheduleBookingReminder({ ...booking, booking: { startISO: movedStartISO } });
+  assert.equal(getJob(first.id).status, 'cancelled');
+  assert.equal(getJob(moved.id).status, 'pending');
+
+  const soon = seedReminderBooking({ startOffsetMs: 3 * HOUR_MS });
+  assert.deepEqual(scheduleBookingReminder(soon.booking), { scheduled: false, reason: 'inside_lead_time' });
+});
+
+test('due reminders are skipped when the booking moved or SMS consent is missing', async (t) => {
+  const moved = seedReminderBooking();
+  const movedJob = scheduleBookingReminder(moved.booking);
+  harness.services.hubspot.deals.get(moved.deal.id).properties.estimate_start_iso = isoFromNow(72 * HOUR_MS);
+
+  const noConsent = seedReminderBooking({ consent: false });
+  const noConsentJob = scheduleBookingReminder(noConsent.booking);
+
+  await runDueJobsAt(t, 25 * HOUR_MS);
+
+  assert.deepEqual({ status: getJob(movedJob.id).status, lastError: getJob(movedJob.id).lastError }, { status: 'skipped', lastError: 'booking_changed' });
+  assert.deepEqual({ status: getJob(noConsentJob.id).status, lastError: getJob(noConsentJob.id).lastError }, {
+    status: 'skipped',
+    lastError: 'sms_consent_required'
+  });
+  assert.equal(harness.services.twilio.messages.filter((message) => [moved.phone, noConsent.phone].includes(message.to)).length, 0);
+});
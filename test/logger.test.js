@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const logger = require('../src/monitoring/logger');
+const { redact, maskPhone } = require('../src/monitoring/redaction');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function captureLogs(t) {
+  const lines = [];
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    t.mock.method(console, method, (line) => lines.push(JSON.parse(line)));
+  }
+  return lines;
+}
+
+function parseLogLines(output) {
+  return output.join('').split('\n').filter((line) => line.startsWith('{')).map((line) => JSON.parse(line));
+}
+
+test('redaction masks phone numbers, addresses, names and tokens', () => {
+  assert.equal(maskPhone('+15125550123'), '+*******0123');
+
+  const redacted = redact({
+    callSid: 'CA123',
+    phone: '(512) 555-0123',
+    firstname: 'Ada',
+    service_street_1: '100 Congress Ave',
+    service_city: 'Austin',
+    service_postal_code: '78701',
+    authorization: 'Bearer abc.def',
+    note: 'Caller +15125550123 at 742 Evergreen Terrace, key sk-test1234567890',
+    nested: [{ lastname: 'Lovelace', ok: true }]
+  });
+
+  assert.deepEqual(redacted, {
+    callSid: 'CA123',
+    phone: '******0123',
+    firstname: '[REDACTED]',
+    service_street_1: '[REDACTED]',
+    service_city: 'Austin',
+    service_postal_code: '78701',
+    authorization: '[REDACTED]',
+    note: 'Caller +*******0123 at [ADDRESS], key [REDACTED]',
+    nested: [{ lastname: '[REDACTED]', ok: true }]
+  });
+});
+
+test('log entries are single JSON lines filtered by LOG_LEVEL', (t) => {
+  const lines = captureLogs(t);
+  const previous = process.env.LOG_LEVEL;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.LOG_LEVEL;
+    } else {
+      process.env.LOG_LEVEL = previous;
+    }
+  });
+
+  process.env.LOG_LEVEL = 'warn';
+  logger.info('[test] Hidden.');
+  logger.warn('[test] Shown.', { callerPhone: '+15125550123' });
+  process.env.LOG_LEVEL = 'debug';
+  logger.debug('[test] Debug shown.');
+  process.env.LOG_LEVEL = 'verbose';
+  logger.debug('[test] Unknown level falls back to info.');
+
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].level, 'warn');
+  assert.equal(lines[0].msg, '[test] Shown.');
+  assert.equal(lines[0].callerPhone, '+*******0123');
+  assert.ok(!Number.isNaN(Date.parse(lines[0].ts)));
+  assert.equal(lines[1].level, 'debug');
+});
+
+test('log context propagates across awaits and bound callbacks', async (t) => {
+  const lines = captureLogs(t);
+  let bound;
+
+  await logger.runWithLogContext({ requestId: 'req-1' }, async () => {
+    await new Promise((resolve) => setImmediate(resolve));
+    logger.addLogContext({ callSid: 'CAcontext', streamSid: null });
+    bound = logger.bindLogContext(() => logger.info('[test] From bound callback.'));
+    logger.info('[test] Inside.', { streamSid: 'MZ1' });
+  });
+  bound();
+  logger.info('[test] Outside.');
+
+  assert.deepEqual(lines.map(({ msg, requestId, callSid, streamSid }) => ({ msg, requestId, callSid, streamSid })), [
+    { msg: '[test] Inside.', requestId: 'req-1', callSid: 'CAcontext', streamSid: 'MZ1' },
+    { msg: '[test] From bound callback.', requestId: 'req-1', callSid: 'CAcontext', streamSid: undefined },
+    { msg: '[test] Outside.', requestId: undefined, callSid: undefined, streamSid: undefined }
+  ]);
+});
+
+test('bridge logs carry request and call context without caller phone numbers', async () => {
+  const realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  const bridge = await startBridgeProcess({
+    env: {
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_REALTIME_URL: realtime.url,
+      INTERNAL_TOOLING_ENABLED: 'true',
+      LOG_LEVEL: 'info'
+    }
+  });
+
+  try {
+    const health = await fetch(`${bridge.url}/health`, { headers: { 'X-Request-Id': 'req-health-1' } });
+    assert.equal(health.headers.get('x-request-id'), 'req-health-1');
+    assert.match((await fetch(`${bridge.url}/health`)).headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const scenario = require(path.join(SCENARIOS_DIR, 'call_capture_identity.json'));
+    const report = await runSimulatedCall({ ...scenario, bridgeUrl: bridge.url, speed: 4, baseDir: SCENARIOS_DIR });
+    assert.equal(report.ok, true, JSON.stringify(report.failures));
+
+    const raw = bridge.output.join('');
+    assert.ok(!raw.includes(scenario.from), 'caller phone number appears unmasked in logs');
+
+    const entries = parseLogLines(bridge.output);
+    const started = entries.find((entry) => entry.msg.includes('Twilio stream started'));
+    assert.ok(started?.requestId, 'stream start log is missing a requestId');
+    assert.ok(started.callSid && started.callSid !== 'unknown-call');
+
+    const callEntries = entries.filter((entry) => entry.callSid === started.callSid);
+    assert.ok(callEntries.length > 3);
+    const webhook = callEntries.find((entry) => entry.msg.startsWith('[twilio/voice]'));
+    assert.ok(webhook?.requestId && webhook.requestId !== started.requestId);
+    assert.deepEqual(new Set(callEntries.map((entry) => entry.requestId)), new Set([webhook.requestId, started.requestId]));
+    assert.ok(callEntries.some((entry) => entry.msg.startsWith('[openai]') && entry.streamSid === started.streamSid));
+  } finally {
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
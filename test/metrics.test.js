@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { renderMetrics } = require('../src/monitoring/metrics');
+const { dispatchTool } = require('../src/runtime/toolRouter');
+const { alertCritical, ALERT_EVENT_TYPES } = require('../src/monitoring/alerting');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness, seedCrmCall } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness({ env: { OWNER_ALERT_PHONE_E164: '+15125559300' } });
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function parseMetrics(text) {
+  const samples = new Map();
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const separator = line.lastIndexOf(' ');
+    samples.set(line.slice(0, separator), Number(line.slice(separator + 1)));
+  }
+  return samples;
+}
+
+function sample(name) {
+  return parseMetrics(renderMetrics()).get(name) || 0;
+}
+
+test('metrics render in the Prometheus text format', () => {
+  const text = renderMetrics();
+  assert.match(text, /^# HELP voice_bridge_active_calls .+\n# TYPE voice_bridge_active_calls gauge\nvoice_bridge_active_calls 0\n/);
+  assert.match(text, /# TYPE voice_bridge_tool_dispatch_duration_seconds histogram\n/);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('tool dispatches are counted and timed by tool name and error code', async () => {
+  const { session } = seedCrmCall(harness.services);
+  const okBefore = sample('voice_bridge_tool_dispatch_total{tool_name="capture_identity",error_code="none"}');
+  const failedBefore = sample('voice_bridge_tool_dispatch_total{tool_name="capture_identity",error_code="invalid_payload"}');
+
+  await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: { firstname: 'Ada', lastname: 'Lovelace', phone: session.callerPhone } });
+  await dispatchTool({ callSid: seedCrmCall(harness.services).session.callSid, toolName: 'capture_identity', payload: {} });
+  await dispatchTool({ callSid: session.callSid, toolName: 'make_coffee', payload: {} });
+
+  assert.equal(sample('voice_bridge_tool_dispatch_total{tool_name="capture_identity",error_code="none"}'), okBefore + 1);
+  assert.equal(sample('voice_bridge_tool_dispatch_total{tool_name="capture_identity",error_code="invalid_payload"}'), failedBefore + 1);
+  assert.ok(sample('voice_bridge_tool_dispatch_total{tool_name="unknown",error_code="invalid_tool"}') >= 1);
+  assert.ok(sample('voice_bridge_tool_dispatch_duration_seconds_count{tool_name="capture_identity",error_code="none"}') >= 1);
+  assert.ok(sample('voice_bridge_state_transitions_total{from="CALL_STARTED",to="IDENTITY_CHECKED"}') >= 1);
+  assert.ok(sample('voice_bridge_idempotency_total{result="set"}') >= 1);
+  assert.ok(sample('voice_bridge_outbound_request_duration_seconds_count{provider="hubspot",method="POST",status="200"}') >= 1);
+});
+
+test('alerts are counted as sent or deduped', async () => {
+  const sent = 'voice_bridge_alerts_total{event_type="calendar_booking_failure",result="sent"}';
+  const deduped = 'voice_bridge_alerts_total{event_type="calendar_booking_failure",result="deduped"}';
+  const sentBefore = sample(sent);
+  const dedupedBefore = sample(deduped);
+
+  const context = { callSid: 'CAmetrics-alert', message: 'Calendar down' };
+  await alertCritical(ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE, context);
+  await alertCritical(ALERT_EVENT_TYPES.CALENDAR_BOOKING_FAILURE, context);
+
+  assert.equal(sample(sent), sentBefore + 1);
+  assert.equal(sample(deduped), dedupedBefore + 1);
+});
+
+test('GET /metrics reports call metrics for a simulated call', async () => {
+  const realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  const bridge = await startBridgeProcess({
+    env: {
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_REALTIME_URL: realtime.url,
+      INTERNAL_TOOLING_ENABLED: 'true'
+    }
+  });
+
+  try {
+    const scenario = require(path.join(SCENARIOS_DIR, 'call_capture_identity.json'));
+    const report = await runSimulatedCall({ ...scenario, bridgeUrl: bridge.url, speed: 4, baseDir: SCENARIOS_DIR });
+    assert.equal(report.ok, true, JSON.stringify(report.failures));
+
+    const response = await fetch(`${bridge.url}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+    const samples = parseMetrics(await response.text());
+    assert.equal(samples.get('voice_bridge_active_calls'), 0);
+    assert.equal([...samples].filter(([name]) => name.startsWith('voice_bridge_call_duration_seconds_count')).reduce((sum, [, value]) => sum + value, 0), 1);
+    assert.equal(samples.get('voice_bridge_first_agent_audio_seconds_count'), 1);
+    assert.equal(samples.get('voice_bridge_tool_dispatch_total{tool_name="capture_identity",error_code="none"}'), 1);
+    assert.equal(samples.get('voice_bridge_state_transitions_total{from="IDENTITY_CHECKED",to="CALL_ENDED"}'), 1);
+  } finally {
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderPromptTemplate } = require('../src/runtime/promptTemplate');
+
+function assertInvalid(fn, pattern) {
+  assert.throws(fn, (error) => {
+    assert.equal(error.code, 'invalid_prompt_template');
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('variables and conditional blocks render, and standalone block tags leave no blank lines', () => {
+  const template = [
+    'Hello {{ NAME }}.',
+    '{{#if KNOWN}}',
+    'Welcome back.',
+    '{{else}}',
+    'Nice to meet you.',
+    '{{/if}}',
+    'Open: {{#if HOURS}}{{HOURS}}{{else}}by appointment{{/if}}.',
+    'Flags: [{{NONE}}][{{OFF}}][{{ZERO}}]'
+  ].join('\n');
+
+  const known = renderPromptTemplate(template, { NAME: 'Ann', KNOWN: true, HOURS: 'Mon-Fri', NONE: null, OFF: false, ZERO: 0 });
+  assert.equal(known.text, 'Hello Ann.\nWelcome back.\nOpen: Mon-Fri.\nFlags: [][][0]');
+  assert.deepEqual(known.missingVariables, []);
+
+  const unknown = renderPromptTemplate(template, { NAME: 'Ann', KNOWN: [], HOURS: '', NONE: null, OFF: false, ZERO: 0 });
+  assert.equal(unknown.text, 'Hello Ann.\nNice to meet you.\nOpen: by appointment.\nFlags: [][][0]');
+});
+
+test('missing variables render empty and are reported once each', () => {
+  const { text, missingVariables } = renderPromptTemplate('{{A}}-{{B}}-{{A}}\n\n\n\n{{#if C}}never{{/if}}end', { B: 'b' });
+  assert.equal(text, '-b-\n\nend');
+  assert.deepEqual(missingVariables, ['A']);
+});
+
+test('unclosed, stray and unsupported blocks are rejected', () => {
+  assertInvalid(() => renderPromptTemplate('{{#if A}}open', {}, { source: 'open.txt' }), /unclosed "\{\{#if A\}\}"/);
+  assertInvalid(() => renderPromptTemplate('text{{/if}}'), /unexpected "\{\{\/if\}\}"/);
+  assertInvalid(() => renderPromptTemplate('text{{else}}'), /unexpected "\{\{else\}\}"/);
+  assertInvalid(() => renderPromptTemplate('{{#if A}}a{{else}}b{{else}}c{{/if}}'), /unexpected "\{\{else\}\}"/);
+  assertInvalid(() => renderPromptTemplate('{{#each ITEMS}}x{{/each}}'), /unsupported block "\{\{#each ITEMS\}\}"/);
+  assertInvalid(() => renderPromptTemplate('{{#if A B}}x{{/if}}'), /unsupported block/);
+  assertInvalid(() => renderPromptTemplate('{{>}}'), /include requires a name/);
+
+  assert.throws(() => renderPromptTemplate('{{#if A}}open', {}, { source: 'open.txt' }), { details: { source: 'open.txt' } });
+});
+
+test('includes render with the caller variables and cycles are rejected', () => {
+  const partials = {
+    greeting: 'Hi {{NAME}}.\n',
+    outer: 'Outer: {{> greeting}}',
+    loop_a: 'a {{> loop_b}}',
+    loop_b: 'b {{> loop_a}}',
+    self: '{{> self}}'
+  };
+  const resolveInclude = (name) => partials[name];
+
+  assert.equal(renderPromptTemplate('{{> outer}} Bye.', { NAME: 'Ann' }, { resolveInclude }).text, 'Outer: Hi Ann. Bye.');
+
+  assert.throws(() => renderPromptTemplate('{{> loop_a}}', {}, { resolveInclude }), (error) => {
+    assert.equal(error.code, 'invalid_prompt_template');
+    assert.deepEqual(error.details.includeStack, ['loop_a', 'loop_b', 'loop_a']);
+    return true;
+  });
+  assertInvalid(() => renderPromptTemplate('{{> self}}', {}, { resolveInclude }), /include cycle or depth limit at "self"/);
+
+  const chain = Object.fromEntries(Array.from({ length: 7 }, (_, index) => [`level${index}`, `{{> level${index + 1}}}`]));
+  assertInvalid(() => renderPromptTemplate('{{> level0}}', {}, { resolveInclude: (name) => chain[name] }), /depth limit at "level5"/);
+
+  assertInvalid(() => renderPromptTemplate('{{> greeting}}'), /include "greeting" is not available/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+test('the bridge drives the realtime_capture_identity scenario end to end', async () => {
+  const realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  const bridge = await startBridgeProcess({
+    env: { OPENAI_API_KEY: 'sk-test', OPENAI_REALTIME_URL: realtime.url, OPENAI_REALTIME_MODEL: 'gpt-realtime-test' }
+  });
+
+  try {
+    const report = await runSimulatedCall({
+      bridgeUrl: bridge.url,
+      callSid: 'CArealtime-bridge',
+      script: [{ waitForAgentMs: 3000 }, { toneMs: 400 }, { waitForAgentMs: 3000 }],
+      speed: 4
+    });
+    assert.ok(report.outbound.mediaFrames >= 5, `expected agent audio, saw ${report.outbound.mediaFrames} frames`);
+
+    const [connection] = realtime.connections;
+    assert.equal(realtime.connections.length, 1);
+    assert.equal(connection.hasAuthorization, true);
+    assert.equal(new URL(connection.url, 'ws://fake.local').searchParams.get('model'), 'gpt-realtime-test');
+    assert.equal(connection.steps.length, 0, 'scenario steps left unmatched');
+    await realtime.waitFor(() => connection.closed, { description: 'the bridge to close the realtime socket' });
+
+    const received = realtime.received();
+    const sessionUpdate = received.find((message) => message.type === 'session.update');
+    assert.equal(sessionUpdate.session.input_audio_format, 'g711_ulaw');
+    assert.equal(sessionUpdate.session.output_audio_format, 'g711_ulaw');
+    assert.ok(sessionUpdate.session.tools.some((tool) => tool.name === 'capture_identity'));
+    assert.match(sessionUpdate.session.instructions, /Test Plumbing Co/);
+    assert.ok(received.findIndex((message) => message.type === 'response.create') > received.indexOf(sessionUpdate));
+    assert.ok(received.some((message) => message.type === 'input_audio_buffer.append'));
+
+    const functionCall = connection.sent.find((event) => event.type === 'response.function_call_arguments.done');
+    const output = received.find((message) => message.type === 'conversation.item.create' && message.item.type === 'function_call_output');
+    assert.equal(output.item.call_id, functionCall.call_id);
+    const result = JSON.parse(output.item.output);
+    assert.equal(result.ok, true);
+    assert.equal(result.state, 'IDENTITY_CHECKED');
+  } finally {
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
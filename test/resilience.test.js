@@ -0,0 +1,271 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resilientFetch, getCircuitStates, parseRetryAfterMs, RETRY_POLICIES } = require('../src/integrations/resilience');
+const hubspotClient = require('../src/integrations/hubspotClient');
+const calendarClient = require('../src/integrations/calendarClient');
+const { listRecentAlerts } = require('../src/monitoring/alerting');
+const { renderMetrics } = require('../src/monitoring/metrics');
+const { setupHarness, TEST_COMPANY_ID, TEST_CALENDAR_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const OWNER_PHONE = '+15125559200';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness({
+    env: {
+      OWNER_ALERT_PHONE_E164: OWNER_PHONE,
+      CIRCUIT_FAILURE_THRESHOLD: '3',
+      CIRCUIT_COOLDOWN_SECONDS: '30'
+    }
+  });
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function scriptedFetch(statuses) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, method: init.method || 'GET' });
+    const next = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    if (next instanceof Error) {
+      throw next;
+    }
+    const { status, headers = {} } = typeof next === 'number' ? { status: next } : next;
+    return new Response(JSON.stringify({ attempt: calls.length }), { status, headers });
+  };
+  return { fetchImpl, calls };
+}
+
+async function waitFor(fn, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = fn();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+function recordSleeps() {
+  const delays = [];
+  return { delays, sleep: async (ms) => { delays.push(ms); } };
+}
+
+test('retryable requests are retried with backoff until they succeed', async () => {
+  const { fetchImpl, calls } = scriptedFetch([503, 502, 200]);
+  const { delays, sleep } = recordSleeps();
+
+  const response = await resilientFetch({ provider: 'retry-success', url: 'https://api.test/a', fetch: fetchImpl, sleep });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { attempt: 3 });
+  assert.equal(calls.length, 3);
+  assert.equal(delays.length, 2);
+  assert.ok(delays.every((ms) => ms >= 0 && ms <= Number(process.env.RETRY_MAX_DELAY_MS)));
+  assert.equal(getCircuitStates()['retry-success'].consecutiveFailures, 0);
+});
+
+test('network errors are retried and rethrown after the last attempt', async () => {
+  const { fetchImpl, calls } = scriptedFetch([Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })]);
+  const { sleep } = recordSleeps();
+
+  await assert.rejects(resilientFetch({ provider: 'retry-network', url: 'https://api.test/a', fetch: fetchImpl, sleep }), /fetch failed/);
+  assert.equal(calls.length, 3);
+  assert.equal(getCircuitStates()['retry-network'].lastFailure.code, 'ECONNRESET');
+});
+
+test('Retry-After is honored and skips the retry when it exceeds the budget', async () => {
+  process.env.RETRY_MAX_DELAY_MS = '5000';
+  try {
+    const honored = scriptedFetch([{ status: 429, headers: { 'Retry-After': '2' } }, 200]);
+    const { delays, sleep } = recordSleeps();
+    const response = await resilientFetch({ provider: 'retry-after', url: 'https://api.test/a', fetch: honored.fetchImpl, sleep });
+    assert.equal(response.status, 200);
+    assert.deepEqual(delays, [2000]);
+
+    const tooLong = scriptedFetch([{ status: 503, headers: { 'Retry-After': '120' } }, 200]);
+    const skipped = await resilientFetch({ provider: 'retry-after', url: 'https://api.test/a', fetch: tooLong.fetchImpl, sleep });
+    assert.equal(skipped.status, 503);
+    assert.equal(tooLong.calls.length, 1);
+  } finally {
+    process.env.RETRY_MAX_DELAY_MS = '50';
+  }
+
+  const nowMs = Date.parse('2026-03-02T15:00:00.000Z');
+  const dated = new Response(null, { headers: { 'Retry-After': 'Mon, 02 Mar 2026 15:00:03 GMT' } });
+  assert.equal(parseRetryAfterMs(dated, nowMs), 3000);
+});
+
+test('non-idempotent requests and client errors are not retried', async () => {
+  const { sleep } = recordSleeps();
+  const post = scriptedFetch([503, 200]);
+  const postResponse = await resilientFetch({ provider: 'no-retry', url: 'https://api.test/a', init: { method: 'POST' }, fetch: post.fetchImpl, sleep });
+  assert.equal(postResponse.status, 503);
+  assert.equal(post.calls.length, 1);
+
+  const clientError = scriptedFetch([404, 200]);
+  const notFound = await resilientFetch({ provider: 'no-retry', url: 'https://api.test/a', fetch: clientError.fetchImpl, sleep });
+  assert.equal(notFound.status, 404);
+  assert.equal(clientError.calls.length, 1);
+  assert.equal(getCircuitStates()['no-retry'].consecutiveFailures, 0);
+});
+
+test('creates are retried only when the server refused them or never received them', async () => {
+  const { sleep } = recordSleeps();
+  const create = (statuses, provider = 'create-retry') => {
+    const scripted = scriptedFetch(statuses);
+    const request = resilientFetch({ provider, url: 'https://api.test/a', init: { method: 'POST' }, fetch: scripted.fetchImpl, sleep });
+    return { request, calls: scripted.calls };
+  };
+
+  const rateLimited = create([{ status: 429, headers: { 'Retry-After': '0' } }, 201]);
+  assert.equal((await rateLimited.request).status, 201);
+  assert.equal(rateLimited.calls.length, 2);
+
+  const refused = create([Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }), 201]);
+  assert.equal((await refused.request).status, 201);
+  assert.equal(refused.calls.length, 2);
+
+  const reset = create([Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }), 201], 'create-reset');
+  await assert.rejects(reset.request, /fetch failed/);
+  assert.equal(reset.calls.length, 1);
+
+  const gateway = create([502, 201], 'create-gateway');
+  assert.equal((await gateway.request).status, 502);
+  assert.equal(gateway.calls.length, 1);
+
+  const never = scriptedFetch([429, 200]);
+  const refusedOnce = await resilientFetch({
+    provider: 'create-never',
+    url: 'https://api.test/a',
+    init: { method: 'POST' },
+    retryPolicy: RETRY_POLICIES.NEVER,
+    fetch: never.fetchImpl,
+    sleep
+  });
+  assert.equal(refusedOnce.status, 429);
+  assert.equal(never.calls.length, 1);
+});
+
+test('the circuit opens after repeated failures, fails fast and recovers after the cooldown', async () => {
+  const provider = 'breaker';
+  let nowMs = Date.parse('2026-03-02T15:00:00.000Z');
+  const clock = () => nowMs;
+  const failing = scriptedFetch([503]);
+  const { sleep } = recordSleeps();
+  const request = (fetchImpl) => resilientFetch({ provider, url: 'https://api.test/a', fetch: fetchImpl, clock, sleep });
+
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal((await request(failing.fetchImpl)).status, 503);
+  }
+  assert.equal(getCircuitStates()[provider].state, 'open');
+  assert.equal(getCircuitStates()[provider].openedAt, '2026-03-02T15:00:00.000Z');
+
+  const callsBefore = failing.calls.length;
+  await assert.rejects(request(failing.fetchImpl), (error) => {
+    assert.equal(error.code, 'circuit_open');
+    assert.deepEqual(error.details, { provider, retryInMs: 30000 });
+    return true;
+  });
+  assert.equal(failing.calls.length, callsBefore);
+
+  const alert = await waitFor(() => harness.services.twilio.messages.find((message) => message.to === OWNER_PHONE && message.body.includes('circuit_open')));
+  assert.match(alert.body, /^\[ALERT:circuit_open\] callSid=circuit-breaker /);
+
+  nowMs += 30000;
+  const recovered = scriptedFetch([200]);
+  assert.equal((await request(recovered.fetchImpl)).status, 200);
+  assert.equal(getCircuitStates()[provider].state, 'closed');
+});
+
+test('a failed half-open trial reopens the circuit', async () => {
+  const provider = 'breaker-reopen';
+  let nowMs = Date.parse('2026-03-02T15:00:00.000Z');
+  const clock = () => nowMs;
+  const failing = scriptedFetch([500]);
+  const { sleep } = recordSleeps();
+  const request = () => resilientFetch({ provider, url: 'https://api.test/a', init: { method: 'POST' }, fetch: failing.fetchImpl, clock, sleep });
+
+  const dedupedAlerts = () => Number(renderMetrics().match(/alerts_total\{event_type="circuit_open",result="deduped"\} (\d+)/)?.[1] || 0);
+  const dedupedBefore = dedupedAlerts();
+
+  for (let i = 0; i < 3; i += 1) {
+    await request();
+  }
+  await waitFor(() => listRecentAlerts().some((entry) => entry.callSid === `circuit-${provider}` && entry.result === 'sent'));
+  nowMs += 31000;
+  assert.equal((await request()).status, 500);
+  assert.equal(getCircuitStates()[provider].state, 'open');
+  assert.equal(getCircuitStates()[provider].openedAt, new Date(nowMs).toISOString());
+  await assert.rejects(request(), { code: 'circuit_open' });
+
+  await waitFor(() => dedupedAlerts() === dedupedBefore + 1);
+  assert.equal(harness.services.twilio.messages.filter((message) => message.body.includes(`callSid=circuit-${provider} `)).length, 1);
+});
+
+test('HubSpot requests recover from a rate limit', async () => {
+  harness.services.failNext(
+    { service: 'hubspot', method: 'GET', path: new RegExp(`/companies/${TEST_COMPANY_ID}$`) },
+    { status: 429, body: { category: 'RATE_LIMITS' }, headers: { 'Retry-After': '0' } }
+  );
+
+  const company = await hubspotClient.getCompanyById(TEST_COMPANY_ID);
+  assert.equal(company.properties.deployment_status, 'live');
+  assert.equal(harness.services.requestsTo('hubspot', { method: 'GET', path: new RegExp(`/companies/${TEST_COMPANY_ID}$`) }).length, 2);
+  assert.equal(getCircuitStates().hubspot.state, 'closed');
+});
+
+test('a HubSpot create that fails with 502 is not repeated', async () => {
+  const phone = '+15555550177';
+  const contactCreates = { method: 'POST', path: /^\/crm\/v3\/objects\/contacts$/ };
+  harness.services.failNext({ service: 'hubspot', ...contactCreates }, { status: 502, body: { category: 'BAD_GATEWAY' }, afterHandling: true });
+
+  await assert.rejects(hubspotClient.upsertContact({ phone }, { callSid: 'CAretry-create' }), { status: 502 });
+  assert.equal(harness.services.requestsTo('hubspot', contactCreates).length, 1);
+  assert.equal([...harness.services.hubspot.contacts.values()].filter((contact) => contact.properties.phone === phone).length, 1);
+
+  const searches = { method: 'POST', path: /^\/crm\/v3\/objects\/contacts\/search$/ };
+  const searchesBefore = harness.services.requestsTo('hubspot', searches).length;
+  harness.services.failNext({ service: 'hubspot', ...searches }, { status: 502 });
+  assert.equal((await hubspotClient.findContactByPhone(phone)).properties.phone, phone);
+  assert.equal(harness.services.requestsTo('hubspot', searches).length, searchesBefore + 2);
+});
+
+test('a retried Google events.insert reuses the event created by the first attempt', async () => {
+  const inserts = { method: 'POST', path: /\/events$/ };
+  const insertsBefore = harness.services.requestsTo('google', inserts).length;
+  harness.services.failNext({ service: 'google', ...inserts }, { status: 502, afterHandling: true });
+
+  const booking = await calendarClient.bookSlot({
+    slotStartISO: '2026-11-02T15:00:00.000Z',
+    slotEndISO: '2026-11-02T16:00:00.000Z',
+    summary: 'Estimate',
+    callSid: 'CAretry-insert',
+    calendarId: TEST_CALENDAR_ID,
+    timeZone: 'America/Chicago'
+  });
+
+  assert.match(booking.calendarEventId, /^[0-9a-f]{64}$/);
+  assert.equal(booking.startISO, '2026-11-02T15:00:00.000Z');
+  assert.equal(harness.services.requestsTo('google', inserts).length, insertsBefore + 2);
+  assert.equal([...harness.services.calendar.events.values()].filter((event) => event.summary === 'Estimate' && event.start.dateTime === booking.startISO).length, 1);
+  assert.equal(harness.services.requestsTo('google', { method: 'GET', path: new RegExp(`/events/${booking.calendarEventId}$`) }).length, 1);
+});
+
+test('/health reports circuit breaker state', async () => {
+  const bridge = await startBridgeProcess();
+  try {
+    const response = await fetch(`${bridge.url}/health`);
+    const body = await response.json();
+    assert.equal(body.ok, true);
+    assert.equal(body.degraded, false);
+    assert.deepEqual(body.circuits.hubspot, { state: 'closed', consecutiveFailures: 0, openedAt: null, lastFailure: null });
+  } finally {
+    await bridge.stop();
+  }
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const calendarClient = require('../src/integrations/calendarClient');
+const { normalizeSchedulingPolicy, loadConfiguredSchedulingPolicy, getQualifiedTechnicians } = require('../src/config/schedulingPolicy');
+const { setupHarness, TEST_CALENDAR_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const TIME_ZONE = 'America/Chicago';
+const MONDAY_8AM = '2026-10-19T13:00:00.000Z';
+const CLOSED_WEEK = Object.freeze({ sun: null, mon: null, tue: null, wed: null, thu: null, fri: null, sat: null });
+const TECHNICIANS = Object.freeze([
+  { id: 'ann', name: 'Ann', calendarId: 'ann@calendar.test', jobTypes: ['Drain', 'water heater'] },
+  { id: 'bob', calendarId: 'bob@calendar.test' },
+  { id: 'cy', name: 'Cy', calendarId: 'cy@calendar.test', jobTypes: ['gas_line'] }
+]);
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+test.afterEach(() => {
+  harness.services.calendar.busy = {};
+});
+
+function proposeSlots(policy, options = {}) {
+  return calendarClient.proposeSlots({
+    count: 5,
+    nowISO: MONDAY_8AM,
+    calendarId: TEST_CALENDAR_ID,
+    timeZone: TIME_ZONE,
+    policy: normalizeSchedulingPolicy(policy),
+    ...options
+  });
+}
+
+function slotTimes(slots) {
+  return slots.map((slot) => [slot.startISO, slot.endISO]);
+}
+
+test('slots follow weekday hours, lead time and holidays', async () => {
+  const slots = await proposeSlots({
+    weekdayHours: { ...CLOSED_WEEK, mon: { start: '09:00', end: '12:00' }, wed: { start: '10:00', end: '11:00' }, thu: { start: '10:00', end: '11:00' } },
+    holidays: ['2026-10-21'],
+    leadTimeMinutes: 60,
+    slotIntervalMinutes: 60
+  });
+
+  assert.deepEqual(slotTimes(slots), [
+    ['2026-10-19T14:00:00.000Z', '2026-10-19T15:00:00.000Z'],
+    ['2026-10-19T15:00:00.000Z', '2026-10-19T16:00:00.000Z'],
+    ['2026-10-19T16:00:00.000Z', '2026-10-19T17:00:00.000Z'],
+    ['2026-10-22T15:00:00.000Z', '2026-10-22T16:00:00.000Z'],
+    ['2026-10-26T14:00:00.000Z', '2026-10-26T15:00:00.000Z']
+  ]);
+  assert.equal(slots[0].label, 'Mon 9:00 AM');
+  assert.equal(slots[3].label, 'Thu 10:00 AM');
+
+  const later = await proposeSlots({
+    weekdayHours: { ...CLOSED_WEEK, mon: { start: '09:00', end: '12:00' } },
+    leadTimeMinutes: 150,
+    slotIntervalMinutes: 60,
+    searchWindowDays: 1
+  });
+  assert.deepEqual(slotTimes(later), [['2026-10-19T16:00:00.000Z', '2026-10-19T17:00:00.000Z']]);
+});
+
+test('slots skip breaks, keep the buffer around busy time and size by job type', async () => {
+  harness.services.calendar.busy[TEST_CALENDAR_ID] = [{ start: '2026-10-19T14:00:00.000Z', end: '2026-10-19T14:30:00.000Z' }];
+  const policy = {
+    weekdayHours: { ...CLOSED_WEEK, mon: { start: '08:00', end: '17:00' } },
+    breaks: [{ start: '12:00', end: '13:00' }],
+    bufferMinutes: 30,
+    leadTimeMinutes: 0,
+    slotIntervalMinutes: 30,
+    searchWindowDays: 1,
+    durationByJobType: { 'Water Heater': 120 }
+  };
+
+  const waterHeater = await proposeSlots(policy, { count: 2, jobType: 'water heater' });
+  assert.deepEqual(slotTimes(waterHeater), [
+    ['2026-10-19T15:00:00.000Z', '2026-10-19T17:00:00.000Z'],
+    ['2026-10-19T18:00:00.000Z', '2026-10-19T20:00:00.000Z']
+  ]);
+
+  const standard = await proposeSlots(policy, { count: 3 });
+  assert.deepEqual(slotTimes(standard), [
+    ['2026-10-19T15:00:00.000Z', '2026-10-19T16:00:00.000Z'],
+    ['2026-10-19T15:30:00.000Z', '2026-10-19T16:30:00.000Z'],
+    ['2026-10-19T16:00:00.000Z', '2026-10-19T17:00:00.000Z']
+  ]);
+});
+
+test('technicians are validated and filtered by normalized job type', () => {
+  const policy = normalizeSchedulingPolicy({ technicians: TECHNICIANS });
+  assert.deepEqual(policy.technicians[0], { id: 'ann', name: 'Ann', calendarId: 'ann@calendar.test', jobTypes: ['drain', 'water_heater'] });
+  assert.equal(policy.technicians[1].name, 'bob');
+
+  const ids = (jobType) => getQualifiedTechnicians(policy, jobType).map((technician) => technician.id);
+  assert.deepEqual(ids('Water Heater'), ['ann', 'bob']);
+  assert.deepEqual(ids('gas line'), ['bob', 'cy']);
+  assert.deepEqual(ids(null), ['ann', 'bob', 'cy']);
+
+  const invalid = (technicians, field) => assert.throws(
+    () => normalizeSchedulingPolicy({ technicians }),
+    (error) => error.code === 'invalid_scheduling_policy' && error.details.field === field
+  );
+  invalid([{ id: 'ann' }], 'technicians[0]');
+  invalid([TECHNICIANS[1], { ...TECHNICIANS[1] }], 'technicians[1].id');
+  invalid([{ ...TECHNICIANS[0], jobTypes: 'drain' }], 'technicians[0].jobTypes');
+});
+
+test('slots go to the least-loaded free technician qualified for the job', async () => {
+  harness.services.calendar.busy['ann@calendar.test'] = [{ start: '2026-10-19T14:00:00.000Z', end: '2026-10-19T14:30:00.000Z' }];
+  const policy = {
+    weekdayHours: { ...CLOSED_WEEK, mon: { start: '09:00', end: '12:00' } },
+    leadTimeMinutes: 0,
+    slotIntervalMinutes: 60,
+    searchWindowDays: 1,
+    technicians: TECHNICIANS
+  };
+
+  const slots = await proposeSlots(policy, { calendarId: undefined, jobType: 'drain' });
+  assert.deepEqual(slots.map((slot) => [slot.startISO, slot.technician.id]), [
+    ['2026-10-19T14:00:00.000Z', 'bob'],
+    ['2026-10-19T15:00:00.000Z', 'ann'],
+    ['2026-10-19T16:00:00.000Z', 'bob']
+  ]);
+  assert.deepEqual(slots[1].technician, { id: 'ann', name: 'Ann', calendarId: 'ann@calendar.test' });
+
+  const [freeBusy] = harness.services.requestsTo('google', { path: /\/freeBusy$/ }).slice(-1);
+  assert.deepEqual(freeBusy.body.items, [{ id: 'ann@calendar.test' }, { id: 'bob@calendar.test' }]);
+
+  const unqualified = await proposeSlots({ ...policy, technicians: [TECHNICIANS[0], TECHNICIANS[2]] }, { calendarId: undefined, jobType: 'sewer' });
+  assert.deepEqual(unqualified, []);
+
+  const untyped = await proposeSlots({ ...policy, technicians: [] }, { count: 1 });
+  assert.equal(untyped[0].technician, null);
+});
+
+test('the policy file is read once and an invalid file stops the bridge at startup', async (t) => {
+  const policyPath = path.join(harness.dataDir, 'scheduling-policy.json');
+  fs.writeFileSync(policyPath, JSON.stringify({ leadTimeMinutes: 45 }));
+  process.env.SCHEDULING_POLICY_PATH = policyPath;
+  t.after(() => {
+    delete process.env.SCHEDULING_POLICY_PATH;
+  });
+
+  assert.equal(loadConfiguredSchedulingPolicy().leadTimeMinutes, 45);
+  fs.writeFileSync(policyPath, '{ not json');
+  assert.equal(loadConfiguredSchedulingPolicy().leadTimeMinutes, 45);
+
+  const invalidPath = path.join(harness.dataDir, 'invalid-policy.json');
+  fs.writeFileSync(invalidPath, JSON.stringify({ weekdayHours: { mon: { start: '17:00', end: '08:00' } } }));
+  process.env.SCHEDULING_POLICY_PATH = invalidPath;
+  assert.throws(() => loadConfiguredSchedulingPolicy(), (error) => error.code === 'invalid_scheduling_policy');
+
+  await assert.rejects(
+    startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test', SCHEDULING_POLICY_PATH: invalidPath } }),
+    /Bridge exited during startup[\s\S]*Invalid scheduling policy/
+  );
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const calendarClient = require('../src/integrations/calendarClient');
+const { normalizeSchedulingPolicy } = require('../src/config/schedulingPolicy');
+const { extractPostalCode, estimateTravelMinutes, describeServiceArea, checkServiceArea, loadServiceAreaConfig } = require('../src/config/serviceArea');
+const { setupHarness, TEST_CALENDAR_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const CENTROIDS = Object.freeze({
+  78701: [30.2672, -97.7431],
+  78613: [30.5052, -97.8203],
+  78660: [30.4394, -97.62],
+  75201: [32.7876, -96.7994]
+});
+const AUSTIN_AREA = Object.freeze({
+  type: 'Polygon',
+  coordinates: [
+    [[-98, 30], [-97.5, 30], [-97.5, 30.6], [-98, 30.6], [-98, 30]],
+    [[-97.76, 30.25], [-97.72, 30.25], [-97.72, 30.28], [-97.76, 30.28], [-97.76, 30.25]]
+  ]
+});
+
+let harness;
+let nextFileId = 0;
+
+test.before(async () => {
+  harness = await setupHarness();
+  process.env.POSTAL_CENTROIDS_PATH = writeJson('centroids', CENTROIDS);
+});
+
+test.after(async () => {
+  delete process.env.SERVICE_AREA_PATH;
+  await harness.teardown();
+});
+
+test.afterEach(() => {
+  delete process.env.SERVICE_AREA_PATH;
+  harness.services.calendar.busy = {};
+  harness.services.calendar.events.clear();
+});
+
+// Config files are cached by path, so every write uses a fresh name.
+function writeJson(name, value) {
+  nextFileId += 1;
+  const filePath = path.join(harness.dataDir, `${name}-${nextFileId}.json`);
+  fs.writeFileSync(filePath, typeof value === 'string' ? value : JSON.stringify(value));
+  return filePath;
+}
+
+function useServiceArea(value) {
+  process.env.SERVICE_AREA_PATH = writeJson('service-area', value);
+}
+
+function address(city, postalCode) {
+  return { service_city: city, service_state: 'TX', service_postal_code: postalCode };
+}
+
+test('postal codes are read from free text and travel time follows the centroids', () => {
+  assert.equal(extractPostalCode('100 Congress Ave, Austin, TX 78701-1234'), '78701');
+  assert.equal(extractPostalCode('Suite 12345, Austin, TX 78613'), '78613');
+  assert.equal(extractPostalCode('No postal code here'), null);
+
+  assert.equal(estimateTravelMinutes('78613', '78701', 40), 54);
+  assert.equal(estimateTravelMinutes('78701', '75201', 40), 574);
+  assert.equal(estimateTravelMinutes('78701', '78701', 40), 0);
+  assert.equal(estimateTravelMinutes('78701', '99999', 40), null);
+});
+
+test('addresses match by postal code, city, then polygon with holes', () => {
+  assert.deepEqual(checkServiceArea(address('Dallas', '75201')), { inServiceArea: true, matchedBy: 'unrestricted' });
+
+  useServiceArea({ postalCodes: ['75201'], cities: ['Round Rock, TX', { city: 'Leander' }], polygon: AUSTIN_AREA });
+  assert.deepEqual(checkServiceArea(address('Dallas', '75201-4000')), { inServiceArea: true, matchedBy: 'postal_code' });
+  assert.deepEqual(checkServiceArea(address(' round  rock ', '78664')), { inServiceArea: true, matchedBy: 'city' });
+  assert.deepEqual(checkServiceArea(address('Leander', '78641')), { inServiceArea: true, matchedBy: 'city' });
+  assert.deepEqual(checkServiceArea(address('Cedar Park', '78613')), { inServiceArea: true, matchedBy: 'polygon' });
+  assert.deepEqual(checkServiceArea(address('Austin', '78701')), { inServiceArea: false, matchedBy: null });
+  assert.deepEqual(checkServiceArea(address('Nowhere', '99999')), { inServiceArea: false, matchedBy: null });
+  assert.equal(describeServiceArea(), 'Round Rock, TX; Leander; postal codes 75201; the surrounding mapped service area');
+});
+
+test('GeoJSON feature collections are accepted and bad files are rejected', () => {
+  useServiceArea({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', geometry: { type: 'MultiPolygon', coordinates: [AUSTIN_AREA.coordinates] } }]
+  });
+  assert.equal(checkServiceArea(address('Pflugerville', '78660')).matchedBy, 'polygon');
+  assert.equal(checkServiceArea(address('Dallas', '75201')).inServiceArea, false);
+
+  useServiceArea({ polygon: { type: 'LineString', coordinates: [] } });
+  assert.throws(() => checkServiceArea(address('Austin', '78701')), { code: 'invalid_service_area_config', message: /LineString/ });
+
+  useServiceArea('{ not json');
+  assert.throws(() => checkServiceArea(address('Austin', '78701')), { code: 'invalid_service_area_config', message: /is not valid JSON/ });
+
+  useServiceArea({ polygon: { type: 'Polygon', coordinates: [[[-98, 30], [-97.5, 30]]] } });
+  assert.throws(() => checkServiceArea(address('Austin', '78701')), { code: 'invalid_service_area_config', message: /at least four/ });
+});
+
+test('config files are read once and invalid files stop the bridge at startup', async (t) => {
+  useServiceArea({ postalCodes: ['78701'] });
+  assert.equal(loadServiceAreaConfig().serviceArea.postalCodes.has('78701'), true);
+  fs.writeFileSync(process.env.SERVICE_AREA_PATH, '{ not json');
+  assert.equal(checkServiceArea(address('Austin', '78701')).matchedBy, 'postal_code');
+
+  const centroidsPath = process.env.POSTAL_CENTROIDS_PATH;
+  t.after(() => {
+    process.env.POSTAL_CENTROIDS_PATH = centroidsPath;
+  });
+  process.env.POSTAL_CENTROIDS_PATH = writeJson('centroids', { 78701: [30.2672] });
+  assert.throws(() => loadServiceAreaConfig(), { code: 'invalid_service_area_config', message: /invalid entry for "78701"/ });
+
+  await assert.rejects(
+    startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test', SERVICE_AREA_PATH: writeJson('service-area', { polygon: { type: 'LineString' } }) } }),
+    /Bridge exited during startup[\s\S]*Unsupported service area geometry type: LineString/
+  );
+});
+
+test('travel-aware slots leave time to drive from the previous visit and to the next one', async () => {
+  for (const [startISO, endISO] of [['2026-10-19T13:00:00.000Z', '2026-10-19T14:00:00.000Z'], ['2026-10-19T17:00:00.000Z', '2026-10-19T18:00:00.000Z']]) {
+    harness.services.seedEvent(TEST_CALENDAR_ID, { startISO, endISO, location: '1890 Ranch Shopping Center, Cedar Park, TX 78613' });
+  }
+  harness.services.seedEvent(TEST_CALENDAR_ID, { startISO: '2026-10-19T18:00:00.000Z', endISO: '2026-10-19T19:00:00.000Z' });
+  harness.services.calendar.busy[TEST_CALENDAR_ID] = [
+    { start: '2026-10-19T13:00:00.000Z', end: '2026-10-19T14:00:00.000Z' },
+    { start: '2026-10-19T17:00:00.000Z', end: '2026-10-19T18:00:00.000Z' }
+  ];
+  const proposeSlots = (servicePostalCode) => calendarClient.proposeSlots({
+    count: 5,
+    nowISO: '2026-10-19T12:00:00.000Z',
+    calendarId: TEST_CALENDAR_ID,
+    timeZone: 'America/Chicago',
+    policy: normalizeSchedulingPolicy({
+      weekdayHours: { sun: null, mon: { start: '09:00', end: '13:00' }, tue: null, wed: null, thu: null, fri: null, sat: null },
+      leadTimeMinutes: 0,
+      searchWindowDays: 1
+    }),
+    servicePostalCode
+  }).then((slots) => slots.map((slot) => slot.startISO));
+
+  assert.deepEqual(await proposeSlots('78701'), ['2026-10-19T15:00:00.000Z']);
+  assert.deepEqual(await proposeSlots('78613'), [
+    '2026-10-19T14:00:00.000Z',
+    '2026-10-19T14:30:00.000Z',
+    '2026-10-19T15:00:00.000Z',
+    '2026-10-19T15:30:00.000Z',
+    '2026-10-19T16:00:00.000Z'
+  ]);
+
+  const withoutCentroid = await proposeSlots('99999');
+  assert.deepEqual(withoutCentroid, await proposeSlots('78613'));
+
+  harness.services.failNext({ service: 'google', method: 'GET', path: /\/events$/ }, { status: 503, body: { error: { message: 'backendError' } }, times: 3 });
+  assert.deepEqual(await proposeSlots('78701'), withoutCentroid);
+});
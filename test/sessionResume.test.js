@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transition } = require('../src/runtime/stateMachine');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SESSION_STORE_MODULE = require.resolve('../src/runtime/sessionStore');
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+// A fresh module instance has an empty in-memory cache, like a restarted process.
+async function loadSessionStore() {
+  delete require.cache[SESSION_STORE_MODULE];
+  const sessionStore = require(SESSION_STORE_MODULE);
+  await sessionStore.initSessionStore(process.env.SESSION_DB_PATH);
+  return sessionStore;
+}
+
+function startMidCall(sessionStore, { callSid, callerPhone, hubspot }) {
+  const session = sessionStore.createSession(callSid, 'MZbefore-restart', callerPhone);
+  transition(session, 'CALL_STARTED', 'test:start');
+  transition(session, 'IDENTITY_CHECKED', 'tool:capture_identity');
+  session.contact = { firstname: 'Ann', lastname: 'Lee' };
+  session.hubspot = hubspot;
+  sessionStore.saveSession(callSid);
+  return session;
+}
+
+test('createSession resumes the active persisted session and only refreshes the stream', async () => {
+  const before = startMidCall(await loadSessionStore(), {
+    callSid: 'CAresume-store',
+    callerPhone: '+15125550301',
+    hubspot: { crmReady: true, contactId: 'contact-1', dealId: 'deal-1' }
+  });
+
+  const sessionStore = await loadSessionStore();
+  const resumed = sessionStore.createSession('CAresume-store', 'MZafter-restart', '+15125550301');
+  assert.equal(resumed.streamSid, 'MZafter-restart');
+  assert.equal(resumed.state, 'IDENTITY_CHECKED');
+  assert.deepEqual(resumed.contact, before.contact);
+  assert.deepEqual(resumed.hubspot, before.hubspot);
+  assert.deepEqual(resumed.auditLog, before.auditLog);
+  assert.equal(resumed.createdAt, before.createdAt);
+  assert.ok(resumed.lastSeenAt >= before.lastSeenAt);
+  assert.equal(sessionStore.getSessionRecord('CAresume-store').streamSid, 'MZafter-restart');
+
+  sessionStore.endSession('CAresume-store', 'test');
+  const fresh = sessionStore.createSession('CAresume-store', 'MZnext', '+15125550301');
+  assert.equal(fresh.state, null);
+  assert.deepEqual(fresh.auditLog, []);
+});
+
+test('a restarted bridge picks the call up where it left off without a second intake', async () => {
+  const callerPhone = '+15125550302';
+  const contact = harness.services.seedContact({ phone: callerPhone, firstname: 'Ann', lastname: 'Lee' });
+  const deal = harness.services.seedDeal({ pipeline: '2047365827', dealstage: '3233958612' }, { contactId: contact.id });
+  startMidCall(await loadSessionStore(), {
+    callSid: 'CAresume-bridge',
+    callerPhone,
+    hubspot: { crmReady: true, contactId: contact.id, dealId: deal.id }
+  });
+  const dealsBefore = harness.services.hubspot.deals.size;
+
+  const realtime = createFakeRealtimeServer({
+    scenario: { steps: [{ on: 'response.create', emit: [{ audio: { chunks: 2, transcript: 'Thanks Ann. What is the service address?' } }] }] }
+  });
+  await realtime.start();
+  const bridge = await startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test', OPENAI_REALTIME_URL: realtime.url, INTERNAL_TOOLING_ENABLED: 'true' } });
+
+  try {
+    const report = await runSimulatedCall({
+      bridgeUrl: bridge.url,
+      callSid: 'CAresume-bridge',
+      from: callerPhone,
+      script: [{ waitForAgentMs: 3000 }],
+      speed: 4
+    });
+
+    assert.deepEqual(report.states, ['CALL_STARTED', 'IDENTITY_CHECKED', 'CALL_ENDED']);
+    const response = await fetch(`${bridge.url}/internal/sessions/CAresume-bridge`);
+    const { session } = await response.json();
+    assert.notEqual(session.streamSid, 'MZbefore-restart');
+    assert.deepEqual({ firstname: session.contact.firstname, lastname: session.contact.lastname }, { firstname: 'Ann', lastname: 'Lee' });
+    const record = (await loadSessionStore()).getSessionRecord('CAresume-bridge');
+    assert.equal(record.status, 'ended');
+    assert.deepEqual(record.hubspot, { crmReady: true, contactId: contact.id, dealId: deal.id });
+    assert.equal(harness.services.hubspot.deals.size, dealsBefore);
+  } finally {
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
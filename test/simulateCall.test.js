@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness, TEST_COMPANY_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+const CALL_SCENARIO = require(path.join(SCENARIOS_DIR, 'call_capture_identity.json'));
+
+let harness;
+let realtime;
+let bridge;
+
+test.before(async () => {
+  harness = await setupHarness();
+  realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  bridge = await startBridgeProcess({
+    env: { OPENAI_API_KEY: 'sk-test', OPENAI_REALTIME_URL: realtime.url, INTERNAL_TOOLING_ENABLED: 'true' }
+  });
+});
+
+test.after(async () => {
+  await bridge.stop();
+  await realtime.stop();
+  await harness.teardown();
+});
+
+test('call_capture_identity meets its expectations and records the caller', async () => {
+  const report = await runSimulatedCall({ ...CALL_SCENARIO, bridgeUrl: bridge.url, callSid: 'CAsimulated-identity', speed: 4, baseDir: SCENARIOS_DIR });
+
+  assert.equal(report.ok, true, JSON.stringify(report.failures));
+  assert.equal(report.finalState, 'CALL_ENDED');
+  assert.deepEqual(report.states, ['CALL_STARTED', 'IDENTITY_CHECKED', 'CALL_ENDED']);
+  assert.deepEqual(report.toolCalls.map(({ toolName, ok, state }) => ({ toolName, ok, state })), [
+    { toolName: 'capture_identity', ok: true, state: 'IDENTITY_CHECKED' }
+  ]);
+  assert.equal(report.outbound.clearEvents, 0);
+
+  const response = await fetch(`${bridge.url}/internal/sessions/CAsimulated-identity`);
+  const { session } = await response.json();
+  assert.equal(session.tenantId, TEST_COMPANY_ID);
+  assert.deepEqual({ firstname: session.contact.firstname, lastname: session.contact.lastname }, { firstname: 'Ann', lastname: 'Lee' });
+  assert.equal(session.endReason, 'twilio_stop');
+
+  const contact = [...harness.services.hubspot.contacts.values()].find((entry) => entry.properties.phone === CALL_SCENARIO.from);
+  assert.equal(contact.properties.firstname, 'Ann');
+  assert.equal(contact.properties.lastname, 'Lee');
+});
+
+test('unmet expectations are reported as failures', async () => {
+  const report = await runSimulatedCall({
+    ...CALL_SCENARIO,
+    bridgeUrl: bridge.url,
+    callSid: 'CAsimulated-mismatch',
+    speed: 4,
+    baseDir: SCENARIOS_DIR,
+    expect: {
+      states: ['CALL_STARTED', 'ADDRESS_CONFIRMED'],
+      toolCalls: [{ toolName: 'confirm_address', ok: true }],
+      clearEvents: 1
+    }
+  });
+
+  assert.equal(report.ok, false);
+  assert.equal(report.failures.length, 3);
+  assert.match(report.failures[0], /^Expected state transitions CALL_STARTED -> ADDRESS_CONFIRMED but saw CALL_STARTED -> IDENTITY_CHECKED -> CALL_ENDED$/);
+  assert.match(report.failures[1], /^Expected tool call \{"toolName":"confirm_address","ok":true\} in order/);
+  assert.equal(report.failures[2], 'Expected 1 clear events but saw 0');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyInboundSms, handleInboundSms, SMS_REPLY_ACTIONS } = require('../src/runtime/smsInbound');
+const { computeTwilioSignature } = require('../src/governance/twilioSignature');
+const { setupHarness, TEST_COMPANY_ID, TEST_INBOUND_NUMBER } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const TENANT = Object.freeze({ id: TEST_COMPANY_ID, companyName: 'Test Plumbing Co' });
+
+let harness;
+let nextPhoneSuffix = 300;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function seedBookedCustomer() {
+  nextPhoneSuffix += 1;
+  const phone = `+1555555${String(nextPhoneSuffix).padStart(4, '0')}`;
+  const contact = harness.services.seedContact({ phone, firstname: 'Ada', lastname: 'Lovelace', sms_customer_consent: true });
+  const deal = harness.services.seedDeal({
+    estimate_calendar_event_id: `evt-sms-${nextPhoneSuffix}`,
+    estimate_start_iso: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString()
+  }, { contactId: contact.id });
+  return { phone, contact, deal };
+}
+
+function notesFor(contactId) {
+  return harness.services.hubspot.notes.filter((note) => note.associations.some((association) => association.to.id === contactId));
+}
+
+test('classifyInboundSms maps keywords and reschedule phrases to reply actions', () => {
+  const cases = {
+    [SMS_REPLY_ACTIONS.OPT_OUT]: ['STOP', ' stop. ', 'Unsubscribe', 'quit'],
+    [SMS_REPLY_ACTIONS.OPT_IN]: ['START', 'unstop'],
+    [SMS_REPLY_ACTIONS.CONFIRM]: ['yes', 'Y', 'Confirmed!'],
+    [SMS_REPLY_ACTIONS.RESCHEDULE]: ['Can I reschedule?', "I can't make it", 'Need a different time', 'yes but please move it'],
+    [SMS_REPLY_ACTIONS.OTHER]: ['Thanks!', 'stop by anytime', '', null]
+  };
+
+  for (const [action, bodies] of Object.entries(cases)) {
+    for (const body of bodies) {
+      assert.equal(classifyInboundSms(body), action, `classifyInboundSms(${JSON.stringify(body)})`);
+    }
+  }
+});
+
+test('a confirmation marks the upcoming booking, logs a note and replays without a second write', async () => {
+  const { phone, contact, deal } = seedBookedCustomer();
+  const message = { messageSid: 'SMconfirm', from: phone, to: TEST_INBOUND_NUMBER, body: 'Yes', tenant: TENANT };
+
+  const result = await handleInboundSms(message);
+  assert.deepEqual(result, {
+    ok: true,
+    action: 'confirm',
+    matched: true,
+    contactId: contact.id,
+    dealId: deal.id,
+    reply: 'Thanks, your estimate with Test Plumbing Co is confirmed.'
+  });
+  assert.equal(harness.services.hubspot.deals.get(deal.id).properties.estimate_reply_status, 'confirmed');
+  assert.match(notesFor(contact.id)[0].properties.hs_note_body, /^Inbound SMS \(SMconfirm\) from \+1555555\d{4}: "Yes"\. Action: confirm\.$/);
+
+  assert.deepEqual(await handleInboundSms(message), result);
+  assert.equal(notesFor(contact.id).length, 1);
+});
+
+test('opt-out and opt-in replies update SMS consent, and reschedule requests flag the deal', async () => {
+  const { phone, contact, deal } = seedBookedCustomer();
+
+  const optOut = await handleInboundSms({ messageSid: 'SMstop', from: phone, to: TEST_INBOUND_NUMBER, body: 'STOP', tenant: TENANT });
+  assert.equal(optOut.reply, null);
+  assert.equal(harness.services.hubspot.contacts.get(contact.id).properties.sms_customer_consent, 'false');
+
+  await handleInboundSms({ messageSid: 'SMstart', from: phone, to: TEST_INBOUND_NUMBER, body: 'START', tenant: TENANT });
+  assert.equal(harness.services.hubspot.contacts.get(contact.id).properties.sms_customer_consent, 'true');
+
+  const reschedule = await handleInboundSms({ messageSid: 'SMmove', from: phone, to: TEST_INBOUND_NUMBER, body: 'Can we move it?', tenant: TENANT });
+  assert.equal(reschedule.action, 'reschedule');
+  assert.match(reschedule.reply, /will reach out to find a new time/);
+  assert.equal(harness.services.hubspot.deals.get(deal.id).properties.estimate_reply_status, 'reschedule_requested');
+});
+
+test('messages from unknown numbers are not recorded', async () => {
+  const notesBefore = harness.services.hubspot.notes.length;
+  const result = await handleInboundSms({ messageSid: 'SMunknown', from: '+15555559999', to: TEST_INBOUND_NUMBER, body: 'Yes', tenant: TENANT });
+  assert.deepEqual(result, { ok: true, action: 'confirm', matched: false, reply: null });
+  assert.equal(harness.services.hubspot.notes.length, notesBefore);
+});
+
+test('POST /twilio/sms answers signed messages with TwiML and rejects unsigned ones', async () => {
+  const { phone, deal } = seedBookedCustomer();
+  const bridge = await startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test' } });
+  try {
+    const params = { MessageSid: 'SMbridge', From: phone, To: TEST_INBOUND_NUMBER, Body: 'yes' };
+    const post = (body, headers = {}) => fetch(`${bridge.url}/twilio/sms`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+      body: new URLSearchParams(body).toString()
+    });
+    const signed = (body) => post(body, { 'X-Twilio-Signature': computeTwilioSignature(`${bridge.url}/twilio/sms`, body, process.env.TWILIO_AUTH_TOKEN) });
+
+    assert.equal((await post(params)).status, 403);
+
+    const response = await signed(params);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/xml/);
+    assert.match(await response.text(), /<Message>Thanks, your estimate with Test Plumbing Co is confirmed\.<\/Message>/);
+    assert.equal(harness.services.hubspot.deals.get(deal.id).properties.estimate_reply_status, 'confirmed');
+
+    const unmapped = await signed({ ...params, MessageSid: 'SMunmapped', To: '+15125550999' });
+    assert.equal(unmapped.status, 200);
+    assert.match(await unmapped.text(), /<Response><\/Response>$/);
+    assert.match(bridge.output.join(''), /No tenant for inbound number/);
+  } finally {
+    await bridge.stop();
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATES, ESCALATABLE_STATES, canTransition, assertState, transition } = require('../src/runtime/stateMachine');
+
+const ALLOWED_TRANSITIONS = Object.freeze({
+  null: ['CALL_STARTED'],
+  CALL_STARTED: ['IDENTITY_CHECKED', 'ESCALATED', 'CALL_ENDED'],
+  IDENTITY_CHECKED: ['ADDRESS_CONFIRMED', 'ESCALATED', 'CALL_ENDED'],
+  ADDRESS_CONFIRMED: ['PROBLEM_CAPTURED', 'ESCALATED', 'CALL_ENDED'],
+  PROBLEM_CAPTURED: ['SCHEDULING', 'LOGGED_TO_HUBSPOT', 'ESCALATED', 'CALL_ENDED'],
+  SCHEDULING: ['BOOKED', 'LOGGED_TO_HUBSPOT', 'ESCALATED', 'CALL_ENDED'],
+  BOOKED: ['CONFIRMED_SMS_SENT', 'LOGGED_TO_HUBSPOT', 'ESCALATED', 'CALL_ENDED'],
+  CONFIRMED_SMS_SENT: ['LOGGED_TO_HUBSPOT', 'ESCALATED', 'CALL_ENDED'],
+  LOGGED_TO_HUBSPOT: ['CALL_ENDED'],
+  ESCALATED: ['LOGGED_TO_HUBSPOT', 'CALL_ENDED'],
+  CALL_ENDED: []
+});
+
+test('canTransition matches the transition table for every state pair', () => {
+  for (const from of [null, ...STATES]) {
+    for (const to of STATES) {
+      const expected = ALLOWED_TRANSITIONS[String(from)].includes(to);
+      assert.equal(canTransition(from, to), expected, `${from} -> ${to}`);
+    }
+  }
+});
+
+test('canTransition rejects unknown states', () => {
+  assert.equal(canTransition('CALL_STARTED', 'NOT_A_STATE'), false);
+  assert.equal(canTransition('NOT_A_STATE', 'CALL_ENDED'), false);
+});
+
+test('ESCALATED is reachable from every escalatable state and nothing later', () => {
+  for (const from of STATES) {
+    assert.equal(canTransition(from, 'ESCALATED'), ESCALATABLE_STATES.includes(from), from);
+  }
+});
+
+test('transition walks every allowed edge and records the audit log', () => {
+  for (const [from, targets] of Object.entries(ALLOWED_TRANSITIONS)) {
+    for (const to of targets) {
+      const session = { callSid: 'CAaudit', state: from === 'null' ? null : from, auditLog: [] };
+      transition(session, to, `test:${to}`);
+
+      assert.equal(session.state, to);
+      assert.equal(session.auditLog.length, 1);
+      const [entry] = session.auditLog;
+      assert.equal(entry.callSid, 'CAaudit');
+      assert.equal(entry.previousState, from === 'null' ? null : from);
+      assert.equal(entry.nextState, to);
+      assert.equal(entry.reason, `test:${to}`);
+      assert.ok(Date.parse(entry.ts));
+    }
+  }
+});
+
+test('transition rejects disallowed edges without mutating the session', () => {
+  const session = { callSid: 'CAreject', state: 'CALL_STARTED', auditLog: [] };
+  assert.throws(() => transition(session, 'BOOKED', 'test'), /Invalid transition CALL_STARTED -> BOOKED/);
+  assert.equal(session.state, 'CALL_STARTED');
+  assert.deepEqual(session.auditLog, []);
+
+  const ended = { callSid: 'CAended', state: 'CALL_ENDED', auditLog: [] };
+  assert.throws(() => transition(ended, 'CALL_ENDED', 'test'), /Invalid transition/);
+  assert.throws(() => transition(null, 'CALL_STARTED', 'test'), /Session is required/);
+});
+
+test('assertState accepts listed states and rejects others', () => {
+  assert.doesNotThrow(() => assertState({ state: 'BOOKED' }, ['BOOKED']));
+  assert.throws(() => assertState({ state: 'SCHEDULING' }, ['BOOKED']), /Expected one of: BOOKED/);
+  assert.throws(() => assertState(null, ['BOOKED']), /Invalid session state/);
+});
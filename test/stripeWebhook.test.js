@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setupHarness, TEST_COMPANY_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+const OTHER_COMPANY_ID = '404000000001';
+
+let harness;
+let bridge;
+
+test.before(async () => {
+  harness = await setupHarness();
+  bridge = await startBridgeProcess({
+    env: {
+      STRIPE_ENABLED: 'true',
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET
+    }
+  });
+});
+
+test.after(async () => {
+  await bridge?.stop();
+  await harness.teardown();
+});
+
+function signPayload(payload, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+async function postEvent(url, event, { signature } = {}) {
+  const payload = JSON.stringify(event);
+  return fetch(`${url}/stripe/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature || signPayload(payload)
+    },
+    body: payload
+  });
+}
+
+function buildEvent(type, { companyId } = {}) {
+  return {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    object: 'event',
+    type,
+    data: { object: { metadata: companyId ? { hubspot_company_id: companyId } : {} } }
+  };
+}
+
+function companyPatches(companyId) {
+  return harness.services.requestsTo('hubspot', { method: 'PATCH', path: new RegExp(`/companies/${companyId}$`) });
+}
+
+function deploymentStatus(companyId) {
+  return harness.services.hubspot.companies.get(companyId).properties.deployment_status;
+}
+
+test('subscription events update the company deployment status', async () => {
+  const cases = [
+    ['invoice.payment_failed', 'suspended'],
+    ['invoice.paid', 'live'],
+    ['customer.subscription.deleted', 'cancelled'],
+    ['checkout.session.completed', 'live']
+  ];
+
+  for (const [type, expectedStatus] of cases) {
+    const response = await postEvent(bridge.url, buildEvent(type));
+    assert.equal(response.status, 200, type);
+    assert.deepEqual(await response.json(), { received: true });
+    assert.equal(deploymentStatus(TEST_COMPANY_ID), expectedStatus, type);
+  }
+
+  assert.deepEqual(companyPatches(TEST_COMPANY_ID).map((entry) => entry.body), [
+    { properties: { deployment_status: 'suspended' } },
+    { properties: { deployment_status: 'live' } },
+    { properties: { deployment_status: 'cancelled' } },
+    { properties: { deployment_status: 'live' } }
+  ]);
+});
+
+test('events target the HubSpot company from metadata', async () => {
+  harness.services.seedCompany(OTHER_COMPANY_ID, { deployment_status: 'provisioning' });
+  const response = await postEvent(bridge.url, buildEvent('checkout.session.completed', { companyId: OTHER_COMPANY_ID }));
+
+  assert.equal(response.status, 200);
+  assert.equal(deploymentStatus(OTHER_COMPANY_ID), 'live');
+});
+
+test('redelivered events do not write to HubSpot twice', async () => {
+  const event = buildEvent('invoice.payment_failed', { companyId: OTHER_COMPANY_ID });
+  const before = companyPatches(OTHER_COMPANY_ID).length;
+
+  assert.equal((await postEvent(bridge.url, event)).status, 200);
+  assert.equal((await postEvent(bridge.url, event)).status, 200);
+  assert.equal(companyPatches(OTHER_COMPANY_ID).length, before + 1);
+});
+
+test('unhandled event types are acknowledged without HubSpot writes', async () => {
+  const before = harness.services.requestsTo('hubspot', { method: 'PATCH' }).length;
+  const response = await postEvent(bridge.url, buildEvent('customer.created'));
+
+  assert.equal(response.status, 200);
+  assert.equal(harness.services.requestsTo('hubspot', { method: 'PATCH' }).length, before);
+});
+
+test('invalid or stale signatures are rejected', async () => {
+  const before = harness.services.requestsTo('hubspot', { method: 'PATCH' }).length;
+  const event = buildEvent('customer.subscription.deleted');
+  const payload = JSON.stringify(event);
+
+  const wrongSecret = await postEvent(bridge.url, event, { signature: signPayload(payload, { secret: 'whsec_wrong' }) });
+  assert.equal(wrongSecret.status, 400);
+
+  const stale = await postEvent(bridge.url, event, { signature: signPayload(payload, { timestamp: Math.floor(Date.now() / 1000) - 3600 }) });
+  assert.equal(stale.status, 400);
+
+  const missing = await fetch(`${bridge.url}/stripe/webhook`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: payload });
+  assert.equal(missing.status, 400);
+
+  assert.equal(harness.services.requestsTo('hubspot', { method: 'PATCH' }).length, before);
+  assert.equal(deploymentStatus(TEST_COMPANY_ID), 'live');
+});
+
+test('the webhook route is disabled unless STRIPE_ENABLED=true', async () => {
+  const disabled = await startBridgeProcess({ env: { STRIPE_ENABLED: 'false' } });
+  try {
+    const response = await postEvent(disabled.url, buildEvent('invoice.paid'));
+    assert.equal(response.status, 404);
+  } finally {
+    await disabled.stop();
+  }
+});
@@ -0,0 +1,78 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER_ENTRY = path.resolve(__dirname, '../../src/server.js');
+const STARTUP_TIMEOUT_MS = 10000;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(url, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Bridge exited during startup with code ${child.exitCode}`);
+    }
+
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Bridge did not become healthy within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+async function startBridgeProcess({ env = {} } = {}) {
+  const port = await findFreePort();
+  const output = [];
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    cwd: path.dirname(path.dirname(SERVER_ENTRY)),
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', (chunk) => output.push(chunk.toString()));
+  child.stderr.on('data', (chunk) => output.push(chunk.toString()));
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(url, child);
+  } catch (error) {
+    child.kill();
+    error.message = `${error.message}\n${output.join('')}`;
+    throw error;
+  }
+
+  return {
+    url,
+    output,
+    stop() {
+      if (child.exitCode !== null) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve) => {
+        child.once('exit', () => resolve());
+        child.kill();
+      });
+    }
+  };
+}
+
+module.exports = {
+  startBridgeProcess
+};
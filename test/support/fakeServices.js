@@ -0,0 +1,404 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const FAKE_CREDENTIALS = Object.freeze({
+  HUBSPOT_ACCESS_TOKEN: 'pat-test-hubspot',
+  GOOGLE_CLIENT_ID: 'test-google-client',
+  GOOGLE_CLIENT_SECRET: 'test-google-secret',
+  GOOGLE_REFRESH_TOKEN: 'test-google-refresh',
+  TWILIO_ACCOUNT_SID: 'ACtest00000000000000000000000000',
+  TWILIO_AUTH_TOKEN: 'test-twilio-auth-token',
+  TWILIO_FROM_NUMBER: '+15125550000',
+  EMAIL_PROVIDER_API_KEY: 're_test_key'
+});
+
+function randomSid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function toHubspotProperties(properties = {}) {
+  return Object.fromEntries(
+    Object.entries(properties).map(([key, value]) => [key, value == null ? value : String(value)])
+  );
+}
+
+function parseBody(req, raw) {
+  if (!raw) {
+    return undefined;
+  }
+
+  const contentType = String(req.headers['content-type'] || '');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function json(status, body) {
+  return { status, body };
+}
+
+function notFound(message = 'resource not found') {
+  return json(404, { status: 'error', category: 'OBJECT_NOT_FOUND', message });
+}
+
+function createHubspotState() {
+  return {
+    companies: new Map(),
+    contacts: new Map(),
+    deals: new Map(),
+    notes: [],
+    dealContacts: new Map(),
+    nextId: 1000
+  };
+}
+
+function createCalendarState() {
+  return {
+    events: new Map(),
+    busy: {},
+    tokensIssued: 0
+  };
+}
+
+function searchObjects(store, body) {
+  const filters = (body?.filterGroups || []).flatMap((group) => group.filters || []);
+  const results = [...store.values()].filter((object) => filters.every((filter) => (
+    filter.operator === 'EQ' && object.properties[filter.propertyName] === String(filter.value)
+  )));
+
+  return json(200, { total: results.length, results: results.slice(0, body?.limit || 10) });
+}
+
+function buildRoutes(state) {
+  const { hubspot, calendar, twilio, resend } = state;
+
+  function createHubspotObject(store, properties) {
+    hubspot.nextId += 1;
+    const object = { id: String(hubspot.nextId), properties: toHubspotProperties(properties) };
+    store.set(object.id, object);
+    return object;
+  }
+
+  function patchHubspotObject(store, id, properties) {
+    const object = store.get(id);
+    if (!object) {
+      return notFound();
+    }
+
+    Object.assign(object.properties, toHubspotProperties(properties));
+    return json(200, object);
+  }
+
+  function readHubspotObject(store, id) {
+    const object = store.get(id);
+    return object ? json(200, object) : notFound();
+  }
+
+  function findEvent(calendarId, eventId) {
+    const event = calendar.events.get(eventId);
+    return event && event.calendarId === calendarId ? event : null;
+  }
+
+  return [
+    ['hubspot', 'GET', /^\/crm\/v3\/objects\/companies\/([^/]+)$/, ([id]) => readHubspotObject(hubspot.companies, id)],
+    ['hubspot', 'POST', /^\/crm\/v3\/objects\/companies\/search$/, (_params, body) => searchObjects(hubspot.companies, body)],
+    ['hubspot', 'PATCH', /^\/crm\/v3\/objects\/companies\/([^/]+)$/, ([id], body) => patchHubspotObject(hubspot.companies, id, body?.properties)],
+    ['hubspot', 'POST', /^\/crm\/v3\/objects\/contacts\/search$/, (_params, body) => searchObjects(hubspot.contacts, body)],
+    ['hubspot', 'POST', /^\/crm\/v3\/objects\/contacts$/, (_params, body) => json(201, createHubspotObject(hubspot.contacts, body?.properties))],
+    ['hubspot', 'GET', /^\/crm\/v3\/objects\/contacts\/([^/]+)$/, ([id]) => readHubspotObject(hubspot.contacts, id)],
+    ['hubspot', 'PATCH', /^\/crm\/v3\/objects\/contacts\/([^/]+)$/, ([id], body) => patchHubspotObject(hubspot.contacts, id, body?.properties)],
+    ['hubspot', 'POST', /^\/crm\/v3\/objects\/deals$/, (_params, body) => json(201, createHubspotObject(hubspot.deals, body?.properties))],
+    ['hubspot', 'POST', /^\/crm\/v3\/objects\/deals\/batch\/read$/, (_params, body) => json(200, {
+      status: 'COMPLETE',
+      results: (body?.inputs || []).map(({ id }) => hubspot.deals.get(String(id))).filter(Boolean)
+    })],
+    ['hubspot', 'GET', /^\/crm\/v3\/objects\/deals\/([^/]+)$/, ([id]) => readHubspotObject(hubspot.deals, id)],
+    ['hubspot', 'PATCH', /^\/crm\/v3\/objects\/deals\/([^/]+)$/, ([id], body) => patchHubspotObject(hubspot.deals, id, body?.properties)],
+    ['hubspot', 'PUT', /^\/crm\/v3\/objects\/deals\/([^/]+)\/associations\/contacts\/([^/]+)\/deal_to_contact$/, ([dealId, contactId]) => {
+      if (!hubspot.deals.has(dealId) || !hubspot.contacts.has(contactId)) {
+        return notFound();
+      }
+      hubspot.dealContacts.set(dealId, contactId);
+      return json(200, { id: dealId });
+    }],
+    ['hubspot', 'POST', /^\/crm\/v3\/objects\/notes$/, (_params, body) => {
+      hubspot.nextId += 1;
+      const note = { id: String(hubspot.nextId), properties: body?.properties || {}, associations: body?.associations || [] };
+      hubspot.notes.push(note);
+      return json(201, note);
+    }],
+    ['hubspot', 'GET', /^\/crm\/v4\/objects\/contacts\/([^/]+)\/associations\/deals$/, ([contactId]) => json(200, {
+      results: [...hubspot.dealContacts.entries()]
+        .filter(([, associatedContactId]) => associatedContactId === contactId)
+        .map(([dealId]) => ({ toObjectId: Number(dealId) }))
+    })],
+
+    ['google', 'POST', /^\/token$/, (_params, body) => {
+      if (body?.grant_type !== 'refresh_token' || !body?.refresh_token) {
+        return json(400, { error: 'invalid_grant' });
+      }
+      calendar.tokensIssued += 1;
+      return json(200, { access_token: `ya29.test-${calendar.tokensIssued}`, expires_in: 3599, token_type: 'Bearer' });
+    }],
+    ['google', 'POST', /^\/calendar\/v3\/freeBusy$/, (_params, body) => json(200, {
+      timeMin: body?.timeMin,
+      timeMax: body?.timeMax,
+      calendars: Object.fromEntries((body?.items || []).map(({ id }) => [id, { busy: calendar.busy[id] || [] }]))
+    })],
+    ['google', 'GET', /^\/calendar\/v3\/calendars\/([^/]+)\/events$/, ([calendarId]) => json(200, {
+      items: [...calendar.events.values()].filter((event) => event.calendarId === decodeURIComponent(calendarId))
+    })],
+    ['google', 'POST', /^\/calendar\/v3\/calendars\/([^/]+)\/events$/, ([calendarId], body) => {
+      const id = body?.id || `evt${crypto.randomBytes(6).toString('hex')}`;
+      if (calendar.events.has(id)) {
+        return json(409, { error: { code: 409, message: 'The requested identifier already exists.' } });
+      }
+      const event = {
+        ...body,
+        id,
+        calendarId: decodeURIComponent(calendarId),
+        status: 'confirmed',
+        htmlLink: `https://calendar.google.test/event?eid=${id}`
+      };
+      calendar.events.set(id, event);
+      return json(200, event);
+    }],
+    ['google', 'GET', /^\/calendar\/v3\/calendars\/([^/]+)\/events\/([^/]+)$/, ([calendarId, eventId]) => {
+      const event = findEvent(decodeURIComponent(calendarId), decodeURIComponent(eventId));
+      return event ? json(200, event) : json(404, { error: { code: 404, message: 'Not Found' } });
+    }],
+    ['google', 'PATCH', /^\/calendar\/v3\/calendars\/([^/]+)\/events\/([^/]+)$/, ([calendarId, eventId], body) => {
+      const event = findEvent(decodeURIComponent(calendarId), decodeURIComponent(eventId));
+      if (!event) {
+        return json(404, { error: { code: 404, message: 'Not Found' } });
+      }
+      Object.assign(event, body);
+      return json(200, event);
+    }],
+    ['google', 'DELETE', /^\/calendar\/v3\/calendars\/([^/]+)\/events\/([^/]+)$/, ([calendarId, eventId]) => {
+      const event = findEvent(decodeURIComponent(calendarId), decodeURIComponent(eventId));
+      if (!event) {
+        return json(410, { error: { code: 410, message: 'Resource has been deleted' } });
+      }
+      calendar.events.delete(event.id);
+      return json(204);
+    }],
+
+    ['twilio', 'POST', /^\/2010-04-01\/Accounts\/([^/]+)\/Messages\.json$/, ([accountSid], body) => {
+      const message = { sid: randomSid('SM'), account_sid: accountSid, to: body?.To, from: body?.From, body: body?.Body, status: 'queued' };
+      twilio.messages.push(message);
+      return json(201, message);
+    }],
+    ['twilio', 'POST', /^\/2010-04-01\/Accounts\/([^/]+)\/Calls\.json$/, ([accountSid], body) => {
+      const call = { sid: randomSid('CA'), account_sid: accountSid, to: body?.To, from: body?.From, twiml: body?.Twiml, status: 'queued' };
+      twilio.calls.push(call);
+      return json(201, call);
+    }],
+    ['twilio', 'POST', /^\/2010-04-01\/Accounts\/([^/]+)\/Calls\/([^/]+)\.json$/, ([accountSid, callSid], body) => {
+      const update = { sid: decodeURIComponent(callSid), account_sid: accountSid, twiml: body?.Twiml, status: 'in-progress' };
+      twilio.callUpdates.push(update);
+      return json(200, update);
+    }],
+
+    ['resend', 'POST', /^\/emails$/, (_params, body) => {
+      const email = { id: crypto.randomUUID(), ...body };
+      resend.emails.push(email);
+      return json(200, { id: email.id });
+    }]
+  ];
+}
+
+function isAuthorized(service, req, path) {
+  const authorization = String(req.headers.authorization || '');
+  if (service === 'google' && path === '/token') {
+    return true;
+  }
+  if (service === 'twilio') {
+    return authorization.startsWith('Basic ');
+  }
+  return /^Bearer \S+/.test(authorization);
+}
+
+function createFakeServices({ host = '127.0.0.1' } = {}) {
+  const state = {
+    hubspot: createHubspotState(),
+    calendar: createCalendarState(),
+    twilio: { messages: [], calls: [], callUpdates: [] },
+    resend: { emails: [] }
+  };
+  const routes = buildRoutes(state);
+  const requests = [];
+  const failures = [];
+  const delays = [];
+
+  function takeMatch(queue, entry) {
+    const index = queue.findIndex((item) => item.service === entry.service
+      && (!item.method || item.method === entry.method)
+      && (!item.path || item.path.test(entry.path)));
+    if (index === -1) {
+      return null;
+    }
+
+    const item = queue[index];
+    item.remaining -= 1;
+    if (item.remaining <= 0) {
+      queue.splice(index, 1);
+    }
+    return item;
+  }
+
+  function route(req, raw) {
+    const url = new URL(req.url, 'http://fake.local');
+    const [, service, ...rest] = url.pathname.split('/');
+    const path = `/${rest.join('/')}`;
+    const entry = {
+      service,
+      method: req.method,
+      path,
+      query: Object.fromEntries(url.searchParams),
+      body: parseBody(req, raw),
+      authorization: req.headers.authorization || null
+    };
+    requests.push(entry);
+
+    const delay = takeMatch(delays, entry);
+    return { ...answer(req, entry), delayMs: delay ? delay.ms : 0 };
+  }
+
+  function answer(req, entry) {
+    const failure = takeMatch(failures, entry);
+    if (failure && !failure.afterHandling) {
+      return { ...json(failure.status, failure.body), headers: failure.headers };
+    }
+
+    const result = handle(req, entry);
+    return failure ? { ...json(failure.status, failure.body), headers: failure.headers } : result;
+  }
+
+  function handle(req, entry) {
+    const { service, path } = entry;
+    if (!isAuthorized(service, req, path)) {
+      return json(401, { status: 'error', category: 'INVALID_AUTHENTICATION', message: 'Missing credentials' });
+    }
+
+    for (const [routeService, method, pattern, handler] of routes) {
+      const match = routeService === service && method === req.method ? pattern.exec(path) : null;
+      if (match) {
+        return handler(match.slice(1), entry.body);
+      }
+    }
+
+    return notFound(`No fake route for ${req.method} /${service}${path}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const { status, body, headers = {}, delayMs = 0 } = route(req, Buffer.concat(chunks).toString('utf8'));
+      setTimeout(() => {
+        if (body === undefined) {
+          res.writeHead(status, headers);
+          res.end();
+          return;
+        }
+
+        res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      }, delayMs);
+    });
+  });
+
+  const api = {
+    ...state,
+    requests,
+    get url() {
+      const address = server.address();
+      return address ? `http://${host}:${address.port}` : null;
+    },
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, host, () => {
+          server.off('error', reject);
+          resolve(api);
+        });
+      });
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+    env() {
+      return {
+        ...FAKE_CREDENTIALS,
+        HUBSPOT_BASE_URL: `${api.url}/hubspot`,
+        GOOGLE_CALENDAR_BASE_URL: `${api.url}/google/calendar/v3`,
+        GOOGLE_TOKEN_URL: `${api.url}/google/token`,
+        TWILIO_API_BASE_URL: `${api.url}/twilio/2010-04-01`,
+        RESEND_API_URL: `${api.url}/resend/emails`
+      };
+    },
+    delayNext({ service, method, path }, { ms, times = 1 }) {
+      delays.push({ service, method, path, ms, remaining: times });
+    },
+    failNext({ service, method, path }, {
+      status = 500,
+      body = { message: 'Injected failure' },
+      headers = {},
+      times = 1,
+      afterHandling = false
+    } = {}) {
+      failures.push({ service, method, path, status, body, headers, afterHandling, remaining: times });
+    },
+    requestsTo(service, { method, path } = {}) {
+      return requests.filter((entry) => entry.service === service
+        && (!method || entry.method === method)
+        && (!path || path.test(entry.path)));
+    },
+    seedCompany(id, properties = {}) {
+      const company = { id: String(id), properties: toHubspotProperties(properties) };
+      state.hubspot.companies.set(company.id, company);
+      return company;
+    },
+    seedContact(properties = {}) {
+      state.hubspot.nextId += 1;
+      const contact = { id: String(state.hubspot.nextId), properties: toHubspotProperties(properties) };
+      state.hubspot.contacts.set(contact.id, contact);
+      return contact;
+    },
+    seedDeal(properties = {}, { contactId } = {}) {
+      state.hubspot.nextId += 1;
+      const deal = { id: String(state.hubspot.nextId), properties: toHubspotProperties(properties) };
+      state.hubspot.deals.set(deal.id, deal);
+      if (contactId) {
+        state.hubspot.dealContacts.set(deal.id, String(contactId));
+      }
+      return deal;
+    },
+    seedEvent(calendarId, { id = `evt${crypto.randomBytes(6).toString('hex')}`, startISO, endISO, location } = {}) {
+      const event = {
+        id,
+        calendarId,
+        status: 'confirmed',
+        start: { dateTime: startISO },
+        end: { dateTime: endISO },
+        ...(location ? { location } : {})
+      };
+      state.calendar.events.set(id, event);
+      return event;
+    }
+  };
+  return api;
+}
+
+module.exports = {
+  FAKE_CREDENTIALS,
+  createFakeServices
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const sessionStore = require('../../src/runtime/sessionStore');
+const { STATES, transition } = require('../../src/runtime/stateMachine');
+const { initIdempotency } = require('../../src/governance/idempotencyStore');
+const { initJobScheduler } = require('../../src/runtime/jobScheduler');
+const { createFakeServices } = require('./fakeServices');
+
+const TEST_COMPANY_ID = '304267668200';
+const TEST_CALENDAR_ID = 'estimates@calendar.test';
+const TEST_INBOUND_NUMBER = '+15555550199';
+
+const SCRUBBED_ENV = Object.freeze([
+  'SERVICE_AREA_PATH',
+  'SINGLE_TENANT_FALLBACK_ENABLED',
+  'POSTAL_CENTROIDS_PATH',
+  'SCHEDULING_POLICY_PATH',
+  'TEST_CALLER_ALLOWLIST',
+  'OPERATOR_SYSTEM_PROMPT',
+  'ESCALATION_PHONE_E164',
+  'ONCALL_PHONE_E164',
+  'OWNER_ALERT_PHONE_E164',
+  'OWNER_ALERT_EMAIL',
+  'PUBLIC_BASE_URL',
+  'HUBSPOT_ESTIMATE_CANCELLED_STAGE_ID'
+]);
+
+let callCounter = 0;
+
+function silenceLogs() {
+  if (process.env.TEST_LOGS === 'true') {
+    return;
+  }
+
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
+
+function buildTestEnv(services, dataDir) {
+  return {
+    ...services.env(),
+    NODE_ENV: 'test',
+    IDP_ENABLED: 'true',
+    RETRY_BASE_DELAY_MS: '1',
+    RETRY_MAX_DELAY_MS: '50',
+    HUBSPOT_ENABLED: 'true',
+    HUBSPOT_COMPANY_ID: TEST_COMPANY_ID,
+    GOOGLE_CALENDAR_ID: TEST_CALENDAR_ID,
+    BUSINESS_TIMEZONE: 'America/Chicago',
+    OPERATOR_COMPANY_NAME: 'Test Plumbing Co',
+    IDP_DB_PATH: path.join(dataDir, 'idempotency.sqlite'),
+    SESSION_DB_PATH: path.join(dataDir, 'sessions.sqlite'),
+    TRANSCRIPT_DB_PATH: path.join(dataDir, 'transcripts.sqlite'),
+    JOB_DB_PATH: path.join(dataDir, 'jobs.sqlite')
+  };
+}
+
+async function setupHarness({ env = {}, deploymentStatus = 'live' } = {}) {
+  silenceLogs();
+  const services = await createFakeServices().start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plumbing-voice-bridge-test-'));
+  const previousEnv = { ...process.env };
+
+  for (const name of SCRUBBED_ENV) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, buildTestEnv(services, dataDir), env);
+
+  await initIdempotency(process.env.IDP_DB_PATH);
+  await initJobScheduler(process.env.JOB_DB_PATH);
+  services.seedCompany(TEST_COMPANY_ID, { name: 'Test Plumbing Co', deployment_status: deploymentStatus, twilio_inbound_number: TEST_INBOUND_NUMBER });
+
+  return {
+    services,
+    dataDir,
+    async teardown() {
+      await services.stop();
+      process.env = previousEnv;
+      mock.restoreAll();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+function nextCallSid() {
+  callCounter += 1;
+  return `CAtest${process.pid}${String(callCounter).padStart(6, '0')}`;
+}
+
+function nextCallerPhone() {
+  callCounter += 1;
+  return `+1512555${String(callCounter).padStart(4, '0')}`;
+}
+
+function startTestCall({ callSid = nextCallSid(), callerPhone = nextCallerPhone(), state = 'CALL_STARTED', ...fields } = {}) {
+  sessionStore.createSession(callSid, `MZ${callSid}`, callerPhone);
+  const session = sessionStore.getSession(callSid);
+  transition(session, 'CALL_STARTED', 'test:start');
+
+  for (const nextState of STATES.slice(1, STATES.indexOf(state) + 1)) {
+    transition(session, nextState, 'test:setup');
+  }
+
+  Object.assign(session, fields);
+  return session;
+}
+
+function seedCrmCall(services, { phone = nextCallerPhone(), contactProperties = {}, dealProperties = {}, ...fields } = {}) {
+  const contact = services.seedContact({ phone, ...contactProperties });
+  const deal = services.seedDeal({ pipeline: '2047365827', dealstage: '3233958612', ...dealProperties }, { contactId: contact.id });
+  const session = startTestCall({
+    callerPhone: phone,
+    hubspot: { crmReady: true, contactId: contact.id, dealId: deal.id },
+    ...fields
+  });
+
+  return { session, contact, deal };
+}
+
+module.exports = {
+  TEST_COMPANY_ID,
+  TEST_CALENDAR_ID,
+  TEST_INBOUND_NUMBER,
+  silenceLogs,
+  setupHarness,
+  startTestCall,
+  seedCrmCall
+};
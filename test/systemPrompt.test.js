@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { loadSystemPrompt } = require('../src/runtime/systemPrompt');
+const { CAMPAIGN_PROMPTS_DIR } = require('../src/config/constants');
+const { silenceLogs } = require('./support/harness');
+
+const TENANT_ID = `test-tenant-${crypto.randomBytes(4).toString('hex')}`;
+const NOW = new Date('2026-10-19T15:00:00.000Z');
+
+let tempDir;
+let campaignsDirCreated = false;
+const createdPaths = [];
+
+test.before(() => {
+  silenceLogs();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plumbing-voice-bridge-prompt-'));
+  campaignsDirCreated = !fs.existsSync(CAMPAIGN_PROMPTS_DIR);
+  delete process.env.OPERATOR_SYSTEM_PROMPT;
+});
+
+test.after(() => {
+  delete process.env.OPERATOR_SYSTEM_PROMPT;
+  for (const createdPath of createdPaths.reverse()) {
+    fs.rmSync(createdPath, { recursive: true, force: true });
+  }
+  if (campaignsDirCreated) {
+    fs.rmSync(CAMPAIGN_PROMPTS_DIR, { recursive: true, force: true });
+  }
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Prompt files are cached by path, so every write uses a fresh name.
+function uniqueName(prefix) {
+  return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function writePrompt(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, text);
+  createdPaths.push(filePath);
+  return filePath;
+}
+
+function buildTenant(promptText) {
+  return {
+    id: TENANT_ID,
+    companyName: 'Order Test Plumbing',
+    timezone: 'America/Chicago',
+    promptPath: promptText === undefined ? null : writePrompt(path.join(tempDir, `${uniqueName('tenant')}.txt`), promptText)
+  };
+}
+
+test('prompts resolve in campaign, tenant, env, default order', (t) => {
+  const campaign = uniqueName('campaign');
+  const tenantCampaignPath = writePrompt(path.join(CAMPAIGN_PROMPTS_DIR, TENANT_ID, `${campaign}.txt`), 'Tenant campaign {{CAMPAIGN}} for {{COMPANY_NAME}}.');
+  const campaignPath = writePrompt(path.join(CAMPAIGN_PROMPTS_DIR, `${campaign}.txt`), 'Shared campaign {{CAMPAIGN}}.');
+  createdPaths.push(path.join(CAMPAIGN_PROMPTS_DIR, TENANT_ID));
+  process.env.OPERATOR_SYSTEM_PROMPT = 'Env prompt for {{COMPANY_NAME}}.';
+  t.after(() => {
+    delete process.env.OPERATOR_SYSTEM_PROMPT;
+  });
+  const tenant = buildTenant('Tenant prompt for {{COMPANY_NAME}}.');
+
+  assert.deepEqual(loadSystemPrompt({ tenant, campaign, now: NOW }), {
+    text: `Tenant campaign ${campaign} for Order Test Plumbing.`,
+    source: 'tenant_campaign',
+    promptPath: tenantCampaignPath
+  });
+
+  assert.deepEqual(loadSystemPrompt({ tenant: { ...tenant, id: 'other-tenant' }, campaign, now: NOW }), {
+    text: `Shared campaign ${campaign}.`,
+    source: 'campaign',
+    promptPath: campaignPath
+  });
+
+  assert.deepEqual(loadSystemPrompt({ tenant, campaign: uniqueName('unknown'), now: NOW }), {
+    text: 'Tenant prompt for Order Test Plumbing.',
+    source: 'tenant',
+    promptPath: tenant.promptPath
+  });
+
+  assert.deepEqual(loadSystemPrompt({ tenant: buildTenant(), campaign: '../escape', now: NOW }), {
+    text: 'Env prompt for Order Test Plumbing.',
+    source: 'env',
+    promptPath: null
+  });
+
+  delete process.env.OPERATOR_SYSTEM_PROMPT;
+  const fallback = loadSystemPrompt({ tenant: buildTenant(), now: NOW });
+  assert.equal(fallback.source, 'default');
+  assert.match(fallback.text, /^You are a live voice call operator for Order Test Plumbing/);
+  assert.match(fallback.text, /Today is Monday, October 19, 2026 \(America\/Chicago\)\./);
+});
+
+test('a source that fails to render falls through to the next one', () => {
+  const campaign = uniqueName('broken');
+  writePrompt(path.join(CAMPAIGN_PROMPTS_DIR, `${campaign}.txt`), '{{#if CALLER_KNOWN}}never closed');
+  const tenant = buildTenant('Tenant prompt. {{> missing_partial}}');
+
+  const result = loadSystemPrompt({ tenant, campaign, now: NOW });
+  assert.equal(result.source, 'default');
+
+  const missingFile = { ...buildTenant(), promptPath: path.join(tempDir, 'does-not-exist.txt') };
+  assert.equal(loadSystemPrompt({ tenant: missingFile, now: NOW }).source, 'default');
+});
+
+test('returning caller variables reach the prompt', () => {
+  const tenant = buildTenant('{{#if CALLER_KNOWN}}Caller: {{CALLER_FIRSTNAME}} {{CALLER_LASTNAME}} at {{CALLER_ADDRESS}}.{{else}}New caller.{{/if}}');
+  const callerContext = {
+    firstname: 'Ann',
+    lastname: 'Lee',
+    address: { service_street_1: '100 Congress Ave', service_city: 'Austin', service_state: 'TX', service_postal_code: '78701' }
+  };
+
+  assert.equal(loadSystemPrompt({ tenant, callerContext, now: NOW }).text, 'Caller: Ann Lee at 100 Congress Ave, Austin, TX 78701.');
+  assert.equal(loadSystemPrompt({ tenant, now: NOW }).text, 'New caller.');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTenantByInboundNumber, clearTenantCache } = require('../src/runtime/tenantResolver');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness, TEST_COMPANY_ID, TEST_INBOUND_NUMBER } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const UNMAPPED_NUMBER = '+15555550111';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+test.beforeEach(() => {
+  clearTenantCache();
+});
+
+test('the dialed number resolves the HubSpot company that owns it', async () => {
+  const tenant = await resolveTenantByInboundNumber(TEST_INBOUND_NUMBER);
+  assert.equal(tenant.id, TEST_COMPANY_ID);
+  assert.equal(tenant.source, 'hubspot');
+  assert.equal(tenant.inboundNumber, TEST_INBOUND_NUMBER);
+});
+
+test('an unmapped dialed number fails closed and is not cached', async () => {
+  await assert.rejects(resolveTenantByInboundNumber(UNMAPPED_NUMBER), (error) => {
+    assert.equal(error.code, 'tenant_not_found');
+    assert.deepEqual(error.details, { inboundNumber: UNMAPPED_NUMBER });
+    return true;
+  });
+
+  harness.services.seedCompany('304267668299', { name: 'Second Shop', deployment_status: 'live', twilio_inbound_number: UNMAPPED_NUMBER });
+  const tenant = await resolveTenantByInboundNumber(UNMAPPED_NUMBER);
+  assert.equal(tenant.id, '304267668299');
+  assert.equal(tenant.companyName, 'Second Shop');
+});
+
+test('SINGLE_TENANT_FALLBACK_ENABLED routes unmapped numbers to the default tenant', async (t) => {
+  process.env.SINGLE_TENANT_FALLBACK_ENABLED = 'true';
+  t.after(() => {
+    delete process.env.SINGLE_TENANT_FALLBACK_ENABLED;
+  });
+
+  const tenant = await resolveTenantByInboundNumber('+15555550112');
+  assert.equal(tenant.id, TEST_COMPANY_ID);
+  assert.equal(tenant.source, 'default');
+  assert.equal(tenant.inboundNumber, '+15555550112');
+});
+
+test('POST /twilio/voice answers an unmapped number with the unavailable message', async () => {
+  const bridge = await startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test' } });
+  try {
+    await assert.rejects(
+      runSimulatedCall({ bridgeUrl: bridge.url, to: '+15555550113', callSid: 'CAtenant-unmapped' }),
+      (error) => {
+        assert.equal(error.code, 'stream_not_started');
+        assert.match(error.details.twiml, /Service is temporarily unavailable/);
+        assert.doesNotMatch(error.details.twiml, /<Stream/);
+        return true;
+      }
+    );
+    assert.ok(bridge.output.join('').includes('No company matches inbound number. Refusing to route the call.'));
+  } finally {
+    await bridge.stop();
+  }
+});
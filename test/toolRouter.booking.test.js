@@ -0,0 +1,293 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { dispatchTool } = require('../src/runtime/toolRouter');
+const { setupHarness, seedCrmCall, TEST_CALENDAR_ID } = require('./support/harness');
+
+const ESTIMATE_SCHEDULED_STAGE_ID = '3233958615';
+const ADDRESS = Object.freeze({
+  service_street_1: '100 Congress Ave',
+  service_city: 'Austin',
+  service_state: 'TX',
+  service_postal_code: '78701'
+});
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function seedSchedulingCall() {
+  return seedCrmCall(harness.services, {
+    state: 'SCHEDULING',
+    contact: { firstname: 'Ada', lastname: 'Lovelace' },
+    address: { ...ADDRESS },
+    problem: { problem_summary: 'Water heater replacement estimate', job_type: null }
+  });
+}
+
+function seedExistingBooking({ startOffsetMs = 3 * 24 * 60 * 60 * 1000, durationMs = 60 * 60 * 1000 } = {}) {
+  const startISO = new Date(Math.ceil((Date.now() + startOffsetMs) / 3600000) * 3600000).toISOString();
+  const endISO = new Date(Date.parse(startISO) + durationMs).toISOString();
+  const event = harness.services.seedEvent(TEST_CALENDAR_ID, { startISO, endISO });
+  const { session, contact, deal } = seedCrmCall(harness.services, {
+    dealProperties: {
+      dealstage: ESTIMATE_SCHEDULED_STAGE_ID,
+      estimate_calendar_event_id: event.id,
+      estimate_calendar_id: TEST_CALENDAR_ID,
+      estimate_start_iso: startISO,
+      estimate_end_iso: endISO
+    }
+  });
+  return { session, contact, deal, event };
+}
+
+test('propose_slots returns free slots from Google Calendar freeBusy', async () => {
+  const { session } = seedSchedulingCall();
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: { count: 2 } });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.data.proposedSlots.length, 2);
+  assert.deepEqual(session.scheduling.proposedSlots, result.data.proposedSlots);
+
+  const [freeBusy] = harness.services.requestsTo('google', { path: /\/freeBusy$/ }).slice(-1);
+  assert.deepEqual(freeBusy.body.items, [{ id: TEST_CALENDAR_ID }]);
+  assert.match(freeBusy.authorization, /^Bearer ya29\.test-/);
+
+  const [first] = result.data.proposedSlots;
+  harness.services.calendar.busy[TEST_CALENDAR_ID] = [{ start: first.startISO, end: first.endISO }];
+  try {
+    const { session: busySession } = seedSchedulingCall();
+    const busyResult = await dispatchTool({ callSid: busySession.callSid, toolName: 'propose_slots', payload: { count: 2 } });
+    assert.ok(busyResult.data.proposedSlots.every((slot) => slot.startISO !== first.startISO));
+  } finally {
+    harness.services.calendar.busy = {};
+  }
+});
+
+test('propose_slots validates count', async () => {
+  const { session } = seedSchedulingCall();
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: { count: 0 } });
+  assert.equal(result.error.code, 'invalid_payload');
+  assert.deepEqual(result.error.details, { field: 'count' });
+});
+
+test('book_estimate creates the event, updates the deal and replays without a second booking', async () => {
+  const { session, deal } = seedSchedulingCall();
+  const proposed = await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: { count: 3 } });
+  const [slot] = proposed.data.proposedSlots;
+
+  const booked = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotIndex: 0 } });
+  assert.equal(booked.ok, true);
+  assert.equal(booked.state, 'BOOKED');
+  assert.equal(booked.data.booking.startISO, slot.startISO);
+
+  const event = harness.services.calendar.events.get(booked.data.booking.calendarEventId);
+  assert.equal(event.calendarId, TEST_CALENDAR_ID);
+  assert.equal(event.summary, 'Plumbing Estimate - Ada Lovelace');
+  assert.equal(event.location, '100 Congress Ave, Austin, TX 78701');
+
+  const dealProperties = harness.services.hubspot.deals.get(deal.id).properties;
+  assert.equal(dealProperties.dealstage, ESTIMATE_SCHEDULED_STAGE_ID);
+  assert.equal(dealProperties.estimate_calendar_event_id, event.id);
+  assert.equal(dealProperties.estimate_start_iso, slot.startISO);
+
+  const eventCreates = () => harness.services.requestsTo('google', { method: 'POST', path: /\/events$/ }).length;
+  const createsBefore = eventCreates();
+  session.state = 'SCHEDULING';
+  const replay = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotStartISO: slot.startISO } });
+  assert.equal(replay.ok, true);
+  assert.deepEqual(replay.data.booking, booked.data.booking);
+  assert.equal(eventCreates(), createsBefore);
+});
+
+test('book_estimate books on the calendar of the technician picked for the slot', async (t) => {
+  const policyPath = path.join(harness.dataDir, 'technician-policy.json');
+  fs.writeFileSync(policyPath, JSON.stringify({
+    technicians: [
+      { id: 'tech-drain', name: 'Dana', calendarId: 'dana@calendar.test', jobTypes: ['drain'] },
+      { id: 'tech-gas', name: 'Gus', calendarId: 'gus@calendar.test', jobTypes: ['gas_line'] }
+    ]
+  }));
+  process.env.SCHEDULING_POLICY_PATH = policyPath;
+  t.after(() => {
+    delete process.env.SCHEDULING_POLICY_PATH;
+  });
+
+  const { session, deal } = seedSchedulingCall();
+  session.problem.job_type = 'drain';
+  const proposed = await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: { count: 2 } });
+  assert.ok(proposed.data.proposedSlots.every((slot) => slot.technician.id === 'tech-drain'));
+
+  const booked = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotIndex: 0 } });
+  assert.deepEqual(booked.data.booking.technician, { id: 'tech-drain', name: 'Dana', calendarId: 'dana@calendar.test' });
+
+  const event = harness.services.calendar.events.get(booked.data.booking.calendarEventId);
+  assert.equal(event.calendarId, 'dana@calendar.test');
+  assert.equal(event.description, 'Problem summary: Water heater replacement estimate\nTechnician: Dana');
+  const notes = harness.services.hubspot.notes.filter((note) => note.associations.some(({ to }) => to.id === deal.id));
+  assert.match(notes.at(-1).properties.hs_note_body, / Technician: Dana \(tech-drain\)\. Calendar event: /);
+});
+
+test('book_estimate validates the selected slot and prerequisites', async () => {
+  const { session } = seedSchedulingCall();
+  const noSlots = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotIndex: 0 } });
+  assert.equal(noSlots.error.code, 'missing_prerequisites');
+
+  await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: { count: 1 } });
+  const outOfRange = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotIndex: 4 } });
+  assert.equal(outOfRange.error.code, 'invalid_payload');
+  const unknownSlot = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotStartISO: '2001-01-01T00:00:00.000Z' } });
+  assert.deepEqual(unknownSlot.error.details, { field: 'slotStartISO' });
+
+  session.hubspot.crmReady = false;
+  const notReady = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotIndex: 0 } });
+  assert.equal(notReady.error.code, 'crm_not_ready');
+});
+
+test('book_estimate reports calendar failures and logs a HubSpot note', async () => {
+  const { session, deal } = seedSchedulingCall();
+  await dispatchTool({ callSid: session.callSid, toolName: 'propose_slots', payload: { count: 1 } });
+  harness.services.failNext({ service: 'google', method: 'POST', path: /\/events$/ }, { status: 503, body: { error: { message: 'backendError' } }, times: 3 });
+
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'book_estimate', payload: { slotIndex: 0 } });
+  assert.equal(result.error.code, 'calendar_booking_failed');
+  assert.match(result.error.details.message, /\(503\)/);
+  assert.equal(session.state, 'SCHEDULING');
+
+  const notes = harness.services.hubspot.notes.filter((note) => note.associations.some(({ to }) => to.id === deal.id));
+  assert.match(notes.at(-1).properties.hs_note_body, /^Calendar booking failed/);
+});
+
+test('reschedule_estimate proposes new slots, then moves the existing event', async () => {
+  const { session, deal, event } = seedExistingBooking();
+  const previousStartISO = event.start.dateTime;
+
+  const lookup = await dispatchTool({ callSid: session.callSid, toolName: 'reschedule_estimate', payload: { count: 2 } });
+  assert.equal(lookup.ok, true);
+  assert.equal(lookup.data.existingBooking.startISO, previousStartISO);
+  assert.equal(lookup.data.proposedSlots.length, 2);
+
+  const [slot] = lookup.data.proposedSlots;
+  const moved = await dispatchTool({ callSid: session.callSid, toolName: 'reschedule_estimate', payload: { slotIndex: 0 } });
+  assert.equal(moved.ok, true);
+  assert.equal(moved.data.rescheduled, true);
+  assert.equal(moved.data.previousStartISO, previousStartISO);
+  assert.equal(moved.state, 'CALL_STARTED');
+
+  assert.equal(harness.services.calendar.events.get(event.id).start.dateTime, slot.startISO);
+  assert.equal(harness.services.hubspot.deals.get(deal.id).properties.estimate_start_iso, slot.startISO);
+});
+
+test('reschedule_estimate keeps the length of the existing booking when the call has no job type', async () => {
+  const durationMs = 3 * 60 * 60 * 1000;
+  const { session, event } = seedExistingBooking({ durationMs });
+  assert.equal(session.problem?.job_type ?? null, null);
+
+  const lookup = await dispatchTool({ callSid: session.callSid, toolName: 'reschedule_estimate', payload: { count: 2 } });
+  assert.equal(lookup.ok, true);
+  for (const slot of lookup.data.proposedSlots) {
+    assert.equal(Date.parse(slot.endISO) - Date.parse(slot.startISO), durationMs);
+  }
+
+  const moved = await dispatchTool({ callSid: session.callSid, toolName: 'reschedule_estimate', payload: { slotIndex: 1 } });
+  assert.equal(moved.ok, true);
+  const movedEvent = harness.services.calendar.events.get(event.id);
+  assert.equal(Date.parse(movedEvent.end.dateTime) - Date.parse(movedEvent.start.dateTime), durationMs);
+});
+
+test('reschedule_estimate requires an existing booking and a prior lookup', async () => {
+  const { session } = seedCrmCall(harness.services);
+  const missingLookup = await dispatchTool({ callSid: session.callSid, toolName: 'reschedule_estimate', payload: { slotIndex: 0 } });
+  assert.equal(missingLookup.error.code, 'missing_prerequisites');
+
+  const notFound = await dispatchTool({ callSid: session.callSid, toolName: 'reschedule_estimate', payload: {} });
+  assert.equal(notFound.error.code, 'booking_not_found');
+
+  const { session: pastSession } = seedExistingBooking({ startOffsetMs: -2 * 24 * 60 * 60 * 1000 });
+  const past = await dispatchTool({ callSid: pastSession.callSid, toolName: 'reschedule_estimate', payload: {} });
+  assert.equal(past.error.code, 'booking_not_found');
+});
+
+test('cancel_estimate asks for confirmation, then deletes the event and marks the deal', async () => {
+  process.env.HUBSPOT_ESTIMATE_CANCELLED_STAGE_ID = 'cancelled-stage';
+  try {
+    const { session, deal, event } = seedExistingBooking();
+
+    const pending = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: {} });
+    assert.equal(pending.ok, true);
+    assert.equal(pending.data.confirmationRequired, true);
+    assert.ok(harness.services.calendar.events.has(event.id));
+
+    const cancelled = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: { confirm: true } });
+    assert.equal(cancelled.ok, true);
+    assert.equal(cancelled.data.cancelled, true);
+    assert.equal(harness.services.calendar.events.has(event.id), false);
+
+    const dealProperties = harness.services.hubspot.deals.get(deal.id).properties;
+    assert.equal(dealProperties.call_disposition, 'estimate_cancelled');
+    assert.equal(dealProperties.estimate_calendar_event_id, '');
+    assert.equal(dealProperties.dealstage, 'cancelled-stage');
+  } finally {
+    delete process.env.HUBSPOT_ESTIMATE_CANCELLED_STAGE_ID;
+  }
+});
+
+test('booking lookups use the caller ID and a different spoken number is escalated instead', async () => {
+  const { contact, event } = seedExistingBooking();
+  const { session } = seedCrmCall(harness.services);
+  session.contact = { firstname: 'Eve', phone: contact.properties.phone };
+
+  for (const [toolName, payload] of [['reschedule_estimate', {}], ['cancel_estimate', {}], ['cancel_estimate', { confirm: true }]]) {
+    const result = await dispatchTool({ callSid: session.callSid, toolName, payload });
+    assert.equal(result.error.code, 'caller_phone_mismatch', toolName);
+    assert.equal(result.error.details.nextTool, 'escalate_call');
+  }
+  assert.equal(session.reschedule, undefined);
+  assert.equal(session.cancellation, undefined);
+  assert.ok(harness.services.calendar.events.has(event.id));
+});
+
+test('cancel_estimate reads back a fresh booking before a second confirmed cancel', async () => {
+  const { session, contact, event } = seedExistingBooking();
+  const laterStartISO = new Date(Date.parse(event.start.dateTime) + 2 * 24 * 60 * 60 * 1000).toISOString();
+  const laterEndISO = new Date(Date.parse(laterStartISO) + 60 * 60 * 1000).toISOString();
+  const laterEvent = harness.services.seedEvent(TEST_CALENDAR_ID, { startISO: laterStartISO, endISO: laterEndISO });
+  harness.services.seedDeal({
+    pipeline: '2047365827',
+    dealstage: ESTIMATE_SCHEDULED_STAGE_ID,
+    estimate_calendar_event_id: laterEvent.id,
+    estimate_calendar_id: TEST_CALENDAR_ID,
+    estimate_start_iso: laterStartISO,
+    estimate_end_iso: laterEndISO
+  }, { contactId: contact.id });
+
+  const unconfirmed = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: { confirm: true } });
+  assert.equal(unconfirmed.data.confirmationRequired, true);
+  assert.equal(unconfirmed.data.existingBooking.startISO, event.start.dateTime);
+  assert.ok(harness.services.calendar.events.has(event.id));
+
+  const cancelled = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: { confirm: true } });
+  assert.equal(cancelled.data.cancelled, true);
+  assert.equal(harness.services.calendar.events.has(event.id), false);
+
+  const again = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: { confirm: true } });
+  assert.equal(again.data.confirmationRequired, true);
+  assert.equal(again.data.existingBooking.startISO, laterStartISO);
+  assert.ok(harness.services.calendar.events.has(laterEvent.id));
+});
+
+test('cancel_estimate validates confirm and reports missing bookings', async () => {
+  const { session } = seedCrmCall(harness.services);
+  const invalid = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: { confirm: 'yes' } });
+  assert.equal(invalid.error.code, 'invalid_payload');
+
+  const notFound = await dispatchTool({ callSid: session.callSid, toolName: 'cancel_estimate', payload: { confirm: true } });
+  assert.equal(notFound.error.code, 'booking_not_found');
+});
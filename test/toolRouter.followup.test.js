@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sessionStore = require('../src/runtime/sessionStore');
+const { appendTranscriptEntry } = require('../src/runtime/transcriptStore');
+const { dispatchTool } = require('../src/runtime/toolRouter');
+const { setupHarness, seedCrmCall, startTestCall, TEST_CALENDAR_ID } = require('./support/harness');
+
+const SMS_SENT_STAGE_ID = '3233958613';
+const ESCALATION_PHONE = '+15125559000';
+const ONCALL_PHONE = '+15125559001';
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness({
+    env: {
+      PUBLIC_BASE_URL: 'https://bridge.example.test/',
+      ESCALATION_PHONE_E164: ESCALATION_PHONE,
+      ONCALL_PHONE_E164: ONCALL_PHONE
+    }
+  });
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function notesFor(dealId) {
+  return harness.services.hubspot.notes
+    .filter((note) => note.associations.some(({ to }) => to.id === dealId))
+    .map((note) => note.properties.hs_note_body);
+}
+
+function seedBookedCall({ consent, startOffsetMs = 3 * 24 * 60 * 60 * 1000 } = {}) {
+  const startISO = new Date(Math.ceil((Date.now() + startOffsetMs) / 3600000) * 3600000).toISOString();
+  const endISO = new Date(Date.parse(startISO) + 60 * 60 * 1000).toISOString();
+  const seeded = seedCrmCall(harness.services, {
+    state: 'BOOKED',
+    contactProperties: consent
+      ? { sms_customer_consent: 'true', sms_customer_consent_ts: '2026-01-05T15:00:00.000Z' }
+      : {},
+    contact: { firstname: 'Ada', lastname: 'Lovelace' },
+    booking: { calendarEventId: 'evt-booked', calendarId: TEST_CALENDAR_ID, startISO, endISO }
+  });
+  seeded.session.contact.phone = seeded.session.callerPhone;
+  return seeded;
+}
+
+test('request_sms_consent records consent on the HubSpot contact', async () => {
+  const { session, contact } = seedBookedCall();
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'request_sms_consent', payload: { consent: true } });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.data.consent, true);
+  assert.equal(result.state, 'BOOKED');
+  const properties = harness.services.hubspot.contacts.get(contact.id).properties;
+  assert.equal(properties.sms_customer_consent, 'true');
+  assert.equal(properties.sms_customer_consent_ts, result.data.consentTsISO);
+});
+
+test('request_sms_consent logs a declined consent and validates the payload', async () => {
+  const { session, deal } = seedBookedCall();
+  const declined = await dispatchTool({ callSid: session.callSid, toolName: 'request_sms_consent', payload: { consent: false } });
+  assert.equal(declined.ok, true);
+  assert.deepEqual(session.contactConsent, { consent: false, consentTsISO: null });
+  assert.deepEqual(notesFor(deal.id), ['Customer declined SMS consent.']);
+
+  const invalid = await dispatchTool({ callSid: session.callSid, toolName: 'request_sms_consent', payload: { consent: 'yes' } });
+  assert.equal(invalid.error.code, 'invalid_payload');
+});
+
+test('send_confirmation_sms sends one SMS even when replayed', async () => {
+  const { session, deal } = seedBookedCall({ consent: true });
+  const sent = await dispatchTool({ callSid: session.callSid, toolName: 'send_confirmation_sms', payload: {} });
+
+  assert.equal(sent.ok, true);
+  assert.equal(sent.state, 'CONFIRMED_SMS_SENT');
+  assert.equal(sent.data.reminderScheduled, true);
+  assert.equal(harness.services.hubspot.deals.get(deal.id).properties.dealstage, SMS_SENT_STAGE_ID);
+
+  const messagesTo = () => harness.services.twilio.messages.filter((message) => message.to === session.callerPhone);
+  const [message] = messagesTo();
+  assert.equal(message.sid, sent.data.messageSid);
+  assert.equal(message.from, process.env.TWILIO_FROM_NUMBER);
+  assert.match(message.body, /^Your estimate is scheduled for .+ \(America\/Chicago\)\./);
+
+  session.state = 'BOOKED';
+  const replay = await dispatchTool({ callSid: session.callSid, toolName: 'send_confirmation_sms', payload: {} });
+  assert.equal(replay.ok, true);
+  assert.equal(replay.data.messageSid, sent.data.messageSid);
+  assert.equal(messagesTo().length, 1);
+});
+
+test('send_confirmation_sms requires consent recorded in HubSpot', async () => {
+  const { session } = seedBookedCall();
+  session.contactConsent = { consent: true, consentTsISO: new Date().toISOString() };
+
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'send_confirmation_sms', payload: {} });
+  assert.equal(result.error.code, 'sms_consent_required');
+  assert.equal(session.state, 'BOOKED');
+});
+
+test('send_confirmation_sms reports Twilio failures', async () => {
+  const { session, deal } = seedBookedCall({ consent: true });
+  harness.services.failNext({ service: 'twilio', path: /\/Messages\.json$/ }, { status: 400, body: { code: 21211, message: 'Invalid To number' } });
+
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'send_confirmation_sms', payload: {} });
+  assert.equal(result.error.code, 'sms_send_failed');
+  assert.equal(result.error.details.message, 'Invalid To number');
+  assert.equal(session.state, 'BOOKED');
+  assert.match(notesFor(deal.id).at(-1), /^SMS send failed: Invalid To number/);
+});
+
+test('escalate_call redirects the live call to the escalation phone', async () => {
+  const { session, deal } = seedCrmCall(harness.services, {
+    state: 'ADDRESS_CONFIRMED',
+    contact: { firstname: 'Ada', lastname: 'Lovelace' },
+    address: { service_street_1: '100 Congress Ave', service_city: 'Austin', service_state: 'TX', service_postal_code: '78701' }
+  });
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'escalate_call', payload: { reason: 'gas smell' } });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.state, 'ESCALATED');
+  assert.deepEqual(result.data, { transferInitiated: true, to: ESCALATION_PHONE, closeRealtime: true });
+
+  const [update] = harness.services.twilio.callUpdates.filter((entry) => entry.sid === session.callSid);
+  assert.match(update.twiml, new RegExp(`<Number url="https://bridge.example.test/twilio/whisper/${session.callSid}">\\${ESCALATION_PHONE}</Number>`));
+  assert.match(session.escalation.whisper, /Caller: Ada Lovelace\. Address: 100 Congress Ave, Austin\./);
+  assert.match(notesFor(deal.id).at(-1), /^Call escalated to \+15125559000\. Reason: gas smell\./);
+});
+
+test('escalate_call requires an escalation phone and reports transfer failures', async () => {
+  delete process.env.ESCALATION_PHONE_E164;
+  try {
+    const session = startTestCall();
+    const result = await dispatchTool({ callSid: session.callSid, toolName: 'escalate_call', payload: {} });
+    assert.equal(result.error.code, 'escalation_not_configured');
+  } finally {
+    process.env.ESCALATION_PHONE_E164 = ESCALATION_PHONE;
+  }
+
+  const session = startTestCall();
+  harness.services.failNext({ service: 'twilio', path: /\/Calls\/[^/]+\.json$/ }, { status: 404, body: { code: 20404, message: 'Call not found' } });
+  const failed = await dispatchTool({ callSid: session.callSid, toolName: 'escalate_call', payload: {} });
+  assert.equal(failed.error.code, 'call_transfer_failed');
+  assert.equal(session.state, 'CALL_STARTED');
+
+  const ended = startTestCall({ state: 'CONFIRMED_SMS_SENT' });
+  ended.state = 'LOGGED_TO_HUBSPOT';
+  const illegal = await dispatchTool({ callSid: ended.callSid, toolName: 'escalate_call', payload: {} });
+  assert.equal(illegal.error.code, 'illegal_state');
+});
+
+test('flag_emergency pages on-call by SMS and voice for emergencies', async () => {
+  const { session, deal } = seedCrmCall(harness.services, { contact: { firstname: 'Ada', lastname: 'Lovelace' } });
+  const result = await dispatchTool({
+    callSid: session.callSid,
+    toolName: 'flag_emergency',
+    payload: { urgency: 'Emergency', trigger: 'burst_pipe', notes: 'Water pouring from ceiling' }
+  });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.data, { urgency: 'emergency', trigger: 'burst_pipe', oncallPaged: true, sameDayScheduling: true });
+  assert.equal(result.state, 'CALL_STARTED');
+
+  const page = harness.services.twilio.messages.filter((message) => message.to === ONCALL_PHONE).at(-1);
+  assert.match(page.body, /^\[EMERGENCY\] burst_pipe: Ada Lovelace/);
+  const call = harness.services.twilio.calls.filter((entry) => entry.to === ONCALL_PHONE).at(-1);
+  assert.match(call.twiml, /<Say>Emergency plumbing call from Test Plumbing Co\./);
+  assert.match(notesFor(deal.id).at(-1), /On-call paged: yes \(\+15125559001\)/);
+});
+
+test('flag_emergency pages urgent calls by SMS only and validates the payload', async () => {
+  const session = startTestCall();
+  const callsBefore = harness.services.twilio.calls.length;
+  const urgent = await dispatchTool({ callSid: session.callSid, toolName: 'flag_emergency', payload: { urgency: 'urgent', trigger: 'no_water' } });
+  assert.equal(urgent.data.oncallPaged, true);
+  assert.equal(urgent.data.sameDayScheduling, false);
+  assert.equal(harness.services.twilio.calls.length, callsBefore);
+
+  const invalid = await dispatchTool({ callSid: session.callSid, toolName: 'flag_emergency', payload: { urgency: 'urgent', trigger: 'dragons' } });
+  assert.equal(invalid.error.code, 'invalid_payload');
+  assert.deepEqual(invalid.error.details, { field: 'trigger' });
+});
+
+test('flag_emergency still succeeds when on-call is not configured', async () => {
+  delete process.env.ONCALL_PHONE_E164;
+  delete process.env.ESCALATION_PHONE_E164;
+  try {
+    const session = startTestCall();
+    const result = await dispatchTool({ callSid: session.callSid, toolName: 'flag_emergency', payload: { urgency: 'emergency', trigger: 'flooding' } });
+    assert.equal(result.ok, true);
+    assert.equal(result.data.oncallPaged, false);
+    assert.equal(session.emergency.paged, false);
+  } finally {
+    process.env.ONCALL_PHONE_E164 = ONCALL_PHONE;
+    process.env.ESCALATION_PHONE_E164 = ESCALATION_PHONE;
+  }
+});
+
+test('finalize_and_log logs the transcript reference and ends the session', async () => {
+  const { session, deal } = seedCrmCall(harness.services, { state: 'PROBLEM_CAPTURED' });
+  appendTranscriptEntry({ callSid: session.callSid, role: 'caller', text: 'My sink is leaking.' });
+  appendTranscriptEntry({ callSid: session.callSid, role: 'agent', text: 'I can help with that.' });
+
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'finalize_and_log', payload: {} });
+  assert.equal(result.ok, true);
+  assert.equal(result.state, 'CALL_ENDED');
+  assert.equal(result.data.transcriptTurns, 2);
+  assert.deepEqual(session.auditLog.slice(-2).map((entry) => entry.nextState), ['LOGGED_TO_HUBSPOT', 'CALL_ENDED']);
+  assert.match(notesFor(deal.id).at(-1), new RegExp(`^Call finalized\\. TranscriptRef: ${result.data.transcriptRef} \\(2 turns\\)`));
+  assert.equal(sessionStore.getSession(session.callSid), undefined);
+
+  const early = startTestCall({ state: 'ADDRESS_CONFIRMED' });
+  const illegal = await dispatchTool({ callSid: early.callSid, toolName: 'finalize_and_log', payload: {} });
+  assert.equal(illegal.error.code, 'illegal_state');
+});
@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sessionStore = require('../src/runtime/sessionStore');
+const { dispatchTool } = require('../src/runtime/toolRouter');
+const { setupHarness, seedCrmCall, startTestCall } = require('./support/harness');
+
+const ADDRESS = Object.freeze({
+  service_street_1: '100 Congress Ave',
+  service_city: 'Austin',
+  service_state: 'TX',
+  service_postal_code: '78701'
+});
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function notesFor(dealId) {
+  return harness.services.hubspot.notes.filter((note) => note.associations.some((association) => association.to.id === dealId));
+}
+
+test('dispatchTool reports unknown sessions and tools', async () => {
+  const missing = await dispatchTool({ callSid: 'CAdoesnotexist', toolName: 'capture_identity', payload: {} });
+  assert.equal(missing.error.code, 'session_not_found');
+
+  const session = startTestCall();
+  const invalid = await dispatchTool({ callSid: session.callSid, toolName: 'drop_table', payload: {} });
+  assert.equal(invalid.error.code, 'invalid_tool');
+  assert.deepEqual(session.toolCalls.map(({ toolName, ok, errorCode }) => ({ toolName, ok, errorCode })), [
+    { toolName: 'drop_table', ok: false, errorCode: 'invalid_tool' }
+  ]);
+});
+
+test('capture_identity stores the caller and upserts the HubSpot contact', async () => {
+  const { session, contact } = seedCrmCall(harness.services);
+  const result = await dispatchTool({
+    callSid: session.callSid,
+    toolName: 'capture_identity',
+    payload: { firstname: ' Ada ', lastname: 'Lovelace', phone: session.callerPhone }
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.state, 'IDENTITY_CHECKED');
+  assert.deepEqual(result.data, { contactCaptured: true, confirmedExisting: false });
+  assert.deepEqual(session.contact, { firstname: 'Ada', lastname: 'Lovelace', phone: session.callerPhone });
+  assert.equal(harness.services.hubspot.contacts.get(contact.id).properties.firstname, 'Ada');
+});
+
+test('contact upserts use the caller phone when the tool payload has none', async () => {
+  const { session, contact } = seedCrmCall(harness.services);
+  const contactWrites = { path: new RegExp(`^/crm/v3/objects/contacts(/${contact.id})?$`) };
+  const writesBefore = harness.services.requestsTo('hubspot', contactWrites).length;
+
+  const identity = await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: { firstname: 'Ada', lastname: 'Lovelace' } });
+  assert.equal(identity.ok, true, JSON.stringify(identity.error));
+  const address = await dispatchTool({ callSid: session.callSid, toolName: 'confirm_address', payload: { ...ADDRESS } });
+  assert.equal(address.ok, true, JSON.stringify(address.error));
+
+  const writes = harness.services.requestsTo('hubspot', contactWrites).slice(writesBefore);
+  assert.deepEqual(writes.map(({ method, body }) => [method, body.properties.phone]), [
+    ['PATCH', session.callerPhone],
+    ['PATCH', session.callerPhone]
+  ]);
+  assert.deepEqual(
+    [...harness.services.hubspot.contacts.values()].filter((entry) => entry.properties.phone === session.callerPhone).map((entry) => entry.id),
+    [contact.id]
+  );
+});
+
+test('capture_identity validates the payload and state', async () => {
+  const session = startTestCall();
+  const invalid = await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: { firstname: 'Ada' } });
+  assert.equal(invalid.error.code, 'invalid_payload');
+  assert.deepEqual(invalid.error.details, { field: 'lastname' });
+
+  const badFlag = await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: { confirm_existing: 'yes' } });
+  assert.equal(badFlag.error.code, 'invalid_payload');
+
+  const later = startTestCall({ state: 'IDENTITY_CHECKED' });
+  const illegal = await dispatchTool({ callSid: later.callSid, toolName: 'capture_identity', payload: { firstname: 'Ada', lastname: 'Lovelace' } });
+  assert.equal(illegal.error.code, 'illegal_state');
+  assert.deepEqual(illegal.error.details.allowedStates, ['CALL_STARTED']);
+});
+
+test('capture_identity confirms the name on file for returning callers', async () => {
+  const session = startTestCall({ callerContext: { firstname: 'Grace', lastname: 'Hopper', address: null } });
+  const requestsBefore = harness.services.requests.length;
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: { confirm_existing: true } });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.data.confirmedExisting, true);
+  assert.deepEqual(session.contact, { firstname: 'Grace', lastname: 'Hopper' });
+  assert.equal(harness.services.requests.length, requestsBefore);
+
+  const unknown = startTestCall();
+  const missing = await dispatchTool({ callSid: unknown.callSid, toolName: 'capture_identity', payload: { confirm_existing: true } });
+  assert.equal(missing.error.code, 'no_existing_identity');
+  assert.equal(unknown.state, 'CALL_STARTED');
+});
+
+test('confirm_address stores the service address', async () => {
+  const { session, contact } = seedCrmCall(harness.services, { state: 'IDENTITY_CHECKED', contact: { firstname: 'Ada', lastname: 'Lovelace' } });
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'confirm_address', payload: { ...ADDRESS } });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.state, 'ADDRESS_CONFIRMED');
+  assert.deepEqual(session.address, ADDRESS);
+  assert.equal(session.serviceAreaCheck.matchedBy, 'unrestricted');
+  assert.equal(harness.services.hubspot.contacts.get(contact.id).properties.service_street_1, ADDRESS.service_street_1);
+  const contactsForCaller = [...harness.services.hubspot.contacts.values()].filter((entry) => entry.properties.phone === session.callerPhone);
+  assert.equal(contactsForCaller.length, 1);
+
+  const incomplete = startTestCall({ state: 'IDENTITY_CHECKED' });
+  const invalid = await dispatchTool({ callSid: incomplete.callSid, toolName: 'confirm_address', payload: { service_street_1: '1 Main St' } });
+  assert.equal(invalid.error.code, 'invalid_payload');
+  assert.deepEqual(invalid.error.details, { field: 'service_city' });
+});
+
+test('confirm_address confirms the address on file for returning callers', async () => {
+  const session = startTestCall({ state: 'IDENTITY_CHECKED', callerContext: { address: { ...ADDRESS } } });
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'confirm_address', payload: { confirm_existing: true } });
+  assert.equal(result.ok, true);
+  assert.equal(result.data.confirmedExisting, true);
+  assert.deepEqual(session.address, ADDRESS);
+
+  const unknown = startTestCall({ state: 'IDENTITY_CHECKED' });
+  const missing = await dispatchTool({ callSid: unknown.callSid, toolName: 'confirm_address', payload: { confirm_existing: true } });
+  assert.equal(missing.error.code, 'no_existing_address');
+});
+
+test('confirm_address rejects addresses outside the service area and logs a note', async () => {
+  const serviceAreaPath = path.join(harness.dataDir, 'service-area.json');
+  fs.writeFileSync(serviceAreaPath, JSON.stringify({ postalCodes: ['78701'] }));
+  process.env.SERVICE_AREA_PATH = serviceAreaPath;
+
+  try {
+    const { session, deal } = seedCrmCall(harness.services, { state: 'IDENTITY_CHECKED' });
+    const result = await dispatchTool({
+      callSid: session.callSid,
+      toolName: 'confirm_address',
+      payload: { ...ADDRESS, service_city: 'Dallas', service_postal_code: '75201' }
+    });
+
+    assert.equal(result.error.code, 'out_of_service_area');
+    assert.equal(session.state, 'IDENTITY_CHECKED');
+    assert.equal(session.serviceAreaCheck.inServiceArea, false);
+    assert.match(notesFor(deal.id)[0].properties.hs_note_body, /outside service area: Dallas, TX 75201/);
+
+    const inside = await dispatchTool({ callSid: session.callSid, toolName: 'confirm_address', payload: { ...ADDRESS } });
+    assert.equal(inside.ok, true);
+    assert.equal(session.serviceAreaCheck.matchedBy, 'postal_code');
+  } finally {
+    delete process.env.SERVICE_AREA_PATH;
+  }
+});
+
+test('capture_problem normalizes the job type and logs a HubSpot note', async () => {
+  const { session, deal } = seedCrmCall(harness.services, { state: 'ADDRESS_CONFIRMED' });
+  const result = await dispatchTool({
+    callSid: session.callSid,
+    toolName: 'capture_problem',
+    payload: { problem_summary: ' Kitchen sink is backing up ', job_type: 'Drain' }
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.state, 'PROBLEM_CAPTURED');
+  assert.deepEqual(session.problem, { problem_summary: 'Kitchen sink is backing up', job_type: 'drain' });
+  assert.equal(notesFor(deal.id)[0].properties.hs_note_body, 'Problem captured: Kitchen sink is backing up');
+
+  const missing = await dispatchTool({ callSid: startTestCall({ state: 'ADDRESS_CONFIRMED' }).callSid, toolName: 'capture_problem', payload: {} });
+  assert.equal(missing.error.code, 'invalid_payload');
+});
+
+test('capture_problem surfaces HubSpot write failures', async () => {
+  const { session } = seedCrmCall(harness.services, { state: 'ADDRESS_CONFIRMED' });
+  harness.services.failNext({ service: 'hubspot', method: 'POST', path: /\/notes$/ }, { status: 502, body: { category: 'BAD_GATEWAY' } });
+
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'capture_problem', payload: { problem_summary: 'Leak' } });
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'BAD_GATEWAY');
+});
+
+test('begin_scheduling requires CRM context', async () => {
+  const { session } = seedCrmCall(harness.services, { state: 'PROBLEM_CAPTURED', problem: { problem_summary: 'Leak' } });
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'begin_scheduling', payload: {} });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.data, { next: 'propose_slots', window: 'next_business_hours' });
+
+  const noDeal = startTestCall({ state: 'PROBLEM_CAPTURED', hubspot: { crmReady: true, contactId: '1' }, problem: { problem_summary: 'Leak' } });
+  const blocked = await dispatchTool({ callSid: noDeal.callSid, toolName: 'begin_scheduling', payload: {} });
+  assert.equal(blocked.error.code, 'missing_prerequisites');
+});
+
+test('tool calls are recorded on the session', async () => {
+  const session = startTestCall();
+  await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: { firstname: 'Ada', lastname: 'Lovelace' } });
+
+  const stored = sessionStore.getSession(session.callSid);
+  assert.equal(stored.toolCalls.length, 1);
+  assert.equal(stored.toolCalls[0].toolName, 'capture_identity');
+  assert.equal(stored.toolCalls[0].state, 'IDENTITY_CHECKED');
+  assert.equal(stored.toolCalls[0].ok, true);
+});
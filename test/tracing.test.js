@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const tracing = require('../src/monitoring/tracing');
+const hubspotClient = require('../src/integrations/hubspotClient');
+const twilioCalls = require('../src/integrations/twilioCalls');
+const { dispatchTool } = require('../src/runtime/toolRouter');
+const { buildIdempotencyKey, withIdempotency } = require('../src/governance/withIdempotency');
+const { createFakeRealtimeServer } = require('../scripts/fake_realtime_server');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness, seedCrmCall, TEST_COMPANY_ID } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scripts', 'scenarios');
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness({ env: { TRACING_EXPORTER: 'file', OWNER_ALERT_PHONE_E164: '+15125559400' } });
+  process.env.TRACE_FILE_PATH = path.join(harness.dataDir, 'traces.jsonl');
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function readSpans(filePath = process.env.TRACE_FILE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap((line) => JSON.parse(line).resourceSpans)
+    .flatMap((resourceSpan) => resourceSpan.scopeSpans)
+    .flatMap((scopeSpan) => scopeSpan.spans);
+}
+
+function attributesOf(entry) {
+  return Object.fromEntries(entry.attributes.map(({ key, value }) => [key, Object.values(value)[0]]));
+}
+
+async function waitFor(fn, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = fn();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+test('a call trace nests tool dispatches, idempotency and HubSpot requests under the call root', async () => {
+  const { session } = seedCrmCall(harness.services);
+  const root = tracing.startCallSpan(session.callSid);
+
+  const result = await dispatchTool({
+    callSid: session.callSid,
+    toolName: 'capture_identity',
+    payload: { firstname: 'Ada', lastname: 'Lovelace', phone: session.callerPhone }
+  });
+  assert.equal(result.ok, true);
+  tracing.endCallSpan(session.callSid, { reason: 'test_end' });
+  await tracing.flushTraces();
+
+  const spans = readSpans().filter((entry) => entry.traceId === root.traceId);
+  const call = spans.find((entry) => entry.spanId === root.spanId);
+  assert.equal(call.name, 'call');
+  assert.equal(call.parentSpanId, undefined);
+  assert.equal(call.kind, tracing.SPAN_KINDS.SERVER);
+  assert.equal(attributesOf(call)['call.end_reason'], 'test_end');
+  assert.ok(BigInt(call.endTimeUnixNano) >= BigInt(call.startTimeUnixNano));
+
+  const tool = spans.find((entry) => entry.name === 'dispatchTool capture_identity');
+  assert.equal(tool.parentSpanId, root.spanId);
+  assert.equal(attributesOf(tool)['tool.ok'], true);
+
+  const idempotent = spans.filter((entry) => entry.name.startsWith('withIdempotency '));
+  assert.ok(idempotent.length >= 1);
+  assert.ok(idempotent.every((entry) => entry.parentSpanId === tool.spanId));
+  assert.ok(idempotent.every((entry) => attributesOf(entry)['idempotency.result'] === 'miss'));
+
+  const hubspot = spans.filter((entry) => entry.name.startsWith('hubspotRequest '));
+  assert.ok(hubspot.some((entry) => idempotent.some((parent) => parent.spanId === entry.parentSpanId)));
+  assert.ok(hubspot.every((entry) => entry.kind === tracing.SPAN_KINDS.CLIENT));
+  assert.ok(hubspot.every((entry) => attributesOf(entry)['peer.service'] === 'hubspot'));
+  assert.ok(hubspot.some((entry) => attributesOf(entry)['http.response.status_code'] === '200'));
+});
+
+test('idempotency spans record hits and misses', async () => {
+  const callSid = 'CAtrace-idempotency';
+  const root = tracing.startCallSpan(callSid);
+  const key = buildIdempotencyKey({ tenant: 'tenant', callSid, operation: 'trace_test', inputs: { attempt: 1 } });
+
+  await withIdempotency({ key, fn: async () => ({ ok: true }) });
+  await withIdempotency({ key, fn: async () => ({ ok: true }) });
+  tracing.endCallSpan(callSid, { reason: 'test_end' });
+  await tracing.flushTraces();
+
+  const spans = readSpans().filter((entry) => entry.name === 'withIdempotency trace_test');
+  assert.deepEqual(spans.map((entry) => attributesOf(entry)['idempotency.result']), ['miss', 'hit']);
+  assert.ok(spans.every((entry) => entry.traceId === root.traceId && entry.parentSpanId === root.spanId));
+});
+
+test('retries are recorded as events and failures as error spans', async () => {
+  harness.services.failNext(
+    { service: 'hubspot', method: 'GET', path: new RegExp(`/companies/${TEST_COMPANY_ID}$`) },
+    { status: 503 }
+  );
+  harness.services.failNext(
+    { service: 'hubspot', method: 'GET', path: /\/companies\/missing$/ },
+    { status: 404, body: { category: 'OBJECT_NOT_FOUND' } }
+  );
+
+  const traceId = await tracing.withSpan('retry test', {}, async (span) => {
+    await hubspotClient.getCompanyById(TEST_COMPANY_ID);
+    await assert.rejects(hubspotClient.getCompanyById('missing'));
+    return span.traceId;
+  });
+  await tracing.flushTraces();
+
+  const [recovered, failed] = readSpans().filter((entry) => entry.traceId === traceId && entry.name === 'hubspotRequest GET');
+  assert.deepEqual(recovered.events.map((event) => event.name), ['retry']);
+  assert.equal(attributesOf(recovered.events[0]).status, '503');
+  assert.equal(attributesOf(recovered)['http.request.resend_count'], '1');
+  assert.equal(recovered.status.code, tracing.STATUS_CODES.UNSET);
+
+  assert.equal(attributesOf(failed)['http.response.status_code'], '404');
+  assert.equal(failed.status.code, tracing.STATUS_CODES.ERROR);
+  assert.ok(failed.events.some((event) => event.name === 'exception' && attributesOf(event)['exception.type'] === 'OBJECT_NOT_FOUND'));
+});
+
+test('Twilio call updates are traced as client spans', async () => {
+  const traceId = await tracing.withSpan('twilio test', {}, async (span) => {
+    await twilioCalls.updateCallTwiml({ callSid: 'CAtrace', twiml: '<Response/>' });
+    return span.traceId;
+  });
+  await tracing.flushTraces();
+
+  const request = readSpans().find((entry) => entry.traceId === traceId && entry.name === 'twilioCallsRequest POST');
+  assert.equal(request.kind, tracing.SPAN_KINDS.CLIENT);
+  assert.deepEqual(
+    { service: attributesOf(request)['peer.service'], path: attributesOf(request)['url.path'] },
+    { service: 'twilio', path: '/Calls/CAtrace.json' }
+  );
+});
+
+test('failed tool results mark the dispatch span as an error', async () => {
+  const { session } = seedCrmCall(harness.services);
+  const root = tracing.startCallSpan(session.callSid);
+
+  const result = await dispatchTool({ callSid: session.callSid, toolName: 'capture_identity', payload: {} });
+  assert.equal(result.ok, false);
+  tracing.endCallSpan(session.callSid, { reason: 'test_end' });
+  await tracing.flushTraces();
+
+  const tool = readSpans().find((entry) => entry.traceId === root.traceId && entry.name === 'dispatchTool capture_identity');
+  assert.equal(tool.status.code, tracing.STATUS_CODES.ERROR);
+  assert.equal(attributesOf(tool)['error.type'], 'invalid_payload');
+  assert.equal(attributesOf(tool)['tool.ok'], false);
+});
+
+test('the OTLP exporter posts JSON export requests to the collector', async (t) => {
+  const received = [];
+  const collector = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(raw) });
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+    });
+  });
+  await new Promise((resolve) => collector.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => collector.close(resolve)));
+
+  process.env.TRACING_EXPORTER = 'otlp';
+  process.env.OTEL_EXPORTER_OTLP_ENDPOINT = `http://127.0.0.1:${collector.address().port}/`;
+  t.after(() => {
+    process.env.TRACING_EXPORTER = 'file';
+    delete process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  });
+
+  await tracing.withSpan('otlp test', { attributes: { 'test.case': 'otlp' } }, async () => {});
+  await tracing.flushTraces();
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].path, '/v1/traces');
+  assert.equal(received[0].contentType, 'application/json');
+  const [resourceSpan] = received[0].body.resourceSpans;
+  assert.deepEqual(attributesOf(resourceSpan.resource), { 'service.name': 'plumbing-voice-bridge' });
+  const [span] = resourceSpan.scopeSpans[0].spans;
+  assert.equal(span.name, 'otlp test');
+  assert.match(span.traceId, /^[0-9a-f]{32}$/);
+  assert.match(span.spanId, /^[0-9a-f]{16}$/);
+  assert.deepEqual(attributesOf(span), { 'test.case': 'otlp' });
+});
+
+test('tracing is a no-op when no exporter is configured', async (t) => {
+  process.env.TRACING_EXPORTER = 'none';
+  t.after(() => {
+    process.env.TRACING_EXPORTER = 'file';
+  });
+
+  const value = await tracing.withSpan('disabled', {}, async (span) => {
+    assert.equal(span, null);
+    return 42;
+  });
+  assert.equal(value, 42);
+  assert.equal(tracing.startCallSpan('CAtrace-disabled'), null);
+});
+
+test('a simulated call exports a root span with stream, OpenAI and tool activity', async () => {
+  const traceFile = path.join(harness.dataDir, 'bridge-traces.jsonl');
+  const realtime = createFakeRealtimeServer({ scenario: require(path.join(SCENARIOS_DIR, 'realtime_capture_identity.json')) });
+  await realtime.start();
+  const bridge = await startBridgeProcess({
+    env: {
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_REALTIME_URL: realtime.url,
+      TRACE_FILE_PATH: traceFile,
+      TRACE_FLUSH_INTERVAL_MS: '50',
+      INTERNAL_TOOLING_ENABLED: 'true'
+    }
+  });
+
+  try {
+    const scenario = require(path.join(SCENARIOS_DIR, 'call_capture_identity.json'));
+    const report = await runSimulatedCall({ ...scenario, bridgeUrl: bridge.url, speed: 4, baseDir: SCENARIOS_DIR });
+    assert.equal(report.ok, true, JSON.stringify(report.failures));
+
+    const root = await waitFor(() => readSpans(traceFile).find((entry) => entry.name === 'call'));
+    const spans = readSpans(traceFile).filter((entry) => entry.traceId === root.traceId);
+    const eventNames = root.events.map((event) => event.name);
+    for (const name of ['twilio.voice_webhook', 'twilio.stream_start', 'openai.connected', 'openai.first_audio', 'openai.response.function_call_arguments.done']) {
+      assert.ok(eventNames.includes(name), `missing ${name} in ${eventNames.join(', ')}`);
+    }
+    assert.equal(attributesOf(root)['call.final_state'], 'CALL_ENDED');
+
+    const tool = spans.find((entry) => entry.name === 'dispatchTool capture_identity');
+    assert.equal(tool.parentSpanId, root.spanId);
+    assert.ok(spans.some((entry) => entry.name === 'hubspotRequest GET' && entry.parentSpanId === root.spanId), 'deployment gate lookup is not part of the call trace');
+  } finally {
+    await bridge.stop();
+    await realtime.stop();
+  }
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const {
+  computeTwilioSignature,
+  isValidTwilioSignature,
+  verifyTwilioRequest
+} = require('../src/governance/twilioSignature');
+const { createStreamToken, verifyStreamToken, buildStreamPath, parseStreamPath } = require('../src/governance/streamToken');
+const { runSimulatedCall } = require('../scripts/simulate_call');
+const { setupHarness } = require('./support/harness');
+const { startBridgeProcess } = require('./support/bridgeProcess');
+
+const VOICE_PARAMS = Object.freeze({ CallSid: 'CAsecurity', From: '+15555550100', To: '+15555550199', AccountSid: 'ACsecurity' });
+
+let harness;
+
+test.before(async () => {
+  harness = await setupHarness();
+});
+
+test.after(async () => {
+  await harness.teardown();
+});
+
+function withEnv(t, values) {
+  const previous = Object.fromEntries(Object.keys(values).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+}
+
+function postVoice(bridgeUrl, { signature } = {}) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (signature) {
+    headers['X-Twilio-Signature'] = signature;
+  }
+  return fetch(`${bridgeUrl}/twilio/voice`, { method: 'POST', headers, body: new URLSearchParams(VOICE_PARAMS).toString() });
+}
+
+function signVoice(bridgeUrl, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  return computeTwilioSignature(`${bridgeUrl}/twilio/voice`, VOICE_PARAMS, authToken);
+}
+
+function openStream(bridgeUrl, streamPath) {
+  return new Promise((resolve) => {
+    const socket = new WebSocket(`${bridgeUrl.replace(/^http/, 'ws')}${streamPath}`);
+    socket.once('open', () => {
+      socket.close();
+      resolve(101);
+    });
+    socket.once('unexpected-response', (_req, res) => resolve(res.statusCode));
+    socket.once('error', () => resolve(null));
+  });
+}
+
+test('Twilio signatures match the documented algorithm and reject tampering', () => {
+  const url = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+  const params = { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' };
+  const signature = computeTwilioSignature(url, params, '12345');
+  assert.equal(signature, '0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+
+  assert.equal(isValidTwilioSignature({ url, params, signature, authToken: '12345' }), true);
+  assert.equal(isValidTwilioSignature({ url, params: { ...params, Digits: '9999' }, signature, authToken: '12345' }), false);
+  assert.equal(isValidTwilioSignature({ url: `${url}&baz=3`, params, signature, authToken: '12345' }), false);
+  assert.equal(isValidTwilioSignature({ url, params, signature, authToken: 'other-token' }), false);
+  assert.equal(isValidTwilioSignature({ url, params, signature: null, authToken: '12345' }), false);
+});
+
+test('disabling signature validation is refused in production', (t) => {
+  withEnv(t, { TWILIO_SIGNATURE_VALIDATION_ENABLED: 'false', NODE_ENV: 'production' });
+  const req = { body: {}, originalUrl: '/twilio/voice', get: () => undefined };
+  assert.throws(() => verifyTwilioRequest(req, { route: '/twilio/voice' }), /not allowed in production/);
+
+  process.env.NODE_ENV = 'test';
+  assert.equal(verifyTwilioRequest(req, { route: '/twilio/voice' }), true);
+});
+
+test('stream tokens are signed, single use and expire', (t) => {
+  withEnv(t, { STREAM_TOKEN_SECRET: 'stream-secret', STREAM_TOKEN_TTL_SECONDS: '60' });
+  const nowMs = Date.parse('2026-10-19T12:00:00Z');
+
+  const token = createStreamToken({ callSid: 'CAtoken', nowMs });
+  assert.deepEqual(verifyStreamToken(token, { nowMs }), { valid: true, callSid: 'CAtoken', expiresAt: nowMs / 1000 + 60 });
+  assert.deepEqual(verifyStreamToken(token, { nowMs }), { valid: false, reason: 'replayed', callSid: 'CAtoken' });
+
+  const expiring = createStreamToken({ callSid: 'CAexpired', nowMs });
+  assert.deepEqual(verifyStreamToken(expiring, { nowMs: nowMs + 61 * 1000 }), { valid: false, reason: 'expired', callSid: 'CAexpired' });
+
+  const [callSid, expiresAt, signature] = createStreamToken({ callSid: 'CAforged', nowMs }).split('.');
+  assert.equal(verifyStreamToken(`${callSid}.${Number(expiresAt) + 3600}.${signature}`, { nowMs }).reason, 'signature_mismatch');
+  assert.equal(verifyStreamToken(`CAother.${expiresAt}.${signature}`, { nowMs }).reason, 'signature_mismatch');
+  assert.equal(verifyStreamToken('not-a-token', { nowMs }).reason, 'malformed');
+
+  const beforeRotation = createStreamToken({ callSid: 'CArotated', nowMs });
+  process.env.STREAM_TOKEN_SECRET = 'rotated-secret';
+  assert.equal(verifyStreamToken(beforeRotation, { nowMs }).reason, 'signature_mismatch');
+
+  assert.deepEqual(parseStreamPath(buildStreamPath(token)), { matched: true, token });
+  assert.deepEqual(parseStreamPath('/twilio/stream'), { matched: true, token: null });
+  assert.equal(parseStreamPath('/twilio/stream/a/b').matched, false);
+  assert.equal(parseStreamPath('/twilio/other').matched, false);
+});
+
+test('the bridge rejects unsigned webhooks and unauthorized stream upgrades', async () => {
+  const bridge = await startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test' } });
+  try {
+    assert.equal((await postVoice(bridge.url)).status, 403);
+    assert.equal((await postVoice(bridge.url, { signature: signVoice(bridge.url, 'wrong-token') })).status, 403);
+
+    const accepted = await postVoice(bridge.url, { signature: signVoice(bridge.url) });
+    assert.equal(accepted.status, 200);
+    const streamUrl = /<Stream url="wss:\/\/[^/]+([^"]+)"/.exec(await accepted.text())[1];
+    const { token } = parseStreamPath(streamUrl);
+    assert.ok(token.startsWith('CAsecurity.'));
+
+    assert.equal(await openStream(bridge.url, '/twilio/stream'), 401);
+    assert.equal(await openStream(bridge.url, buildStreamPath('CAsecurity.9999999999.forged')), 401);
+    assert.equal(await openStream(bridge.url, streamUrl), 101);
+    assert.equal(await openStream(bridge.url, streamUrl), 401);
+
+    const output = bridge.output.join('');
+    assert.ok(output.includes('Rejected request with invalid X-Twilio-Signature.'));
+    for (const reason of ['missing_token', 'signature_mismatch', 'replayed']) {
+      assert.ok(output.includes(`"reason":"${reason}"`), `missing rejected upgrade with reason ${reason}`);
+    }
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('with signature validation disabled outside production, streams connect without a token', async () => {
+  const bridge = await startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test', TWILIO_SIGNATURE_VALIDATION_ENABLED: 'false' } });
+  try {
+    const response = await postVoice(bridge.url);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<Stream url="wss:\/\/[^/]+\/twilio\/stream">/);
+    assert.equal(await openStream(bridge.url, '/twilio/stream'), 101);
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('in production the voice webhook and the stream upgrade agree on the stream token', async () => {
+  const bridge = await startBridgeProcess({ env: { OPENAI_API_KEY: 'sk-test', NODE_ENV: 'production' } });
+  try {
+    const report = await runSimulatedCall({ bridgeUrl: bridge.url, callSid: 'CAsecurity-production', script: [{ waitMs: 100 }], settleMs: 0 });
+    assert.equal(report.ok, true, JSON.stringify(report.failures));
+    assert.equal(await openStream(bridge.url, '/twilio/stream'), 401);
+  } finally {
+    await bridge.stop();
+  }
+
+  const unvalidated = await startBridgeProcess({
+    env: { OPENAI_API_KEY: 'sk-test', NODE_ENV: 'production', TWILIO_SIGNATURE_VALIDATION_ENABLED: 'false' }
+  });
+  try {
+    const response = await postVoice(unvalidated.url);
+    assert.equal(response.status, 500);
+    assert.doesNotMatch(await response.text(), /<Stream/);
+    assert.equal(await openStream(unvalidated.url, '/twilio/stream'), 401);
+  } finally {
+    await unvalidated.stop();
+  }
+});